@@ -15,6 +15,9 @@ let socket = null;
 let reconnectAttempts = 0;
 let spinsToday = 0;
 let totalFeesSent = 0;
+let spinIntervalSeconds = 120;
+// Selected wheel (null = server default); ?wheel= in the URL wins over the saved choice
+let currentWheelId = new URLSearchParams(window.location.search).get('wheel') || localStorage.getItem('wheelId');
 const MAX_RECONNECT_ATTEMPTS = 10;
 
 // Audio elements
@@ -34,6 +37,9 @@ const elements = {
     holdersList: document.getElementById('holdersList'),
     winnerAnnouncement: document.getElementById('winnerAnnouncement'),
     winnerAddress: document.getElementById('winnerAddress'),
+    winnerLabel: document.getElementById('winnerLabel'),
+    winnerList: document.getElementById('winnerList'),
+    winnerSplits: document.getElementById('winnerSplits'),
     winnerAmount: document.getElementById('winnerAmount'),
     tokenAddress: document.getElementById('tokenAddress'),
     headerTokenAddress: document.getElementById('headerTokenAddress'),
@@ -41,19 +47,75 @@ const elements = {
     copyBtn: document.getElementById('copyBtn'),
     closeWinner: document.getElementById('closeWinner'),
     wheelContainer: document.getElementById('wheelContainer'),
-    spinsToday: document.getElementById('spinsToday')
+    spinsToday: document.getElementById('spinsToday'),
+    wheelPicker: document.getElementById('wheelPicker'),
+    wheelSelect: document.getElementById('wheelSelect')
 };
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     initSounds();
     initWheel();
+    await fetchWheels();
     connectWebSocket();
     setupEventListeners();
     fetchStatus();
     addCountdownSVGGradient();
 });
 
+// API path for the selected wheel
+function apiUrl(path) {
+    return currentWheelId
+        ? `${API_BASE}/api/wheels/${encodeURIComponent(currentWheelId)}${path}`
+        : `${API_BASE}/api${path}`;
+}
+
+// Load available wheels and show the picker when there is more than one
+async function fetchWheels() {
+    try {
+        const response = await fetch(`${API_BASE}/api/wheels`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        if (!data.wheels.some(w => w.id === currentWheelId)) {
+            currentWheelId = data.defaultWheel;
+        }
+
+        if (data.wheels.length > 1 && elements.wheelSelect) {
+            elements.wheelSelect.innerHTML = data.wheels.map(w =>
+                `<option value="${w.id}" ${w.id === currentWheelId ? 'selected' : ''}>${w.name}</option>`
+            ).join('');
+            elements.wheelPicker.hidden = false;
+        }
+    } catch (error) {
+        console.error('[App] Error fetching wheels:', error);
+    }
+}
+
+// Switch to another wheel's channel
+function switchWheel(wheelId) {
+    if (wheelId === currentWheelId) return;
+
+    currentWheelId = wheelId;
+    localStorage.setItem('wheelId', wheelId);
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('wheel', wheelId);
+    window.history.replaceState(null, '', url);
+
+    // Drop the old channel without triggering a reconnect
+    if (socket) {
+        socket.onclose = null;
+        socket.close();
+    }
+    reconnectAttempts = 0;
+
+    closeWinnerAnnouncement();
+    wheel.updateSegments([]);
+    connectWebSocket();
+    fetchStatus();
+}
+
 // Add gradient for countdown circle
 function addCountdownSVGGradient() {
     const svg = document.querySelector('.countdown-ring svg');
@@ -111,7 +173,7 @@ function initWheel() {
 
 // WebSocket connection
 function connectWebSocket() {
-    socket = new WebSocket(WS_URL);
+    socket = new WebSocket(currentWheelId ? `${WS_URL}?wheel=${encodeURIComponent(currentWheelId)}` : WS_URL);
 
     socket.onopen = () => {
         console.log('[WS] Connected');
@@ -166,7 +228,10 @@ function handleMessage(message) {
             handleHoldersUpdate(message.data);
             break;
         case 'spinStart':
-            handleSpinStart();
+            handleSpinStart(message.data);
+            break;
+        case 'spinAborted':
+            handleSpinAborted(message.data);
             break;
         case 'spinResult':
             handleSpinResult(message.data);
@@ -185,6 +250,10 @@ function handleMessage(message) {
 function handleInit(data) {
     console.log('[App] Initializing with data:', data);
 
+    if (data.spinIntervalMs) {
+        spinIntervalSeconds = data.spinIntervalMs / 1000;
+    }
+
     if (data.wheelData) {
         updateWheelData(data.wheelData);
     }
@@ -196,7 +265,7 @@ function handleInit(data) {
     spinsToday = data.spinsToday || (data.history ? data.history.length : 0);
     updateSpinsToday();
 
-    // Always use server-provided total fees (includes baseline)
+    // Always use server-provided total fees (rebuilt from the creator wallet's history)
     totalFeesSent = data.totalFeesSent || 0;
     updateTotalFeesSent();
 
@@ -215,14 +284,29 @@ function handleHoldersUpdate(data) {
     elements.holderCount.textContent = formatNumber(data.totalHolders);
 }
 
-function handleSpinStart() {
+function handleSpinStart(data) {
     console.log('[App] Spin starting');
     elements.wheelContainer.classList.add('spinning');
+
+    // Seed commitment is published before the draw - compare it with the revealed seed later
+    if (data && data.commitment) {
+        console.log(`[App] Seed commitment: ${data.commitment} (blockhash slot >= ${data.targetSlot})`);
+    }
+}
+
+function handleSpinAborted(data) {
+    console.log('[App] Spin aborted:', data?.error);
+    elements.wheelContainer.classList.remove('spinning');
 }
 
 function handleSpinResult(data) {
     console.log('[App] Spin result:', data);
 
+    // Make sure the wheel shows the exact holder set the draw used
+    if (data.wheelData) {
+        updateWheelData(data.wheelData);
+    }
+
     // Play spin sound
     playSound('spin');
 
@@ -237,7 +321,7 @@ function handleSpinResult(data) {
         }
 
         // Show winner announcement after wheel stops
-        showWinnerAnnouncement(data.winner);
+        showWinnerAnnouncement(data.winner, data.winners);
 
         // Increment spins
         spinsToday++;
@@ -309,6 +393,19 @@ function updateWheelData(wheelData) {
     elements.holderCount.textContent = formatNumber(wheelData.segments?.length || 0);
 }
 
+// SOL keeps 4 decimals; token payouts (asset = { symbol, mint, decimals }) are shown with grouping
+function formatPayout(amount, asset) {
+    if (!asset || !asset.mint) {
+        return `${amount.toFixed(4)} SOL`;
+    }
+    return `${amount.toLocaleString('en-US', { maximumFractionDigits: Math.min(asset.decimals, 4) })} ${asset.symbol}`;
+}
+
+// Buyback payouts also show the SOL the pot spent on the tokens (a failed buy fell back to SOL)
+function formatBuyback(buyback) {
+    return buyback && !buyback.failed ? ` <span class="history-buyback">(${buyback.spent.toFixed(4)} SOL)</span>` : '';
+}
+
 function updateHistory(history) {
     if (!history || history.length === 0) {
         elements.historyList.innerHTML = `
@@ -323,20 +420,34 @@ function updateHistory(history) {
     elements.historyList.innerHTML = history.map((item, index) => {
         const hasTx = item.solscanUrl && item.distribution > 0;
         const prizeDisplay = item.distribution > 0
-            ? `<span class="history-prize">🎉 ${item.distribution.toFixed(4)} SOL</span>`
+            ? `<span class="history-prize">🎉 ${formatPayout(item.distribution, item.payoutAsset)}${formatBuyback(item.buyback)}</span>`
             : '';
         const txLink = hasTx
             ? `<a href="${item.solscanUrl}" target="_blank" class="history-tx-link" title="View on Solscan">📜 TX</a>`
             : '';
+        // Multi-winner spins list the other winners in the tooltip
+        const winners = item.winners || [item.winner];
+        const extraWinners = winners.length > 1
+            ? ` <span class="history-extra-winners" title="${winners.map(w => w.displayAddress).join(', ')}">+${winners.length - 1}</span>`
+            : '';
+        const verifyLink = item.fairness
+            ? `<a href="${apiUrl(`/spins/${item.id}/verify`)}" target="_blank" class="history-tx-link" title="Verify provably fair result">🔒 Verify</a>`
+            : '';
+
+        // Spins recovered from chain history are numbered after the wheel's own, so they show no number
+        const rank = item.source === 'chain'
+            ? '<div class="history-rank" title="Recovered from the creator wallet\'s on-chain history">⛓</div>'
+            : `<div class="history-rank">#${item.id}</div>`;
 
         return `
         <div class="history-item ${index === 0 ? 'latest' : ''}${hasTx ? ' has-tx' : ''}">
-            <div class="history-rank">#${item.id}</div>
-            <div class="history-address">${item.winner.displayAddress}</div>
+            ${rank}
+            <div class="history-address">${item.winner.displayAddress}${extraWinners}</div>
             <div class="history-details">
                 <span class="history-amount">${item.winner.percentage.toFixed(2)}%</span>
                 ${prizeDisplay}
                 ${txLink}
+                ${verifyLink}
                 <span class="history-time">${item.timestampReadable}</span>
             </div>
         </div>
@@ -360,13 +471,17 @@ function updateHoldersList(segments) {
     elements.holdersList.innerHTML = topHolders.map((holder, index) => {
         const rankClass = index < 3 ? `top-3 rank-${index + 1}` : '';
         const barWidth = Math.min(holder.percentage * 4, 100); // Scale for visibility
+        // Holding-duration bonus (only sent when the server has it enabled)
+        const bonus = holder.multiplier !== undefined
+            ? `<span class="holder-multiplier" title="Held since ${holder.heldSince ? new Date(holder.heldSince).toLocaleString() : 'unknown'}">💎 ×${holder.multiplier.toFixed(2)}</span>`
+            : '';
 
         return `
             <div class="holder-item">
                 <div class="holder-rank ${rankClass}">${index + 1}</div>
                 <div class="holder-info">
-                    <div class="holder-address">${holder.displayAddress}</div>
-                    <div class="holder-percentage">${holder.percentage.toFixed(2)}% of supply</div>
+                    <div class="holder-address">${holder.displayAddress}${bonus}</div>
+                    <div class="holder-percentage">${holder.percentage.toFixed(2)}% of supply${holder.odds !== undefined ? ` • ${holder.odds.toFixed(2)}% odds` : ''}</div>
                     <div class="holder-bar">
                         <div class="holder-bar-fill" style="width: ${barWidth}%"></div>
                     </div>
@@ -381,8 +496,7 @@ function updateCountdown(data) {
     elements.countdownSeconds.textContent = seconds;
 
     // Update circular progress (283 is the circumference of the circle)
-    // Using 120 seconds for 2 minute interval
-    const progress = (seconds / 120) * 283;
+    const progress = Math.min(seconds / spinIntervalSeconds, 1) * 283;
     if (elements.countdownCircle) {
         elements.countdownCircle.style.strokeDashoffset = 283 - progress;
     }
@@ -405,11 +519,28 @@ function updateSpinsToday() {
 let winnerAutoCloseTimer = null;
 let currentWinnerAddress = null;
 
-function showWinnerAnnouncement(winner) {
+function showWinnerAnnouncement(winner, winners = [winner]) {
     currentWinnerAddress = winner.address;
     elements.winnerAddress.textContent = winner.displayAddress;
     elements.winnerAmount.textContent = `${winner.percentage.toFixed(2)}% of supply`;
 
+    // Multi-winner spin - list every winner with their share of the pot
+    const multiple = winners.length > 1;
+    elements.winnerLabel.textContent = multiple ? `${winners.length} WINNERS!` : 'WINNER!';
+    elements.winnerList.hidden = !multiple;
+    elements.winnerList.innerHTML = multiple
+        ? winners.map((w, index) => `
+            <div class="winner-list-item" data-address="${w.address}">
+                <span class="winner-list-rank">#${index + 1}</span>
+                <span class="winner-list-address">${w.displayAddress}</span>
+                <span class="winner-list-share">${((w.share ?? 1 / winners.length) * 100).toFixed(0)}%</span>
+            </div>
+        `).join('')
+        : '';
+
+    elements.winnerSplits.hidden = true;
+    elements.winnerSplits.innerHTML = '';
+
     // Reset prize display
     const prizeElement = document.getElementById('winnerPrize');
     if (prizeElement) {
@@ -436,8 +567,8 @@ function updateWinnerWithDistribution(distribution) {
     if (!prizeElement) return;
 
     if (distribution.distributed > 0) {
-        const solAmount = distribution.distributed.toFixed(4);
-        prizeElement.innerHTML = `<span style="color: var(--neon-green); text-shadow: var(--glow-green);">${solAmount} SOL 🎉</span>`;
+        const prize = formatPayout(distribution.distributed, distribution.asset);
+        prizeElement.innerHTML = `<span style="color: var(--neon-green); text-shadow: var(--glow-green);">${prize}${formatBuyback(distribution.buyback)} 🎉</span>`;
 
         // Make clickable if we have a tx link
         if (distribution.transferTxUrl) {
@@ -446,12 +577,47 @@ function updateWinnerWithDistribution(distribution) {
             prizeElement.title = 'Click to view transaction';
         }
 
-        showToast(`🎉 ${solAmount} SOL sent to winner!`);
+        // Per-winner amounts for multi-winner spins
+        const sent = (distribution.payouts || []).filter(payout => payout.success);
+        sent.forEach(payout => {
+            const share = elements.winnerList.querySelector(`[data-address="${payout.address}"] .winner-list-share`);
+            if (share) {
+                share.textContent = formatPayout(payout.amount, distribution.asset);
+            }
+        });
+
+        updateWinnerSplits(distribution.splits || []);
+
+        showToast(sent.length > 1 ? `🎉 ${prize} sent to ${sent.length} winners!` : `🎉 ${prize} sent to winner!`);
     } else {
         prizeElement.textContent = 'No fees available';
     }
 }
 
+// Fee split legs of the spin - treasury wallets and buy-and-burn, each linking to its transaction
+function updateWinnerSplits(splits) {
+    elements.winnerSplits.hidden = splits.length === 0;
+    elements.winnerSplits.innerHTML = splits.map(split => {
+        const icon = split.kind === 'burn' ? '🔥' : '💼';
+        const percent = split.percent ? ` · ${split.percent}%` : '';
+        let value = split.success ? formatPayout(split.amount) : 'pending';
+        if (split.success && split.burned) {
+            value += ` (${split.burned.toLocaleString('en-US', { maximumFractionDigits: 0 })} burned)`;
+        }
+        const link = split.txUrl
+            ? `<a href="${split.txUrl}" target="_blank" class="history-tx-link" title="View on Solscan">📜</a>`
+            : '';
+        return `
+            <div class="winner-list-item winner-split-item">
+                <span class="winner-list-rank">${icon}</span>
+                <span class="winner-list-address">${split.label}${percent}</span>
+                <span class="winner-list-share">${value}</span>
+                ${link}
+            </div>
+        `;
+    }).join('');
+}
+
 function closeWinnerAnnouncement() {
     elements.winnerAnnouncement.classList.remove('show');
     if (winnerAutoCloseTimer) {
@@ -463,7 +629,7 @@ function closeWinnerAnnouncement() {
 // API functions
 async function fetchStatus() {
     try {
-        const response = await fetch(`${API_BASE}/api/status`);
+        const response = await fetch(apiUrl('/status'));
         const data = await response.json();
 
         if (data.success) {
@@ -509,6 +675,11 @@ function setupEventListeners() {
         elements.headerCaItem.addEventListener('click', copyCa);
     }
 
+    // Wheel picker
+    if (elements.wheelSelect) {
+        elements.wheelSelect.addEventListener('change', (e) => switchWheel(e.target.value));
+    }
+
     // Close winner announcement
     elements.closeWinner.addEventListener('click', () => {
         closeWinnerAnnouncement();
@@ -79,8 +79,11 @@ class SpinningWheel {
         ctx.rotate(this.currentRotation);
         ctx.translate(-centerX, -centerY);
 
-        // Calculate total percentage to normalize (segments should fill 100% of wheel)
-        const totalPercentage = this.segments.reduce((sum, seg) => sum + seg.percentage, 0);
+        // Slices follow the winning odds (weighting strategy); older servers only send percentage
+        const sliceShare = (seg) => seg.odds ?? seg.percentage;
+
+        // Calculate total to normalize (segments should fill 100% of wheel)
+        const totalPercentage = this.segments.reduce((sum, seg) => sum + sliceShare(seg), 0);
         const normalizer = 100 / totalPercentage; // This makes segments fill entire wheel
 
         let startAngle = -Math.PI / 2;
@@ -88,7 +91,7 @@ class SpinningWheel {
         // Draw segments
         this.segments.forEach((segment, index) => {
             // Normalize the percentage so all segments together fill the wheel
-            const normalizedPercentage = segment.percentage * normalizer;
+            const normalizedPercentage = sliceShare(segment) * normalizer;
             const sliceAngle = (normalizedPercentage / 100) * 2 * Math.PI;
             const endAngle = startAngle + sliceAngle;
 
@@ -125,8 +128,8 @@ class SpinningWheel {
             ctx.stroke();
 
             // Draw text
-            if (segment.percentage > 1.5) {
-                this.drawSegmentText(startAngle, sliceAngle, segment.displayAddress, segment.percentage);
+            if (normalizedPercentage > 1.5) {
+                this.drawSegmentText(startAngle, sliceAngle, segment.displayAddress, normalizedPercentage);
             }
 
             startAngle = endAngle;
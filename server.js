@@ -1,30 +1,251 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
-
-const { getTokenHolders, processHoldersForWheel, getCreatedTokens, setCreatorExclusion } = require('./services/helius');
-const { selectWinner, calculateWinningDegree, recordSpin, getSpinHistory, getTimeUntilNextSpin, updateLatestSpinDistribution, getTotalFeesSent, addToTotalFees, importHistoricalTransfers, initDatabase } = require('./services/wheelLogic');
-const pumpfun = require('./services/pumpfun');
+const { PublicKey } = require('@solana/web3.js');
+
+const { setAdminExclusions, getExclusions } = require('./services/helius');
+const { createWheel } = require('./services/wheelEngine');
+const database = require('./services/database');
+const fairness = require('./services/fairness');
+const admin = require('./services/admin');
+const leader = require('./services/leader');
 const discord = require('./services/discord');
+const { parseWeighting } = require('./services/weighting');
+const { parseHoldingBonus } = require('./services/holdingTracker');
+const { parsePayoutAsset } = require('./services/payoutAsset');
+const { parseFeeSplit } = require('./services/feeSplit');
+const { PAYOUT_STATE, describeEntry } = require('./services/payoutLedger');
+const { parseSignerSpec } = require('./services/signer');
+const config = require('./services/config');
+
+// Configuration (see services/config.js) - refuse to start on invalid settings
+try {
+    config.load();
+} catch (error) {
+    console.error(`[Config] ${error.message}`);
+    process.exit(1);
+}
+
+const PORT = config.get('port');
+const RPC_ENDPOINT = config.get('rpcEndpoint');
+const WHEEL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const SETTINGS_SYNC_MS = 15 * 1000;
+
+const MAX_WINNERS_PER_SPIN = 10;
+
+/**
+ * Validate the multi-winner settings of a wheel
+ * payoutSplit: 'equal', 'weighted' or tier percentages (one per winner), e.g. [50, 30, 20]
+ */
+function parsePayoutSettings(label, winnersPerSpin = 1, payoutSplit = 'equal') {
+    if (!Number.isInteger(winnersPerSpin) || winnersPerSpin < 1 || winnersPerSpin > MAX_WINNERS_PER_SPIN) {
+        throw new Error(`${label}: winnersPerSpin must be an integer from 1 to ${MAX_WINNERS_PER_SPIN}`);
+    }
+
+    if (Array.isArray(payoutSplit)) {
+        if (payoutSplit.length !== winnersPerSpin || !payoutSplit.every(tier => typeof tier === 'number' && tier > 0)) {
+            throw new Error(`${label}: payoutSplit tiers must be ${winnersPerSpin} positive numbers (one per winner)`);
+        }
+    } else if (payoutSplit !== 'equal' && payoutSplit !== 'weighted') {
+        throw new Error(`${label}: payoutSplit must be "equal", "weighted" or an array of tier percentages`);
+    }
+
+    return { winnersPerSpin, payoutSplit };
+}
+
+/**
+ * Run a settings parser, prefixing errors with the wheel label
+ */
+function parseWheelSetting(label, parser, setting) {
+    try {
+        return parser(setting);
+    } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+    }
+}
+
+/**
+ * PAYOUT_SPLIT env format: "equal", "weighted" or comma-separated tiers ("50,30,20")
+ */
+function parseSplitEnv(raw) {
+    if (!raw) return undefined;
+    return raw.includes(',') || /^\d/.test(raw) ? raw.split(',').map(Number) : raw.trim();
+}
+
+/**
+ * FEE_SPLIT env format: comma-separated "<target>:<percent>" rules - target is "winners", "burn", an address
+ * or "<label>=<address>" (e.g. "winners:70,marketing=<address>:15,dev=<address>:10,burn:5")
+ */
+function parseFeeSplitEnv(raw) {
+    if (!raw) return undefined;
+    return raw.split(',').map(rule => {
+        const separator = rule.lastIndexOf(':');
+        const target = rule.slice(0, separator).trim();
+        const percent = Number(rule.slice(separator + 1));
+        const [label, to] = target.includes('=') ? target.split('=').map(part => part.trim()) : [undefined, target];
+        return { to, percent, label };
+    });
+}
+
+/**
+ * PAYOUT_ASSET env format: "SOL" (default), "token" (the wheel's own token) or a mint address,
+ * with PAYOUT_TOKEN_AMOUNT tokens per spin and an optional PAYOUT_TOKEN_SYMBOL
+ */
+function parseAssetEnv() {
+    const raw = process.env.PAYOUT_ASSET;
+    if (!raw || raw.toUpperCase() === 'SOL') return undefined;
+    if (raw.trim().toLowerCase() === 'buyback') return 'buyback';
+    return {
+        mint: raw.trim(),
+        amountPerSpin: process.env.PAYOUT_TOKEN_AMOUNT ? Number(process.env.PAYOUT_TOKEN_AMOUNT) : undefined,
+        symbol: process.env.PAYOUT_TOKEN_SYMBOL || undefined
+    };
+}
+
+/**
+ * Keystore passphrase from an env var, or from a file (e.g. a mounted secret) named by another one
+ */
+function readPassphrase(env, fileEnv) {
+    if (process.env[env]) return process.env[env];
+    if (fileEnv && process.env[fileEnv]) {
+        return fs.readFileSync(path.resolve(process.env[fileEnv]), 'utf8').trim();
+    }
+    return undefined;
+}
+
+/**
+ * CREATOR_SIGNER env format: "memory" (CREATOR_PRIVATE_KEY), "keystore" (CREATOR_KEYSTORE unlocked with
+ * CREATOR_KEYSTORE_PASSPHRASE or CREATOR_KEYSTORE_PASSPHRASE_FILE) or "socket" (CREATOR_SIGNER_SOCKET)
+ * Unset picks keystore or socket when their path is set, else memory
+ */
+function parseSignerEnv() {
+    let type = process.env.CREATOR_SIGNER && process.env.CREATOR_SIGNER.trim().toLowerCase();
+    if (!type) {
+        type = process.env.CREATOR_KEYSTORE ? 'keystore' : process.env.CREATOR_SIGNER_SOCKET ? 'socket' : 'memory';
+    }
+
+    if (type === 'keystore') {
+        return {
+            type,
+            path: process.env.CREATOR_KEYSTORE,
+            passphrase: readPassphrase('CREATOR_KEYSTORE_PASSPHRASE', 'CREATOR_KEYSTORE_PASSPHRASE_FILE')
+        };
+    }
+    if (type === 'socket') {
+        return { type, path: process.env.CREATOR_SIGNER_SOCKET };
+    }
+    return { type, privateKey: process.env.CREATOR_PRIVATE_KEY };
+}
+
+/**
+ * A wheel entry's signer - "signer": { type, path, passphraseEnv, passphraseFileEnv } or the older
+ * "creatorKeyEnv" (an env var holding a base58 key)
+ */
+function parseSignerEntry(entry) {
+    if (!entry.signer) {
+        return entry.creatorKeyEnv ? { type: 'memory', privateKey: process.env[entry.creatorKeyEnv] } : null;
+    }
+
+    const { type, path: signerPath, privateKeyEnv, passphraseEnv, passphraseFileEnv } = entry.signer;
+    if (type === 'memory') {
+        return { type, privateKey: privateKeyEnv ? process.env[privateKeyEnv] : undefined };
+    }
+    return {
+        type,
+        path: signerPath,
+        passphrase: type === 'keystore' && passphraseEnv ? readPassphrase(passphraseEnv, passphraseFileEnv) : undefined
+    };
+}
+
+/**
+ * Load wheel definitions
+ * Multi-wheel mode: WHEELS_CONFIG (path to a JSON file) or WHEELS (inline JSON), an array of
+ *   { id, name, tokenMint, creatorKeyEnv, spinIntervalMs, winnersPerSpin, payoutSplit, weighting }
+ * Wheels without spinIntervalMs follow the global spinIntervalMs setting (hot-reloadable)
+ * weighting: "linear" | "sqrt" | "log" | "equal" | { "strategy": "capped", "capPercent": 5 }
+ * holdingBonus: { "maxMultiplier": 2, "fullAfterHours": 168 } - weight bonus for holding without selling
+ * payoutAsset: "SOL" (default), "buyback" (buy the wheel's token with the pot and pay that out)
+ *   or { "mint": "token" | "<mint>", "amountPerSpin": 1000, "symbol": "USDC" }
+ * feeSplit: [{ "to": "winners", "percent": 70 }, { "to": "<address>", "percent": 15, "label": "Marketing" },
+ *   { "to": "burn", "percent": 5 }] - where claimed fees go (without it winners get all but keepPercentage)
+ * signer: { "type": "keystore", "path": "./keys/wheel.json", "passphraseEnv": "WHEEL_PASSPHRASE" }
+ *   or { "type": "socket", "path": "/run/wheel-signer.sock" } - creatorKeyEnv still names an env var
+ *   holding a base58 creator key
+ * Otherwise a single "default" wheel is built from TOKEN_MINT and the CREATOR_SIGNER settings
+ */
+function loadWheelConfigs() {
+    let raw = process.env.WHEELS;
+    if (process.env.WHEELS_CONFIG) {
+        raw = fs.readFileSync(path.resolve(process.env.WHEELS_CONFIG), 'utf8');
+    }
+
+    if (!raw) {
+        return [{
+            id: 'default',
+            name: '$WHEEL',
+            tokenMint: process.env.TOKEN_MINT || null, // Will auto-detect if not set
+            signer: parseWheelSetting('CREATOR_SIGNER', parseSignerSpec, parseSignerEnv()),
+            spinIntervalMs: null, // Follows the spinIntervalMs setting
+            ...parsePayoutSettings(
+                'WINNERS_PER_SPIN/PAYOUT_SPLIT',
+                process.env.WINNERS_PER_SPIN ? Number(process.env.WINNERS_PER_SPIN) : undefined,
+                parseSplitEnv(process.env.PAYOUT_SPLIT)
+            ),
+            weighting: parseWheelSetting('WEIGHTING_STRATEGY', parseWeighting, {
+                strategy: process.env.WEIGHTING_STRATEGY || 'linear',
+                capPercent: process.env.WEIGHTING_CAP_PERCENT ? Number(process.env.WEIGHTING_CAP_PERCENT) : undefined
+            }),
+            holdingBonus: parseWheelSetting('HOLDING_BONUS', parseHoldingBonus, {
+                maxMultiplier: process.env.HOLDING_BONUS_MAX ? Number(process.env.HOLDING_BONUS_MAX) : undefined,
+                fullAfterHours: process.env.HOLDING_BONUS_FULL_HOURS ? Number(process.env.HOLDING_BONUS_FULL_HOURS) : undefined
+            }),
+            payoutAsset: parseWheelSetting('PAYOUT_ASSET', parsePayoutAsset, parseAssetEnv()),
+            feeSplit: parseWheelSetting('FEE_SPLIT', parseFeeSplit, parseFeeSplitEnv(process.env.FEE_SPLIT))
+        }];
+    }
+
+    const entries = JSON.parse(raw);
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Wheel config must be a non-empty array');
+    }
+
+    const seen = new Set();
+    return entries.map((entry, index) => {
+        if (!entry.id || !WHEEL_ID_PATTERN.test(entry.id)) {
+            throw new Error(`Wheel #${index}: id must match ${WHEEL_ID_PATTERN}`);
+        }
+        if (seen.has(entry.id)) {
+            throw new Error(`Wheel #${index}: duplicate id "${entry.id}"`);
+        }
+        seen.add(entry.id);
 
-// Configuration
-const PORT = process.env.PORT || 3000;
-const SPIN_INTERVAL_MS = 120000; // 2 minutes
-let TOKEN_MINT_ADDRESS = process.env.TOKEN_MINT || null; // Will auto-detect if not set
-const RPC_ENDPOINT = process.env.RPC_ENDPOINT || 'https://mainnet.helius-rpc.com/?api-key=ae211108-bdbf-40af-90e2-c5418e3f62d3';
+        const spinIntervalMs = entry.spinIntervalMs ?? null;
+        if (spinIntervalMs !== null && (!Number.isInteger(spinIntervalMs) || spinIntervalMs < 30000)) {
+            throw new Error(`Wheel "${entry.id}": spinIntervalMs must be an integer >= 30000`);
+        }
 
+        return {
+            id: entry.id,
+            name: entry.name || entry.id,
+            tokenMint: entry.tokenMint || null,
+            signer: parseWheelSetting(`Wheel "${entry.id}"`, parseSignerSpec, parseSignerEntry(entry)),
+            spinIntervalMs: spinIntervalMs,
+            ...parsePayoutSettings(`Wheel "${entry.id}"`, entry.winnersPerSpin, entry.payoutSplit),
+            weighting: parseWheelSetting(`Wheel "${entry.id}"`, parseWeighting, entry.weighting),
+            holdingBonus: parseWheelSetting(`Wheel "${entry.id}"`, parseHoldingBonus, entry.holdingBonus),
+            payoutAsset: parseWheelSetting(`Wheel "${entry.id}"`, parsePayoutAsset, entry.payoutAsset),
+            feeSplit: parseWheelSetting(`Wheel "${entry.id}"`, parseFeeSplit, entry.feeSplit)
+        };
+    });
+}
 
-// State
-let currentHolders = [];
-let currentWheelData = { segments: [], totalSupply: 0 };
-let lastSpinTime = Date.now();
-let isSpinning = false;
-let lastWinner = null;
-let creatorBalance = 0;
-let feeClaimEnabled = false;
+// Wheels by ID (insertion order - the first one is the default for un-namespaced routes)
+const wheels = new Map();
+let defaultWheelId = null;
 
 // Initialize Express app
 const app = express();
@@ -36,25 +257,23 @@ app.use(express.static(path.join(__dirname, 'public')));
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-// WebSocket connection handler
-wss.on('connection', (ws) => {
-    console.log('[WS] Client connected');
+// WebSocket connection handler - clients pick a wheel channel with ?wheel=<id>
+wss.on('connection', (ws, req) => {
+    const requested = new URL(req.url, 'http://localhost').searchParams.get('wheel');
+    const wheel = wheels.get(requested) || wheels.get(defaultWheelId);
+
+    if (!wheel) {
+        ws.close(1013, 'No wheels running');
+        return;
+    }
+
+    ws.wheelId = wheel.id;
+    console.log(`[WS] Client connected to wheel "${wheel.id}"`);
 
     // Send current state to new client
     ws.send(JSON.stringify({
         type: 'init',
-        data: {
-            wheelData: currentWheelData,
-            lastWinner: lastWinner,
-            history: getSpinHistory(10),
-            nextSpin: getTimeUntilNextSpin(lastSpinTime, SPIN_INTERVAL_MS),
-            isSpinning: isSpinning,
-            creatorBalance: creatorBalance,
-            feeClaimEnabled: feeClaimEnabled,
-            totalFeesSent: getTotalFeesSent(),
-            spinsToday: getSpinHistory(100).length,
-            totalHolders: currentHolders.length
-        }
+        data: wheel.getInitPayload()
     }));
 
     ws.on('close', () => {
@@ -62,376 +281,561 @@ wss.on('connection', (ws) => {
     });
 });
 
-// Broadcast to all connected clients
-function broadcast(message) {
+// Broadcast to all clients on one wheel's channel
+function broadcast(wheelId, message) {
     const data = JSON.stringify(message);
     wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
+        if (client.readyState === WebSocket.OPEN && client.wheelId === wheelId) {
             client.send(data);
         }
     });
 }
 
 // API Routes
-app.get('/api/holders', async (req, res) => {
+app.get('/api/wheels', (req, res) => {
+    res.json({
+        success: true,
+        defaultWheel: defaultWheelId,
+        wheels: [...wheels.values()].map(wheel => {
+            const status = wheel.getStatus();
+            return {
+                id: wheel.id,
+                name: wheel.name,
+                tokenMint: status.tokenMint,
+                spinIntervalMs: status.spinIntervalMs,
+                winnersPerSpin: status.winnersPerSpin,
+                weighting: status.weighting,
+                payoutAsset: status.payoutAsset,
+                totalHolders: status.totalHolders
+            };
+        })
+    });
+});
+
+// Per-wheel routes - mounted at /api/wheels/:wheelId and (for the default wheel) at /api
+const wheelRouter = express.Router({ mergeParams: true });
+
+wheelRouter.use((req, res, next) => {
+    req.wheel = wheels.get(req.params.wheelId || defaultWheelId);
+    if (!req.wheel) {
+        return res.status(404).json({ success: false, error: 'Unknown wheel' });
+    }
+    next();
+});
+
+wheelRouter.get('/holders', async (req, res) => {
     try {
+        const holders = req.wheel.getHolders();
         res.json({
             success: true,
-            holders: currentHolders.slice(0, 100),
-            total: currentHolders.length
+            holders: holders.slice(0, 100),
+            total: holders.length
         });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.get('/api/wheel-data', (req, res) => {
+wheelRouter.get('/wheel-data', (req, res) => {
     res.json({
         success: true,
-        wheelData: currentWheelData,
-        nextSpin: getTimeUntilNextSpin(lastSpinTime, SPIN_INTERVAL_MS),
-        isSpinning: isSpinning
+        wheelData: req.wheel.getWheelData(),
+        nextSpin: req.wheel.getNextSpin(),
+        isSpinning: req.wheel.isBusy()
     });
 });
 
-app.get('/api/history', (req, res) => {
+wheelRouter.get('/history', (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     res.json({
         success: true,
-        history: getSpinHistory(limit)
+        history: req.wheel.logic.getSpinHistory(limit)
     });
 });
 
-app.post('/api/spin', async (req, res) => {
+// Payout ledger - ?state=failed,stuck&spin=42&limit=50
+wheelRouter.get('/payouts', async (req, res) => {
+    const states = req.query.state ? String(req.query.state).split(',') : null;
+    if (states && !states.every(state => Object.values(PAYOUT_STATE).includes(state))) {
+        return res.status(400).json({ success: false, error: `state must be one of ${Object.values(PAYOUT_STATE).join(', ')}` });
+    }
+
+    const spinId = req.query.spin ? parseInt(req.query.spin) : undefined;
+    if (req.query.spin && !spinId) {
+        return res.status(400).json({ success: false, error: 'Invalid spin ID' });
+    }
+
+    try {
+        const entries = await req.wheel.payouts.list({
+            spinId: spinId,
+            states: states,
+            limit: Math.min(parseInt(req.query.limit) || 50, 500)
+        });
+        res.json({
+            success: true,
+            wheelId: req.wheel.id,
+            summary: await req.wheel.payouts.getSummary(),
+            payouts: entries.map(describeEntry)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Spins and payouts only run on the leader instance
+function requireLeader(req, res, next) {
+    if (!leader.isLeader()) {
+        return res.status(409).json({ success: false, error: 'This instance is a follower - only the leader can spin or move funds', leader: false });
+    }
+    next();
+}
+
+wheelRouter.post('/spin', admin.requireRole('operator'), requireLeader, async (req, res) => {
     try {
-        if (isSpinning) {
+        if (req.wheel.isBusy()) {
             return res.status(400).json({ success: false, error: 'Spin already in progress' });
         }
 
-        const result = await performSpin();
+        await admin.recordAudit(req, 'spin.manual', { wheelId: req.wheel.id });
+        const result = await req.wheel.performSpin();
         res.json({ success: true, ...result });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.get('/api/status', (req, res) => {
+// Provably fair verification - recompute the winner from the stored snapshot
+wheelRouter.get('/spins/:id/verify', async (req, res) => {
+    const spinId = parseInt(req.params.id);
+    if (!spinId) {
+        return res.status(400).json({ success: false, error: 'Invalid spin ID' });
+    }
+
+    try {
+        const result = await req.wheel.logic.verifySpin(spinId);
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+wheelRouter.get('/status', (req, res) => {
     res.json({
         success: true,
-        tokenMint: TOKEN_MINT_ADDRESS,
-        totalHolders: currentHolders.length,
-        totalSupply: currentWheelData.totalSupply,
-        lastSpinTime: new Date(lastSpinTime).toISOString(),
-        nextSpin: getTimeUntilNextSpin(lastSpinTime, SPIN_INTERVAL_MS),
-        isSpinning: isSpinning,
-        creatorBalance: creatorBalance,
-        feeClaimEnabled: feeClaimEnabled,
-        creatorWallet: pumpfun.getCreatorPublicKey()
+        ...req.wheel.getStatus()
     });
 });
 
 // Fee claiming endpoints
-app.get('/api/balance', async (req, res) => {
-    if (!feeClaimEnabled) {
+wheelRouter.get('/balance', async (req, res) => {
+    if (!req.wheel.isFeeClaimEnabled()) {
         return res.json({ success: false, error: 'Fee claiming not configured' });
     }
 
-    const result = await pumpfun.getCreatorBalance();
-    if (result.success) {
-        creatorBalance = result.balance;
+    res.json(await req.wheel.refreshBalance());
+});
+
+wheelRouter.post('/claim-fees', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    try {
+        if (!req.wheel.isFeeClaimEnabled()) {
+            return res.json({ success: false, error: 'Fee claiming not configured' });
+        }
+
+        const result = await req.wheel.claimFees();
+        await admin.recordAudit(req, 'fees.claim', { wheelId: req.wheel.id, success: result.success, signature: result.signature || null, error: result.error || null });
+        if (result.success) {
+            await req.wheel.refreshBalance();
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    res.json(result);
 });
 
-app.post('/api/claim-fees', async (req, res) => {
-    if (!feeClaimEnabled) {
-        return res.json({ success: false, error: 'Fee claiming not configured' });
+// Per-wheel admin controls
+wheelRouter.post('/admin/autospin/pause', admin.requireRole('operator'), async (req, res) => {
+    try {
+        await admin.setWheelPaused(req.wheel.id, true);
+        await admin.recordAudit(req, 'autospin.pause', { wheelId: req.wheel.id });
+        req.wheel.discord.info('Auto-Spin Paused', `Paused by ${req.admin.name}`);
+        res.json({ success: true, wheelId: req.wheel.id, autoSpinPaused: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
 
-    const result = await pumpfun.claimCreatorFees();
-    if (result.success) {
-        const balanceResult = await pumpfun.getCreatorBalance();
-        if (balanceResult.success) {
-            creatorBalance = balanceResult.balance;
-        }
+wheelRouter.post('/admin/autospin/resume', admin.requireRole('operator'), async (req, res) => {
+    try {
+        await admin.setWheelPaused(req.wheel.id, false);
+        // Restart the countdown so the next spin isn't immediate
+        req.wheel.resetCountdown();
+        await admin.recordAudit(req, 'autospin.resume', { wheelId: req.wheel.id });
+        req.wheel.discord.info('Auto-Spin Resumed', `Resumed by ${req.admin.name}`);
+        res.json({ success: true, wheelId: req.wheel.id, autoSpinPaused: false });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    res.json(result);
 });
 
-// Spin logic with fee distribution
-async function performSpin() {
-    if (currentWheelData.segments.length === 0) {
-        throw new Error('No holders available for spin');
+wheelRouter.post('/admin/holders/refresh', admin.requireRole('operator'), async (req, res) => {
+    try {
+        await admin.recordAudit(req, 'holders.refresh', { wheelId: req.wheel.id });
+        await req.wheel.refreshHolders();
+        res.json({
+            success: true,
+            wheelId: req.wheel.id,
+            totalHolders: req.wheel.getHolders().length,
+            segments: req.wheel.getWheelData().segments.length
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
 
-    isSpinning = true;
-    broadcast({ type: 'spinStart' });
-    discord.spinStarted();
+// Anti-sybil wallet clusters detected for this wheel
+wheelRouter.get('/admin/clusters', admin.requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        wheelId: req.wheel.id,
+        ...req.wheel.getClusterReport()
+    });
+});
 
-    // Select winner using weighted random
-    const winner = selectWinner(currentWheelData.segments);
-    const winnerIndex = currentWheelData.segments.findIndex(s => s.address === winner.address);
-    const winningDegree = calculateWinningDegree(currentWheelData.segments, winnerIndex);
+// Hop wallets stored by the vault, with live balances - ?status=active (default), drained, swept or all
+wheelRouter.get('/admin/hops', admin.requireRole('viewer'), async (req, res) => {
+    try {
+        const status = req.query.status || 'active';
+        const result = await req.wheel.pumpfun.getHopWalletBalances(status === 'all' ? {} : { statuses: status.split(',') });
+        res.status(result.success ? 200 : 503).json({ wheelId: req.wheel.id, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-    // Record the spin
-    const record = recordSpin(winner);
-    lastWinner = winner;
-    lastSpinTime = Date.now();
+// Recover stranded hop wallet funds now - body: { action: "finish" | "return", address (optional, one wallet) }
+wheelRouter.post('/admin/hops/sweep', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    const { action = 'finish', address } = req.body || {};
+    if (action !== 'finish' && action !== 'return') {
+        return res.status(400).json({ success: false, error: 'action must be "finish" or "return"' });
+    }
 
-    console.log(`[Spin] Winner: ${winner.displayAddress} (${winner.percentage.toFixed(2)}%)`);
-    discord.spinWinner(winner);
+    try {
+        const result = await req.wheel.sweepHopWallets(action, { address: address || undefined, minAgeMs: 0 });
+        await admin.recordAudit(req, 'hops.sweep', {
+            wheelId: req.wheel.id,
+            action,
+            address: address || null,
+            swept: (result.results || []).filter(item => item.success).map(item => item.address),
+            error: result.error || null
+        });
+        res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+        await admin.recordAudit(req, 'hops.sweep', { wheelId: req.wheel.id, action, address: address || null, swept: [], error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-    // Broadcast spin result
-    broadcast({
-        type: 'spinResult',
-        data: {
-            winner: winner,
-            winnerIndex: winnerIndex,
-            winningDegree: winningDegree,
-            record: record
-        }
-    });
+// Treasury limits, rolling 24h usage and circuit breaker state
+wheelRouter.get('/admin/treasury', admin.requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, wheelId: req.wheel.id, ...(await req.wheel.treasury.getStatus()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-    // Handle fee distribution after animation
-    setTimeout(async () => {
-        let distributionResult = null;
-
-        // Try to claim and distribute fees if enabled
-        if (feeClaimEnabled && winner.address) {
-            console.log(`[Spin] Attempting to claim and distribute fees to winner: ${winner.address}`);
-            discord.feeClaimAttempt(winner.address);
-
-            distributionResult = await pumpfun.claimAndDistribute(winner.address, 10);
-
-            if (distributionResult.success && distributionResult.distributed > 0) {
-                console.log(`[Spin] Distributed ${distributionResult.distributed} SOL to winner!`);
-                // Update the history record with transaction info
-                updateLatestSpinDistribution(distributionResult);
-                // Track total fees sent (persistent)
-                addToTotalFees(distributionResult.distributed);
-                discord.feeClaimSuccess(distributionResult.distributed, distributionResult.transferSignature, winner.address);
-            } else if (distributionResult.success) {
-                console.log(`[Spin] No fees available to distribute`);
-                discord.feeClaimNoFees();
-            } else {
-                console.log(`[Spin] Fee distribution failed: ${distributionResult.error}`);
-                discord.feeClaimError(distributionResult.error);
-            }
+// Close the circuit breaker and resume payouts
+wheelRouter.post('/admin/treasury/reset', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    try {
+        const previous = await req.wheel.treasury.reset();
+        await admin.recordAudit(req, 'treasury.reset', { wheelId: req.wheel.id, breaker: previous });
+        res.json({ success: true, wheelId: req.wheel.id, wasPaused: previous !== null, breaker: previous });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-            // Update balance
-            const balanceResult = await pumpfun.getCreatorBalance();
-            if (balanceResult.success) {
-                creatorBalance = balanceResult.balance;
-                discord.balanceUpdate(creatorBalance);
-            }
-        }
+// Payouts held above the approval threshold, recent decisions and the rolled-over pot
+wheelRouter.get('/admin/approvals', admin.requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, wheelId: req.wheel.id, ...(await req.wheel.approvals.getStatus()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        isSpinning = false;
-        broadcast({
-            type: 'spinComplete',
-            data: {
-                winner: winner,
-                history: getSpinHistory(10),
-                nextSpin: getTimeUntilNextSpin(lastSpinTime, SPIN_INTERVAL_MS),
-                distribution: distributionResult,
-                creatorBalance: creatorBalance,
-                totalFeesSent: getTotalFeesSent(),
-                spinsToday: getSpinHistory(100).length
-            }
+// Send the held payouts of a spin
+wheelRouter.post('/admin/approvals/:spinId/approve', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    try {
+        const spinId = parseInt(req.params.spinId);
+        const result = await req.wheel.approvePayout(spinId, req.admin.name);
+        await admin.recordAudit(req, 'approval.approve', {
+            wheelId: req.wheel.id,
+            spinId,
+            distributed: result.distribution ? result.distribution.distributed : null,
+            error: result.error || null
         });
-    }, 5500); // After spin animation
+        res.status(result.success || result.distribution ? 200 : 409).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-    return {
-        winner: winner,
-        winnerIndex: winnerIndex,
-        winningDegree: winningDegree,
-        record: record
-    };
-}
+// Drop the held payouts of a spin - body: { reason (optional) }
+wheelRouter.post('/admin/approvals/:spinId/reject', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    try {
+        const spinId = parseInt(req.params.spinId);
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+        const result = await req.wheel.rejectPayout(spinId, req.admin.name, reason);
+        await admin.recordAudit(req, 'approval.reject', { wheelId: req.wheel.id, spinId, reason, error: result.error || null });
+        res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-// Fetch and update holder data
-async function refreshHolders() {
+// History backfill progress - creator transactions scanned, claims/payouts found, the last rebuild
+wheelRouter.get('/admin/backfill', admin.requireRole('viewer'), async (req, res) => {
     try {
-        console.log('[Server] Refreshing holder data...');
-        currentHolders = await getTokenHolders(TOKEN_MINT_ADDRESS);
-        currentWheelData = processHoldersForWheel(currentHolders);
-
-        broadcast({
-            type: 'holdersUpdate',
-            data: {
-                wheelData: currentWheelData,
-                totalHolders: currentHolders.length
-            }
-        });
+        res.json({ success: true, wheelId: req.wheel.id, ...(await req.wheel.backfill.getStatus()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        console.log(`[Server] Holder data refreshed: ${currentHolders.length} holders`);
-        discord.holdersRefreshed(currentHolders.length, TOKEN_MINT_ADDRESS);
+// Rescan the creator wallet's whole history and rebuild (runs in the background)
+wheelRouter.post('/admin/backfill/restart', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    try {
+        const result = await req.wheel.backfill.restart();
+        await admin.recordAudit(req, 'history.backfill', { wheelId: req.wheel.id, error: result.error || null });
+        res.status(result.success ? 202 : 409).json(result);
     } catch (error) {
-        console.error('[Server] Error refreshing holders:', error.message);
-        discord.holdersError(error.message);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// Auto-spin interval
-function startAutoSpin() {
-    console.log(`[Server] Starting auto-spin every ${SPIN_INTERVAL_MS / 1000} seconds`);
-
-    setInterval(async () => {
-        if (!isSpinning && currentWheelData.segments.length > 0) {
-            console.log('[Server] Auto-spin triggered');
-            try {
-                await performSpin();
-            } catch (error) {
-                console.error('[Server] Auto-spin error:', error.message);
-            }
+// Last reconciliation report - payouts that do not match the chain, and the recomputed total fees
+wheelRouter.get('/admin/reconciliation', admin.requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, wheelId: req.wheel.id, ...(await req.wheel.reconciler.getStatus()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reconcile now instead of waiting for reconcileIntervalMs (runs in the background)
+wheelRouter.post('/admin/reconciliation/run', admin.requireRole('operator'), requireLeader, async (req, res) => {
+    try {
+        const status = await req.wheel.reconciler.getStatus();
+        const result = status.running ? { success: false, error: 'Reconciliation already running' } : { success: true };
+        if (result.success) {
+            req.wheel.reconciler.run()
+                .catch(error => console.error(`[Server] Reconciliation of wheel ${req.wheel.id} failed:`, error.message));
         }
-    }, SPIN_INTERVAL_MS);
-}
+        await admin.recordAudit(req, 'reconciliation.run', { wheelId: req.wheel.id, error: result.error || null });
+        res.status(result.success ? 202 : 409).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-// Countdown broadcast
-function startCountdownBroadcast() {
-    setInterval(() => {
-        if (!isSpinning) {
-            broadcast({
-                type: 'countdown',
-                data: getTimeUntilNextSpin(lastSpinTime, SPIN_INTERVAL_MS)
-            });
+// Global admin endpoints (API key required - see services/admin.js)
+app.get('/api/admin/status', admin.requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        you: req.admin,
+        instance: leader.getStatus(),
+        settings: admin.getSettings(),
+        wheels: [...wheels.values()].map(wheel => wheel.getStatus())
+    });
+});
+
+app.get('/api/admin/audit', admin.requireRole('viewer'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        res.json({ success: true, audit: await admin.getAuditLog(limit) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/admin/config', admin.requireRole('viewer'), (req, res) => {
+    res.json({ success: true, ...config.describe() });
+});
+
+// Re-read the config file now instead of waiting for the file watcher
+app.post('/api/admin/config/reload', admin.requireRole('operator'), async (req, res) => {
+    try {
+        const result = config.reload();
+        await admin.recordAudit(req, 'config.reload', result);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/admin/exclusions', admin.requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        exclusions: getExclusions(),
+        entries: admin.getSettings().exclusions
+    });
+});
+
+app.post('/api/admin/exclusions', admin.requireRole('operator'), async (req, res) => {
+    try {
+        const { address, reason } = req.body || {};
+
+        try {
+            new PublicKey(address);
+        } catch {
+            return res.status(400).json({ success: false, error: 'Invalid address' });
         }
-    }, 1000);
-}
 
-// Initialize PumpFun service
-function initializePumpFun() {
-    const privateKey = process.env.CREATOR_PRIVATE_KEY;
+        const exclusions = admin.getSettings().exclusions;
+        if (exclusions.some(entry => entry.address === address)) {
+            return res.status(409).json({ success: false, error: 'Address already excluded' });
+        }
 
-    if (!privateKey || privateKey === 'your_base58_private_key_here') {
-        console.log('[PumpFun] No private key configured - fee claiming disabled');
-        console.log('[PumpFun] To enable, set CREATOR_PRIVATE_KEY in .env file');
-        discord.pumpfunDisabled();
-        return { success: false };
+        const entry = { address, reason: reason || null, addedBy: req.admin.name, addedAt: new Date().toISOString() };
+        await applyExclusions([...exclusions, entry]);
+        await admin.recordAudit(req, 'exclusions.add', { address, reason: entry.reason });
+        res.json({ success: true, entry });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
 
-    const result = pumpfun.initialize(privateKey, RPC_ENDPOINT);
+app.delete('/api/admin/exclusions/:address', admin.requireRole('operator'), async (req, res) => {
+    try {
+        const exclusions = admin.getSettings().exclusions;
+        const remaining = exclusions.filter(entry => entry.address !== req.params.address);
 
-    if (result.success) {
-        feeClaimEnabled = true;
-        console.log(`[PumpFun] Fee claiming enabled! Creator wallet: ${result.publicKey}`);
-        discord.pumpfunEnabled(result.publicKey);
-        // Exclude creator from winning
-        setCreatorExclusion(result.publicKey);
-        return { success: true, publicKey: result.publicKey };
-    } else {
-        console.error(`[PumpFun] Failed to initialize: ${result.error}`);
-        discord.pumpfunInitError(result.error);
-        return { success: false };
+        if (remaining.length === exclusions.length) {
+            return res.status(404).json({ success: false, error: 'Address not in admin exclusions' });
+        }
+
+        await applyExclusions(remaining);
+        await admin.recordAudit(req, 'exclusions.remove', { address: req.params.address });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
+
+app.use('/api/wheels/:wheelId', wheelRouter);
+app.use('/api', wheelRouter);
+
+// Persist admin exclusions and rebuild every wheel without refetching holders
+async function applyExclusions(entries) {
+    await admin.updateSettings({ exclusions: entries });
+    setAdminExclusions(entries.map(entry => entry.address));
+    wheels.forEach(wheel => wheel.rebuildSegments());
 }
 
-// Auto-detect token created by wallet
-async function autoDetectToken(creatorPublicKey) {
-    console.log('[Server] Auto-detecting token from creator wallet...');
+// Pick up admin settings (pauses, exclusions) changed through another instance
+async function syncAdminSettings() {
+    const before = JSON.stringify(admin.getSettings().exclusions);
+    const settings = await admin.reloadSettings();
 
-    const result = await getCreatedTokens(creatorPublicKey);
+    if (JSON.stringify(settings.exclusions) !== before) {
+        console.log('[Server] Admin exclusions changed on another instance - rebuilding wheels');
+        setAdminExclusions(settings.exclusions.map(entry => entry.address));
+        wheels.forEach(wheel => wheel.rebuildSegments());
+    }
+}
 
-    if (result.success) {
-        console.log(`[Server] Found token: ${result.name} (${result.symbol})`);
-        console.log(`[Server] Token Mint: ${result.mint}`);
-        discord.tokenDetected(result.mint, result.name, result.symbol);
-        return result.mint;
-    } else {
-        console.log(`[Server] Could not auto-detect token: ${result.error}`);
-        console.log('[Server] Please set TOKEN_MINT in environment variables');
-        discord.tokenDetectFailed(result.error);
-        return null;
+// Hot settings: excluded addresses change who is on the wheel
+config.onChange((changed) => {
+    if (changed.includes('excludedAddresses')) {
+        wheels.forEach(wheel => wheel.rebuildSegments());
     }
+});
+
+// Hand the leader lock over on shutdown instead of waiting for the connection to time out
+async function shutdown(signal) {
+    console.log(`[Server] ${signal} received, shutting down`);
+    await leader.shutdown();
+    process.exit(0);
 }
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Start server
 server.listen(PORT, async () => {
+    let wheelConfigs;
+    try {
+        wheelConfigs = loadWheelConfigs();
+    } catch (error) {
+        console.error(`[Server] Invalid wheel configuration: ${error.message}`);
+        discord.error('Server Shutdown', `Invalid wheel configuration: ${error.message}`);
+        process.exit(1);
+    }
+
     console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║              🎡 $WHEEL SERVER 🎡                      ║
 ╠═══════════════════════════════════════════════════════╣
 ║  Server running on: http://localhost:${PORT}              ║
-║  Spin Interval: ${SPIN_INTERVAL_MS / 1000} seconds                          ║
+║  Wheels: ${wheelConfigs.map(config => config.id).join(', ')}
 ╚═══════════════════════════════════════════════════════╝
     `);
 
+    // Pick up edits to the config file without a restart
+    config.watch();
+
+    // Initialize commit–reveal entropy source
+    fairness.initialize(RPC_ENDPOINT);
+
     // Initialize database for persistent storage
-    const dbEnabled = await initDatabase();
+    const dbEnabled = await database.initialize();
     if (dbEnabled) {
         console.log('[Server] PostgreSQL database connected - history will persist across deploys');
     } else {
         console.log('[Server] Using file-based storage (will reset on deploy)');
     }
 
-    // Initialize PumpFun fee claiming
-    const pumpfunResult = initializePumpFun();
+    // Load admin API keys and runtime settings (exclusions, paused wheels)
+    const adminSettings = await admin.initialize();
+    setAdminExclusions(adminSettings.exclusions.map(entry => entry.address));
 
-    // Auto-detect token if not manually set
-    if (!TOKEN_MINT_ADDRESS && pumpfunResult.success && pumpfunResult.publicKey) {
-        const detectedMint = await autoDetectToken(pumpfunResult.publicKey);
-        if (detectedMint) {
-            TOKEN_MINT_ADDRESS = detectedMint;
-        } else {
-            console.error('[Server] No token detected and no TOKEN_MINT set. Exiting...');
-            discord.error('Server Shutdown', 'No token detected and no TOKEN_MINT set');
-            process.exit(1);
+    // Only the leader spins and pays out; followers relay its events to their clients
+    await leader.initialize();
+    await leader.subscribe((wheelId, message) => {
+        const wheel = wheels.get(wheelId);
+        if (wheel) {
+            wheel.applyRemoteEvent(message);
         }
-    } else if (!TOKEN_MINT_ADDRESS) {
-        console.error('[Server] No TOKEN_MINT set and no CREATOR_PRIVATE_KEY for auto-detect. Exiting...');
-        discord.error('Server Shutdown', 'No TOKEN_MINT set and no CREATOR_PRIVATE_KEY for auto-detect');
-        process.exit(1);
+    });
+    if (dbEnabled) {
+        setInterval(syncAdminSettings, SETTINGS_SYNC_MS);
     }
 
-    console.log(`[Server] Using Token: ${TOKEN_MINT_ADDRESS}`);
-    discord.serverStart(PORT, TOKEN_MINT_ADDRESS);
-
-    // Log loaded persistent data
-    const loadedHistory = getSpinHistory(100);
-    console.log(`[Server] Total Fees Sent (loaded): ${getTotalFeesSent().toFixed(4)} SOL`);
-    console.log(`[Server] Spin History (loaded): ${loadedHistory.length} spins`);
+    // Start each wheel - a wheel without a token is skipped, not fatal
+    for (const config of wheelConfigs) {
+        const wheel = createWheel(config, {
+            rpcEndpoint: RPC_ENDPOINT,
+            broadcast: (message) => broadcast(config.id, message)
+        });
 
-    // If no history, try to fetch from blockchain
-    if (loadedHistory.length === 0 && feeClaimEnabled) {
-        console.log('[Server] No history found, fetching from blockchain...');
-        try {
-            const histResult = await pumpfun.getHistoricalTransfers(50);
-            console.log(`[Server] Fetch result: ${histResult.success}, transfers: ${histResult.transfers?.length || 0}`);
-            if (histResult.success && histResult.transfers && histResult.transfers.length > 0) {
-                const importResult = importHistoricalTransfers(histResult.transfers);
-                console.log(`[Server] Imported ${importResult.imported} historical transactions, Total: ${importResult.totalAmount?.toFixed(4) || 0} SOL`);
-            } else {
-                console.log('[Server] No historical transfers found or fetch failed');
+        if (await wheel.start()) {
+            wheels.set(wheel.id, wheel);
+            if (!defaultWheelId) {
+                defaultWheelId = wheel.id;
             }
-        } catch (fetchError) {
-            console.error('[Server] Failed to fetch historical transfers:', fetchError.message);
         }
-    } else {
-        console.log(`[Server] Skipping history fetch: historyLength=${loadedHistory.length}, feeClaimEnabled=${feeClaimEnabled}`);
     }
 
-    // Get initial balance if enabled
-    if (feeClaimEnabled) {
-        const balanceResult = await pumpfun.getCreatorBalance();
-        if (balanceResult.success) {
-            creatorBalance = balanceResult.balance;
-            console.log(`[PumpFun] Current creator balance: ${creatorBalance} SOL`);
-            discord.balanceUpdate(creatorBalance);
-        }
+    if (wheels.size === 0) {
+        console.error('[Server] No wheel could be started (no token detected and no tokenMint set). Exiting...');
+        discord.error('Server Shutdown', 'No wheel could be started - set TOKEN_MINT or a creator signer');
+        process.exit(1);
     }
 
-    // Initial holder fetch
-    await refreshHolders();
-
-    // Refresh holders every 30 seconds
-    setInterval(refreshHolders, 30 * 1000);
-
-    // Start auto-spin
-    startAutoSpin();
-
-    // Start countdown broadcast
-    startCountdownBroadcast();
+    const defaultWheel = wheels.get(defaultWheelId);
+    console.log(`[Server] Running ${wheels.size} wheel(s), default: ${defaultWheelId} (${leader.isLeader() ? 'leader' : 'follower'})`);
+    discord.serverStart(PORT, defaultWheel.getTokenMint());
 });
 
 module.exports = app;
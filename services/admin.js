@@ -0,0 +1,235 @@
+/**
+ * Admin Service - API key auth, roles and audit trail for operator actions
+ * Keys come from ADMIN_API_KEYS ("name:role:key" entries, comma separated)
+ * Roles: viewer (read-only) < operator (can change state)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const ADMIN_PATH = path.join(DATA_DIR, 'admin.json');
+const MAX_FILE_AUDIT = 500;
+
+const ROLE_RANK = {
+    viewer: 1,
+    operator: 2
+};
+
+// Runtime settings editable without a redeploy
+const DEFAULT_SETTINGS = {
+    pausedWheels: [],
+    exclusions: []
+};
+
+let apiKeys = [];
+let settings = { ...DEFAULT_SETTINGS };
+let fileAudit = [];
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Parse ADMIN_API_KEYS into { name, role, hash } entries
+ */
+function loadApiKeys(raw) {
+    const keys = [];
+
+    for (const entry of (raw || '').split(',')) {
+        const trimmed = entry.trim();
+        if (!trimmed) continue;
+
+        const [name, role, ...rest] = trimmed.split(':');
+        const key = rest.join(':');
+
+        if (!name || !ROLE_RANK[role] || key.length < 16) {
+            console.error(`[Admin] Ignoring invalid API key entry for "${name || '?'}" (expected name:viewer|operator:key, key >= 16 chars)`);
+            continue;
+        }
+
+        keys.push({ name, role, hash: hashKey(key) });
+    }
+
+    return keys;
+}
+
+function loadFileState() {
+    try {
+        if (fs.existsSync(ADMIN_PATH)) {
+            const parsed = JSON.parse(fs.readFileSync(ADMIN_PATH, 'utf8'));
+            settings = { ...DEFAULT_SETTINGS, ...(parsed.settings || {}) };
+            fileAudit = parsed.audit || [];
+        }
+    } catch (error) {
+        console.error('[Admin] Failed to load admin state:', error.message);
+    }
+}
+
+function saveFileState() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+        fs.writeFileSync(ADMIN_PATH, JSON.stringify({ settings, audit: fileAudit }, null, 2));
+    } catch (error) {
+        console.error('[Admin] Failed to save admin state:', error.message);
+    }
+}
+
+/**
+ * Load API keys and persisted settings (call after the database is initialized)
+ */
+async function initialize() {
+    apiKeys = loadApiKeys(process.env.ADMIN_API_KEYS);
+
+    if (database.isAvailable()) {
+        const stored = await database.getSetting('admin');
+        settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+    } else {
+        loadFileState();
+    }
+
+    console.log(`[Admin] ${apiKeys.length} API key(s) loaded, ${settings.pausedWheels.length} paused wheel(s), ${settings.exclusions.length} admin exclusion(s)`);
+    return settings;
+}
+
+/**
+ * Re-read settings from the database - picks up changes made through another instance
+ */
+async function reloadSettings() {
+    if (!database.isAvailable()) return settings;
+
+    const stored = await database.getSetting('admin');
+    if (stored) {
+        settings = { ...DEFAULT_SETTINGS, ...stored };
+    }
+    return settings;
+}
+
+function isConfigured() {
+    return apiKeys.length > 0;
+}
+
+/**
+ * Find the key matching a presented secret (constant-time compare)
+ */
+function authenticate(presentedKey) {
+    if (!presentedKey) return null;
+
+    const presented = hashKey(presentedKey);
+    return apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, presented)) || null;
+}
+
+function extractKey(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return req.get('x-admin-key') || null;
+}
+
+/**
+ * Express middleware - require at least the given role
+ * Sets req.admin = { name, role } on success
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!isConfigured()) {
+            return res.status(503).json({ success: false, error: 'Admin API not configured (set ADMIN_API_KEYS)' });
+        }
+
+        const entry = authenticate(extractKey(req));
+        if (!entry) {
+            return res.status(401).json({ success: false, error: 'Invalid or missing API key' });
+        }
+
+        if (ROLE_RANK[entry.role] < ROLE_RANK[role]) {
+            return res.status(403).json({ success: false, error: `Requires ${role} role` });
+        }
+
+        req.admin = { name: entry.name, role: entry.role };
+        next();
+    };
+}
+
+/**
+ * Record who did what
+ */
+async function recordAudit(req, action, details = {}) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        actor: req.admin?.name || 'unknown',
+        role: req.admin?.role || null,
+        action: action,
+        details: details,
+        ip: req.ip
+    };
+
+    console.log(`[Admin] ${entry.actor} (${entry.role}) -> ${action}`);
+
+    if (database.isAvailable()) {
+        await database.saveAuditEntry(entry);
+    } else {
+        fileAudit.unshift(entry);
+        if (fileAudit.length > MAX_FILE_AUDIT) {
+            fileAudit.length = MAX_FILE_AUDIT;
+        }
+        saveFileState();
+    }
+
+    return entry;
+}
+
+async function getAuditLog(limit = 50) {
+    if (database.isAvailable()) {
+        return database.getAuditLog(limit);
+    }
+    return fileAudit.slice(0, limit);
+}
+
+function getSettings() {
+    return settings;
+}
+
+/**
+ * Update and persist runtime settings
+ */
+async function updateSettings(patch) {
+    settings = { ...settings, ...patch };
+
+    if (database.isAvailable()) {
+        await database.saveSetting('admin', settings);
+    } else {
+        saveFileState();
+    }
+
+    return settings;
+}
+
+function isWheelPaused(wheelId) {
+    return settings.pausedWheels.includes(wheelId);
+}
+
+/**
+ * Pause or resume auto-spin for one wheel
+ */
+async function setWheelPaused(wheelId, paused) {
+    const others = settings.pausedWheels.filter(id => id !== wheelId);
+    return updateSettings({ pausedWheels: paused ? [...others, wheelId] : others });
+}
+
+module.exports = {
+    initialize,
+    reloadSettings,
+    isConfigured,
+    requireRole,
+    recordAudit,
+    getAuditLog,
+    getSettings,
+    updateSettings,
+    isWheelPaused,
+    setWheelPaused
+};
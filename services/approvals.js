@@ -0,0 +1,222 @@
+/**
+ * Payout Approvals - large payouts wait for an operator instead of going out automatically
+ * A distribution spending more than approvalThresholdSol (winners' SOL pot plus fee split legs) is held
+ * with its planned payouts (the claimed fees stay in the creator wallet). Operators approve or reject it;
+ * one left open for approvalTimeoutMs expires and the claimed fees in its SOL pot roll over into the next spin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const database = require('./database');
+const leader = require('./leader');
+const config = require('./config');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+const MAX_RESOLVED = 50; // Resolved approvals kept for the admin view
+
+function toSol(lamports) {
+    return lamports / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Create the approval queue for one wheel
+ * alerts: the wheel's Discord logger
+ */
+function createApprovalQueue(wheelId = DEFAULT_WHEEL_ID, alerts = null) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'approvals.json');
+    const SETTING_KEY = `approvals:${wheelId}`;
+    const log = `[Approvals:${wheelId}]`;
+
+    // pending: held distributions - [{ spinId, requestedAt, expiresAt, totalLamports, plan }]
+    // resolved: the latest decisions, newest first - [{ spinId, decision, by, reason, at, totalLamports }]
+    // carryOverLamports: claimed fees of expired approvals, added to the next spin's pot
+    let state = { pending: [], resolved: [], carryOverLamports: 0 };
+
+    async function load() {
+        let stored = null;
+
+        if (database.isAvailable()) {
+            stored = await database.getSetting(SETTING_KEY);
+        } else {
+            try {
+                if (fs.existsSync(DATA_PATH)) {
+                    stored = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                }
+            } catch (error) {
+                console.error(`${log} Failed to load approvals:`, error.message);
+            }
+        }
+
+        state = { pending: [], resolved: [], carryOverLamports: 0, ...(stored || {}) };
+        if (state.pending.length > 0) {
+            console.log(`${log} ${state.pending.length} payout(s) awaiting approval`);
+        }
+    }
+
+    async function save() {
+        if (database.isAvailable()) {
+            await database.saveSetting(SETTING_KEY, state);
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DATA_PATH, JSON.stringify(state, null, 2));
+        } catch (error) {
+            console.error(`${log} Failed to save approvals:`, error.message);
+        }
+    }
+
+    /**
+     * Whether a planned distribution needs an operator - plan: { solLamports } from claimAndDistribute
+     * Only SOL counts (SOL and buyback pots, fee split legs); fixed token payouts are set by the operator already
+     */
+    function requiresApproval(plan) {
+        const thresholdLamports = Math.round(config.get('approvalThresholdSol') * LAMPORTS_PER_SOL);
+        return thresholdLamports > 0 && plan.solLamports > thresholdLamports;
+    }
+
+    /**
+     * Queue a held distribution - plan comes from pumpfun.claimAndDistribute ({ held: true, plan })
+     */
+    async function hold(spinId, plan, now = Date.now()) {
+        const entry = {
+            spinId,
+            requestedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + config.get('approvalTimeoutMs')).toISOString(),
+            totalLamports: plan.solLamports,
+            plan
+        };
+        state.pending = state.pending.filter(item => item.spinId !== spinId);
+        state.pending.push(entry);
+        await save();
+
+        console.warn(`${log} Spin #${spinId} would pay ${toSol(entry.totalLamports)} SOL - held for approval until ${entry.expiresAt}`);
+        if (alerts) alerts.approvalRequested(spinId, toSol(entry.totalLamports), plan.payouts, plan.splits || [], entry.expiresAt, plan.asset.symbol);
+        return entry;
+    }
+
+    function get(spinId) {
+        return state.pending.find(item => item.spinId === spinId) || null;
+    }
+
+    function settle(entry, decision, by, reason, now) {
+        state.pending = state.pending.filter(item => item.spinId !== entry.spinId);
+        state.resolved.unshift({
+            spinId: entry.spinId,
+            decision,
+            by,
+            reason: reason || null,
+            at: new Date(now).toISOString(),
+            totalLamports: entry.totalLamports
+        });
+        state.resolved = state.resolved.slice(0, MAX_RESOLVED);
+    }
+
+    /**
+     * Take a pending approval off the queue with an operator decision ('approved' | 'rejected')
+     * Returns the entry, or null if the spin has nothing pending
+     */
+    async function resolve(spinId, decision, by, reason = null, now = Date.now()) {
+        const entry = get(spinId);
+        if (!entry) return null;
+
+        settle(entry, decision, by, reason, now);
+        await save();
+
+        console.log(`${log} Spin #${spinId} ${decision} by ${by}${reason ? ` (${reason})` : ''}`);
+        if (alerts) alerts.approvalResolved(spinId, decision, by, toSol(entry.totalLamports), reason);
+        return entry;
+    }
+
+    /**
+     * Expire approvals past their deadline, rolling their pots over - returns the expired entries, each with
+     * the rolledOverLamports it added to the carry-over
+     * Only the part of a pot covered by claimed fees rolls over (the next spin pays it as fees); a minimum
+     * payout funded from the wallet stays there, so it still counts against maxNonFeePayoutPerDaySol later
+     * Token payouts have no SOL pot to roll over; their claimed fees simply stay in the creator wallet
+     */
+    async function expireDue(now = Date.now()) {
+        const expired = state.pending.filter(item => now >= Date.parse(item.expiresAt));
+        if (expired.length === 0) return [];
+
+        const results = [];
+        for (const entry of expired) {
+            settle(entry, 'expired', 'timeout', null, now);
+            if (entry.plan.asset && entry.plan.asset.mint) {
+                console.warn(`${log} Approval for spin #${entry.spinId} expired - its fees stay in the creator wallet`);
+                if (alerts) alerts.approvalResolved(entry.spinId, 'rejected', 'timeout', toSol(entry.totalLamports), 'Approval timed out');
+                results.push({ ...entry, rolledOverLamports: 0 });
+                continue;
+            }
+            const feeLamports = Math.min(entry.totalLamports, (entry.plan.claim.claimedLamports || 0) + (entry.plan.carryOverLamports || 0));
+            state.carryOverLamports += feeLamports;
+            console.warn(`${log} Approval for spin #${entry.spinId} expired - ${toSol(feeLamports)} SOL of claimed fees rolls over into the next spin`);
+            if (alerts) alerts.approvalResolved(entry.spinId, 'expired', 'timeout', toSol(feeLamports), null);
+            results.push({ ...entry, rolledOverLamports: feeLamports });
+        }
+        await save();
+        return results;
+    }
+
+    function getCarryOver() {
+        return state.carryOverLamports;
+    }
+
+    /**
+     * The next distribution took the rolled-over pot (it started paying, or was held with it)
+     */
+    async function consumeCarryOver() {
+        if (state.carryOverLamports === 0) return;
+        state.carryOverLamports = 0;
+        await save();
+    }
+
+    /**
+     * Admin view - pending approvals with their payouts, recent decisions and the rolled-over pot (SOL)
+     */
+    async function getStatus() {
+        if (!leader.isLeader()) {
+            await load();
+        }
+
+        return {
+            thresholdSol: config.get('approvalThresholdSol'),
+            timeoutMs: config.get('approvalTimeoutMs'),
+            carryOver: toSol(state.carryOverLamports),
+            pending: state.pending.map(entry => ({
+                spinId: entry.spinId,
+                requestedAt: entry.requestedAt,
+                expiresAt: entry.expiresAt,
+                total: toSol(entry.totalLamports),
+                claimed: entry.plan.claim.claimed,
+                carriedOver: toSol(entry.plan.carryOverLamports || 0),
+                asset: entry.plan.asset ? entry.plan.asset.symbol : 'SOL',
+                payouts: entry.plan.payouts.map(payout => ({ address: payout.address, share: payout.share, amount: payout.amount })),
+                splits: (entry.plan.splits || []).map(split => ({ kind: split.kind, label: split.label, address: split.address, percent: split.percent, amount: split.amount }))
+            })),
+            resolved: state.resolved.map(item => ({ ...item, total: toSol(item.totalLamports) }))
+        };
+    }
+
+    return {
+        load,
+        requiresApproval,
+        hold,
+        get,
+        resolve,
+        expireDue,
+        getCarryOver,
+        consumeCarryOver,
+        getStatus
+    };
+}
+
+module.exports = {
+    createApprovalQueue
+};
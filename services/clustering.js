@@ -0,0 +1,328 @@
+/**
+ * Wallet Clustering - anti-sybil grouping of holder wallets
+ * Links wallets that were funded by the same address or moved the wheel's token between each other,
+ * using each wallet's recent transaction history from the RPC. A cluster counts as one entrant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Connection, PublicKey } = require('@solana/web3.js');
+const database = require('./database');
+const leader = require('./leader');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+
+const MAX_ANALYZED_WALLETS = 300;   // Only the largest holders are analyzed
+const ANALYZE_BATCH = 10;           // Wallets analyzed per holder refresh (RPC budget)
+const SIGNATURE_LIMIT = 100;        // Recent transactions inspected per wallet
+const ANALYSIS_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_SHARED_FUNDER = 25;       // Funders of more wallets than this are treated as exchanges
+const TX_BATCH = 20;
+
+/**
+ * Inspect a wallet's recent transactions
+ * Returns { funder, tokenPeers } - the oldest SOL sender seen and wallets it swapped the token with
+ * ignored: addresses that are never a funder or peer (the wheel's own wallets, hop wallets, the venue)
+ */
+async function analyzeWallet(connection, wallet, tokenMint, ignored = new Set()) {
+    const signatures = await connection.getSignaturesForAddress(new PublicKey(wallet), { limit: SIGNATURE_LIMIT });
+
+    let funder = null;
+    let funderTime = Infinity;
+    const tokenPeers = new Set();
+
+    for (let i = 0; i < signatures.length; i += TX_BATCH) {
+        const batch = signatures.slice(i, i + TX_BATCH).map(sig => sig.signature);
+        const transactions = await connection.getParsedTransactions(batch, { maxSupportedTransactionVersion: 0 });
+
+        for (const tx of transactions) {
+            if (!tx || !tx.meta || tx.meta.err) continue;
+
+            const instructions = [
+                ...tx.transaction.message.instructions,
+                ...(tx.meta.innerInstructions || []).flatMap(inner => inner.instructions)
+            ];
+
+            // Token account -> owner for this mint (from the balances the RPC reports)
+            const tokenOwners = new Map();
+            const accountKeys = tx.transaction.message.accountKeys;
+            for (const balance of [...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])]) {
+                if (balance.mint === tokenMint && balance.owner) {
+                    const key = accountKeys[balance.accountIndex];
+                    tokenOwners.set((key.pubkey || key).toBase58(), balance.owner);
+                }
+            }
+
+            for (const ix of instructions) {
+                const parsed = ix.parsed;
+                if (!parsed || !parsed.info) continue;
+
+                // Oldest incoming SOL transfer = funding source
+                if (ix.program === 'system' && parsed.type === 'transfer' && parsed.info.destination === wallet && !ignored.has(parsed.info.source)) {
+                    const time = tx.blockTime || 0;
+                    if (time < funderTime) {
+                        funderTime = time;
+                        funder = parsed.info.source;
+                    }
+                }
+
+                // Token moved between this wallet and another wallet
+                if (ix.program === 'spl-token' && (parsed.type === 'transfer' || parsed.type === 'transferChecked')) {
+                    const from = tokenOwners.get(parsed.info.source) || parsed.info.authority;
+                    const to = tokenOwners.get(parsed.info.destination);
+                    if (!from || !to || from === to || ignored.has(from) || ignored.has(to)) continue;
+                    if (!tokenOwners.has(parsed.info.source) && !tokenOwners.has(parsed.info.destination)) continue;
+
+                    if (from === wallet) tokenPeers.add(to);
+                    if (to === wallet) tokenPeers.add(from);
+                }
+            }
+        }
+    }
+
+    return { funder, tokenPeers: [...tokenPeers] };
+}
+
+/**
+ * Group analyzed wallets with union-find - ignored funders and peers link nothing (analyses may predate them)
+ * Returns clusters [{ id, members, reasons }] with 2+ members
+ */
+function buildClusters(analyses, holderSet, ignored = new Set()) {
+    const parent = new Map();
+    const find = (address) => {
+        if (!parent.has(address)) parent.set(address, address);
+        let root = address;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(address, root);
+        return root;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent.set(rootA > rootB ? rootA : rootB, rootA > rootB ? rootB : rootA);
+    };
+
+    const reasons = [];
+
+    // Shared funding source (ignoring exchange-like funders)
+    const byFunder = new Map();
+    for (const [wallet, analysis] of analyses) {
+        if (!analysis.funder || ignored.has(analysis.funder) || !holderSet.has(wallet)) continue;
+        if (!byFunder.has(analysis.funder)) byFunder.set(analysis.funder, []);
+        byFunder.get(analysis.funder).push(wallet);
+    }
+    for (const [funder, wallets] of byFunder) {
+        if (wallets.length < 2 || wallets.length > MAX_SHARED_FUNDER) continue;
+        wallets.slice(1).forEach(wallet => union(wallets[0], wallet));
+        reasons.push({ type: 'shared_funder', funder, wallets });
+    }
+
+    // A funder that is itself a holder
+    for (const [wallet, analysis] of analyses) {
+        if (analysis.funder && !ignored.has(analysis.funder) && holderSet.has(analysis.funder) && holderSet.has(wallet)) {
+            union(wallet, analysis.funder);
+            reasons.push({ type: 'funded_by_holder', funder: analysis.funder, wallets: [wallet] });
+        }
+    }
+
+    // Token transfers between holders
+    for (const [wallet, analysis] of analyses) {
+        if (!holderSet.has(wallet)) continue;
+        for (const peer of analysis.tokenPeers || []) {
+            if (holderSet.has(peer) && !ignored.has(peer)) {
+                union(wallet, peer);
+                reasons.push({ type: 'token_transfer', wallets: [wallet, peer] });
+            }
+        }
+    }
+
+    const groups = new Map();
+    for (const address of parent.keys()) {
+        const root = find(address);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(address);
+    }
+
+    return [...groups.values()]
+        .filter(members => members.length > 1)
+        .map(members => {
+            const sorted = members.sort();
+            const memberSet = new Set(sorted);
+            return {
+                id: `c-${sorted[0].slice(0, 8)}`,
+                members: sorted,
+                reasons: reasons.filter(reason => reason.wallets.some(wallet => memberSet.has(wallet)))
+            };
+        });
+}
+
+/**
+ * Create the cluster detector for one wheel
+ */
+function createClusterDetector(wheelId = DEFAULT_WHEEL_ID, rpcEndpoint) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'clusters.json');
+    const SETTING_KEY = `clusters:${wheelId}`;
+    const log = `[Clusters:${wheelId}]`;
+
+    const connection = new Connection(rpcEndpoint, 'confirmed');
+
+    // wallet -> { funder, tokenPeers, analyzedAt }
+    let analyses = new Map();
+    let clusters = [];
+    let clusterByAddress = new Map();
+    let lastHolders = [];
+    let ignored = new Set();
+    let isAnalyzing = false;
+    let lastRun = null;
+
+    function serialize() {
+        return [...analyses].map(([wallet, analysis]) => ({ wallet, ...analysis }));
+    }
+
+    async function load() {
+        let entries = null;
+
+        if (database.isAvailable()) {
+            entries = await database.getSetting(SETTING_KEY);
+        } else {
+            try {
+                if (fs.existsSync(DATA_PATH)) {
+                    entries = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                }
+            } catch (error) {
+                console.error(`${log} Failed to load wallet analyses:`, error.message);
+            }
+        }
+
+        analyses = new Map((entries || []).map(({ wallet, ...analysis }) => [wallet, analysis]));
+        console.log(`${log} Loaded ${analyses.size} wallet analyses`);
+    }
+
+    async function save() {
+        if (database.isAvailable()) {
+            await database.saveSetting(SETTING_KEY, serialize());
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DATA_PATH, JSON.stringify(serialize()));
+        } catch (error) {
+            console.error(`${log} Failed to save wallet analyses:`, error.message);
+        }
+    }
+
+    function rebuild(holders) {
+        const holderSet = new Set(holders.map(holder => holder.owner));
+        clusters = buildClusters(analyses, holderSet, ignored);
+        clusterByAddress = new Map();
+        for (const cluster of clusters) {
+            cluster.members.forEach(member => clusterByAddress.set(member, cluster.id));
+        }
+    }
+
+    /**
+     * Analyze the next batch of unanalyzed (or stale) top holders, then regroup
+     * holders: the wheel's entrants (its exclusions already removed); ignoredAddresses: wallets that never
+     * link others - the creator, fee split, hop and venue wallets fund or trade with everyone
+     * Only the leader spends RPC calls; followers reload the leader's analyses
+     * Returns true if the clusters changed
+     */
+    async function update(holders, tokenMint, ignoredAddresses = []) {
+        if (!holders || holders.length === 0) return false;
+        lastHolders = holders;
+        ignored = new Set(ignoredAddresses);
+
+        if (isAnalyzing) return false;
+        isAnalyzing = true;
+
+        try {
+            if (!leader.isLeader()) {
+                await load();
+            } else {
+                const now = Date.now();
+                const candidates = [...new Set(holders.slice(0, MAX_ANALYZED_WALLETS).map(holder => holder.owner))];
+                const pending = candidates
+                    .filter(wallet => !analyses.has(wallet) || now - analyses.get(wallet).analyzedAt > ANALYSIS_TTL_MS)
+                    .slice(0, ANALYZE_BATCH);
+
+                for (const wallet of pending) {
+                    try {
+                        const analysis = await analyzeWallet(connection, wallet, tokenMint, ignored);
+                        analyses.set(wallet, { ...analysis, analyzedAt: Date.now() });
+                    } catch (error) {
+                        // Remember the failure so one bad wallet doesn't block the queue until the TTL passes
+                        console.error(`${log} Failed to analyze ${wallet}:`, error.message);
+                        analyses.set(wallet, { funder: null, tokenPeers: [], analyzedAt: Date.now(), error: error.message });
+                    }
+                }
+
+                if (pending.length > 0) {
+                    await save();
+                }
+            }
+
+            const before = JSON.stringify(clusters.map(cluster => cluster.members));
+            rebuild(holders);
+            lastRun = new Date().toISOString();
+
+            const changed = JSON.stringify(clusters.map(cluster => cluster.members)) !== before;
+            if (changed) {
+                console.log(`${log} ${clusters.length} wallet cluster(s) detected`);
+            }
+            return changed;
+        } finally {
+            isAnalyzing = false;
+        }
+    }
+
+    /**
+     * address -> clusterId for processHoldersForWheel
+     */
+    function getClusterMap() {
+        return clusterByAddress;
+    }
+
+    /**
+     * Admin view of detected clusters
+     */
+    function getReport() {
+        const holderAmounts = new Map();
+        for (const holder of lastHolders) {
+            holderAmounts.set(holder.owner, (holderAmounts.get(holder.owner) || 0) + holder.amount);
+        }
+        const analyzable = new Set(lastHolders.slice(0, MAX_ANALYZED_WALLETS).map(holder => holder.owner));
+
+        return {
+            clusters: clusters.map(cluster => ({
+                ...cluster,
+                size: cluster.members.length,
+                totalAmount: cluster.members.reduce((sum, member) => sum + (holderAmounts.get(member) || 0), 0)
+            })),
+            analyzedWallets: [...analyzable].filter(wallet => analyses.has(wallet)).length,
+            pendingWallets: [...analyzable].filter(wallet => !analyses.has(wallet)).length,
+            lastRun: lastRun,
+            limits: {
+                maxAnalyzedWallets: MAX_ANALYZED_WALLETS,
+                signaturesPerWallet: SIGNATURE_LIMIT,
+                maxSharedFunder: MAX_SHARED_FUNDER
+            }
+        };
+    }
+
+    return {
+        load,
+        update,
+        getClusterMap,
+        getReport
+    };
+}
+
+module.exports = {
+    buildClusters,
+    createClusterDetector
+};
@@ -0,0 +1,420 @@
+/**
+ * Configuration - every tunable setting in one validated place
+ * Values come from the defaults below, then CONFIG_FILE (JSON or YAML), then environment variables.
+ * Settings marked hot are re-read when the file changes; everything else needs a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { PublicKey } = require('@solana/web3.js');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config.json');
+const WATCH_INTERVAL_MS = 2000;
+
+const SCHEMA = {
+    port: {
+        env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535,
+        description: 'HTTP port'
+    },
+    rpcEndpoint: {
+        env: 'RPC_ENDPOINT', type: 'string', secret: true,
+        default: 'https://mainnet.helius-rpc.com/?api-key=ae211108-bdbf-40af-90e2-c5418e3f62d3',
+        description: 'Solana RPC endpoint (Helius for holder lookups)'
+    },
+    spinIntervalMs: {
+        env: 'SPIN_INTERVAL_MS', type: 'integer', default: 120000, min: 30000, hot: true,
+        description: 'Time between auto-spins (wheels without their own spinIntervalMs)'
+    },
+    winnerCooldownSpins: {
+        env: 'WINNER_COOLDOWN_SPINS', type: 'integer', default: 2, min: 0, max: 50, hot: true,
+        description: 'Spins a winner sits out after winning'
+    },
+    maxHistory: {
+        env: 'MAX_HISTORY', type: 'integer', default: 50, min: 1, max: 1000, hot: true,
+        description: 'Spins kept in the history'
+    },
+    minimumPayoutSol: {
+        env: 'MINIMUM_PAYOUT_SOL', type: 'number', default: 0.002, min: 0, max: 10, hot: true,
+        description: 'Payout of a spin when the claimed fees are too small (sent from the creator wallet to one winner)'
+    },
+    keepPercentage: {
+        env: 'KEEP_PERCENTAGE', type: 'number', default: 10, min: 0, max: 100, hot: true,
+        description: 'Percentage of claimed fees kept by the creator wallet'
+    },
+    payoutMaxAttempts: {
+        env: 'PAYOUT_MAX_ATTEMPTS', type: 'integer', default: 6, min: 1, max: 50, hot: true,
+        description: 'Send attempts per payout before it is abandoned'
+    },
+    payoutRetryBaseMs: {
+        env: 'PAYOUT_RETRY_BASE_MS', type: 'integer', default: 60000, min: 5000, max: 3600000, hot: true,
+        description: 'First retry delay for a failed payout (doubles per attempt, capped at 1 hour)'
+    },
+    treasuryReserveSol: {
+        env: 'TREASURY_RESERVE_SOL', type: 'number', default: 0.05, min: 0, hot: true,
+        description: 'Balance the creator wallet always keeps - a payout that would dip below it is refused (0 = off)'
+    },
+    maxPayoutPerSpinSol: {
+        env: 'MAX_PAYOUT_PER_SPIN_SOL', type: 'number', default: 0, min: 0, hot: true,
+        description: 'Most a single spin may pay out in total (0 = no limit)'
+    },
+    maxPayoutPerDaySol: {
+        env: 'MAX_PAYOUT_PER_DAY_SOL', type: 'number', default: 0, min: 0, hot: true,
+        description: 'Most the wheel may pay out in any 24 hours (0 = no limit)'
+    },
+    maxNonFeePayoutPerDaySol: {
+        env: 'MAX_NON_FEE_PAYOUT_PER_DAY_SOL', type: 'number', default: 0.1, min: 0, hot: true,
+        description: 'Most that may be paid from wallet funds rather than claimed fees in any 24 hours (0 = no limit)'
+    },
+    breakerFailureThreshold: {
+        env: 'BREAKER_FAILURE_THRESHOLD', type: 'integer', default: 3, min: 0, max: 100, hot: true,
+        description: 'Failed payout transfers in a row that pause payouts (0 = off)'
+    },
+    approvalThresholdSol: {
+        env: 'APPROVAL_THRESHOLD_SOL', type: 'number', default: 0, min: 0, hot: true,
+        description: 'SOL payouts above this total wait for an operator to approve them (0 = off)'
+    },
+    approvalTimeoutMs: {
+        env: 'APPROVAL_TIMEOUT_MS', type: 'integer', default: 3600000, min: 60000, hot: true,
+        description: 'How long a payout waits for approval before its pot rolls over into the next spin'
+    },
+    reconcileIntervalMs: {
+        env: 'RECONCILE_INTERVAL_MS', type: 'integer', default: 21600000, min: 0, max: 604800000, hot: true,
+        description: 'Time between checks of the recorded payouts against the chain (0 = off)'
+    },
+    buybackSlippagePercent: {
+        env: 'BUYBACK_SLIPPAGE_PERCENT', type: 'number', default: 10, min: 0.1, max: 50, hot: true,
+        description: 'Slippage allowed on buyback purchases'
+    },
+    buybackPriorityFeeSol: {
+        env: 'BUYBACK_PRIORITY_FEE_SOL', type: 'number', default: 0.0001, min: 0, max: 0.01, hot: true,
+        description: 'Priority fee paid on buyback purchases'
+    },
+    buybackPool: {
+        env: 'BUYBACK_POOL', type: 'enum', values: ['auto', 'pump', 'pump-amm', 'raydium'], default: 'auto', hot: true,
+        description: 'PumpPortal pool buybacks trade on'
+    },
+    priorityFeePercentile: {
+        env: 'PRIORITY_FEE_PERCENTILE', type: 'integer', default: 75, min: 0, max: 100, hot: true,
+        description: 'Percentile of recent priority fees (getRecentPrioritizationFees) the wheel pays'
+    },
+    priorityFeeMinMicroLamports: {
+        env: 'PRIORITY_FEE_MIN_MICROLAMPORTS', type: 'integer', default: 10000, min: 0, hot: true,
+        description: 'Lowest compute-unit price paid (micro-lamports)'
+    },
+    priorityFeeMaxMicroLamports: {
+        env: 'PRIORITY_FEE_MAX_MICROLAMPORTS', type: 'integer', default: 2000000, min: 0, hot: true,
+        description: 'Highest compute-unit price paid (micro-lamports)'
+    },
+    txMaxAttempts: {
+        env: 'TX_MAX_ATTEMPTS', type: 'integer', default: 3, min: 1, max: 10, hot: true,
+        description: 'Times a transaction is rebuilt with a fresh blockhash after expiring without landing'
+    },
+    payoutRoute: {
+        env: 'PAYOUT_ROUTE', type: 'enum', values: ['hops', 'direct'], default: 'hops', hot: true,
+        description: 'How SOL payouts reach winners: through fresh hop wallets, or direct from the creator wallet'
+    },
+    payoutHops: {
+        env: 'PAYOUT_HOPS', type: 'integer', default: 2, min: 1, max: 5, hot: true,
+        description: 'Hop wallets between the creator wallet and the winner (hops route)'
+    },
+    payoutHopDelayMinMs: {
+        env: 'PAYOUT_HOP_DELAY_MIN_MS', type: 'integer', default: 1500, min: 0, max: 600000, hot: true,
+        description: 'Shortest pause before each hop wallet forwards a payout'
+    },
+    payoutHopDelayMaxMs: {
+        env: 'PAYOUT_HOP_DELAY_MAX_MS', type: 'integer', default: 1500, min: 0, max: 600000, hot: true,
+        description: 'Longest pause before each hop wallet forwards a payout (random between min and max)'
+    },
+    hopSweepAction: {
+        env: 'HOP_SWEEP_ACTION', type: 'enum', values: ['finish', 'return'], default: 'finish', hot: true,
+        description: 'What the sweeper does with SOL stranded in hop wallets: finish the route to the winner or return it to the creator'
+    },
+    holderRefreshMs: {
+        env: 'HOLDER_REFRESH_MS', type: 'integer', default: 30000, min: 5000, max: 3600000, hot: true,
+        description: 'Time between holder refreshes'
+    },
+    excludedAddresses: {
+        env: 'EXCLUDED_ADDRESSES', type: 'addressList',
+        default: [
+            '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium Authority V4
+            '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM Program
+            'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CPMM
+            '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg', // Raydium CLMM
+            'So11111111111111111111111111111111111111112'   // Wrapped SOL
+        ],
+        hot: true,
+        description: 'Known liquidity pool and DEX addresses kept off every wheel'
+    }
+};
+
+let current = null;
+let sources = {};
+let configFile = null;
+let lastLoaded = null;
+const changeListeners = [];
+
+/**
+ * Convert an env string to the setting's type (file values are already typed)
+ */
+function fromEnv(spec, raw) {
+    if (spec.type === 'integer' || spec.type === 'number') {
+        return raw.trim() === '' ? NaN : Number(raw);
+    }
+    if (spec.type === 'addressList') {
+        return raw.split(',').map(address => address.trim()).filter(Boolean);
+    }
+    return raw;
+}
+
+/**
+ * Returns an error message, or null when the value is valid
+ */
+function validate(key, spec, value) {
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+            if (spec.type === 'integer' && !Number.isInteger(value)) return `${key} must be an integer`;
+            if (spec.min !== undefined && value < spec.min) return `${key} must be >= ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `${key} must be <= ${spec.max}`;
+            return null;
+        }
+        case 'string':
+            return typeof value === 'string' && value.length > 0 ? null : `${key} must be a non-empty string`;
+        case 'enum':
+            return spec.values.includes(value) ? null : `${key} must be one of ${spec.values.join(', ')}`;
+        case 'addressList': {
+            if (!Array.isArray(value)) return `${key} must be a list of addresses`;
+            const invalid = value.filter(address => {
+                try {
+                    new PublicKey(address);
+                    return false;
+                } catch {
+                    return true;
+                }
+            });
+            return invalid.length > 0 ? `${key} has invalid address(es): ${invalid.join(', ')}` : null;
+        }
+        default:
+            return `${key} has an unknown type`;
+    }
+}
+
+function readFile(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${file} must contain an object of settings`);
+    }
+    return parsed;
+}
+
+/**
+ * Build and validate the full configuration
+ * Throws one error listing every problem so a bad deploy shows everything at once
+ */
+function resolve() {
+    const errors = [];
+    let fileValues = {};
+
+    if (configFile) {
+        try {
+            fileValues = readFile(configFile);
+        } catch (error) {
+            throw new Error(`Could not read config file ${configFile}: ${error.message}`);
+        }
+
+        for (const key of Object.keys(fileValues)) {
+            if (!SCHEMA[key]) {
+                errors.push(`Unknown setting "${key}" in ${path.basename(configFile)} (expected one of ${Object.keys(SCHEMA).join(', ')})`);
+            }
+        }
+    }
+
+    const values = {};
+    const origins = {};
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        let value = spec.default;
+        let origin = 'default';
+
+        if (fileValues[key] !== undefined) {
+            value = fileValues[key];
+            origin = 'file';
+        }
+        if (process.env[spec.env] !== undefined) {
+            value = fromEnv(spec, process.env[spec.env]);
+            origin = 'env';
+        }
+
+        const error = validate(key, spec, value);
+        if (error) {
+            errors.push(origin === 'env' ? `${error} (from ${spec.env})` : origin === 'file' ? `${error} (from ${path.basename(configFile)})` : error);
+        }
+
+        values[key] = value;
+        origins[key] = origin;
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { values, origins };
+}
+
+/**
+ * Load the configuration (call once at startup) - throws on invalid settings
+ * CONFIG_FILE points at a .json/.yaml/.yml file; config.json next to server.js is used if present
+ */
+function load() {
+    if (process.env.CONFIG_FILE) {
+        configFile = path.resolve(process.env.CONFIG_FILE);
+    } else {
+        configFile = fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null;
+    }
+
+    const { values, origins } = resolve();
+    current = Object.freeze(values);
+    sources = origins;
+    lastLoaded = new Date().toISOString();
+
+    console.log(`[Config] Loaded ${configFile ? `from ${configFile} + env` : 'from env'}`);
+    return current;
+}
+
+/**
+ * Re-read the file and apply changed hot settings
+ * Invalid files are rejected as a whole; changes to restart-only settings are ignored with a warning
+ * Returns { success, changed, ignored, error }
+ */
+function reload() {
+    if (!current) load();
+
+    let resolved;
+    try {
+        resolved = resolve();
+    } catch (error) {
+        console.error(`[Config] Reload rejected, keeping the running config. ${error.message}`);
+        return { success: false, error: error.message, changed: [], ignored: [] };
+    }
+
+    const next = { ...current };
+    const changed = [];
+    const ignored = [];
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (JSON.stringify(resolved.values[key]) === JSON.stringify(current[key])) continue;
+
+        if (spec.hot) {
+            next[key] = resolved.values[key];
+            sources[key] = resolved.origins[key];
+            changed.push(key);
+        } else {
+            ignored.push(key);
+        }
+    }
+
+    if (ignored.length > 0) {
+        console.warn(`[Config] Restart required to apply: ${ignored.join(', ')}`);
+    }
+
+    if (changed.length > 0) {
+        current = Object.freeze(next);
+        lastLoaded = new Date().toISOString();
+        console.log(`[Config] Applied: ${changed.map(key => `${key}=${JSON.stringify(current[key])}`).join(', ')}`);
+
+        for (const listener of changeListeners) {
+            try {
+                listener(changed, current);
+            } catch (error) {
+                console.error('[Config] Change listener failed:', error.message);
+            }
+        }
+    }
+
+    return { success: true, changed, ignored };
+}
+
+/**
+ * Poll the config file for edits (no-op without a file)
+ */
+function watch() {
+    if (!configFile) return false;
+
+    fs.watchFile(configFile, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) {
+            console.log(`[Config] ${path.basename(configFile)} changed - reloading`);
+            reload();
+        }
+    });
+    return true;
+}
+
+function get(key) {
+    if (!current) load();
+    if (!(key in SCHEMA)) {
+        throw new Error(`Unknown setting "${key}"`);
+    }
+    return current[key];
+}
+
+/**
+ * listener(changedKeys, config) - called after hot settings change
+ */
+function onChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * A secret-bearing setting as shown to admins - URLs keep their host and path, credentials and query values are masked
+ */
+function maskSecret(value) {
+    if (typeof value !== 'string' || value === '') return value;
+
+    try {
+        const url = new URL(value);
+        if (url.username) url.username = '***';
+        if (url.password) url.password = '***';
+        for (const key of [...url.searchParams.keys()]) {
+            url.searchParams.set(key, '***');
+        }
+        return url.toString();
+    } catch (error) {
+        return '***';
+    }
+}
+
+/**
+ * Admin view - value, origin and reload behaviour of every setting (secret ones masked)
+ */
+function describe() {
+    if (!current) load();
+
+    return {
+        file: configFile,
+        lastLoaded: lastLoaded,
+        settings: Object.entries(SCHEMA).map(([key, spec]) => ({
+            key: key,
+            env: spec.env,
+            value: spec.secret ? maskSecret(current[key]) : current[key],
+            source: sources[key],
+            hot: !!spec.hot,
+            secret: !!spec.secret,
+            description: spec.description
+        }))
+    };
+}
+
+module.exports = {
+    SCHEMA,
+    load,
+    reload,
+    watch,
+    get,
+    onChange,
+    describe
+};
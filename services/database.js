@@ -13,6 +13,15 @@ const pool = process.env.DATABASE_URL ? new Pool({
 
 let isConnected = false;
 
+const DEFAULT_WHEEL_ID = 'default';
+
+/**
+ * Stats key for a wheel's total fees (default wheel keeps the original key)
+ */
+function totalFeesKey(wheelId) {
+    return wheelId === DEFAULT_WHEEL_ID ? 'total_fees' : `total_fees:${wheelId}`;
+}
+
 /**
  * Initialize database tables
  */
@@ -39,6 +48,83 @@ async function initialize() {
             )
         `);
 
+        await pool.query(`
+            ALTER TABLE spin_history ADD COLUMN IF NOT EXISTS fairness JSONB
+        `);
+
+        await pool.query(`
+            ALTER TABLE spin_history ADD COLUMN IF NOT EXISTS wheel_id VARCHAR(32) NOT NULL DEFAULT 'default'
+        `);
+
+        // Spin lifecycle (NULL status = recorded before lifecycle tracking)
+        await pool.query(`
+            ALTER TABLE spin_history
+                ADD COLUMN IF NOT EXISTS status VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ,
+                ADD COLUMN IF NOT EXISTS lifecycle JSONB NOT NULL DEFAULT '{}',
+                ADD COLUMN IF NOT EXISTS error TEXT
+        `);
+
+        // Multi-winner spins - winner_* columns keep the first winner
+        await pool.query(`
+            ALTER TABLE spin_history
+                ADD COLUMN IF NOT EXISTS winners JSONB,
+                ADD COLUMN IF NOT EXISTS payouts JSONB
+        `);
+
+        // Exact amounts - the claim comes from the claim transaction's balances, not a wallet balance diff
+        await pool.query(`
+            ALTER TABLE spin_history
+                ADD COLUMN IF NOT EXISTS claim_tx VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS claimed_lamports BIGINT,
+                ADD COLUMN IF NOT EXISTS claim_tx_fee_lamports BIGINT,
+                ADD COLUMN IF NOT EXISTS distributed_lamports BIGINT
+        `);
+
+        // Payout asset of the spin - { symbol, mint, decimals }; NULL = SOL
+        await pool.query(`
+            ALTER TABLE spin_history ADD COLUMN IF NOT EXISTS payout_asset JSONB
+        `);
+
+        // Buyback payouts - SOL spent and tokens bought (or why the buy failed)
+        await pool.query(`
+            ALTER TABLE spin_history ADD COLUMN IF NOT EXISTS buyback JSONB
+        `);
+
+        // Fee split legs of the spin - wallets and buy-and-burn, with their results
+        await pool.query(`
+            ALTER TABLE spin_history ADD COLUMN IF NOT EXISTS splits JSONB
+        `);
+
+        // 'chain' = rebuilt from the creator wallet's history by the backfill; NULL = recorded by the wheel
+        await pool.query(`
+            ALTER TABLE spin_history ADD COLUMN IF NOT EXISTS source VARCHAR(10)
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS spin_proofs (
+                spin_id INTEGER PRIMARY KEY,
+                wheel_id VARCHAR(32) NOT NULL DEFAULT 'default',
+                winner_address VARCHAR(64) NOT NULL,
+                fairness JSONB NOT NULL,
+                snapshot JSONB NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+
+        await pool.query(`
+            ALTER TABLE spin_proofs ADD COLUMN IF NOT EXISTS wheel_id VARCHAR(32) NOT NULL DEFAULT 'default'
+        `);
+
+        // JSONB reorders keys, so the snapshot is also kept verbatim - its hash must match byte for byte
+        await pool.query(`
+            ALTER TABLE spin_proofs
+                ADD COLUMN IF NOT EXISTS snapshot_raw TEXT,
+                ADD COLUMN IF NOT EXISTS winner_addresses JSONB,
+                ADD COLUMN IF NOT EXISTS winners_requested INTEGER
+        `);
+
+        // Total fees have no seed row - they start at 0 like file mode and the history backfill rebuilds them
         await pool.query(`
             CREATE TABLE IF NOT EXISTS stats (
                 key VARCHAR(50) PRIMARY KEY,
@@ -47,11 +133,99 @@ async function initialize() {
             )
         `);
 
-        // Initialize total_fees if not exists
         await pool.query(`
-            INSERT INTO stats (key, value) 
-            VALUES ('total_fees', 6.0) 
-            ON CONFLICT (key) DO NOTHING
+            CREATE TABLE IF NOT EXISTS settings (
+                key VARCHAR(50) PRIMARY KEY,
+                value JSONB NOT NULL,
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS admin_audit (
+                id SERIAL PRIMARY KEY,
+                actor VARCHAR(64) NOT NULL,
+                role VARCHAR(20),
+                action VARCHAR(64) NOT NULL,
+                details JSONB,
+                ip VARCHAR(64),
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS wheel_events (
+                id SERIAL PRIMARY KEY,
+                wheel_id VARCHAR(32) NOT NULL,
+                source VARCHAR(128),
+                message JSONB NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+
+        // Continuous holding start per wallet, derived from periodic holder snapshots
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS holder_tenure (
+                wheel_id VARCHAR(32) NOT NULL,
+                address VARCHAR(64) NOT NULL,
+                held_since TIMESTAMPTZ NOT NULL,
+                amount DOUBLE PRECISION NOT NULL,
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (wheel_id, address)
+            )
+        `);
+
+        // Payout ledger - one entry per spin and recipient, see payoutLedger.js
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS payout_ledger (
+                wheel_id VARCHAR(32) NOT NULL,
+                spin_id INTEGER NOT NULL,
+                recipient VARCHAR(64) NOT NULL,
+                leg INTEGER NOT NULL DEFAULT 0,
+                share DOUBLE PRECISION,
+                amount_lamports BIGINT NOT NULL,
+                received_lamports BIGINT,
+                state VARCHAR(20) NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                signatures JSONB NOT NULL DEFAULT '[]'::jsonb,
+                last_error TEXT,
+                next_attempt_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                confirmed_at TIMESTAMPTZ,
+                PRIMARY KEY (wheel_id, spin_id, recipient)
+            )
+        `);
+
+        // Token payouts - amounts are in the asset's base units ("SOL" = lamports)
+        await pool.query(`
+            ALTER TABLE payout_ledger
+                ADD COLUMN IF NOT EXISTS asset VARCHAR(64) NOT NULL DEFAULT 'SOL',
+                ADD COLUMN IF NOT EXISTS decimals SMALLINT NOT NULL DEFAULT 9
+        `);
+
+        // Fee split legs - kind "wallet" or "burn" (recipient = the burned mint) next to the winners
+        await pool.query(`
+            ALTER TABLE payout_ledger
+                ADD COLUMN IF NOT EXISTS kind VARCHAR(16) NOT NULL DEFAULT 'winner',
+                ADD COLUMN IF NOT EXISTS label VARCHAR(64)
+        `);
+
+        // Encrypted hop wallet keys (see hopVault.js) - written before a route is funded
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS hop_wallets (
+                address VARCHAR(64) PRIMARY KEY,
+                wheel_id VARCHAR(32) NOT NULL,
+                encrypted_key TEXT NOT NULL,
+                spin_id INTEGER,
+                recipient VARCHAR(64),
+                hop_index INTEGER NOT NULL,
+                next_address VARCHAR(64) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                resolution JSONB,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            )
         `);
 
         isConnected = true;
@@ -73,15 +247,17 @@ function isAvailable() {
 
 /**
  * Save a spin record to database
+ * Returns the new row ID (or null on failure)
  */
-async function saveSpinRecord(record) {
-    if (!isConnected) return false;
+async function saveSpinRecord(record, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return null;
 
     try {
-        await pool.query(`
+        const result = await pool.query(`
             INSERT INTO spin_history 
-            (winner_address, winner_display, winner_amount, winner_percentage, distribution, tx_signature, solscan_url, timestamp)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            (winner_address, winner_display, winner_amount, winner_percentage, distribution, tx_signature, solscan_url, timestamp, fairness, wheel_id, status, status_updated_at, winners)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING id
         `, [
             record.winner?.address || '',
             record.winner?.displayAddress || '',
@@ -90,30 +266,108 @@ async function saveSpinRecord(record) {
             record.distribution || 0,
             record.txSignature || null,
             record.solscanUrl || null,
-            record.timestamp || new Date().toISOString()
+            record.timestamp || new Date().toISOString(),
+            record.fairness ? JSON.stringify(record.fairness) : null,
+            wheelId,
+            record.status || null,
+            record.statusUpdatedAt || null,
+            record.winners ? JSON.stringify(record.winners) : null
         ]);
-        return true;
+        return result.rows[0].id;
     } catch (error) {
         console.error('[Database] Failed to save spin:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Save the provably fair proof (revealed seed + holder snapshot) for a spin
+ */
+async function saveSpinProof(spinId, proof, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            INSERT INTO spin_proofs (spin_id, wheel_id, winner_address, fairness, snapshot, snapshot_raw, winner_addresses, winners_requested)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (spin_id) DO NOTHING
+        `, [
+            spinId,
+            wheelId,
+            proof.winnerAddress,
+            JSON.stringify(proof.fairness),
+            JSON.stringify(proof.snapshot),
+            JSON.stringify(proof.snapshot),
+            proof.winnerAddresses ? JSON.stringify(proof.winnerAddresses) : null,
+            proof.winnersRequested || null
+        ]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to save spin proof:', error.message);
         return false;
     }
 }
 
 /**
- * Update the latest spin with distribution info
+ * Get the stored proof for a spin
+ */
+async function getSpinProof(spinId, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return null;
+
+    try {
+        const result = await pool.query(`
+            SELECT * FROM spin_proofs WHERE spin_id = $1 AND wheel_id = $2
+        `, [spinId, wheelId]);
+
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        return {
+            spinId: row.spin_id,
+            winnerAddress: row.winner_address,
+            winnerAddresses: row.winner_addresses || undefined,
+            winnersRequested: row.winners_requested || undefined,
+            fairness: row.fairness,
+            snapshot: row.snapshot_raw ? JSON.parse(row.snapshot_raw) : row.snapshot
+        };
+    } catch (error) {
+        console.error('[Database] Failed to get spin proof:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Update a spin with distribution info
  */
-async function updateLatestSpinDistribution(distribution) {
+async function updateSpinDistribution(spinId, distribution, wheelId = DEFAULT_WHEEL_ID) {
     if (!isConnected || !distribution) return false;
 
     try {
         await pool.query(`
             UPDATE spin_history 
-            SET distribution = $1, tx_signature = $2, solscan_url = $3
-            WHERE id = (SELECT MAX(id) FROM spin_history)
+            SET distribution = $1, tx_signature = $2, solscan_url = $3, payouts = $4,
+                distributed_lamports = $5,
+                claim_tx = COALESCE($6, claim_tx),
+                claimed_lamports = COALESCE($7, claimed_lamports),
+                claim_tx_fee_lamports = COALESCE($8, claim_tx_fee_lamports),
+                payout_asset = COALESCE($9, payout_asset),
+                buyback = COALESCE($10, buyback),
+                splits = COALESCE($11, splits)
+            WHERE id = $12 AND wheel_id = $13
         `, [
             distribution.distributed || 0,
             distribution.transferSignature || null,
-            distribution.transferTxUrl || null
+            distribution.transferTxUrl || null,
+            distribution.payouts ? JSON.stringify(distribution.payouts) : null,
+            distribution.distributedLamports ?? null,
+            distribution.claimTx || null,
+            distribution.claimedLamports ?? null,
+            distribution.claimTxFeeLamports ?? null,
+            distribution.asset && distribution.asset.mint ? JSON.stringify(distribution.asset) : null,
+            distribution.buyback ? JSON.stringify(distribution.buyback) : null,
+            distribution.splits && distribution.splits.length > 0 ? JSON.stringify(distribution.splits) : null,
+            spinId,
+            wheelId
         ]);
         return true;
     } catch (error) {
@@ -123,37 +377,101 @@ async function updateLatestSpinDistribution(distribution) {
 }
 
 /**
- * Get spin history from database
+ * Move a spin to a new lifecycle state, merging details into its lifecycle JSON
+ */
+async function updateSpinStatus(spinId, status, details = {}, error = null, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            UPDATE spin_history
+            SET status = $1, status_updated_at = NOW(), lifecycle = lifecycle || $2::jsonb, error = $3
+            WHERE id = $4 AND wheel_id = $5
+        `, [status, JSON.stringify(details), error, spinId, wheelId]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to update spin status:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get spins in any of the given lifecycle states (oldest first)
+ */
+async function getSpinsByStatus(statuses, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return [];
+
+    try {
+        const result = await pool.query(`
+            SELECT * FROM spin_history
+            WHERE wheel_id = $1 AND status = ANY($2)
+            ORDER BY id ASC
+        `, [wheelId, statuses]);
+
+        return result.rows.map(mapSpinRow);
+    } catch (error) {
+        console.error('[Database] Failed to get spins by status:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Convert a spin_history row to the in-memory record shape
  */
-async function getSpinHistory(limit = 10) {
+function mapSpinRow(row) {
+    const winner = {
+        address: row.winner_address,
+        displayAddress: row.winner_display,
+        amount: parseInt(row.winner_amount) || 0,
+        percentage: parseFloat(row.winner_percentage) || 0
+    };
+
+    return {
+        id: row.id,
+        winner: winner,
+        winners: row.winners || [winner],
+        payouts: row.payouts || null,
+        timestamp: row.timestamp,
+        timestampReadable: new Date(row.timestamp).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: true
+        }),
+        distribution: parseFloat(row.distribution) || 0,
+        distributedLamports: row.distributed_lamports === null || row.distributed_lamports === undefined ? null : Number(row.distributed_lamports),
+        claimTx: row.claim_tx || null,
+        claimedLamports: row.claimed_lamports === null || row.claimed_lamports === undefined ? null : Number(row.claimed_lamports),
+        claimTxFeeLamports: row.claim_tx_fee_lamports === null || row.claim_tx_fee_lamports === undefined ? null : Number(row.claim_tx_fee_lamports),
+        payoutAsset: row.payout_asset || null,
+        buyback: row.buyback || null,
+        splits: row.splits || null,
+        source: row.source || null,
+        txSignature: row.tx_signature,
+        solscanUrl: row.solscan_url,
+        fairness: row.fairness || null,
+        status: row.status,
+        statusUpdatedAt: row.status_updated_at,
+        lifecycle: row.lifecycle || {},
+        error: row.error
+    };
+}
+
+/**
+ * Get spin history from database (newest first - spins rebuilt from chain history are older than their ids)
+ */
+async function getSpinHistory(limit = 10, wheelId = DEFAULT_WHEEL_ID) {
     if (!isConnected) return [];
 
     try {
         const result = await pool.query(`
             SELECT * FROM spin_history 
-            ORDER BY id DESC 
+            WHERE wheel_id = $2
+            ORDER BY timestamp DESC, id DESC 
             LIMIT $1
-        `, [limit]);
+        `, [limit, wheelId]);
 
-        return result.rows.map(row => ({
-            id: row.id,
-            winner: {
-                address: row.winner_address,
-                displayAddress: row.winner_display,
-                amount: parseInt(row.winner_amount) || 0,
-                percentage: parseFloat(row.winner_percentage) || 0
-            },
-            timestamp: row.timestamp,
-            timestampReadable: new Date(row.timestamp).toLocaleTimeString('en-US', {
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true
-            }),
-            distribution: parseFloat(row.distribution) || 0,
-            txSignature: row.tx_signature,
-            solscanUrl: row.solscan_url
-        }));
+        return result.rows.map(mapSpinRow);
     } catch (error) {
         console.error('[Database] Failed to get history:', error.message);
         return [];
@@ -163,32 +481,33 @@ async function getSpinHistory(limit = 10) {
 /**
  * Get total fees sent
  */
-async function getTotalFees() {
-    if (!isConnected) return 6.0; // Default baseline
+async function getTotalFees(wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return 0;
 
     try {
         const result = await pool.query(`
-            SELECT value FROM stats WHERE key = 'total_fees'
-        `);
-        return result.rows.length > 0 ? parseFloat(result.rows[0].value) : 6.0;
+            SELECT value FROM stats WHERE key = $1
+        `, [totalFeesKey(wheelId)]);
+        return result.rows.length > 0 ? parseFloat(result.rows[0].value) : 0;
     } catch (error) {
         console.error('[Database] Failed to get total fees:', error.message);
-        return 6.0;
+        return 0;
     }
 }
 
 /**
  * Add to total fees
  */
-async function addToTotalFees(amount) {
+async function addToTotalFees(amount, wheelId = DEFAULT_WHEEL_ID) {
     if (!isConnected) return false;
 
     try {
         await pool.query(`
-            UPDATE stats 
-            SET value = value + $1, updated_at = NOW()
-            WHERE key = 'total_fees'
-        `, [amount]);
+            INSERT INTO stats (key, value, updated_at)
+            VALUES ($2, $1, NOW())
+            ON CONFLICT (key) DO UPDATE
+            SET value = stats.value + EXCLUDED.value, updated_at = NOW()
+        `, [amount, totalFeesKey(wheelId)]);
         return true;
     } catch (error) {
         console.error('[Database] Failed to update total fees:', error.message);
@@ -196,27 +515,599 @@ async function addToTotalFees(amount) {
     }
 }
 
+/**
+ * Set total fees (history backfill - the total rebuilt from chain history)
+ */
+async function setTotalFees(amount, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            INSERT INTO stats (key, value, updated_at)
+            VALUES ($2, $1, NOW())
+            ON CONFLICT (key) DO UPDATE
+            SET value = EXCLUDED.value, updated_at = NOW()
+        `, [amount, totalFeesKey(wheelId)]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to set total fees:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Replace the spins rebuilt from chain history with a new set (one statement, so a failure keeps the old set)
+ * Rows get new ids in timestamp order
+ */
+async function replaceChainSpins(records, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            WITH removed AS (
+                DELETE FROM spin_history WHERE wheel_id = $1 AND source = 'chain'
+            )
+            INSERT INTO spin_history
+            (winner_address, winner_display, winner_amount, winner_percentage, distribution, tx_signature, solscan_url, timestamp,
+                wheel_id, status, status_updated_at, winners, payouts, distributed_lamports, claim_tx, claimed_lamports,
+                payout_asset, buyback, splits, source)
+            SELECT spin.winner->>'address', spin.winner->>'displayAddress', 0, 0, spin.distribution, spin."txSignature",
+                spin."solscanUrl", spin.timestamp, $1, spin.status, spin."statusUpdatedAt", spin.winners, spin.payouts,
+                spin."distributedLamports", spin."claimTx", spin."claimedLamports", spin."payoutAsset", spin.buyback,
+                spin.splits, 'chain'
+            FROM jsonb_to_recordset($2::jsonb) AS spin(winner JSONB, distribution DOUBLE PRECISION, "txSignature" TEXT,
+                "solscanUrl" TEXT, timestamp TIMESTAMPTZ, status TEXT, "statusUpdatedAt" TIMESTAMPTZ, winners JSONB, payouts JSONB,
+                "distributedLamports" BIGINT, "claimTx" TEXT, "claimedLamports" BIGINT, "payoutAsset" JSONB, buyback JSONB,
+                splits JSONB)
+            ORDER BY spin.timestamp
+        `, [wheelId, JSON.stringify(records)]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to replace chain spins:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Transactions of the spins the wheel recorded itself - [{ txSignature, claimTx, payouts, buyback, splits }]
+ * Returns null on failure
+ */
+async function getSpinTransactions(wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return null;
+
+    try {
+        const result = await pool.query(`
+            SELECT tx_signature, claim_tx, payouts, buyback, splits FROM spin_history
+            WHERE wheel_id = $1 AND source IS DISTINCT FROM 'chain'
+        `, [wheelId]);
+
+        return result.rows.map(row => ({
+            txSignature: row.tx_signature,
+            claimTx: row.claim_tx,
+            payouts: row.payouts,
+            buyback: row.buyback,
+            splits: row.splits
+        }));
+    } catch (error) {
+        console.error('[Database] Failed to get spin transactions:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Every spin of a wheel, newest first (reconciliation) - returns null on failure
+ */
+async function getAllSpins(wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return null;
+
+    try {
+        const result = await pool.query(`
+            SELECT * FROM spin_history
+            WHERE wheel_id = $1
+            ORDER BY timestamp DESC, id DESC
+        `, [wheelId]);
+
+        return result.rows.map(mapSpinRow);
+    } catch (error) {
+        console.error('[Database] Failed to get all spins:', error.message);
+        return null;
+    }
+}
+
 /**
  * Get spin count
  */
-async function getSpinCount() {
+async function getSpinCount(wheelId = DEFAULT_WHEEL_ID) {
     if (!isConnected) return 0;
 
     try {
-        const result = await pool.query(`SELECT COUNT(*) as count FROM spin_history`);
+        const result = await pool.query(`SELECT COUNT(*) as count FROM spin_history WHERE wheel_id = $1`, [wheelId]);
         return parseInt(result.rows[0].count) || 0;
     } catch (error) {
         return 0;
     }
 }
 
+/**
+ * Get a JSON setting by key
+ */
+async function getSetting(key) {
+    if (!isConnected) return null;
+
+    try {
+        const result = await pool.query(`SELECT value FROM settings WHERE key = $1`, [key]);
+        return result.rows.length > 0 ? result.rows[0].value : null;
+    } catch (error) {
+        console.error('[Database] Failed to get setting:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Save a JSON setting by key
+ */
+async function saveSetting(key, value) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            INSERT INTO settings (key, value, updated_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+        `, [key, JSON.stringify(value)]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to save setting:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Append an admin audit entry
+ */
+async function saveAuditEntry(entry) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            INSERT INTO admin_audit (actor, role, action, details, ip, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+            entry.actor,
+            entry.role,
+            entry.action,
+            JSON.stringify(entry.details || {}),
+            entry.ip || null,
+            entry.timestamp
+        ]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to save audit entry:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get recent admin audit entries
+ */
+async function getAuditLog(limit = 50) {
+    if (!isConnected) return [];
+
+    try {
+        const result = await pool.query(`
+            SELECT * FROM admin_audit ORDER BY id DESC LIMIT $1
+        `, [limit]);
+
+        return result.rows.map(row => ({
+            id: row.id,
+            timestamp: row.created_at,
+            actor: row.actor,
+            role: row.role,
+            action: row.action,
+            details: row.details,
+            ip: row.ip
+        }));
+    } catch (error) {
+        console.error('[Database] Failed to get audit log:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Load holding start times for a wheel
+ */
+async function getHolderTenure(wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return [];
+
+    try {
+        const result = await pool.query(`
+            SELECT address, held_since, amount FROM holder_tenure WHERE wheel_id = $1
+        `, [wheelId]);
+
+        return result.rows.map(row => ({
+            address: row.address,
+            since: new Date(row.held_since).getTime(),
+            amount: row.amount
+        }));
+    } catch (error) {
+        console.error('[Database] Failed to get holder tenure:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Upsert changed holding entries and drop wallets that no longer hold
+ */
+async function saveHolderTenure(changed, removed, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        if (changed.length > 0) {
+            await pool.query(`
+                INSERT INTO holder_tenure (wheel_id, address, held_since, amount, updated_at)
+                SELECT $1, entry.address, to_timestamp(entry.since / 1000.0), entry.amount, NOW()
+                FROM jsonb_to_recordset($2::jsonb) AS entry(address TEXT, since DOUBLE PRECISION, amount DOUBLE PRECISION)
+                ON CONFLICT (wheel_id, address) DO UPDATE
+                    SET held_since = EXCLUDED.held_since, amount = EXCLUDED.amount, updated_at = NOW()
+            `, [wheelId, JSON.stringify(changed)]);
+        }
+
+        if (removed.length > 0) {
+            await pool.query(`
+                DELETE FROM holder_tenure WHERE wheel_id = $1 AND address = ANY($2)
+            `, [wheelId, removed]);
+        }
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to save holder tenure:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Convert a payout_ledger row to the ledger entry shape
+ */
+function mapPayoutRow(row) {
+    return {
+        spinId: row.spin_id,
+        recipient: row.recipient,
+        leg: row.leg,
+        kind: row.kind,
+        label: row.label,
+        share: row.share,
+        asset: row.asset,
+        decimals: row.decimals,
+        amountLamports: Number(row.amount_lamports),
+        receivedLamports: row.received_lamports === null ? null : Number(row.received_lamports),
+        state: row.state,
+        attempts: row.attempts,
+        signatures: row.signatures || [],
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString(),
+        confirmedAt: row.confirmed_at ? new Date(row.confirmed_at).toISOString() : null
+    };
+}
+
+/**
+ * Add payout entries - entries that already exist are left untouched (idempotent per spin + recipient)
+ */
+async function insertPayoutEntries(entries, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            INSERT INTO payout_ledger (wheel_id, spin_id, recipient, leg, kind, label, share, asset, decimals, amount_lamports, state)
+            SELECT $1, entry."spinId", entry.recipient, entry.leg, entry.kind, entry.label, entry.share, entry.asset, entry.decimals,
+                entry."amountLamports", entry.state
+            FROM jsonb_to_recordset($2::jsonb) AS entry("spinId" INTEGER, recipient TEXT, leg INTEGER, kind TEXT, label TEXT,
+                share DOUBLE PRECISION, asset TEXT, decimals SMALLINT, "amountLamports" BIGINT, state TEXT)
+            ON CONFLICT (wheel_id, spin_id, recipient) DO NOTHING
+        `, [wheelId, JSON.stringify(entries)]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to insert payout entries:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Persist the mutable fields of a payout entry
+ */
+async function updatePayoutEntry(entry, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            UPDATE payout_ledger
+            SET state = $1, attempts = $2, signatures = $3::jsonb, last_error = $4, next_attempt_at = $5,
+                received_lamports = $6, confirmed_at = $7, updated_at = NOW()
+            WHERE wheel_id = $8 AND spin_id = $9 AND recipient = $10
+        `, [entry.state, entry.attempts, JSON.stringify(entry.signatures), entry.lastError, entry.nextAttemptAt,
+            entry.receivedLamports, entry.confirmedAt, wheelId, entry.spinId, entry.recipient]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to update payout entry:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get payout entries, newest spin first
+ * filter: { spinId, states, limit }
+ */
+async function getPayoutEntries(filter = {}, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return [];
+
+    try {
+        const result = await pool.query(`
+            SELECT * FROM payout_ledger
+            WHERE wheel_id = $1
+              AND ($2::integer IS NULL OR spin_id = $2)
+              AND ($3::text[] IS NULL OR state = ANY($3))
+            ORDER BY spin_id DESC, leg ASC
+            LIMIT $4
+        `, [wheelId, filter.spinId ?? null, filter.states ?? null, filter.limit ?? 1000]);
+
+        return result.rows.map(mapPayoutRow);
+    } catch (error) {
+        console.error('[Database] Failed to get payout entries:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Store hop wallet records - returns false on failure so the caller can refuse to fund the route
+ */
+async function saveHopWallets(records, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            INSERT INTO hop_wallets (address, wheel_id, encrypted_key, spin_id, recipient, hop_index, next_address, status)
+            SELECT record.address, $1, record."encryptedKey", record."spinId", record.recipient, record."hopIndex", record.next, record.status
+            FROM jsonb_to_recordset($2::jsonb) AS record(address TEXT, "encryptedKey" TEXT, "spinId" INTEGER, recipient TEXT, "hopIndex" INTEGER, next TEXT, status TEXT)
+        `, [wheelId, JSON.stringify(records)]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to save hop wallets:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get hop wallet records (including the encrypted key), oldest first
+ * filter: { statuses, address }
+ */
+async function getHopWallets(filter = {}, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return [];
+
+    try {
+        const result = await pool.query(`
+            SELECT * FROM hop_wallets
+            WHERE wheel_id = $1
+              AND ($2::text[] IS NULL OR status = ANY($2))
+              AND ($3::text IS NULL OR address = $3)
+            ORDER BY created_at ASC, hop_index ASC
+        `, [wheelId, filter.statuses ?? null, filter.address ?? null]);
+
+        return result.rows.map(row => ({
+            address: row.address,
+            encryptedKey: row.encrypted_key,
+            spinId: row.spin_id,
+            recipient: row.recipient,
+            hopIndex: row.hop_index,
+            next: row.next_address,
+            status: row.status,
+            resolution: row.resolution,
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        }));
+    } catch (error) {
+        console.error('[Database] Failed to get hop wallets:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Set the status (and resolution) of hop wallets
+ */
+async function updateHopWallets(addresses, status, resolution = null, wheelId = DEFAULT_WHEEL_ID) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`
+            UPDATE hop_wallets SET status = $1, resolution = $2, updated_at = NOW()
+            WHERE wheel_id = $3 AND address = ANY($4)
+        `, [status, resolution ? JSON.stringify(resolution) : null, wheelId, addresses]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to update hop wallets:', error.message);
+        return false;
+    }
+}
+
+// Leader election - a session-level advisory lock held on a dedicated connection
+// Postgres releases it when that connection dies, which is how a follower takes over
+const LEADER_LOCK_KEY = 7468101; // arbitrary, shared by every instance
+const EVENTS_CHANNEL = 'wheel_events';
+
+let leaderClient = null;
+let eventsClient = null;
+
+function dropLeaderClient() {
+    if (leaderClient) {
+        leaderClient.release(true);
+        leaderClient = null;
+    }
+}
+
+/**
+ * Try to take the leader lock (non-blocking)
+ * Returns true if this instance now holds it
+ */
+async function tryAcquireLeaderLock() {
+    if (!isConnected) return false;
+
+    try {
+        if (!leaderClient) {
+            leaderClient = await pool.connect();
+            leaderClient.on('error', (error) => {
+                console.error('[Database] Leader connection error:', error.message);
+                dropLeaderClient();
+            });
+        }
+
+        const result = await leaderClient.query('SELECT pg_try_advisory_lock($1) AS acquired', [LEADER_LOCK_KEY]);
+        return result.rows[0].acquired === true;
+    } catch (error) {
+        console.error('[Database] Failed to acquire leader lock:', error.message);
+        dropLeaderClient();
+        return false;
+    }
+}
+
+/**
+ * Check the lock is still held - false once the connection is gone
+ */
+async function holdsLeaderLock() {
+    if (!leaderClient) return false;
+
+    try {
+        const result = await leaderClient.query(`
+            SELECT EXISTS (
+                SELECT 1 FROM pg_locks
+                WHERE locktype = 'advisory' AND classid = 0 AND objid = $1 AND objsubid = 1 AND pid = pg_backend_pid() AND granted
+            ) AS held
+        `, [LEADER_LOCK_KEY]);
+        return result.rows[0].held === true;
+    } catch (error) {
+        console.error('[Database] Leader lock check failed:', error.message);
+        dropLeaderClient();
+        return false;
+    }
+}
+
+async function releaseLeaderLock() {
+    if (!leaderClient) return;
+
+    try {
+        await leaderClient.query('SELECT pg_advisory_unlock($1)', [LEADER_LOCK_KEY]);
+    } catch (error) {
+        console.error('[Database] Failed to release leader lock:', error.message);
+    }
+    dropLeaderClient();
+}
+
+/**
+ * Store a wheel event and notify the other instances
+ * The payload only carries the row id - NOTIFY is limited to 8000 bytes
+ */
+async function publishEvent(wheelId, source, message) {
+    if (!isConnected) return false;
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO wheel_events (wheel_id, source, message)
+            VALUES ($1, $2, $3)
+            RETURNING id
+        `, [wheelId, source, JSON.stringify(message)]);
+        await pool.query('SELECT pg_notify($1, $2)', [EVENTS_CHANNEL, String(result.rows[0].id)]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to publish event:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Listen for events published by other instances
+ * handler({ wheelId, source, message }) - reconnects if the listening connection drops
+ */
+async function subscribeEvents(handler) {
+    if (!isConnected) return false;
+
+    try {
+        eventsClient = await pool.connect();
+        eventsClient.on('notification', async (notification) => {
+            try {
+                const result = await pool.query(`SELECT * FROM wheel_events WHERE id = $1`, [parseInt(notification.payload)]);
+                if (result.rows.length > 0) {
+                    const row = result.rows[0];
+                    handler({ wheelId: row.wheel_id, source: row.source, message: row.message });
+                }
+            } catch (error) {
+                console.error('[Database] Failed to load event:', error.message);
+            }
+        });
+        eventsClient.on('error', (error) => {
+            console.error('[Database] Event listener connection lost:', error.message);
+            eventsClient.release(true);
+            eventsClient = null;
+            setTimeout(() => subscribeEvents(handler), 5000);
+        });
+        await eventsClient.query(`LISTEN ${EVENTS_CHANNEL}`);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to subscribe to events:', error.message);
+        if (eventsClient) {
+            eventsClient.release(true);
+            eventsClient = null;
+        }
+        setTimeout(() => subscribeEvents(handler), 5000);
+        return false;
+    }
+}
+
+/**
+ * Drop relayed events older than maxAgeMinutes
+ */
+async function pruneEvents(maxAgeMinutes = 60) {
+    if (!isConnected) return false;
+
+    try {
+        await pool.query(`DELETE FROM wheel_events WHERE created_at < NOW() - make_interval(mins => $1)`, [maxAgeMinutes]);
+        return true;
+    } catch (error) {
+        console.error('[Database] Failed to prune events:', error.message);
+        return false;
+    }
+}
+
 module.exports = {
     initialize,
     isAvailable,
     saveSpinRecord,
-    updateLatestSpinDistribution,
+    saveSpinProof,
+    getSpinProof,
+    updateSpinDistribution,
+    updateSpinStatus,
+    getSpinsByStatus,
     getSpinHistory,
     getTotalFees,
     addToTotalFees,
-    getSpinCount
+    setTotalFees,
+    replaceChainSpins,
+    getSpinTransactions,
+    getAllSpins,
+    getSpinCount,
+    getSetting,
+    saveSetting,
+    saveAuditEntry,
+    getAuditLog,
+    getHolderTenure,
+    saveHolderTenure,
+    insertPayoutEntries,
+    updatePayoutEntry,
+    getPayoutEntries,
+    saveHopWallets,
+    getHopWallets,
+    updateHopWallets,
+    tryAcquireLeaderLock,
+    holdsLeaderLock,
+    releaseLeaderLock,
+    publishEvent,
+    subscribeEvents,
+    pruneEvents
 };
@@ -19,8 +19,9 @@ const COLORS = {
 
 /**
  * Send a message to Discord webhook
+ * wheelLabel tags the footer when several wheels share one webhook
  */
-async function sendToDiscord(title, description, color = COLORS.info, fields = []) {
+async function sendToDiscord(title, description, color = COLORS.info, fields = [], wheelLabel = null) {
     try {
         const embed = {
             title: title,
@@ -29,7 +30,7 @@ async function sendToDiscord(title, description, color = COLORS.info, fields = [
             timestamp: new Date().toISOString(),
             fields: fields,
             footer: {
-                text: '$WHEEL Server'
+                text: wheelLabel ? `$WHEEL Server • ${wheelLabel}` : '$WHEEL Server'
             }
         };
 
@@ -44,180 +45,355 @@ async function sendToDiscord(title, description, color = COLORS.info, fields = [
 }
 
 // Logging functions
-const logger = {
-    // Server events
-    serverStart: async (port, tokenMint) => {
-        await sendToDiscord(
-            '🚀 Server Started',
-            `$WHEEL server is now running!`,
-            COLORS.success,
-            [
-                { name: 'Port', value: `${port}`, inline: true },
-                { name: 'Token', value: tokenMint ? `\`${tokenMint.slice(0, 20)}...\`` : 'Auto-detecting...', inline: true }
-            ]
-        );
-    },
-
-    tokenDetected: async (mint, name, symbol) => {
-        await sendToDiscord(
-            '🪙 Token Auto-Detected',
-            `Found token created by wallet`,
-            COLORS.success,
-            [
-                { name: 'Name', value: name || 'Unknown', inline: true },
-                { name: 'Symbol', value: symbol || 'TOKEN', inline: true },
-                { name: 'Mint', value: `\`${mint}\``, inline: false }
-            ]
-        );
-    },
-
-    tokenDetectFailed: async (error) => {
-        await sendToDiscord(
-            '❌ Token Detection Failed',
-            `Could not auto-detect token from creator wallet`,
-            COLORS.error,
-            [{ name: 'Error', value: error, inline: false }]
-        );
-    },
-
-    // Holder events
-    holdersRefreshed: async (count, tokenMint) => {
-        await sendToDiscord(
-            '👥 Holders Refreshed',
-            `Updated holder data from Helius`,
-            COLORS.info,
-            [
-                { name: 'Total Holders', value: `${count}`, inline: true },
-                { name: 'Token', value: `\`${tokenMint?.slice(0, 12)}...\``, inline: true }
-            ]
-        );
-    },
-
-    holdersError: async (error) => {
-        await sendToDiscord(
-            '❌ Holder Refresh Failed',
-            `Error fetching holder data`,
-            COLORS.error,
-            [{ name: 'Error', value: error, inline: false }]
-        );
-    },
-
-    // Spin events
-    spinStarted: async () => {
-        await sendToDiscord(
-            '🎰 Spin Started',
-            `Wheel is spinning...`,
-            COLORS.spin
-        );
-    },
-
-    spinWinner: async (winner) => {
-        await sendToDiscord(
-            '🏆 Winner Selected!',
-            `The wheel has chosen a winner!`,
-            COLORS.spin,
-            [
-                { name: 'Address', value: `\`${winner.address}\``, inline: false },
-                { name: 'Display', value: winner.displayAddress, inline: true },
-                { name: 'Holdings', value: `${winner.percentage.toFixed(2)}%`, inline: true }
-            ]
-        );
-    },
-
-    // Fee claiming events
-    pumpfunEnabled: async (publicKey) => {
-        await sendToDiscord(
-            '✅ PumpFun Fee Claiming Enabled',
-            `Fee claiming is now active!`,
-            COLORS.success,
-            [{ name: 'Creator Wallet', value: `\`${publicKey}\``, inline: false }]
-        );
-    },
-
-    pumpfunDisabled: async () => {
-        await sendToDiscord(
-            '⚠️ PumpFun Fee Claiming Disabled',
-            `No private key configured. Fee distribution will not work.`,
-            COLORS.warning
-        );
-    },
-
-    pumpfunInitError: async (error) => {
-        await sendToDiscord(
-            '❌ PumpFun Init Failed',
-            `Could not initialize fee claiming`,
-            COLORS.error,
-            [{ name: 'Error', value: error, inline: false }]
-        );
-    },
-
-    feeClaimAttempt: async (winnerAddress) => {
-        await sendToDiscord(
-            '💸 Claiming Fees...',
-            `Attempting to claim and distribute creator fees`,
-            COLORS.money,
-            [{ name: 'Winner', value: `\`${winnerAddress}\``, inline: false }]
-        );
-    },
-
-    feeClaimSuccess: async (amount, signature, winnerAddress) => {
-        const solscanUrl = `https://solscan.io/tx/${signature}`;
-        await sendToDiscord(
-            '🎉 Fees Distributed!',
-            `Successfully sent SOL to winner!`,
-            COLORS.money,
-            [
-                { name: 'Amount', value: `${amount.toFixed(6)} SOL`, inline: true },
-                { name: 'Winner', value: `\`${winnerAddress.slice(0, 12)}...\``, inline: true },
-                { name: 'Transaction', value: `[View on Solscan](${solscanUrl})`, inline: false }
-            ]
-        );
-    },
-
-    feeClaimNoFees: async () => {
-        await sendToDiscord(
-            '📭 No Fees Available',
-            `No creator fees to distribute this round`,
-            COLORS.warning
-        );
-    },
-
-    feeClaimError: async (error) => {
-        await sendToDiscord(
-            '❌ Fee Claim Failed',
-            `Error during fee claiming/distribution`,
-            COLORS.error,
-            [{ name: 'Error', value: error, inline: false }]
-        );
-    },
-
-    balanceUpdate: async (balance) => {
-        await sendToDiscord(
-            '💰 Balance Updated',
-            `Creator wallet balance checked`,
-            COLORS.info,
-            [{ name: 'Balance', value: `${balance.toFixed(6)} SOL`, inline: true }]
-        );
-    },
-
-    // Generic error
-    error: async (title, error) => {
-        await sendToDiscord(
-            `❌ ${title}`,
-            `An error occurred`,
-            COLORS.error,
-            [{ name: 'Error', value: String(error).slice(0, 1000), inline: false }]
-        );
-    },
-
-    // Generic info
-    info: async (title, message) => {
-        await sendToDiscord(
-            `ℹ️ ${title}`,
-            message,
-            COLORS.info
-        );
-    }
-};
+function createLogger(wheelLabel = null) {
+    const send = (title, description, color, fields) => sendToDiscord(title, description, color, fields, wheelLabel);
+
+    const logger = {
+        // Server events
+        serverStart: async (port, tokenMint) => {
+            await send(
+                '🚀 Server Started',
+                `$WHEEL server is now running!`,
+                COLORS.success,
+                [
+                    { name: 'Port', value: `${port}`, inline: true },
+                    { name: 'Token', value: tokenMint ? `\`${tokenMint.slice(0, 20)}...\`` : 'Auto-detecting...', inline: true }
+                ]
+            );
+        },
+
+        tokenDetected: async (mint, name, symbol) => {
+            await send(
+                '🪙 Token Auto-Detected',
+                `Found token created by wallet`,
+                COLORS.success,
+                [
+                    { name: 'Name', value: name || 'Unknown', inline: true },
+                    { name: 'Symbol', value: symbol || 'TOKEN', inline: true },
+                    { name: 'Mint', value: `\`${mint}\``, inline: false }
+                ]
+            );
+        },
+
+        tokenDetectFailed: async (error) => {
+            await send(
+                '❌ Token Detection Failed',
+                `Could not auto-detect token from creator wallet`,
+                COLORS.error,
+                [{ name: 'Error', value: error, inline: false }]
+            );
+        },
+
+        // Holder events
+        holdersRefreshed: async (count, tokenMint) => {
+            await send(
+                '👥 Holders Refreshed',
+                `Updated holder data from Helius`,
+                COLORS.info,
+                [
+                    { name: 'Total Holders', value: `${count}`, inline: true },
+                    { name: 'Token', value: `\`${tokenMint?.slice(0, 12)}...\``, inline: true }
+                ]
+            );
+        },
+
+        holdersError: async (error) => {
+            await send(
+                '❌ Holder Refresh Failed',
+                `Error fetching holder data`,
+                COLORS.error,
+                [{ name: 'Error', value: error, inline: false }]
+            );
+        },
+
+        // Spin events
+        spinStarted: async () => {
+            await send(
+                '🎰 Spin Started',
+                `Wheel is spinning...`,
+                COLORS.spin
+            );
+        },
+
+        // winners: one winner or the drawn list (each with its share of the pot)
+        spinWinner: async (winners) => {
+            const list = Array.isArray(winners) ? winners : [winners];
+
+            if (list.length === 1) {
+                const winner = list[0];
+                await send(
+                    '🏆 Winner Selected!',
+                    `The wheel has chosen a winner!`,
+                    COLORS.spin,
+                    [
+                        { name: 'Address', value: `\`${winner.address}\``, inline: false },
+                        { name: 'Display', value: winner.displayAddress, inline: true },
+                        { name: 'Holdings', value: `${winner.percentage.toFixed(2)}%`, inline: true }
+                    ]
+                );
+                return;
+            }
+
+            await send(
+                '🏆 Winners Selected!',
+                `The wheel has chosen ${list.length} winners!`,
+                COLORS.spin,
+                list.map((winner, index) => ({
+                    name: `#${index + 1} - ${winner.displayAddress}`,
+                    value: `\`${winner.address}\`\nHoldings ${winner.percentage.toFixed(2)}% • Pot share ${((winner.share ?? 1) * 100).toFixed(1)}%`,
+                    inline: false
+                }))
+            );
+        },
+
+        // Fee claiming events
+        pumpfunEnabled: async (publicKey) => {
+            await send(
+                '✅ PumpFun Fee Claiming Enabled',
+                `Fee claiming is now active!`,
+                COLORS.success,
+                [{ name: 'Creator Wallet', value: `\`${publicKey}\``, inline: false }]
+            );
+        },
+
+        pumpfunDisabled: async () => {
+            await send(
+                '⚠️ PumpFun Fee Claiming Disabled',
+                `No private key configured. Fee distribution will not work.`,
+                COLORS.warning
+            );
+        },
+
+        pumpfunInitError: async (error) => {
+            await send(
+                '❌ PumpFun Init Failed',
+                `Could not initialize fee claiming`,
+                COLORS.error,
+                [{ name: 'Error', value: error, inline: false }]
+            );
+        },
+
+        feeClaimAttempt: async (winnerAddresses) => {
+            const addresses = Array.isArray(winnerAddresses) ? winnerAddresses : [winnerAddresses];
+            await send(
+                '💸 Claiming Fees...',
+                `Attempting to claim and distribute creator fees`,
+                COLORS.money,
+                [{ name: addresses.length > 1 ? 'Winners' : 'Winner', value: addresses.map(address => `\`${address}\``).join('\n'), inline: false }]
+            );
+        },
+
+        // payouts: per-winner results from claimAndDistribute
+        feeClaimSuccess: async (amount, payouts, symbol = 'SOL') => {
+            const sent = payouts.filter(payout => payout.success);
+            await send(
+                '🎉 Fees Distributed!',
+                sent.length > 1 ? `Successfully sent ${symbol} to ${sent.length} winners!` : `Successfully sent ${symbol} to winner!`,
+                COLORS.money,
+                [
+                    { name: 'Amount', value: `${amount.toFixed(6)} ${symbol}`, inline: true },
+                    ...sent.map(payout => ({
+                        name: `${payout.address.slice(0, 12)}...`,
+                        value: `${payout.amount.toFixed(6)} ${symbol} • [View on Solscan](${payout.txUrl})`,
+                        inline: false
+                    }))
+                ]
+            );
+        },
+
+        buybackFailed: async (error, fallback) => {
+            await send(
+                '⚠️ Buyback Failed',
+                `Could not buy the token with the pot - winners were paid in ${fallback} instead`,
+                COLORS.warning,
+                [{ name: 'Error', value: String(error || 'unknown').slice(0, 1000), inline: false }]
+            );
+        },
+
+        feeClaimNoFees: async () => {
+            await send(
+                '📭 No Fees Available',
+                `No creator fees to distribute this round`,
+                COLORS.warning
+            );
+        },
+
+        feeClaimError: async (error) => {
+            await send(
+                '❌ Fee Claim Failed',
+                `Error during fee claiming/distribution`,
+                COLORS.error,
+                [{ name: 'Error', value: error, inline: false }]
+            );
+        },
+
+        spinRecovery: async (spinId, previousStatus, action) => {
+            await send(
+                '♻️ Unfinished Spin Found',
+                `Spin #${spinId} was interrupted by a restart`,
+                COLORS.warning,
+                [
+                    { name: 'Was', value: previousStatus, inline: true },
+                    { name: 'Action', value: action, inline: true }
+                ]
+            );
+        },
+
+        payoutRetried: async (spinId, address, amount, txUrl, symbol = 'SOL') => {
+            await send(
+                '🔁 Payout Retry Succeeded',
+                `A failed payout from spin #${spinId} was delivered`,
+                COLORS.money,
+                [
+                    { name: 'Winner', value: `\`${address}\``, inline: false },
+                    { name: 'Amount', value: `${amount.toFixed(6)} ${symbol}`, inline: true },
+                    { name: 'TX', value: txUrl ? `[View on Solscan](${txUrl})` : 'n/a', inline: true }
+                ]
+            );
+        },
+
+        payoutGaveUp: async (spinId, address, state, attempts, error) => {
+            await send(
+                '🚨 Payout Needs Attention',
+                state === 'stuck'
+                    ? `A payout from spin #${spinId} is stuck in a hop wallet until the sweeper recovers it`
+                    : `A payout from spin #${spinId} is ${state} and will not be retried automatically`,
+                COLORS.error,
+                [
+                    { name: 'Winner', value: `\`${address}\``, inline: false },
+                    { name: 'Attempts', value: `${attempts}`, inline: true },
+                    { name: 'Error', value: String(error || 'unknown').slice(0, 1000), inline: false }
+                ]
+            );
+        },
+
+        // result: one entry from pumpfun.sweepHopWallets
+        hopWalletSwept: async (result) => {
+            await send(
+                result.success ? '🧹 Hop Wallet Swept' : '❌ Hop Wallet Sweep Failed',
+                result.action === 'return' ? 'Stranded SOL sent back to the creator wallet' : 'Stranded SOL forwarded to the winner',
+                result.success ? COLORS.money : COLORS.error,
+                [
+                    { name: 'Hop Wallet', value: `\`${result.address}\``, inline: false },
+                    { name: 'Spin', value: result.spinId !== null ? `#${result.spinId}` : 'n/a', inline: true },
+                    { name: 'Amount', value: `${(result.lamports / 1e9).toFixed(6)} SOL`, inline: true },
+                    ...(result.error ? [{ name: 'Error', value: String(result.error).slice(0, 1000), inline: false }] : [])
+                ]
+            );
+        },
+
+        circuitBreakerOpened: async (limit, reason, resumeAt) => {
+            await send(
+                '🛑 Payouts Paused',
+                reason,
+                COLORS.error,
+                [
+                    { name: 'Limit', value: limit, inline: true },
+                    { name: 'Resumes', value: resumeAt ? `<t:${Math.floor(Date.parse(resumeAt) / 1000)}:R>` : 'After an operator reset', inline: true }
+                ]
+            );
+        },
+
+        circuitBreakerClosed: async (reason) => {
+            await send(
+                '▶️ Payouts Resumed',
+                reason,
+                COLORS.success
+            );
+        },
+
+        // splits: fee split legs (SOL); symbol: what the winners are paid in
+        approvalRequested: async (spinId, total, payouts, splits, expiresAt, symbol = 'SOL') => {
+            await send(
+                '✋ Payout Needs Approval',
+                `Spin #${spinId} would spend ${total.toFixed(6)} SOL - approve or reject it via the admin API`,
+                COLORS.warning,
+                [
+                    { name: 'Expires', value: `<t:${Math.floor(Date.parse(expiresAt) / 1000)}:R> (then rolls over)`, inline: true },
+                    ...payouts.map(payout => ({
+                        name: `${payout.address.slice(0, 12)}...`,
+                        value: `${payout.amount.toFixed(6)} ${symbol}`,
+                        inline: false
+                    })),
+                    ...splits.map(split => ({
+                        name: `${split.label} (${split.percent}%)`,
+                        value: `${split.amount.toFixed(6)} SOL${split.kind === 'burn' ? ' - buy & burn' : ''}`,
+                        inline: false
+                    }))
+                ]
+            );
+        },
+
+        // decision: 'approved' | 'rejected' | 'expired' - total is the rolled-over SOL for an expired one
+        approvalResolved: async (spinId, decision, by, total, reason) => {
+            await send(
+                decision === 'approved' ? '✅ Payout Approved' : decision === 'rejected' ? '🚫 Payout Rejected' : '⌛ Approval Expired',
+                decision === 'expired'
+                    ? `Nobody approved spin #${spinId} in time - ${total.toFixed(6)} SOL rolls over into the next spin`
+                    : `Spin #${spinId} (${total.toFixed(6)} SOL) ${decision} by ${by}`,
+                decision === 'approved' ? COLORS.success : COLORS.warning,
+                reason ? [{ name: 'Reason', value: String(reason).slice(0, 1000), inline: false }] : []
+            );
+        },
+
+        // mismatches: new findings of the run; totals: the report's total fees check
+        reconciliationIssues: async (mismatches, totals) => {
+            await send(
+                '🔎 Reconciliation Found Issues',
+                mismatches.length > 0
+                    ? `${mismatches.length} recorded payout(s) do not match the chain - see the reconciliation report`
+                    : 'The recorded payouts match the chain',
+                mismatches.length > 0 ? COLORS.error : COLORS.warning,
+                [
+                    ...mismatches.slice(0, 10).map(mismatch => ({
+                        name: `Spin #${mismatch.spinId} - ${mismatch.type}`,
+                        value: String(mismatch.detail).slice(0, 1000),
+                        inline: false
+                    })),
+                    ...(totals.corrected ? [{
+                        name: 'Total Fees Corrected',
+                        value: `${totals.recorded.toFixed(6)} → ${totals.recomputed.toFixed(6)} SOL`,
+                        inline: false
+                    }] : [])
+                ]
+            );
+        },
+
+        balanceUpdate: async (balance) => {
+            await send(
+                '💰 Balance Updated',
+                `Creator wallet balance checked`,
+                COLORS.info,
+                [{ name: 'Balance', value: `${balance.toFixed(6)} SOL`, inline: true }]
+            );
+        },
+
+        // Generic error
+        error: async (title, error) => {
+            await send(
+                `❌ ${title}`,
+                `An error occurred`,
+                COLORS.error,
+                [{ name: 'Error', value: String(error).slice(0, 1000), inline: false }]
+            );
+        },
+
+        // Generic info
+        info: async (title, message) => {
+            await send(
+                `ℹ️ ${title}`,
+                message,
+                COLORS.info
+            );
+        }
+    };
+
+    return logger;
+}
+
+const defaultLogger = createLogger();
+
+// Logger that tags every embed with a wheel name
+defaultLogger.forWheel = (wheelLabel) => createLogger(wheelLabel);
 
-module.exports = logger;
+module.exports = defaultLogger;
@@ -0,0 +1,113 @@
+/**
+ * Provably Fair Service - commit–reveal seeds for verifiable spins
+ * The server seed is hashed and published before the draw, then mixed with
+ * the blockhash of a future Solana slot and revealed once the spin is recorded
+ */
+
+const crypto = require('crypto');
+const { Connection } = require('@solana/web3.js');
+
+// Commit to a slot far enough ahead that its blockhash is unknown at commit time
+const SLOT_LOOKAHEAD = 4;
+const ENTROPY_TIMEOUT_MS = 30000;
+const ENTROPY_POLL_MS = 500;
+
+let connection = null;
+
+/**
+ * Initialize the RPC connection used to read public entropy
+ */
+function initialize(rpcEndpoint) {
+    connection = new Connection(rpcEndpoint, 'confirmed');
+    console.log('[Fairness] Initialized commit–reveal spins');
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash a holder snapshot so it is fixed at commit time
+ */
+function hashSnapshot(snapshot) {
+    return sha256(JSON.stringify(snapshot));
+}
+
+/**
+ * Generate a fresh server seed and commit to it (and the holder snapshot)
+ * The returned serverSeed must stay private until the spin is recorded
+ */
+async function createCommitment(snapshot) {
+    if (!connection) {
+        throw new Error('Fairness service not initialized');
+    }
+
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+    const currentSlot = await connection.getSlot('confirmed');
+
+    return {
+        serverSeed,
+        commitment: sha256(serverSeed),
+        snapshotHash: hashSnapshot(snapshot),
+        targetSlot: currentSlot + SLOT_LOOKAHEAD,
+        committedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Wait for the first confirmed block at or after targetSlot and return its blockhash
+ * Skipped slots are common, so the earliest produced block in the range is used
+ */
+async function resolveEntropy(targetSlot) {
+    const deadline = Date.now() + ENTROPY_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        const slots = await connection.getBlocks(targetSlot, targetSlot + 100, 'confirmed');
+
+        if (slots.length > 0) {
+            const blockSlot = slots[0];
+            const block = await connection.getBlock(blockSlot, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0,
+                transactionDetails: 'none',
+                rewards: false
+            });
+
+            if (block && block.blockhash) {
+                return { blockSlot, blockhash: block.blockhash };
+            }
+        }
+
+        await new Promise(resolve => setTimeout(resolve, ENTROPY_POLL_MS));
+    }
+
+    throw new Error(`Timed out waiting for blockhash at slot ${targetSlot}`);
+}
+
+/**
+ * Derive a deterministic float in [0, 1) from the revealed seed and public entropy
+ * HMAC-SHA256(serverSeed, "<blockhash>:<cursor>"), first 52 bits / 2^52
+ * Each cursor gives an independent value (0 = winner, 1 = wheel offset)
+ */
+function deriveRandom(serverSeed, blockhash, cursor = 0) {
+    const digest = crypto.createHmac('sha256', serverSeed)
+        .update(`${blockhash}:${cursor}`)
+        .digest('hex');
+    return parseInt(digest.slice(0, 13), 16) / Math.pow(2, 52);
+}
+
+/**
+ * Check that a revealed seed matches its published commitment
+ */
+function verifyCommitment(serverSeed, commitment) {
+    return sha256(serverSeed) === commitment;
+}
+
+module.exports = {
+    initialize,
+    hashSnapshot,
+    createCommitment,
+    resolveEntropy,
+    deriveRandom,
+    verifyCommitment
+};
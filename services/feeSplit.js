@@ -0,0 +1,114 @@
+/**
+ * Fee Split Rules - where a spin's claimed creator fees go
+ * Each rule takes a percentage of the claimed fees: "winners" (the spin's pot), a wallet address (e.g.
+ * marketing or dev) or "burn" (buy the wheel's token and burn it). Whatever the rules leave stays in the
+ * creator wallet. Without rules the winners get everything but the keepPercentage setting.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+const SPLIT_KIND = {
+    WINNERS: 'winners',
+    WALLET: 'wallet',
+    BURN: 'burn'
+};
+
+/**
+ * Normalize a fee split setting - [{ to: "winners" | "burn" | "<address>", percent, label? }]
+ * Exactly one winners rule, at most one burn rule, percentages summing to 100 or less
+ * Returns null when unset (keepPercentage applies)
+ */
+function parseFeeSplit(setting) {
+    if (setting === undefined || setting === null) return null;
+    if (!Array.isArray(setting) || setting.length === 0) {
+        throw new Error('feeSplit must be a non-empty array of { "to": "winners" | "burn" | "<address>", "percent": 70 }');
+    }
+
+    const seen = new Set();
+    const rules = setting.map((rule, index) => {
+        const { to, percent, label } = rule || {};
+        if (typeof percent !== 'number' || !Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            throw new Error(`feeSplit rule #${index}: percent must be a number above 0 and at most 100`);
+        }
+        // Labels are shown on the site - plain words only
+        if (label !== undefined && (typeof label !== 'string' || !/^[\w][\w .&-]{0,31}$/.test(label))) {
+            throw new Error(`feeSplit rule #${index}: label must be 1-32 letters, digits, spaces or . & - _`);
+        }
+        if (seen.has(to)) {
+            throw new Error(`feeSplit rule #${index}: "${to}" appears more than once`);
+        }
+        seen.add(to);
+
+        if (to === SPLIT_KIND.WINNERS) {
+            return { kind: SPLIT_KIND.WINNERS, percent, label: label || 'Winners', address: null };
+        }
+        if (to === SPLIT_KIND.BURN) {
+            return { kind: SPLIT_KIND.BURN, percent, label: label || 'Buy & burn', address: null };
+        }
+        try {
+            new PublicKey(to);
+        } catch {
+            throw new Error(`feeSplit rule #${index}: to must be "winners", "burn" or a wallet address (got ${JSON.stringify(to)})`);
+        }
+        return { kind: SPLIT_KIND.WALLET, percent, label: label || `${to.slice(0, 4)}…${to.slice(-4)}`, address: to };
+    });
+
+    if (!rules.some(rule => rule.kind === SPLIT_KIND.WINNERS)) {
+        throw new Error('feeSplit needs a "winners" rule');
+    }
+    const total = rules.reduce((sum, rule) => sum + rule.percent, 0);
+    if (total > 100 + 1e-9) {
+        throw new Error(`feeSplit percentages add up to ${total}, more than 100`);
+    }
+
+    return rules;
+}
+
+/**
+ * The implicit split without rules - winners get all but keepPercentage
+ */
+function defaultFeeSplit(keepPercentage) {
+    return [{ kind: SPLIT_KIND.WINNERS, percent: 100 - keepPercentage, label: 'Winners', address: null }];
+}
+
+/**
+ * Split a spin's fees between the rules - returns [{ ...rule, lamports }]
+ * claimedLamports are split by percent (the rest stays in the wallet); carryOverLamports were already net
+ * of what the wallet keeps, so they are split in proportion to the paid-out percentages
+ */
+function splitFees(rules, claimedLamports, carryOverLamports = 0) {
+    const paidPercent = rules.reduce((sum, rule) => sum + rule.percent, 0);
+    return rules.map(rule => ({
+        ...rule,
+        lamports: Math.floor(claimedLamports * rule.percent / 100) +
+            (paidPercent > 0 ? Math.floor(carryOverLamports * rule.percent / paidPercent) : 0)
+    }));
+}
+
+/**
+ * Wallets that receive a share - they are kept off the wheel so a split leg never doubles as a prize
+ */
+function splitWallets(rules) {
+    return (rules || []).filter(rule => rule.kind === SPLIT_KIND.WALLET).map(rule => rule.address);
+}
+
+/**
+ * Public view - [{ to, label, percent }] plus what stays in the creator wallet
+ */
+function describeFeeSplit(rules, keepPercentage) {
+    const effective = rules || defaultFeeSplit(keepPercentage);
+    const paid = effective.reduce((sum, rule) => sum + rule.percent, 0);
+    return {
+        rules: effective.map(rule => ({ to: rule.address || rule.kind, label: rule.label, percent: rule.percent })),
+        keptPercent: Math.max(100 - paid, 0)
+    };
+}
+
+module.exports = {
+    SPLIT_KIND,
+    parseFeeSplit,
+    defaultFeeSplit,
+    splitFees,
+    splitWallets,
+    describeFeeSplit
+};
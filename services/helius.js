@@ -1,4 +1,6 @@
 const fetch = require('node-fetch');
+const { computeWeights } = require('./weighting');
+const config = require('./config');
 
 // Helius RPC Configuration
 const HELIUS_RPC_URL = 'https://mainnet.helius-rpc.com/?api-key=ae211108-bdbf-40af-90e2-c5418e3f62d3';
@@ -82,40 +84,50 @@ async function getTokenHolders(mintAddress) {
 
 /**
  * Process holders into wheel segment data
- * Each segment size is proportional to the holder's token amount
- * Note: Excludes DEX and liquidity pool addresses from the wheel
+ * Each segment size is proportional to the holder's weight under the wheel's weighting strategy
+ * Note: Excludes DEX and liquidity pool addresses (excludedAddresses setting) from the wheel
  */
 
-// Known liquidity pool and DEX addresses to exclude
-const EXCLUDED_ADDRESSES = [
-    '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium Authority V4
-    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM Program
-    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CPMM
-    '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg', // Raydium CLMM
-    'So11111111111111111111111111111111111111112',   // Wrapped SOL
-];
-
-// Dynamic exclusion list (creator wallet added at runtime)
-let dynamicExclusions = [];
-
-function setCreatorExclusion(creatorAddress) {
-    if (creatorAddress && !dynamicExclusions.includes(creatorAddress)) {
-        dynamicExclusions.push(creatorAddress);
-        console.log(`[Helius] Added creator wallet to exclusions: ${creatorAddress}`);
-    }
+// Exclusions managed through the admin API (apply to every wheel)
+let adminExclusions = [];
+
+/**
+ * Replace the admin-managed exclusion list (addresses only)
+ */
+function setAdminExclusions(addresses) {
+    adminExclusions = [...new Set(addresses || [])];
+    console.log(`[Helius] Admin exclusions set: ${adminExclusions.length} address(es)`);
 }
 
-function processHoldersForWheel(holders) {
+/**
+ * Get global exclusions grouped by source
+ */
+function getExclusions() {
+    return {
+        static: [...config.get('excludedAddresses')],
+        admin: [...adminExclusions]
+    };
+}
+
+/**
+ * extraExclusions - per-wheel addresses (e.g. that wheel's creator wallet and its token's bonding curve or pool)
+ * options.weighting - strategy from weighting.parseWeighting (linear if omitted)
+ * options.multipliers - address -> { multiplier, heldSince } holding bonus, applied on top of the strategy
+ * options.clusters - address -> clusterId; a cluster is weighed as one entrant (its combined bag)
+ * Segments carry weight (used for selection) and odds (% of the wheel / winning chance)
+ */
+function processHoldersForWheel(holders, extraExclusions = [], options = {}) {
+    const { weighting = { strategy: 'linear' }, multipliers = null, clusters = null } = options;
+
     if (!holders || holders.length === 0) {
         return { segments: [], totalSupply: 0 };
     }
 
-    // Combine static and dynamic exclusions
-    const allExclusions = [...EXCLUDED_ADDRESSES, ...dynamicExclusions];
+    // Combine static, admin and per-wheel exclusions
+    const allExclusions = [...config.get('excludedAddresses'), ...adminExclusions, ...extraExclusions];
 
-    // Exclude the top holder (DEX) and any known LP/DEX/Creator addresses
-    // Holders are already sorted by amount descending, so first one is typically the DEX
-    const eligibleHolders = holders.slice(1).filter(holder =>
+    // Exclude known LP/DEX/Creator addresses - the wheel's bonding curve or pool comes in with extraExclusions
+    const eligibleHolders = holders.filter(holder =>
         !allExclusions.includes(holder.owner)
     );
 
@@ -126,8 +138,23 @@ function processHoldersForWheel(holders) {
     // Calculate TOTAL supply (all holders including DEX) for percentage display
     const absoluteTotalSupply = holders.reduce((sum, h) => sum + h.amount, 0);
 
-    // Calculate eligible supply (for wheel weighting)
-    const eligibleSupply = eligibleHolders.reduce((sum, h) => sum + h.amount, 0);
+    // Weights under the active strategy decide both segment size and winning chance
+    // Wallets of one cluster share the strategy weight of their combined amount, split by holdings
+    const entrantKeys = eligibleHolders.map(h => clusters?.get(h.owner) || h.owner);
+    const entrantAmounts = new Map();
+    eligibleHolders.forEach((h, index) => {
+        entrantAmounts.set(entrantKeys[index], (entrantAmounts.get(entrantKeys[index]) || 0) + h.amount);
+    });
+    const entrants = [...entrantAmounts.keys()];
+    const entrantWeights = computeWeights(entrants.map(key => entrantAmounts.get(key)), weighting);
+    const weightByEntrant = new Map(entrants.map((key, index) => [key, entrantWeights[index]]));
+
+    const bonuses = eligibleHolders.map(h => multipliers?.get(h.owner) || null);
+    const weights = eligibleHolders.map((h, index) => {
+        const key = entrantKeys[index];
+        return weightByEntrant.get(key) * (h.amount / entrantAmounts.get(key)) * (bonuses[index]?.multiplier ?? 1);
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
 
     // Create segments with percentages based on TOTAL supply
     const segments = eligibleHolders.map((holder, index) => {
@@ -136,6 +163,10 @@ function processHoldersForWheel(holders) {
             id: index,
             address: holder.owner,
             amount: holder.amount,
+            weight: weights[index],
+            odds: (weights[index] / totalWeight) * 100,
+            ...(clusters?.has(holder.owner) ? { clusterId: clusters.get(holder.owner) } : {}),
+            ...(multipliers ? { multiplier: bonuses[index]?.multiplier ?? 1, heldSince: bonuses[index]?.heldSince || null } : {}),
             percentage: percentage,
             displayAddress: truncateAddress(holder.owner),
             color: generateColor(index, eligibleHolders.length)
@@ -242,5 +273,6 @@ module.exports = {
     processHoldersForWheel,
     truncateAddress,
     getCreatedTokens,
-    setCreatorExclusion
+    setAdminExclusions,
+    getExclusions
 };
@@ -0,0 +1,571 @@
+/**
+ * History Backfill - rebuilds a wheel's spin history and total fees from the creator wallet's chain history
+ * Pages backwards through every creator transaction (getSignaturesForAddress `before` cursors) and classifies
+ * each one: fee claims, payouts (SOL or token, batched or not), token buys and burns. SOL payouts sent through
+ * hop wallets are followed hop by hop to the wallet that kept the funds. The cursor and the events found so far
+ * are saved after every page, so an interrupted backfill resumes where it stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { NATIVE_MINT } = require('@solana/spl-token');
+const { PUMP_PROGRAM_ID, PUMP_AMM_PROGRAM_ID } = require('./pumpVenue');
+const { SPLIT_KIND } = require('./feeSplit');
+const { CHAIN_SOURCE } = require('./wheelLogic');
+const database = require('./database');
+const leader = require('./leader');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+
+const PAGE_SIZE = 100;                  // Creator signatures per page (one cursor save per page)
+const TX_BATCH = 20;
+const MIN_TRANSFER_LAMPORTS = 10000;    // Smaller SOL movements are rent/fee noise, not payouts
+const HOP_SIGNATURE_LIMIT = 6;          // A hop wallet has a funding and a forwarding transaction - busier wallets are recipients
+const MAX_HOP_DEPTH = 8;
+const HOP_MAX_FORWARD_SECONDS = 24 * 60 * 60; // Hop delays and sweeps forward well within a day
+const HOP_FEE_TOLERANCE_LAMPORTS = 1000000;   // A hop forwards what it received less its own fee
+const SPIN_WINDOW_SECONDS = 60 * 60;    // Payouts, buys and burns this long after a claim belong to its spin
+
+const BACKFILL_STATUS = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    COMPLETE: 'complete',
+    FAILED: 'failed'
+};
+
+const PUMP_PROGRAMS = new Set([PUMP_PROGRAM_ID.toBase58(), PUMP_AMM_PROGRAM_ID.toBase58()]);
+const WSOL_MINT = NATIVE_MINT.toBase58();
+
+function shortAddress(address) {
+    return `${address.slice(0, 4)}...${address.slice(-4)}`;
+}
+
+function accountKeysOf(tx) {
+    return tx.transaction.message.accountKeys.map(key => (key.pubkey || key).toBase58());
+}
+
+/**
+ * Token balance changes of a transaction by owner and mint - [{ owner, mint, decimals, change }]
+ */
+function tokenChanges(tx) {
+    const changes = new Map();
+    const apply = (balances, sign) => {
+        for (const balance of balances || []) {
+            if (!balance.owner) continue;
+            const key = `${balance.owner}:${balance.mint}`;
+            const item = changes.get(key) || { owner: balance.owner, mint: balance.mint, decimals: balance.uiTokenAmount.decimals, change: 0 };
+            item.change += sign * Number(balance.uiTokenAmount.amount);
+            changes.set(key, item);
+        }
+    };
+    apply(tx.meta.preTokenBalances, -1);
+    apply(tx.meta.postTokenBalances, 1);
+    return [...changes.values()].filter(item => item.change !== 0);
+}
+
+/**
+ * Wallets that received SOL in a transaction (token accounts and the sender excluded) - [{ address, lamports }]
+ */
+function solReceivers(tx, keys, senderIndex) {
+    const tokenAccounts = new Set([...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])].map(balance => balance.accountIndex));
+    const receivers = [];
+    keys.forEach((address, index) => {
+        const lamports = tx.meta.postBalances[index] - tx.meta.preBalances[index];
+        if (index !== senderIndex && !tokenAccounts.has(index) && lamports >= MIN_TRANSFER_LAMPORTS) {
+            receivers.push({ address, lamports });
+        }
+    });
+    return receivers;
+}
+
+/**
+ * Classify one creator transaction - returns an event or null (deposits, failed and unrelated transactions)
+ * claim: { lamports }; buy: { mint, spentLamports, tokensRaw }; burn: { mint, amountRaw, decimals }
+ * payout: { transfers: [{ recipient, lamports } | { recipient, mint, amountRaw, decimals }] } - SOL recipients
+ * are the first wallet paid; hops are followed later
+ */
+function classifyTransaction(tx, sigInfo, creator) {
+    if (!tx || !tx.meta || tx.meta.err) return null;
+
+    const keys = accountKeysOf(tx);
+    const creatorIndex = keys.indexOf(creator);
+    if (creatorIndex === -1) return null;
+
+    const base = { signature: sigInfo.signature, slot: sigInfo.slot, blockTime: sigInfo.blockTime || tx.blockTime || null };
+    const tokens = tokenChanges(tx);
+    const creatorTokens = tokens.filter(item => item.owner === creator && item.mint !== WSOL_MINT);
+    // PumpSwap moves wrapped SOL - count it with the creator's lamports, and give back the fee it paid
+    const wrapped = tokens.find(item => item.owner === creator && item.mint === WSOL_MINT);
+    const fee = creatorIndex === 0 ? tx.meta.fee : 0;
+    const creatorNet = tx.meta.postBalances[creatorIndex] - tx.meta.preBalances[creatorIndex] + fee + (wrapped ? wrapped.change : 0);
+
+    if (keys.some(key => PUMP_PROGRAMS.has(key))) {
+        const bought = creatorTokens.find(item => item.change > 0);
+        if (bought && creatorNet < 0) {
+            return { type: 'buy', ...base, mint: bought.mint, spentLamports: -creatorNet, tokensRaw: bought.change };
+        }
+        if (!bought && creatorNet > 0) {
+            return { type: 'claim', ...base, lamports: creatorNet };
+        }
+        return null;
+    }
+
+    const isSigner = tx.transaction.message.accountKeys[creatorIndex].signer;
+    if (!isSigner) return null;
+
+    const received = tokens.filter(item => item.owner !== creator && item.mint !== WSOL_MINT && item.change > 0);
+    const burned = creatorTokens.find(item => item.change < 0 && !received.some(other => other.mint === item.mint));
+    if (burned) {
+        return { type: 'burn', ...base, mint: burned.mint, amountRaw: -burned.change, decimals: burned.decimals };
+    }
+
+    const transfers = [
+        ...(creatorNet < 0 ? solReceivers(tx, keys, creatorIndex).map(item => ({ recipient: item.address, lamports: item.lamports })) : []),
+        ...received.map(item => ({ recipient: item.owner, mint: item.mint, amountRaw: item.change, decimals: item.decimals }))
+    ];
+    return transfers.length > 0 ? { type: 'payout', ...base, transfers } : null;
+}
+
+/**
+ * Find where a hop wallet forwarded its funds - incoming: { signature, blockTime, lamports } that funded it
+ * A hop wallet was first funded by that transfer and later emptied into one wallet, less its fee.
+ * Returns { to, lamports, signature, blockTime }, or null when the address is the final recipient
+ */
+async function findForward(connection, address, incoming) {
+    const signatures = await connection.getSignaturesForAddress(new PublicKey(address), { limit: HOP_SIGNATURE_LIMIT });
+    if (signatures.length === 0 || signatures.length >= HOP_SIGNATURE_LIMIT) return null;
+    if (signatures[signatures.length - 1].signature !== incoming.signature) return null;
+
+    const later = signatures.slice(0, -1).reverse().filter(sig => !sig.err);
+    for (const sigInfo of later) {
+        if (sigInfo.blockTime && incoming.blockTime && sigInfo.blockTime - incoming.blockTime > HOP_MAX_FORWARD_SECONDS) break;
+
+        const tx = await connection.getParsedTransaction(sigInfo.signature, { maxSupportedTransactionVersion: 0 });
+        if (!tx || !tx.meta || tx.meta.err) continue;
+
+        const keys = accountKeysOf(tx);
+        const index = keys.indexOf(address);
+        if (index === -1 || tx.meta.postBalances[index] - tx.meta.preBalances[index] >= 0) continue;
+        if (tx.meta.postBalances[index] !== 0) return null;
+
+        const receivers = solReceivers(tx, keys, index);
+        if (receivers.length !== 1 || incoming.lamports - receivers[0].lamports > HOP_FEE_TOLERANCE_LAMPORTS) return null;
+        return { to: receivers[0].address, lamports: receivers[0].lamports, signature: sigInfo.signature, blockTime: sigInfo.blockTime };
+    }
+    return null;
+}
+
+/**
+ * Follow a SOL payout from the first wallet paid to the wallet that kept it
+ * Returns { recipient, lamports, hops } - hops in the payout result shape ({ from, to, lamports, sig }, from 'dev' first)
+ */
+async function followHops(connection, event, transfer) {
+    const hops = [{ from: 'dev', to: transfer.recipient, lamports: transfer.lamports, sig: event.signature }];
+    let incoming = { signature: event.signature, blockTime: event.blockTime, lamports: transfer.lamports };
+    let current = transfer.recipient;
+
+    for (let depth = 0; depth < MAX_HOP_DEPTH; depth++) {
+        const forward = await findForward(connection, current, incoming);
+        if (!forward) break;
+        hops.push({ from: current, to: forward.to, lamports: forward.lamports, sig: forward.signature });
+        current = forward.to;
+        incoming = forward;
+    }
+
+    return { recipient: current, lamports: incoming.lamports, hops };
+}
+
+/**
+ * Group classified events into spins - a claim opens a spin that takes the payouts, buys and burns after it
+ * (payouts with no claim before them are spins of their own)
+ * splitWallets: fee split wallet addresses - their transfers are split legs, not winners
+ * Returns { spins, totalLamports } - spins oldest first, without ids; totalLamports counts the SOL winners
+ * received and the SOL spent buying tokens for them, as the live wheel adds to its total
+ */
+function buildSpins(events, splitWallets = []) {
+    const wallets = new Set(splitWallets);
+    const ordered = events
+        .map((event, order) => ({ event, order }))
+        // Events are stored newest first - within a slot, a higher position is older
+        .sort((a, b) => a.event.slot - b.event.slot || b.order - a.order)
+        .map(item => item.event);
+
+    const groups = [];
+    let open = null;
+    for (const event of ordered) {
+        if (event.type === 'claim') {
+            open = { claim: event, payouts: [], buys: [], burns: [] };
+            groups.push(open);
+            continue;
+        }
+        const inWindow = open && event.blockTime - open.claim.blockTime <= SPIN_WINDOW_SECONDS;
+        if (event.type === 'payout') {
+            if (inWindow) {
+                open.payouts.push(event);
+            } else {
+                groups.push({ claim: null, payouts: [event], buys: [], burns: [] });
+            }
+        } else if (inWindow) {
+            open[event.type === 'buy' ? 'buys' : 'burns'].push(event);
+        }
+    }
+
+    const spins = [];
+    let totalLamports = 0;
+    for (const group of groups) {
+        const spin = toSpin(group, wallets);
+        if (!spin) continue;
+        spins.push(spin);
+        totalLamports += spin.payoutAsset ? (spin.buyback ? spin.buyback.spentLamports : 0) : spin.distributedLamports;
+    }
+    return { spins, totalLamports };
+}
+
+/**
+ * One group's spin record (without id and timestampReadable - see wheelLogic.replaceChainHistory)
+ */
+function toSpin(group, wallets) {
+    const transfers = group.payouts.flatMap(event => event.transfers.map(transfer => ({ ...transfer, event })));
+    const winning = transfers.filter(transfer => !wallets.has(transfer.recipient));
+    if (winning.length === 0) return null;
+
+    // Each spin paid one asset - the first winner's
+    const mint = winning[0].mint || null;
+    const decimals = mint ? winning[0].decimals : 9;
+    const paid = winning.filter(transfer => (transfer.mint || null) === mint);
+    const total = paid.reduce((sum, transfer) => sum + (mint ? transfer.amountRaw : transfer.lamports), 0);
+
+    // A buy is a burn leg when a burn of exactly its tokens follows; other buys bought the winners' tokens
+    const burns = [...group.burns];
+    const burnLegs = [];
+    const buybacks = [];
+    for (const buy of group.buys) {
+        const index = burns.findIndex(burn => burn.mint === buy.mint && burn.amountRaw === buy.tokensRaw);
+        if (index === -1) {
+            buybacks.push(buy);
+        } else {
+            burnLegs.push({ buy, burn: burns.splice(index, 1)[0] });
+        }
+    }
+    const buyback = mint ? buybacks.find(buy => buy.mint === mint) || null : null;
+
+    const timestamp = new Date(((group.claim || group.payouts[0]).blockTime || 0) * 1000).toISOString();
+    const payouts = paid.map(transfer => {
+        const amountRaw = mint ? transfer.amountRaw : transfer.lamports;
+        const hops = transfer.hops || [{ from: 'dev', to: transfer.recipient, lamports: amountRaw, sig: transfer.event.signature }];
+        const signature = hops[hops.length - 1].sig;
+        return {
+            address: transfer.recipient,
+            share: amountRaw / total,
+            success: true,
+            amount: amountRaw / 10 ** decimals,
+            lamports: amountRaw,
+            signature: signature,
+            txUrl: `https://solscan.io/tx/${signature}`,
+            route: { mode: hops.length > 1 ? 'hops' : 'direct', hops: hops.length - 1 },
+            hops: hops,
+            error: null
+        };
+    });
+    const splits = [
+        ...transfers.filter(transfer => wallets.has(transfer.recipient) && !transfer.mint).map(transfer => ({
+            kind: SPLIT_KIND.WALLET,
+            label: shortAddress(transfer.recipient),
+            address: transfer.recipient,
+            success: true,
+            amount: transfer.lamports / LAMPORTS_PER_SOL,
+            lamports: transfer.lamports,
+            signature: transfer.event.signature,
+            txUrl: `https://solscan.io/tx/${transfer.event.signature}`
+        })),
+        ...burnLegs.map(({ buy, burn }) => ({
+            kind: SPLIT_KIND.BURN,
+            label: 'Buy & burn',
+            address: burn.mint,
+            success: true,
+            amount: buy.spentLamports / LAMPORTS_PER_SOL,
+            lamports: buy.spentLamports,
+            burned: burn.amountRaw / 10 ** burn.decimals,
+            signature: burn.signature,
+            txUrl: `https://solscan.io/tx/${burn.signature}`
+        }))
+    ];
+    const asset = mint ? { symbol: shortAddress(mint), mint, decimals } : null;
+
+    return {
+        source: CHAIN_SOURCE,
+        winners: payouts.map(payout => ({
+            address: payout.address,
+            displayAddress: shortAddress(payout.address),
+            amount: 0,
+            percentage: 0,
+            share: payout.share
+        })),
+        timestamp: timestamp,
+        distribution: total / 10 ** decimals,
+        distributedLamports: total,
+        txSignature: payouts[0].signature,
+        solscanUrl: payouts[0].txUrl,
+        payouts: payouts,
+        claimTx: group.claim ? group.claim.signature : null,
+        claimedLamports: group.claim ? group.claim.lamports : null,
+        payoutAsset: asset,
+        buyback: buyback ? {
+            ...asset,
+            signature: buyback.signature,
+            txUrl: `https://solscan.io/tx/${buyback.signature}`,
+            spentLamports: buyback.spentLamports,
+            spent: buyback.spentLamports / LAMPORTS_PER_SOL,
+            tokensRaw: buyback.tokensRaw,
+            tokens: buyback.tokensRaw / 10 ** decimals
+        } : null,
+        splits: splits.length > 0 ? splits : null
+    };
+}
+
+/**
+ * Create the backfill for one wheel
+ * options: { rpcEndpoint, logic (the wheel's wheelLogic), getCreator() - creator address or null, splitWallets }
+ */
+function createHistoryBackfill(wheelId = DEFAULT_WHEEL_ID, options = {}) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'backfill.json');
+    const SETTING_KEY = `backfill:${wheelId}`;
+    const log = `[Backfill:${wheelId}]`;
+    const connection = new Connection(options.rpcEndpoint, 'confirmed');
+    const { logic } = options;
+
+    // before: the oldest signature scanned (the next page starts below it); newestSignature: where the scan began
+    // trackedAtStart: the wheel's total fees when the scan began - fees tracked since are newer than the scan
+    // events: classified transactions, newest first; result: what the last rebuild imported
+    let state = freshState();
+    let running = null;
+
+    function freshState() {
+        return {
+            status: BACKFILL_STATUS.IDLE,
+            before: null,
+            newestSignature: null,
+            trackedAtStart: null,
+            scanned: 0,
+            events: [],
+            startedAt: null,
+            updatedAt: null,
+            finishedAt: null,
+            error: null,
+            result: null
+        };
+    }
+
+    async function load() {
+        let stored = null;
+
+        if (database.isAvailable()) {
+            stored = await database.getSetting(SETTING_KEY);
+        } else {
+            try {
+                if (fs.existsSync(DATA_PATH)) {
+                    stored = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                }
+            } catch (error) {
+                console.error(`${log} Failed to load backfill state:`, error.message);
+            }
+        }
+
+        state = { ...freshState(), ...(stored || {}) };
+    }
+
+    async function save() {
+        state.updatedAt = new Date().toISOString();
+        if (database.isAvailable()) {
+            await database.saveSetting(SETTING_KEY, state);
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DATA_PATH, JSON.stringify(state));
+        } catch (error) {
+            console.error(`${log} Failed to save backfill state:`, error.message);
+        }
+    }
+
+    /**
+     * Classify one page of creator signatures, following the hops of its SOL payouts
+     */
+    async function classifyPage(page, creator) {
+        const wallets = new Set(options.splitWallets || []);
+        const landed = page.filter(sigInfo => !sigInfo.err);
+        const events = [];
+
+        for (let i = 0; i < landed.length; i += TX_BATCH) {
+            const batch = landed.slice(i, i + TX_BATCH);
+            const transactions = await connection.getParsedTransactions(batch.map(sigInfo => sigInfo.signature), { maxSupportedTransactionVersion: 0 });
+
+            for (const [index, tx] of transactions.entries()) {
+                const event = classifyTransaction(tx, batch[index], creator);
+                if (!event) continue;
+
+                if (event.type === 'payout') {
+                    for (const transfer of event.transfers) {
+                        if (transfer.mint || wallets.has(transfer.recipient)) continue;
+                        const route = await followHops(connection, event, transfer);
+                        if (route.hops.length > 1) {
+                            transfer.recipient = route.recipient;
+                            transfer.lamports = route.lamports;
+                            transfer.hops = route.hops;
+                        }
+                    }
+                }
+                events.push(event);
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Replace the chain-derived history with the spins the events describe, and reset the total fees
+     */
+    async function rebuild() {
+        const { spins, totalLamports } = buildSpins(state.events, options.splitWallets);
+        const trackedSince = Math.max(logic.getTotalFeesSent() - (state.trackedAtStart || 0), 0);
+        const totalFees = totalLamports / LAMPORTS_PER_SOL + trackedSince;
+
+        // From here the wheel's total includes the rebuilt fees - a rebuild interrupted after the replace must
+        // not count them again as tracked since the start
+        const previous = state.trackedAtStart;
+        state.trackedAtStart = totalFees;
+        await save();
+        try {
+            const imported = await logic.replaceChainHistory(spins, totalFees);
+            return { spins: spins.length, imported, totalFees };
+        } catch (error) {
+            state.trackedAtStart = previous;
+            throw error;
+        }
+    }
+
+    async function scan() {
+        const creator = options.getCreator();
+        if (!creator) {
+            return { success: false, error: 'Creator wallet not configured' };
+        }
+
+        if (state.status === BACKFILL_STATUS.IDLE) {
+            state = { ...freshState(), startedAt: new Date().toISOString(), trackedAtStart: logic.getTotalFeesSent() };
+        }
+        state.status = BACKFILL_STATUS.RUNNING;
+        state.error = null;
+        await save();
+        console.log(`${log} ${state.before ? `Resuming history backfill before ${state.before}` : 'Starting history backfill'} (${state.scanned} transactions scanned)`);
+
+        try {
+            const creatorKey = new PublicKey(creator);
+            let page;
+            do {
+                page = await connection.getSignaturesForAddress(creatorKey, { before: state.before || undefined, limit: PAGE_SIZE });
+                const events = await classifyPage(page, creator);
+
+                if (!state.newestSignature && page.length > 0) {
+                    state.newestSignature = page[0].signature;
+                }
+                state.events.push(...events);
+                state.scanned += page.length;
+                if (page.length > 0) {
+                    state.before = page[page.length - 1].signature;
+                }
+                await save();
+                console.log(`${log} Scanned ${state.scanned} transactions, ${state.events.length} claims/payouts/buys/burns so far`);
+            } while (page.length === PAGE_SIZE);
+
+            state.result = await rebuild();
+            state.status = BACKFILL_STATUS.COMPLETE;
+            state.finishedAt = new Date().toISOString();
+            await save();
+
+            console.log(`${log} Backfill complete: ${state.result.spins} spins found (${state.result.imported} imported), total fees ${state.result.totalFees.toFixed(4)} SOL`);
+            return { success: true, ...state.result };
+        } catch (error) {
+            state.status = BACKFILL_STATUS.FAILED;
+            state.error = error.message;
+            await save();
+            console.error(`${log} Backfill stopped after ${state.scanned} transactions:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Scan the rest of the history and rebuild (leader only) - resumes a failed or interrupted scan
+     * Does nothing once complete; concurrent calls share the running scan
+     */
+    function run() {
+        if (running) return running;
+        if (state.status === BACKFILL_STATUS.COMPLETE) {
+            return Promise.resolve({ success: true, ...state.result });
+        }
+        running = scan().finally(() => {
+            running = null;
+        });
+        return running;
+    }
+
+    /**
+     * Start over from the newest creator transaction - picks up payouts made since the last backfill
+     */
+    async function restart() {
+        if (running) {
+            return { success: false, error: 'Backfill already running' };
+        }
+        if (!options.getCreator()) {
+            return { success: false, error: 'Creator wallet not configured' };
+        }
+        state = freshState();
+        await save();
+        run().catch(error => console.error(`${log} Backfill failed:`, error.message));
+        return { success: true };
+    }
+
+    /**
+     * Admin view - progress and the last rebuild, with the events found by type
+     */
+    async function getStatus() {
+        if (!leader.isLeader()) {
+            await load();
+        }
+
+        const counts = {};
+        for (const event of state.events) {
+            counts[event.type] = (counts[event.type] || 0) + 1;
+        }
+        return {
+            status: state.status,
+            running: running !== null,
+            scanned: state.scanned,
+            cursor: state.before,
+            newestSignature: state.newestSignature,
+            events: counts,
+            startedAt: state.startedAt,
+            updatedAt: state.updatedAt,
+            finishedAt: state.finishedAt,
+            error: state.error,
+            result: state.result
+        };
+    }
+
+    return {
+        load,
+        run,
+        restart,
+        getStatus
+    };
+}
+
+module.exports = {
+    BACKFILL_STATUS,
+    createHistoryBackfill
+};
@@ -0,0 +1,203 @@
+/**
+ * Holding Tracker - how long each wallet has held continuously ("diamond hands")
+ * Every holder refresh is a snapshot: new wallets start their clock, any balance drop resets it,
+ * and wallets that disappear are forgotten. The duration becomes a weight multiplier for the draw.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+const leader = require('./leader');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+const PERSIST_INTERVAL_MS = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Validate holding bonus settings - { maxMultiplier, fullAfterHours }
+ * maxMultiplier 1 disables the bonus
+ */
+function parseHoldingBonus(setting = {}) {
+    const maxMultiplier = setting.maxMultiplier ?? 1;
+    const fullAfterHours = setting.fullAfterHours ?? 168;
+
+    if (typeof maxMultiplier !== 'number' || maxMultiplier < 1 || maxMultiplier > 10) {
+        throw new Error('Holding bonus maxMultiplier must be a number from 1 to 10');
+    }
+    if (typeof fullAfterHours !== 'number' || fullAfterHours <= 0) {
+        throw new Error('Holding bonus fullAfterHours must be a positive number');
+    }
+
+    return { maxMultiplier, fullAfterHours };
+}
+
+/**
+ * Multiplier ramps linearly from 1x (just bought) to maxMultiplier after fullAfterHours
+ */
+function holdingMultiplier(heldMs, bonus) {
+    const progress = Math.min(Math.max(heldMs, 0) / (bonus.fullAfterHours * HOUR_MS), 1);
+    return 1 + (bonus.maxMultiplier - 1) * progress;
+}
+
+/**
+ * Create the holding tracker for one wheel
+ */
+function createHoldingTracker(wheelId = DEFAULT_WHEEL_ID, bonus = parseHoldingBonus()) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'holdings.json');
+    const log = `[Holdings:${wheelId}]`;
+
+    // address -> { since (ms), amount }
+    let holdings = new Map();
+    const dirty = new Set();
+    const removed = new Set();
+    let lastPersist = 0;
+    let useDatabase = false;
+
+    function isEnabled() {
+        return bonus.maxMultiplier > 1;
+    }
+
+    function loadFile() {
+        try {
+            if (fs.existsSync(DATA_PATH)) {
+                const parsed = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                holdings = new Map(parsed.holdings.map(entry => [entry.address, { since: entry.since, amount: entry.amount }]));
+            }
+        } catch (error) {
+            console.error(`${log} Failed to load holdings:`, error.message);
+        }
+    }
+
+    function saveFile() {
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            const entries = [...holdings].map(([address, entry]) => ({ address, ...entry }));
+            fs.writeFileSync(DATA_PATH, JSON.stringify({ holdings: entries, lastUpdated: new Date().toISOString() }));
+        } catch (error) {
+            console.error(`${log} Failed to save holdings:`, error.message);
+        }
+    }
+
+    /**
+     * Load persisted holding clocks (call after the database is initialized)
+     */
+    async function load() {
+        useDatabase = database.isAvailable();
+
+        if (useDatabase) {
+            const rows = await database.getHolderTenure(wheelId);
+            holdings = new Map(rows.map(row => [row.address, { since: row.since, amount: row.amount }]));
+        } else {
+            loadFile();
+        }
+
+        console.log(`${log} Loaded holding clocks for ${holdings.size} wallet(s)`);
+    }
+
+    /**
+     * Write changes - the leader persists, followers pick up the leader's view instead
+     */
+    async function persist() {
+        if (!useDatabase) {
+            saveFile();
+        } else if (leader.isLeader()) {
+            const changed = [...dirty].filter(address => holdings.has(address))
+                .map(address => ({ address, ...holdings.get(address) }));
+            await database.saveHolderTenure(changed, [...removed], wheelId);
+        } else {
+            await load();
+        }
+
+        dirty.clear();
+        removed.clear();
+        lastPersist = Date.now();
+    }
+
+    /**
+     * Apply a holder snapshot from getTokenHolders
+     * Balances are summed per owner (a wallet can have several token accounts)
+     */
+    async function recordSnapshot(holders, now = Date.now()) {
+        // An empty result means the fetch failed - never treat that as everyone selling
+        if (!holders || holders.length === 0) return;
+
+        const balances = new Map();
+        for (const holder of holders) {
+            balances.set(holder.owner, (balances.get(holder.owner) || 0) + holder.amount);
+        }
+
+        let resets = 0;
+        for (const [address, amount] of balances) {
+            const entry = holdings.get(address);
+
+            if (!entry) {
+                holdings.set(address, { since: now, amount });
+                dirty.add(address);
+            } else if (amount < entry.amount) {
+                // Sold (even partially) - the clock starts again
+                holdings.set(address, { since: now, amount });
+                dirty.add(address);
+                resets++;
+            } else if (amount !== entry.amount) {
+                // Bought more - keep the clock, remember the new balance
+                entry.amount = amount;
+                dirty.add(address);
+            }
+        }
+
+        // Wallets that sold out are forgotten
+        for (const address of [...holdings.keys()]) {
+            if (!balances.has(address)) {
+                holdings.delete(address);
+                dirty.delete(address);
+                removed.add(address);
+            }
+        }
+
+        if (resets > 0) {
+            console.log(`${log} ${resets} wallet(s) sold - holding clock reset`);
+        }
+
+        if (now - lastPersist >= PERSIST_INTERVAL_MS) {
+            await persist();
+        }
+    }
+
+    /**
+     * address -> { multiplier, heldSince } for processHoldersForWheel (null when the bonus is off)
+     */
+    function getMultipliers(now = Date.now()) {
+        if (!isEnabled()) return null;
+
+        const multipliers = new Map();
+        for (const [address, entry] of holdings) {
+            multipliers.set(address, {
+                multiplier: holdingMultiplier(now - entry.since, bonus),
+                heldSince: new Date(entry.since).toISOString()
+            });
+        }
+        return multipliers;
+    }
+
+    function getSettings() {
+        return { enabled: isEnabled(), ...bonus };
+    }
+
+    return {
+        load,
+        persist,
+        recordSnapshot,
+        getMultipliers,
+        getSettings
+    };
+}
+
+module.exports = {
+    parseHoldingBonus,
+    holdingMultiplier,
+    createHoldingTracker
+};
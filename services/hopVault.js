@@ -0,0 +1,194 @@
+/**
+ * Hop Wallet Vault - encrypted storage for the throwaway hop wallets of a transfer route
+ * Keys are written before any funds move, so SOL stranded by a failed leg can always be recovered.
+ * Encryption: AES-256-GCM with a key derived (scrypt) from HOP_WALLET_SECRET, or the wheel's creator key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Keypair } = require('@solana/web3.js');
+const database = require('./database');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+
+const HOP_STATUS = {
+    ACTIVE: 'active',   // Part of a route that has not finished (may hold funds)
+    DRAINED: 'drained', // Its route finished - empty
+    SWEPT: 'swept'      // Funds recovered by the sweeper
+};
+
+/**
+ * Create the vault for one wheel
+ * fallbackSecret is used when HOP_WALLET_SECRET is not set (normally the creator private key)
+ */
+function createHopVault(wheelId = DEFAULT_WHEEL_ID, fallbackSecret = null) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'hops.json');
+    const log = `[HopVault:${wheelId}]`;
+
+    const secret = process.env.HOP_WALLET_SECRET || fallbackSecret;
+    const key = secret ? crypto.scryptSync(secret, `wheel-hop-vault:${wheelId}`, 32) : null;
+
+    // File mode only - address -> wallet record
+    const wallets = new Map();
+    let useDatabase = false;
+
+    function encrypt(secretKey) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+        return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    function decrypt(payload) {
+        const [version, iv, tag, ciphertext] = payload.split(':');
+        if (version !== 'v1') {
+            throw new Error(`Unsupported hop key format "${version}"`);
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    }
+
+    function loadFile() {
+        try {
+            if (fs.existsSync(DATA_PATH)) {
+                const parsed = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                for (const wallet of parsed.wallets || []) {
+                    wallets.set(wallet.address, wallet);
+                }
+            }
+        } catch (error) {
+            console.error(`${log} Failed to load hop wallets:`, error.message);
+        }
+    }
+
+    // Throws so a hop transfer never starts with unsaved keys
+    function saveFile() {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+        fs.writeFileSync(DATA_PATH, JSON.stringify({ wallets: [...wallets.values()], lastUpdated: new Date().toISOString() }, null, 2));
+    }
+
+    /**
+     * Load stored wallets (call after the database is initialized)
+     */
+    async function load() {
+        useDatabase = database.isAvailable();
+        if (!useDatabase) {
+            loadFile();
+            console.log(`${log} Loaded ${wallets.size} hop wallet(s)`);
+        }
+    }
+
+    function isReady() {
+        return key !== null;
+    }
+
+    /**
+     * Store the hop wallets of a route before it is funded
+     * route: [{ keypair, next }] in route order (next = the address each hop forwards to)
+     * context: { spinId, recipient }
+     */
+    async function store(route, context = {}) {
+        if (!key) {
+            throw new Error('Hop wallet vault has no secret (set HOP_WALLET_SECRET or a creator key)');
+        }
+
+        const now = new Date().toISOString();
+        const records = route.map((hop, index) => ({
+            address: hop.keypair.publicKey.toBase58(),
+            encryptedKey: encrypt(hop.keypair.secretKey),
+            spinId: context.spinId ?? null,
+            recipient: context.recipient ?? null,
+            hopIndex: index + 1,
+            next: hop.next,
+            status: HOP_STATUS.ACTIVE,
+            resolution: null,
+            createdAt: now,
+            updatedAt: now
+        }));
+
+        if (useDatabase) {
+            if (!(await database.saveHopWallets(records, wheelId))) {
+                throw new Error('Could not store hop wallet keys');
+            }
+        } else {
+            records.forEach(record => wallets.set(record.address, record));
+            saveFile();
+        }
+    }
+
+    /**
+     * Stored wallets without key material - filter: { statuses, address }
+     */
+    async function list(filter = {}) {
+        const all = useDatabase
+            ? await database.getHopWallets(filter, wheelId)
+            : [...wallets.values()]
+                .filter(wallet => !filter.statuses || filter.statuses.includes(wallet.status))
+                .filter(wallet => !filter.address || wallet.address === filter.address)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.hopIndex - b.hopIndex);
+
+        return all.map(({ encryptedKey, ...wallet }) => wallet);
+    }
+
+    async function get(address) {
+        const [wallet] = await list({ address });
+        return wallet || null;
+    }
+
+    async function getKeypair(address) {
+        const record = useDatabase
+            ? (await database.getHopWallets({ address }, wheelId))[0]
+            : wallets.get(address);
+
+        if (!record) {
+            throw new Error(`Unknown hop wallet ${address}`);
+        }
+        return Keypair.fromSecretKey(decrypt(record.encryptedKey));
+    }
+
+    /**
+     * Change a wallet's status (resolution: { action, signature, lamports } when swept)
+     */
+    async function setStatus(addresses, status, resolution = null) {
+        if (useDatabase) {
+            await database.updateHopWallets(addresses, status, resolution, wheelId);
+            return;
+        }
+
+        const now = new Date().toISOString();
+        for (const address of addresses) {
+            const wallet = wallets.get(address);
+            if (wallet) {
+                wallet.status = status;
+                wallet.resolution = resolution;
+                wallet.updatedAt = now;
+            }
+        }
+        try {
+            saveFile();
+        } catch (error) {
+            console.error(`${log} Failed to save hop wallets:`, error.message);
+        }
+    }
+
+    return {
+        load,
+        isReady,
+        store,
+        list,
+        get,
+        getKeypair,
+        setStatus
+    };
+}
+
+module.exports = {
+    HOP_STATUS,
+    createHopVault
+};
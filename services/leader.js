@@ -0,0 +1,148 @@
+/**
+ * Leader Election - only one instance runs the spin scheduler and payouts
+ * Uses a Postgres advisory lock (see database.js); without a database this instance is always the leader
+ * Followers serve the API and WebSocket, relaying the leader's spin events to their own clients
+ */
+
+const os = require('os');
+const database = require('./database');
+
+const CHECK_INTERVAL_MS = 5 * 1000;
+const EVENT_RETENTION_MINUTES = 60;
+
+const instanceId = process.env.RAILWAY_REPLICA_ID || `${os.hostname()}:${process.pid}`;
+
+let leader = false;
+let elected = false; // false = single instance (no database)
+let leaderSince = null;
+let checkTimer = null;
+const changeListeners = [];
+
+function setLeader(value) {
+    if (leader === value) return;
+
+    leader = value;
+    leaderSince = value ? new Date().toISOString() : null;
+    console.log(`[Leader] ${instanceId} is now ${value ? 'the LEADER' : 'a follower'}`);
+
+    for (const listener of changeListeners) {
+        try {
+            listener(value);
+        } catch (error) {
+            console.error('[Leader] Change listener failed:', error.message);
+        }
+    }
+}
+
+async function check() {
+    if (leader) {
+        if (!(await database.holdsLeaderLock())) {
+            console.error('[Leader] Lost the leader lock');
+            setLeader(false);
+        } else {
+            await database.pruneEvents(EVENT_RETENTION_MINUTES);
+        }
+    } else if (await database.tryAcquireLeaderLock()) {
+        setLeader(true);
+    }
+}
+
+/**
+ * Start the election (call after the database is initialized)
+ */
+async function initialize() {
+    if (!database.isAvailable()) {
+        elected = false;
+        setLeader(true);
+        console.log('[Leader] No database - running as a single instance');
+        return leader;
+    }
+
+    elected = true;
+    await check();
+    checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+
+    if (!leader) {
+        console.log('[Leader] Another instance holds the lock - serving API/WebSocket only');
+    }
+    return leader;
+}
+
+function isLeader() {
+    return leader;
+}
+
+/**
+ * Re-check the lock right before a step that moves funds - throws once this instance is no longer the leader
+ * A dropped lock is otherwise only noticed at the next check, while the new leader may already be paying
+ */
+async function ensureLeader() {
+    if (leader && elected && !(await database.holdsLeaderLock())) {
+        console.error('[Leader] Lost the leader lock');
+        setLeader(false);
+    }
+    if (!leader) {
+        throw new Error('This instance is no longer the leader');
+    }
+}
+
+/**
+ * listener(isLeader) - called whenever this instance gains or loses leadership
+ */
+function onChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Relay a wheel event to the other instances (leader only, no-op without a database)
+ */
+async function publish(wheelId, message) {
+    if (!elected || !leader) return false;
+    return database.publishEvent(wheelId, instanceId, message);
+}
+
+/**
+ * handler(wheelId, message) - events relayed by another instance
+ */
+async function subscribe(handler) {
+    if (!elected) return false;
+
+    return database.subscribeEvents(({ wheelId, source, message }) => {
+        if (source === instanceId) return;
+        handler(wheelId, message);
+    });
+}
+
+/**
+ * Give up leadership on shutdown so a follower can take over immediately
+ */
+async function shutdown() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+    }
+    if (elected && leader) {
+        await database.releaseLeaderLock();
+        setLeader(false);
+    }
+}
+
+function getStatus() {
+    return {
+        instanceId: instanceId,
+        mode: elected ? 'elected' : 'single',
+        isLeader: leader,
+        leaderSince: leaderSince
+    };
+}
+
+module.exports = {
+    initialize,
+    isLeader,
+    ensureLeader,
+    onChange,
+    publish,
+    subscribe,
+    shutdown,
+    getStatus
+};
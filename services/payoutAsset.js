@@ -0,0 +1,74 @@
+/**
+ * Payout Assets - what a wheel pays its winners in
+ * SOL (default) is funded by the claimed creator fees; an SPL token (the wheel's own token or e.g. a
+ * stablecoin) pays a fixed amount per spin from the creator wallet's token balance; a buyback spends
+ * the SOL pot on the wheel's token and pays out the tokens bought.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+const SOL_ASSET = Object.freeze({ type: 'sol', symbol: 'SOL', mint: null, decimals: 9 });
+
+/**
+ * Normalize a payout asset setting
+ * "SOL" (default), "buyback", or { mint, amountPerSpin, symbol } where mint is a mint address or "token"
+ * (the wheel's own token) and amountPerSpin is in whole tokens, split between the winners
+ */
+function parsePayoutAsset(setting = 'SOL') {
+    if (setting === 'SOL' || setting === 'sol') {
+        return SOL_ASSET;
+    }
+    if (setting === 'buyback') {
+        return { type: 'buyback', mint: 'token', symbol: null, decimals: null };
+    }
+    if (!setting || typeof setting !== 'object') {
+        throw new Error('payoutAsset must be "SOL", "buyback" or { "mint": "...", "amountPerSpin": 1000 }');
+    }
+
+    const { mint, amountPerSpin, symbol } = setting;
+    if (mint !== 'token') {
+        try {
+            new PublicKey(mint);
+        } catch {
+            throw new Error(`payoutAsset mint must be a mint address or "token" (got ${JSON.stringify(mint)})`);
+        }
+    }
+    if (typeof amountPerSpin !== 'number' || !Number.isFinite(amountPerSpin) || amountPerSpin <= 0) {
+        throw new Error('payoutAsset amountPerSpin must be a positive number of tokens');
+    }
+    if (symbol !== undefined && (typeof symbol !== 'string' || symbol.length === 0 || symbol.length > 12)) {
+        throw new Error('payoutAsset symbol must be 1-12 characters');
+    }
+
+    return { type: 'spl', mint, amountPerSpin, symbol: symbol || null, decimals: null };
+}
+
+/**
+ * Whole tokens -> base units (throws if the amount does not fit exactly in a JS number)
+ */
+function toBaseUnits(amount, decimals) {
+    const raw = Math.floor(amount * 10 ** decimals);
+    if (!Number.isSafeInteger(raw)) {
+        throw new Error(`Amount ${amount} is too large for ${decimals} decimals`);
+    }
+    return raw;
+}
+
+function fromBaseUnits(raw, decimals) {
+    return raw / 10 ** decimals;
+}
+
+/**
+ * The asset as recorded with spins and payouts - { symbol, mint, decimals }
+ */
+function describeAsset(asset) {
+    return { symbol: asset.symbol, mint: asset.mint, decimals: asset.decimals };
+}
+
+module.exports = {
+    SOL_ASSET,
+    parsePayoutAsset,
+    toBaseUnits,
+    fromBaseUnits,
+    describeAsset
+};
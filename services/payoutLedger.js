@@ -0,0 +1,562 @@
+/**
+ * Payout Ledger - one persistent entry per spin and recipient (amount, state, attempts, signatures, last error)
+ * Every transfer signature is stored before it is broadcast, and earlier attempts are checked on-chain
+ * before anything is re-sent, so a payout that confirmed can never go out twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const database = require('./database');
+const config = require('./config');
+const { SOL_ASSET } = require('./payoutAsset');
+const { DIRECT_POLICY } = require('./payoutRoute');
+const { canBatch } = require('./pumpfun');
+const leader = require('./leader');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+
+const PAYOUT_STATE = {
+    PENDING: 'pending',     // Recorded, nothing sent yet
+    SENDING: 'sending',     // An attempt is in flight (or was interrupted mid-send)
+    CONFIRMED: 'confirmed', // The recipient received the funds
+    FAILED: 'failed',       // Nothing left the creator wallet - retried with backoff
+    STUCK: 'stuck',         // Funds left the creator wallet but never arrived - the hop sweeper recovers them
+    ABANDONED: 'abandoned'  // Retries exhausted
+};
+const RETRYABLE_STATES = [PAYOUT_STATE.PENDING, PAYOUT_STATE.SENDING, PAYOUT_STATE.FAILED];
+
+// What an entry pays - a spin winner or a fee split leg
+const PAYOUT_KIND = {
+    WINNER: 'winner',
+    WALLET: 'wallet', // SOL straight to a fee split wallet
+    BURN: 'burn'      // SOL spent on the token, which is then burned - the recipient is the mint
+};
+
+// Longer than a blockhash stays valid, so a signature still unseen after this can no longer land
+const SETTLE_AFTER_MS = 3 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+function toLamports(sol) {
+    return Math.floor(sol * LAMPORTS_PER_SOL);
+}
+
+function toSol(lamports) {
+    return lamports / LAMPORTS_PER_SOL;
+}
+
+function isToken(entry) {
+    return !!entry.asset && entry.asset !== 'SOL';
+}
+
+/**
+ * Public view of an entry (whole amounts alongside base units - lamports for SOL)
+ */
+function describeEntry(entry) {
+    const scale = 10 ** (entry.decimals ?? SOL_ASSET.decimals);
+    return {
+        ...entry,
+        asset: entry.asset || 'SOL',
+        amount: entry.amountLamports / scale,
+        received: entry.receivedLamports === null ? null : entry.receivedLamports / scale
+    };
+}
+
+/**
+ * Create the payout ledger for one wheel
+ * pumpfun: that wheel's client (transfers and signature lookups)
+ */
+function createPayoutLedger(wheelId = DEFAULT_WHEEL_ID, pumpfun) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'payouts.json');
+    const log = `[Payouts:${wheelId}]`;
+
+    // File mode only - "spinId:recipient" -> entry
+    const entries = new Map();
+    const inFlight = new Set();
+    let useDatabase = false;
+
+    const keyOf = (spinId, recipient) => `${spinId}:${recipient}`;
+
+    function loadFile() {
+        try {
+            if (fs.existsSync(DATA_PATH)) {
+                const parsed = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                for (const entry of parsed.entries || []) {
+                    entries.set(keyOf(entry.spinId, entry.recipient), entry);
+                }
+            }
+        } catch (error) {
+            console.error(`${log} Failed to load payout ledger:`, error.message);
+        }
+    }
+
+    function saveFile() {
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DATA_PATH, JSON.stringify({ entries: [...entries.values()], lastUpdated: new Date().toISOString() }, null, 2));
+            return true;
+        } catch (error) {
+            console.error(`${log} Failed to save payout ledger:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load the ledger (call after the database is initialized)
+     */
+    async function load() {
+        useDatabase = database.isAvailable();
+        if (!useDatabase) {
+            loadFile();
+            console.log(`${log} Loaded ${entries.size} payout entries`);
+        }
+    }
+
+    /**
+     * Store an entry - throws when the write fails, so a signature that is not on record never goes out
+     */
+    async function persist(entry) {
+        entry.updatedAt = new Date().toISOString();
+        const saved = useDatabase ? await database.updatePayoutEntry(entry, wheelId) : saveFile();
+        if (!saved) {
+            throw new Error(`Could not store the payout entry of spin #${entry.spinId} to ${entry.recipient}`);
+        }
+    }
+
+    /**
+     * Entries, newest spin first - filter: { spinId, states, limit }
+     */
+    async function list(filter = {}) {
+        if (useDatabase) {
+            return database.getPayoutEntries(filter, wheelId);
+        }
+
+        return [...entries.values()]
+            .filter(entry => filter.spinId === undefined || entry.spinId === filter.spinId)
+            .filter(entry => !filter.states || filter.states.includes(entry.state))
+            .sort((a, b) => b.spinId - a.spinId || a.leg - b.leg)
+            .slice(0, filter.limit ?? 1000);
+    }
+
+    async function getEntry(spinId, recipient) {
+        if (useDatabase) {
+            const rows = await database.getPayoutEntries({ spinId }, wheelId);
+            return rows.find(entry => entry.recipient === recipient) || null;
+        }
+        return entries.get(keyOf(spinId, recipient)) || null;
+    }
+
+    /**
+     * Record a spin's payouts before any funds move - [{ address, share, amountLamports }] (or amount in SOL)
+     * asset: the resolved payout asset (amountLamports are its base units); entries store its mint or "SOL"
+     * splits: the spin's fee split legs - [{ kind, label, address, amountLamports }], always in SOL
+     * Entries that already exist keep their state, so recording twice never re-arms a payout
+     */
+    async function record(spinId, payouts, asset = SOL_ASSET, splits = []) {
+        const now = new Date().toISOString();
+        const legs = [
+            ...payouts.map(payout => ({ ...payout, kind: PAYOUT_KIND.WINNER, label: null, asset })),
+            ...splits.map(split => ({ ...split, share: null, asset: SOL_ASSET }))
+        ];
+        const fresh = legs.map((payout, leg) => ({
+            spinId: spinId,
+            recipient: payout.address,
+            leg: leg,
+            kind: payout.kind,
+            label: payout.label,
+            share: payout.share ?? null,
+            asset: payout.asset.mint || 'SOL',
+            decimals: payout.asset.decimals,
+            amountLamports: payout.amountLamports ?? toLamports(payout.amount),
+            receivedLamports: null,
+            state: PAYOUT_STATE.PENDING,
+            attempts: 0,
+            signatures: [],
+            lastError: null,
+            nextAttemptAt: null,
+            createdAt: now,
+            updatedAt: now,
+            confirmedAt: null
+        }));
+
+        // Nothing may be sent for a spin whose entries are not on record
+        if (useDatabase) {
+            if (!(await database.insertPayoutEntries(fresh, wheelId))) {
+                throw new Error(`Could not record the payout entries of spin #${spinId}`);
+            }
+        } else {
+            for (const entry of fresh) {
+                const key = keyOf(entry.spinId, entry.recipient);
+                if (!entries.has(key)) entries.set(key, entry);
+            }
+            if (!saveFile()) {
+                throw new Error(`Could not record the payout entries of spin #${spinId}`);
+            }
+        }
+
+        return list({ spinId });
+    }
+
+    /**
+     * Settle the signatures of earlier attempts against the chain
+     * Returns 'confirmed' (the recipient was paid), 'stuck' (funds sit in a hop wallet - for a burn, the
+     * tokens were bought but not burned), 'unknown' (a signature may still land) or 'clear' (nothing left
+     * the creator wallet)
+     */
+    async function verifyPreviousAttempts(entry) {
+        const unsettled = entry.signatures.filter(sig => sig.status === 'sent');
+
+        if (unsettled.length > 0) {
+            const lookup = await pumpfun.getSignatureStatuses(unsettled.map(sig => sig.signature));
+            if (!lookup.success) return 'unknown';
+
+            const now = Date.now();
+            for (const sig of unsettled) {
+                const status = lookup.statuses[sig.signature];
+                if (status) {
+                    sig.status = status;
+                } else if (now - new Date(sig.sentAt).getTime() > SETTLE_AFTER_MS) {
+                    sig.status = 'dropped';
+                }
+            }
+        }
+
+        const finalLeg = entry.signatures.find(sig => sig.to === entry.recipient && sig.status === 'confirmed');
+        if (finalLeg) {
+            entry.receivedLamports = finalLeg.lamports;
+            return 'confirmed';
+        }
+        if (entry.signatures.some(sig => sig.status === 'sent')) return 'unknown';
+        if (entry.signatures.some(sig => sig.status === 'confirmed')) return 'stuck';
+        return 'clear';
+    }
+
+    function backoffMs(attempts) {
+        return Math.min(config.get('payoutRetryBaseMs') * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+    }
+
+    function resultOf(entry, extra = {}) {
+        const finalLeg = entry.signatures.find(sig => sig.to === entry.recipient && sig.status === 'confirmed');
+        return {
+            success: entry.state === PAYOUT_STATE.CONFIRMED,
+            amount: entry.receivedLamports ? describeEntry(entry).received : 0,
+            lamports: entry.receivedLamports || 0,
+            signature: finalLeg ? finalLeg.signature : null,
+            txUrl: finalLeg ? `https://solscan.io/tx/${finalLeg.signature}` : null,
+            error: entry.state === PAYOUT_STATE.CONFIRMED ? null : entry.lastError,
+            state: entry.state,
+            ...extra
+        };
+    }
+
+    async function markConfirmed(entry) {
+        entry.state = PAYOUT_STATE.CONFIRMED;
+        entry.confirmedAt = new Date().toISOString();
+        entry.lastError = null;
+        entry.nextAttemptAt = null;
+        await persist(entry);
+    }
+
+    /**
+     * Settle an entry's earlier attempts and start a new one (the key is held in inFlight)
+     * Returns { result } when nothing should be sent, else { entry, key, onLeg } - the new attempt is on
+     * record and onLeg stores each signature before it is broadcast
+     */
+    async function beginAttempt(spinId, recipient) {
+        const key = keyOf(spinId, recipient);
+        if (inFlight.has(key)) {
+            return { result: { success: false, error: 'Payout already in progress' } };
+        }
+
+        const entry = await getEntry(spinId, recipient);
+        if (!entry) {
+            return { result: { success: false, error: `No ledger entry for spin #${spinId} / ${recipient}` } };
+        }
+        if (!RETRYABLE_STATES.includes(entry.state)) {
+            return { result: resultOf(entry, { newlyConfirmed: false }) };
+        }
+
+        inFlight.add(key);
+        try {
+            // Never re-send before the earlier attempts are settled on-chain
+            const previous = await verifyPreviousAttempts(entry);
+
+            if (previous === 'confirmed') {
+                console.log(`${log} Spin #${spinId} payout to ${recipient} already confirmed on-chain`);
+                await markConfirmed(entry);
+                inFlight.delete(key);
+                return { result: resultOf(entry, { newlyConfirmed: true }) };
+            }
+            // A burn whose buy confirmed resumes with the burn; other stuck funds wait for the hop sweeper
+            if (previous === 'stuck' && entry.kind !== PAYOUT_KIND.BURN) {
+                entry.state = PAYOUT_STATE.STUCK;
+                entry.lastError = 'Funds left the creator wallet but never reached the recipient - waiting for the hop sweeper';
+                entry.nextAttemptAt = null;
+                await persist(entry);
+                inFlight.delete(key);
+                return { result: resultOf(entry, { newlyConfirmed: false }) };
+            }
+            if (previous === 'unknown') {
+                entry.state = PAYOUT_STATE.SENDING;
+                entry.nextAttemptAt = new Date(Date.now() + SETTLE_AFTER_MS).toISOString();
+                await persist(entry);
+                inFlight.delete(key);
+                return { result: { ...resultOf(entry, { newlyConfirmed: false }), error: 'Previous attempt not settled yet' } };
+            }
+
+            if (entry.attempts >= config.get('payoutMaxAttempts')) {
+                entry.state = PAYOUT_STATE.ABANDONED;
+                entry.nextAttemptAt = null;
+                await persist(entry);
+                inFlight.delete(key);
+                return { result: resultOf(entry, { newlyConfirmed: false }) };
+            }
+
+            // Nothing landed - safe to (re)send
+            entry.state = PAYOUT_STATE.SENDING;
+            entry.attempts += 1;
+            entry.lastError = null;
+            entry.nextAttemptAt = null;
+            await persist(entry);
+        } catch (error) {
+            inFlight.delete(key);
+            throw error;
+        }
+
+        const attempt = entry.attempts;
+        const onLeg = async (leg) => {
+            entry.signatures.push({
+                attempt: attempt,
+                leg: leg.index,
+                from: leg.from,
+                to: leg.to,
+                lamports: leg.lamports,
+                signature: leg.signature,
+                sentAt: new Date().toISOString(),
+                status: 'sent'
+            });
+            await persist(entry);
+        };
+
+        return { entry, key, onLeg };
+    }
+
+    /**
+     * Record the outcome of an attempt - transfer: the transferWithHops-shaped result
+     * Returns it with the entry's state and newlyConfirmed
+     */
+    async function finishAttempt(entry, transfer) {
+        // Legs that confirmed in this attempt
+        const confirmedSigs = new Set((transfer.hops || []).map(hop => hop.sig));
+        for (const sig of entry.signatures) {
+            if (confirmedSigs.has(sig.signature)) sig.status = 'confirmed';
+        }
+
+        if (transfer.success) {
+            entry.receivedLamports = transfer.amountRaw ?? transfer.lamports;
+            await markConfirmed(entry);
+            return { ...transfer, state: entry.state, newlyConfirmed: true };
+        }
+
+        entry.lastError = transfer.error;
+
+        if (transfer.pendingSignature) {
+            // The failed leg may still land - re-check once its blockhash has expired
+            entry.nextAttemptAt = new Date(Date.now() + SETTLE_AFTER_MS).toISOString();
+        } else if (confirmedSigs.size > 0 && entry.kind !== PAYOUT_KIND.BURN) {
+            entry.state = PAYOUT_STATE.STUCK;
+            entry.nextAttemptAt = null;
+        } else if (entry.attempts >= config.get('payoutMaxAttempts')) {
+            entry.state = PAYOUT_STATE.ABANDONED;
+            entry.nextAttemptAt = null;
+        } else {
+            entry.state = PAYOUT_STATE.FAILED;
+            entry.nextAttemptAt = new Date(Date.now() + backoffMs(entry.attempts)).toISOString();
+        }
+
+        await persist(entry);
+        console.log(`${log} Spin #${entry.spinId} payout to ${entry.recipient} ${entry.state} (attempt ${entry.attempts}): ${transfer.error}`);
+        return { ...transfer, state: entry.state, newlyConfirmed: false };
+    }
+
+    /**
+     * Pay one ledger entry (idempotent)
+     * options.route - the SOL route planned for this payout (retries take the current route policy)
+     * Returns the transferWithHops result shape (buyAndBurn's for a burn leg) plus state and newlyConfirmed
+     */
+    async function send(spinId, recipient, options = {}) {
+        await leader.ensureLeader();
+        const started = await beginAttempt(spinId, recipient);
+        if (started.result) return started.result;
+
+        const { entry, key, onLeg } = started;
+        try {
+            // Tokens go straight to the recipient, winners' SOL through hop wallets, fee split SOL direct
+            let transfer;
+            if (entry.kind === PAYOUT_KIND.BURN) {
+                const bought = entry.signatures.find(sig => sig.to === 'buy' && sig.status === 'confirmed');
+                transfer = await pumpfun.buyAndBurn(recipient, entry.amountLamports, {
+                    onLeg,
+                    buySignature: bought ? bought.signature : null
+                });
+            } else if (isToken(entry)) {
+                transfer = await pumpfun.transferToken(recipient, entry.asset, entry.amountLamports, { onLeg });
+            } else {
+                transfer = await pumpfun.transferWithHops(recipient, toSol(entry.amountLamports), {
+                    lamports: entry.amountLamports,
+                    spinId: spinId,
+                    route: options.route,
+                    policy: entry.kind === PAYOUT_KIND.WALLET ? DIRECT_POLICY : undefined,
+                    onLeg: onLeg
+                });
+            }
+
+            return await finishAttempt(entry, transfer);
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Pay several entries of a spin - legs: [{ address, kind, mint, route }] as built by pumpfun.distributePlanned
+     * Legs that can share a transaction (pumpfun.canBatch) go out through pumpfun.sendBatch, each entry
+     * recording the batch signature; the rest are sent one by one. Returns one result per leg, in order
+     */
+    async function sendMany(spinId, legs) {
+        const results = new Array(legs.length).fill(null);
+        await leader.ensureLeader();
+
+        // Started entries stay sending - the leader re-checks them on-chain before re-sending. A start that
+        // throws (its entry could not be stored) still releases the legs started before it
+        const ready = [];
+        try {
+            for (const [index, leg] of legs.entries()) {
+                if (!canBatch(leg)) continue;
+                const started = await beginAttempt(spinId, leg.address);
+                if (started.result) {
+                    results[index] = started.result;
+                } else {
+                    ready.push({ index, ...started });
+                }
+            }
+
+            if (ready.length > 0) {
+                await leader.ensureLeader();
+                const batch = await pumpfun.sendBatch(ready.map(({ entry }) => ({
+                    address: entry.recipient,
+                    mint: isToken(entry) ? entry.asset : null,
+                    amountRaw: entry.amountLamports
+                })), {
+                    onLeg: (address, leg) => ready.find(item => item.entry.recipient === address).onLeg(leg)
+                });
+                for (const [position, item] of ready.entries()) {
+                    results[item.index] = await finishAttempt(item.entry, batch.results[position]);
+                }
+            }
+        } finally {
+            for (const item of ready) inFlight.delete(item.key);
+        }
+
+        for (const [index, leg] of legs.entries()) {
+            if (!results[index]) {
+                results[index] = await send(spinId, leg.address, { route: leg.route });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Apply a hop sweep to the entry whose route it recovered
+     * delivered to the recipient -> confirmed; returned to the creator -> failed, so the payout is re-sent
+     * Returns { newlyConfirmed, entry }
+     */
+    async function resolveStranded(spinId, recipient, sweep) {
+        const entry = await getEntry(spinId, recipient);
+        if (!entry || entry.state === PAYOUT_STATE.CONFIRMED) {
+            return { newlyConfirmed: false, entry };
+        }
+
+        if (sweep.delivered && sweep.delivered.to === recipient) {
+            entry.signatures.push({
+                attempt: entry.attempts,
+                leg: 'sweep',
+                from: sweep.address,
+                to: recipient,
+                lamports: sweep.delivered.lamports,
+                signature: sweep.delivered.signature,
+                sentAt: new Date().toISOString(),
+                status: 'confirmed'
+            });
+            entry.receivedLamports = sweep.delivered.lamports;
+            await markConfirmed(entry);
+            console.log(`${log} Spin #${spinId} payout to ${recipient} delivered by the hop sweeper`);
+            return { newlyConfirmed: true, entry };
+        }
+
+        // Funds are back in the creator wallet - the legs that moved them no longer block a re-send
+        for (const sig of entry.signatures) {
+            if (sig.status === 'confirmed') sig.status = 'returned';
+        }
+        entry.state = PAYOUT_STATE.FAILED;
+        entry.lastError = 'Stranded funds returned to the creator wallet - payout will be re-sent';
+        entry.nextAttemptAt = new Date().toISOString();
+        await persist(entry);
+        console.log(`${log} Spin #${spinId} payout to ${recipient} returned to the creator wallet, queued for re-send`);
+        return { newlyConfirmed: false, entry };
+    }
+
+    /**
+     * Retry every entry whose backoff has passed
+     * pending/sending entries are only picked up once stale (their process died mid-distribution)
+     * Returns [{ spinId, recipient, result }]
+     */
+    async function retryDue(now = Date.now()) {
+        const candidates = await list({ states: RETRYABLE_STATES });
+        const due = candidates.filter(entry => {
+            if (entry.nextAttemptAt) return new Date(entry.nextAttemptAt).getTime() <= now;
+            return now - new Date(entry.updatedAt).getTime() > SETTLE_AFTER_MS;
+        });
+
+        const outcomes = [];
+        for (const entry of due.reverse()) {
+            console.log(`${log} Retrying spin #${entry.spinId} payout to ${entry.recipient} (${entry.state}, ${entry.attempts} attempt(s) so far)`);
+            const result = await send(entry.spinId, entry.recipient);
+            outcomes.push({ spinId: entry.spinId, recipient: entry.recipient, result });
+        }
+        return outcomes;
+    }
+
+    /**
+     * Count of entries per state
+     */
+    async function getSummary() {
+        const all = await list({ limit: 100000 });
+        const summary = Object.fromEntries(Object.values(PAYOUT_STATE).map(state => [state, 0]));
+        for (const entry of all) {
+            summary[entry.state] = (summary[entry.state] || 0) + 1;
+        }
+        return summary;
+    }
+
+    return {
+        load,
+        record,
+        send,
+        sendMany,
+        retryDue,
+        resolveStranded,
+        list,
+        getSummary
+    };
+}
+
+module.exports = {
+    PAYOUT_STATE,
+    PAYOUT_KIND,
+    describeEntry,
+    createPayoutLedger
+};
@@ -0,0 +1,70 @@
+/**
+ * Payout Routes - how a SOL payout travels from the creator wallet to a winner
+ * direct: one transfer. hops: through fresh hop wallets (breaks bubble map connections), each
+ * forwarding after a random pause. Every leg's fee is funded up front, so the winner receives the
+ * full payout and the route's fees are known before any funds move.
+ */
+
+const config = require('./config');
+const { priorityFeeLamports } = require('./txSender');
+
+const TX_FEE_LAMPORTS = 5000; // Base fee of one transfer
+const TRANSFER_COMPUTE_UNITS = 1000; // Compute limit of a SOL transfer (transfer + compute budget instructions)
+const DIRECT_POLICY = Object.freeze({ mode: 'direct', hops: 0, delayMinMs: 0, delayMaxMs: 0 }); // Fee split wallets
+
+/**
+ * The current route policy - payoutRoute, payoutHops and payoutHopDelayMinMs/MaxMs settings
+ * A max delay below the min is treated as the min
+ */
+function getRoutePolicy() {
+    const mode = config.get('payoutRoute');
+    const delayMinMs = config.get('payoutHopDelayMinMs');
+    return {
+        mode: mode,
+        hops: mode === 'direct' ? 0 : config.get('payoutHops'),
+        delayMinMs: delayMinMs,
+        delayMaxMs: Math.max(config.get('payoutHopDelayMaxMs'), delayMinMs)
+    };
+}
+
+/**
+ * Fee of one transfer leg at a compute-unit price (micro-lamports)
+ */
+function legFeeLamports(computeUnitPrice = 0) {
+    return TX_FEE_LAMPORTS + priorityFeeLamports(computeUnitPrice, TRANSFER_COMPUTE_UNITS);
+}
+
+/**
+ * Network fees of one payout over a route - one transfer per leg
+ */
+function routeFeeLamports(policy = getRoutePolicy(), computeUnitPrice = 0) {
+    return (policy.hops + 1) * legFeeLamports(computeUnitPrice);
+}
+
+/**
+ * Plan one payout's route - { mode, hops, delaysMs (one per hop wallet), computeUnitPrice, feeLamports }
+ * Every leg pays the same compute-unit price so the hop wallets can be funded exactly
+ */
+function planRoute(policy = getRoutePolicy(), computeUnitPrice = 0) {
+    const delaysMs = [];
+    for (let hop = 0; hop < policy.hops; hop++) {
+        delaysMs.push(policy.delayMinMs + Math.floor(Math.random() * (policy.delayMaxMs - policy.delayMinMs + 1)));
+    }
+    return {
+        mode: policy.mode,
+        hops: policy.hops,
+        delaysMs: delaysMs,
+        computeUnitPrice: computeUnitPrice,
+        feeLamports: routeFeeLamports(policy, computeUnitPrice)
+    };
+}
+
+module.exports = {
+    TX_FEE_LAMPORTS,
+    TRANSFER_COMPUTE_UNITS,
+    DIRECT_POLICY,
+    getRoutePolicy,
+    legFeeLamports,
+    routeFeeLamports,
+    planRoute
+};
@@ -0,0 +1,154 @@
+/**
+ * Token Venue - where a pump.fun token trades: its bonding curve, or the PumpSwap pool it graduated to
+ * The venue decides how creator fees are claimed (PumpPortal's "pump" or "pump-amm" pool) and which
+ * accounts hold the token on behalf of the market - those are kept off the wheel by address.
+ */
+
+const { Connection, PublicKey } = require('@solana/web3.js');
+const { NATIVE_MINT, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+
+const PUMP_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const PUMP_AMM_PROGRAM_ID = new PublicKey('pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA');
+
+// PumpPortal pool names
+const VENUE = {
+    BONDING_CURVE: 'pump',
+    PUMP_SWAP: 'pump-amm'
+};
+
+// Bonding curve account: 8-byte discriminator, five u64 reserves/supply fields, then the "complete" flag
+const CURVE_COMPLETE_OFFSET = 48;
+
+function toPublicKey(address) {
+    return address instanceof PublicKey ? address : new PublicKey(address);
+}
+
+function bondingCurveAddress(mint) {
+    return PublicKey.findProgramAddressSync([Buffer.from('bonding-curve'), toPublicKey(mint).toBuffer()], PUMP_PROGRAM_ID)[0];
+}
+
+// Signs the migration of a graduated curve and creates its PumpSwap pool
+function poolAuthorityAddress(mint) {
+    return PublicKey.findProgramAddressSync([Buffer.from('pool-authority'), toPublicKey(mint).toBuffer()], PUMP_PROGRAM_ID)[0];
+}
+
+/**
+ * The PumpSwap pool a graduated token migrates to - index 0, created by its pool authority, paired with SOL
+ */
+function canonicalPoolAddress(mint) {
+    const index = Buffer.alloc(2);
+    return PublicKey.findProgramAddressSync([
+        Buffer.from('pool'),
+        index,
+        poolAuthorityAddress(mint).toBuffer(),
+        toPublicKey(mint).toBuffer(),
+        NATIVE_MINT.toBuffer()
+    ], PUMP_AMM_PROGRAM_ID)[0];
+}
+
+/**
+ * The account a creator's fees accrue in until claimed
+ * Bonding curve: a SOL "creator-vault" PDA; PumpSwap: a wrapped-SOL account of the creator's vault authority
+ */
+function creatorFeeVault(venue, creator) {
+    const creatorKey = toPublicKey(creator);
+    if (venue === VENUE.PUMP_SWAP) {
+        const authority = PublicKey.findProgramAddressSync([Buffer.from('creator_vault'), creatorKey.toBuffer()], PUMP_AMM_PROGRAM_ID)[0];
+        return getAssociatedTokenAddressSync(NATIVE_MINT, authority, true);
+    }
+    return PublicKey.findProgramAddressSync([Buffer.from('creator-vault'), creatorKey.toBuffer()], PUMP_PROGRAM_ID)[0];
+}
+
+/**
+ * Look up a mint's venue on chain
+ * Returns { mint, venue, complete, bondingCurve, pool, accounts } - venue is null when the mint has no
+ * pump.fun curve still trading and no PumpSwap pool (not a pump.fun token, or migrated elsewhere);
+ * accounts are the addresses holding the token for the market
+ */
+async function detectVenue(connection, mintAddress) {
+    const bondingCurve = bondingCurveAddress(mintAddress);
+    const poolAuthority = poolAuthorityAddress(mintAddress);
+    const pool = canonicalPoolAddress(mintAddress);
+    const [curveInfo, poolInfo] = await connection.getMultipleAccountsInfo([bondingCurve, pool], 'confirmed');
+
+    const complete = curveInfo ? curveInfo.data.length > CURVE_COMPLETE_OFFSET && curveInfo.data[CURVE_COMPLETE_OFFSET] === 1 : null;
+    let venue = null;
+    if (curveInfo && !complete) {
+        venue = VENUE.BONDING_CURVE;
+    } else if (poolInfo) {
+        venue = VENUE.PUMP_SWAP;
+    }
+
+    return {
+        mint: mintAddress,
+        venue: venue,
+        complete: complete,
+        bondingCurve: curveInfo ? bondingCurve.toBase58() : null,
+        pool: poolInfo ? pool.toBase58() : null,
+        // The curve keeps leftover tokens after graduating; the pool authority holds them mid-migration
+        accounts: [
+            ...(curveInfo ? [bondingCurve.toBase58(), poolAuthority.toBase58()] : []),
+            ...(poolInfo ? [pool.toBase58()] : [])
+        ]
+    };
+}
+
+/**
+ * Track one wheel's venue - refreshed with the holders, so a graduation is picked up on the next refresh
+ */
+function createVenueTracker(wheelId, rpcEndpoint) {
+    const connection = new Connection(rpcEndpoint, 'confirmed');
+    const log = `[Venue:${wheelId}]`;
+    let current = null;
+
+    /**
+     * Detect the mint's venue (a graduated token never moves back, so PumpSwap is not re-checked)
+     * Keeps the last known venue when the lookup fails
+     */
+    async function refresh(mint) {
+        if (!mint) return current;
+        if (current && current.mint === mint && current.venue === VENUE.PUMP_SWAP) return current;
+
+        try {
+            const detected = await detectVenue(connection, mint);
+            if (!current || current.mint !== mint || current.venue !== detected.venue) {
+                if (detected.venue === VENUE.BONDING_CURVE) {
+                    console.log(`${log} ${mint} trades on its bonding curve (${detected.bondingCurve})`);
+                } else if (detected.venue === VENUE.PUMP_SWAP) {
+                    console.log(`${log} ${mint} graduated to PumpSwap pool ${detected.pool}`);
+                } else {
+                    console.warn(`${log} ${mint} has no active bonding curve or PumpSwap pool - fee claims fall back to the bonding curve`);
+                }
+            }
+            current = detected;
+        } catch (error) {
+            console.error(`${log} Venue lookup failed:`, error.message);
+        }
+        return current;
+    }
+
+    function get() {
+        return current;
+    }
+
+    function getExcludedAccounts() {
+        return current ? current.accounts : [];
+    }
+
+    return {
+        refresh,
+        get,
+        getExcludedAccounts
+    };
+}
+
+module.exports = {
+    PUMP_PROGRAM_ID,
+    PUMP_AMM_PROGRAM_ID,
+    VENUE,
+    bondingCurveAddress,
+    canonicalPoolAddress,
+    creatorFeeVault,
+    detectVenue,
+    createVenueTracker
+};
@@ -3,567 +3,1476 @@
  * Uses PumpPortal Local Transaction API
  */
 
-const { Connection, Keypair, PublicKey, VersionedTransaction, LAMPORTS_PER_SOL, SystemProgram, Transaction, sendAndConfirmTransaction } = require('@solana/web3.js');
+const {
+    Connection,
+    Keypair,
+    PublicKey,
+    TransactionMessage,
+    VersionedTransaction,
+    ComputeBudgetProgram,
+    LAMPORTS_PER_SOL,
+    SystemProgram,
+    PACKET_DATA_SIZE
+} = require('@solana/web3.js');
+const {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    unpackMint,
+    getAssociatedTokenAddressSync,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction,
+    createBurnCheckedInstruction,
+    createCloseAccountInstruction,
+    NATIVE_MINT
+} = require('@solana/spl-token');
 const fetch = require('node-fetch');
+const config = require('./config');
+const { HOP_STATUS } = require('./hopVault');
+const { SOL_ASSET, toBaseUnits, fromBaseUnits, describeAsset } = require('./payoutAsset');
+const { TRANSFER_COMPUTE_UNITS, getRoutePolicy, legFeeLamports, planRoute, routeFeeLamports } = require('./payoutRoute');
+const { SPLIT_KIND, defaultFeeSplit, splitFees } = require('./feeSplit');
+const { createTransactionSender, priorityFeeLamports } = require('./txSender');
+const { keypairSigner } = require('./signer');
+const { VENUE, creatorFeeVault } = require('./pumpVenue');
+
+const MIN_TRANSFER_LAMPORTS = 0.001 * LAMPORTS_PER_SOL; // Keeps a new winner account rent-exempt
+const CLAIM_COMPUTE_UNITS = 100000; // Converts the estimated compute-unit price into PumpPortal's SOL priority fee
+
+// Batched payouts - a transaction takes transfers while it stays under every one of these limits
+const BATCH_MAX_ACCOUNTS = 64;               // Account locks per transaction
+const BATCH_MAX_COMPUTE_UNITS = 1400000;
+const BATCH_SOL_COMPUTE_UNITS = 300;         // Budgeted per SOL transfer (uses ~150)
+const BATCH_TOKEN_COMPUTE_UNITS = 50000;     // Budgeted per token transfer, including creating the token account
 
-// Handle bs58 package version differences
-let bs58Decode;
-try {
-    const bs58 = require('bs58');
-    // Check if it's the new version (default export is the object with decode)
-    if (typeof bs58.decode === 'function') {
-        bs58Decode = bs58.decode;
-    } else if (typeof bs58.default?.decode === 'function') {
-        bs58Decode = bs58.default.decode;
-    } else if (typeof bs58 === 'function') {
-        // Very old version
-        bs58Decode = bs58;
-    } else {
-        // Fallback - try to decode manually or throw
-        throw new Error('Unsupported bs58 version');
-    }
-} catch (e) {
-    console.error('[PumpFun] bs58 import error:', e.message);
-    // Provide fallback using Buffer
-    bs58Decode = (str) => {
-        const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-        const ALPHABET_MAP = {};
-        for (let i = 0; i < ALPHABET.length; i++) {
-            ALPHABET_MAP[ALPHABET.charAt(i)] = i;
-        }
-
-        if (str.length === 0) return new Uint8Array(0);
-
-        const bytes = [0];
-        for (let i = 0; i < str.length; i++) {
-            const c = str[i];
-            if (!(c in ALPHABET_MAP)) throw new Error('Invalid base58 character');
-
-            let carry = ALPHABET_MAP[c];
-            for (let j = 0; j < bytes.length; j++) {
-                carry += bytes[j] * 58;
-                bytes[j] = carry & 0xff;
-                carry >>= 8;
-            }
-            while (carry > 0) {
-                bytes.push(carry & 0xff);
-                carry >>= 8;
-            }
-        }
+/**
+ * Whether a distribution leg can share a batched transaction - token payouts, fee split wallets and SOL
+ * payouts on a direct route; hop routes (one wallet chain each) and buy-and-burn legs go out on their own
+ */
+function canBatch(leg) {
+    if (leg.kind === SPLIT_KIND.BURN) return false;
+    return !!leg.mint || leg.kind === SPLIT_KIND.WALLET || (!!leg.route && leg.route.hops === 0);
+}
 
-        for (let i = 0; i < str.length && str[i] === '1'; i++) {
-            bytes.push(0);
-        }
+/**
+ * Divide the winners' lamports (less each kept winner's route fees) by share, never below minimumLamports
+ * Winners whose payout would fall below the minimum are dropped - lowest share first, the later rank on a
+ * tie - and their share goes to the others. A pot still below the minimum pays the minimum to the one
+ * winner left, topped up from the wallet (toppedUp), so the wallet never funds more than one minimum a spin
+ * Returns { payouts: [{ ...recipient, share, amountLamports }], dropped, toppedUp }
+ */
+function divideWinnersPot(recipients, winnersLamports, routeFeeLamports, minimumLamports) {
+    const kept = [...recipients];
+    const shareOf = (recipient) => recipient.share / kept.reduce((sum, item) => sum + item.share, 0);
+    const potOf = () => winnersLamports - routeFeeLamports * kept.length;
+
+    while (kept.length > 1) {
+        let smallest = kept.length - 1;
+        kept.forEach((recipient, index) => {
+            if (recipient.share < kept[smallest].share) smallest = index;
+        });
+        if (Math.floor(potOf() * shareOf(kept[smallest])) >= minimumLamports) break;
+        kept.splice(smallest, 1);
+    }
 
-        return new Uint8Array(bytes.reverse());
+    const toppedUp = potOf() < minimumLamports;
+    const pot = Math.max(potOf(), minimumLamports);
+    return {
+        payouts: kept.map(recipient => ({ ...recipient, share: shareOf(recipient), amountLamports: Math.floor(pot * shareOf(recipient)) })),
+        dropped: recipients.length - kept.length,
+        toppedUp
     };
 }
 
 
-// Configuration from environment
-let connection = null;
-let creatorKeypair = null;
-let isConfigured = false;
-
 /**
- * Initialize the PumpFun service with credentials
+ * Create a PumpFun client bound to one creator wallet
+ * Each wheel gets its own client so keys and connections never mix
+ * options.hopVault - encrypted store for hop wallet keys (hopVault.createHopVault); hop transfers refuse to run without it
  */
-function initialize(privateKey, rpcEndpoint) {
-    try {
-        // Decode private key from base58
-        const secretKey = bs58Decode(privateKey);
-        creatorKeypair = Keypair.fromSecretKey(secretKey);
+function createPumpFunClient(options = {}) {
+    const hopVault = options.hopVault || null;
+
+    // Per-client state
+    let connection = null;
+    let sender = null;
+    let creatorSigner = null;
+    let isConfigured = false;
+
+    /**
+     * Initialize the PumpFun service with the creator wallet's signer (see signer.js)
+     */
+    function initialize(signer, rpcEndpoint) {
+        try {
+            creatorSigner = signer;
 
-        // Setup Solana connection
-        connection = new Connection(rpcEndpoint, 'confirmed');
+            // Setup Solana connection
+            connection = new Connection(rpcEndpoint, 'confirmed');
+            sender = createTransactionSender(connection);
 
-        isConfigured = true;
-        console.log(`[PumpFun] Initialized with creator wallet: ${creatorKeypair.publicKey.toBase58()}`);
+            isConfigured = true;
+            console.log(`[PumpFun] Initialized with creator wallet: ${creatorSigner.publicKey.toBase58()}`);
 
-        return {
-            success: true,
-            publicKey: creatorKeypair.publicKey.toBase58()
-        };
-    } catch (error) {
-        console.error('[PumpFun] Failed to initialize:', error.message);
-        return {
-            success: false,
-            error: error.message
-        };
+            return {
+                success: true,
+                publicKey: creatorSigner.publicKey.toBase58()
+            };
+        } catch (error) {
+            console.error('[PumpFun] Failed to initialize:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
     }
-}
 
-/**
- * Get the current SOL balance of the creator wallet
- */
-async function getCreatorBalance() {
-    if (!isConfigured) {
-        return { success: false, error: 'Service not configured' };
+    /**
+     * Get the current SOL balance of the creator wallet
+     */
+    async function getCreatorBalance() {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
+
+        try {
+            const balance = await connection.getBalance(creatorSigner.publicKey);
+            const solBalance = balance / LAMPORTS_PER_SOL;
+
+            console.log(`[PumpFun] Creator wallet balance: ${solBalance} SOL`);
+
+            return {
+                success: true,
+                balance: solBalance,
+                lamports: balance
+            };
+        } catch (error) {
+            console.error('[PumpFun] Failed to get balance:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
     }
 
-    try {
-        const balance = await connection.getBalance(creatorKeypair.publicKey);
-        const solBalance = balance / LAMPORTS_PER_SOL;
+    /**
+     * Fetch a confirmed transaction with helpers over its pre/post balances
+     * balanceChange(address) - lamports; tokenChange(owner, mint) - base units (null when the account is absent)
+     */
+    async function getTransactionBalances(signature) {
+        let tx = null;
+        for (let attempt = 0; attempt < 5 && !tx; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            tx = await connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+        }
+        if (!tx || !tx.meta) {
+            throw new Error(`Transaction ${signature} not found`);
+        }
 
-        console.log(`[PumpFun] Creator wallet balance: ${solBalance} SOL`);
+        // Versioned transactions list lookup-table accounts after the static keys
+        const message = tx.transaction.message;
+        const accountKeys = [
+            ...(message.staticAccountKeys || message.accountKeys),
+            ...(tx.meta.loadedAddresses?.writable || []),
+            ...(tx.meta.loadedAddresses?.readonly || [])
+        ].map(key => key.toBase58());
+
+        const balanceChange = (address) => {
+            const index = accountKeys.indexOf(address);
+            return index === -1 ? null : tx.meta.postBalances[index] - tx.meta.preBalances[index];
+        };
 
-        return {
-            success: true,
-            balance: solBalance,
-            lamports: balance
+        const tokenAmount = (balances, owner, mint) => {
+            const balance = (balances || []).find(item => item.owner === owner && item.mint === mint);
+            return balance ? Number(balance.uiTokenAmount.amount) : null;
         };
-    } catch (error) {
-        console.error('[PumpFun] Failed to get balance:', error.message);
-        return {
-            success: false,
-            error: error.message
+        const tokenChange = (owner, mint) => {
+            const before = tokenAmount(tx.meta.preTokenBalances, owner, mint);
+            const after = tokenAmount(tx.meta.postTokenBalances, owner, mint);
+            return before === null && after === null ? null : (after || 0) - (before || 0);
         };
-    }
-}
 
-/**
- * Claim creator fees from PumpFun using PumpPortal API
- */
-async function claimCreatorFees() {
-    if (!isConfigured) {
-        return { success: false, error: 'Service not configured' };
+        return { fee: tx.meta.fee, balanceChange, tokenChange };
     }
 
-    try {
-        console.log('[PumpFun] Claiming creator fees...');
+    // The creator's fee vault on the token's venue (see pumpVenue.js)
+    function creatorVaultAddress(venue = VENUE.BONDING_CURVE) {
+        return creatorFeeVault(venue, creatorSigner.publicKey);
+    }
 
-        // Request transaction from PumpPortal
+    /**
+     * Request a transaction from PumpPortal trade-local for the creator wallet and sign it
+     * Throws with PumpPortal's error text when it refuses (e.g. no fees to claim)
+     */
+    async function requestTrade(params) {
         const response = await fetch('https://pumpportal.fun/api/trade-local', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                publicKey: creatorKeypair.publicKey.toBase58(),
-                action: 'collectCreatorFee',
-                priorityFee: 0.0001, // 0.0001 SOL priority fee
-                pool: 'pump'
-            })
+            body: JSON.stringify({ publicKey: creatorSigner.publicKey.toBase58(), ...params })
         });
 
         if (response.status !== 200) {
             const errorText = await response.text();
-            console.log('[PumpFun] No fees to claim or error:', errorText);
-            return {
-                success: false,
-                error: errorText || 'No fees available to claim'
-            };
+            throw new Error(errorText || `PumpPortal returned ${response.status}`);
         }
 
-        // Deserialize and sign the transaction
-        const data = await response.arrayBuffer();
-        const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-        tx.sign([creatorKeypair]);
+        const tx = VersionedTransaction.deserialize(new Uint8Array(await response.arrayBuffer()));
+        return creatorSigner.signTransaction(tx);
+    }
 
-        // Send the transaction
-        const signature = await connection.sendTransaction(tx, {
-            skipPreflight: false,
-            preflightCommitment: 'confirmed'
-        });
+    // The creator's wrapped-SOL account - PumpSwap fees may arrive there still wrapped
+    function wrappedSolAddress() {
+        return getAssociatedTokenAddressSync(NATIVE_MINT, creatorSigner.publicKey);
+    }
 
-        console.log(`[PumpFun] Fee claim transaction sent: ${signature}`);
+    /**
+     * Exact amounts of a confirmed collectCreatorFee transaction, from its pre/post balances
+     * claimedLamports - what left the creator vault; netLamports - the creator wallet's change (claimed minus
+     * the tx fee), counting fees left wrapped in its wrapped-SOL account
+     */
+    async function getClaimAmounts(signature, venue = VENUE.BONDING_CURVE) {
+        const { fee, balanceChange } = await getTransactionBalances(signature);
 
-        // Wait for confirmation
-        const confirmation = await connection.confirmTransaction(signature, 'confirmed');
+        const creatorVault = creatorVaultAddress(venue);
 
-        if (confirmation.value.err) {
-            return {
-                success: false,
-                error: 'Transaction failed',
-                signature
-            };
+        const walletChange = balanceChange(creatorSigner.publicKey.toBase58());
+        if (walletChange === null) {
+            throw new Error(`Creator wallet is not part of transaction ${signature}`);
         }
+        const netLamports = walletChange + (balanceChange(wrappedSolAddress().toBase58()) || 0);
+        const vaultChange = balanceChange(creatorVault.toBase58());
 
-        console.log(`[PumpFun] Fees claimed successfully! TX: ${signature}`);
-
-        return {
-            success: true,
-            signature,
-            txUrl: `https://solscan.io/tx/${signature}`
-        };
-    } catch (error) {
-        console.error('[PumpFun] Failed to claim fees:', error.message);
         return {
-            success: false,
-            error: error.message
+            claimedLamports: vaultChange !== null ? -vaultChange : netLamports + fee,
+            netLamports: netLamports,
+            feeLamports: fee,
+            creatorVault: creatorVault.toBase58()
         };
     }
-}
 
-/**
- * Transfer SOL to the winner
- */
-async function transferToWinner(winnerAddress, amountSol) {
-    if (!isConfigured) {
-        return { success: false, error: 'Service not configured' };
+    /**
+     * Close the creator's wrapped-SOL account so fees claimed as wrapped SOL become spendable SOL
+     */
+    async function unwrapSol() {
+        const account = wrappedSolAddress();
+        if (!(await connection.getAccountInfo(account, 'confirmed'))) return null;
+
+        const signature = await sender.sendInstructions(creatorSigner, [
+            createCloseAccountInstruction(account, creatorSigner.publicKey, creatorSigner.publicKey)
+        ]);
+        console.log(`[PumpFun] Unwrapped claimed SOL: ${signature}`);
+        return signature;
     }
 
-    try {
-        console.log(`[PumpFun] Transferring ${amountSol} SOL to winner: ${winnerAddress}`);
+    /**
+     * Claim creator fees from PumpFun using PumpPortal API
+     * options.venue - VENUE.BONDING_CURVE (default) or VENUE.PUMP_SWAP for a graduated token (pumpVenue.js)
+     * Returns the exact lamports claimed (see getClaimAmounts)
+     */
+    async function claimCreatorFees(options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
+
+        const venue = options.venue || VENUE.BONDING_CURVE;
 
-        // Validate winner address
-        let winnerPubkey;
         try {
-            winnerPubkey = new PublicKey(winnerAddress);
-        } catch {
-            return { success: false, error: 'Invalid winner address' };
-        }
+            console.log(`[PumpFun] Claiming creator fees (${venue})...`);
+
+            // Priority fee from what recent transactions touching the creator vault paid
+            const computeUnitPrice = await sender.estimatePriorityFee([creatorVaultAddress(venue)]);
+            const priorityFee = priorityFeeLamports(computeUnitPrice, CLAIM_COMPUTE_UNITS) / LAMPORTS_PER_SOL;
+
+            // PumpPortal builds the transaction - an expired one is requested again with a fresh blockhash
+            const sent = await sender.send(async () => ({
+                transaction: await requestTrade({ action: 'collectCreatorFee', priorityFee: priorityFee, pool: venue })
+            }), {
+                onSigned: async (signature) => console.log(`[PumpFun] Fee claim transaction sent: ${signature}`)
+            });
+
+            if (sent.state === 'rejected') {
+                console.log('[PumpFun] No fees to claim or error:', sent.error);
+                return {
+                    success: false,
+                    error: sent.error || 'No fees available to claim'
+                };
+            }
+            if (sent.state !== 'confirmed') {
+                return {
+                    success: false,
+                    error: sent.error,
+                    signature: sent.signature
+                };
+            }
+            const signature = sent.signature;
 
-        // Calculate lamports (leave some for future tx fees)
-        const lamports = Math.floor(amountSol * LAMPORTS_PER_SOL);
+            let amounts;
+            try {
+                amounts = await getClaimAmounts(signature, venue);
+            } catch (error) {
+                console.error(`[PumpFun] Fee claim ${signature} confirmed but its amounts could not be read:`, error.message);
+                return {
+                    success: true,
+                    signature,
+                    txUrl: `https://solscan.io/tx/${signature}`,
+                    amountError: error.message
+                };
+            }
+
+            console.log(`[PumpFun] Fees claimed successfully! ${amounts.claimedLamports / LAMPORTS_PER_SOL} SOL, TX: ${signature}`);
+
+            if (venue === VENUE.PUMP_SWAP) {
+                try {
+                    await unwrapSol();
+                } catch (error) {
+                    // The fees stay wrapped until the next claim unwraps them; the treasury reserve covers the gap
+                    console.error('[PumpFun] Failed to unwrap claimed SOL:', error.message);
+                }
+            }
 
-        if (lamports <= 0) {
-            return { success: false, error: 'Amount too small' };
+            return {
+                success: true,
+                signature,
+                txUrl: `https://solscan.io/tx/${signature}`,
+                claimed: amounts.claimedLamports / LAMPORTS_PER_SOL,
+                ...amounts
+            };
+        } catch (error) {
+            console.error('[PumpFun] Failed to claim fees:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
         }
+    }
 
-        // Create transfer instruction
-        const transaction = new Transaction().add(
+    /**
+     * Sign one SOL transfer, report its signature, then broadcast and confirm it (see txSender.js)
+     * onSigned(signature) is awaited before broadcasting so a crash mid-send still leaves the signature on record
+     * options: { computeUnitPrice, computeUnitLimit } - hop legs fix both so each wallet can be funded exactly
+     */
+    async function sendTransfer(fromSigner, toPubkey, lamports, onSigned, options = {}) {
+        return sender.sendInstructions(fromSigner, [
             SystemProgram.transfer({
-                fromPubkey: creatorKeypair.publicKey,
-                toPubkey: winnerPubkey,
+                fromPubkey: fromSigner.publicKey,
+                toPubkey: toPubkey,
                 lamports: lamports
             })
-        );
+        ], { onSigned, ...options });
+    }
 
-        // Send and confirm
-        const signature = await sendAndConfirmTransaction(
-            connection,
-            transaction,
-            [creatorKeypair],
-            { commitment: 'confirmed' }
-        );
+    /**
+     * Transfer SOL to a winner over a payout route (see payoutRoute.js)
+     * hops route: Dev → Hop1 → ... → HopN → Winner through fresh hop wallets (breaks bubble map connections);
+     * direct route: Dev → Winner. Hop legs carry their own fees, so the winner receives the exact amount.
+     * options.route - a planned route (planned from options.policy, or the current policy, when omitted)
+     * options.onLeg({ index, from, to, lamports, signature }) is awaited before each leg is broadcast
+     * options.lamports - exact amount to deliver (amountSol is only used when it is omitted)
+     * options.spinId tags the stored hop wallets so recovered funds can be matched to the payout
+     * On failure the result carries the legs that confirmed (hops) and the signature of the leg that failed
+     */
+    async function transferWithHops(winnerAddress, amountSol, options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
 
-        console.log(`[PumpFun] Transfer successful! TX: ${signature}`);
+        const hops = [];
+        let pendingSignature = null;
+        let route = options.route || null;
 
-        return {
-            success: true,
-            signature,
-            amount: amountSol,
-            txUrl: `https://solscan.io/tx/${signature}`
-        };
-    } catch (error) {
-        console.error('[PumpFun] Failed to transfer:', error.message);
-        return {
-            success: false,
-            error: error.message
-        };
-    }
-}
+        const totalLamports = options.lamports ?? Math.round(amountSol * LAMPORTS_PER_SOL);
 
-/**
- * Transfer SOL through hop wallets to break bubble map connections
- * Flow: Dev → Hop1 → Hop2 → Winner
- */
-async function transferWithHops(winnerAddress, amountSol) {
-    if (!isConfigured) {
-        return { success: false, error: 'Service not configured' };
+        try {
+            if (!route) {
+                route = planRoute(options.policy || getRoutePolicy(), await sender.estimatePriorityFee([creatorSigner.publicKey]));
+            }
+            if (route.hops > 0 && (!hopVault || !hopVault.isReady())) {
+                return { success: false, error: 'Hop wallet vault not configured', hops: [], route };
+            }
+
+            console.log(`[PumpFun] Starting ${route.hops > 0 ? `${route.hops}-hop` : 'direct'} transfer of ${totalLamports / LAMPORTS_PER_SOL} SOL to winner: ${winnerAddress}`);
+
+            // Validate winner address
+            let winnerPubkey;
+            try {
+                winnerPubkey = new PublicKey(winnerAddress);
+            } catch {
+                return { success: false, error: 'Invalid winner address', hops, route };
+            }
+
+            // The winner's account must end rent-exempt
+            if (totalLamports <= MIN_TRANSFER_LAMPORTS) {
+                return { success: false, error: 'Amount too small for transfer', hops, route };
+            }
+
+            // Fresh hop wallets - keys are stored (encrypted) before the route is funded so stranded SOL stays recoverable
+            const hopWallets = Array.from({ length: route.hops }, () => Keypair.generate());
+            if (hopWallets.length > 0) {
+                await hopVault.store(hopWallets.map((keypair, index) => ({
+                    keypair: keypair,
+                    next: index + 1 < hopWallets.length ? hopWallets[index + 1].publicKey.toBase58() : winnerAddress
+                })), { spinId: options.spinId, recipient: winnerAddress });
+            }
+
+            // Each leg forwards what is left after paying its own fee, ending every hop wallet empty
+            const wallets = [{ signer: creatorSigner, label: 'dev', name: 'Dev' }, ...hopWallets.map((keypair, index) => ({
+                signer: keypairSigner(keypair),
+                label: keypair.publicKey.toBase58(),
+                name: `Hop${index + 1}`
+            }))];
+            const legs = wallets.map((wallet, index) => {
+                const receiver = wallets[index + 1];
+                return {
+                    from: wallet.signer,
+                    fromLabel: wallet.label,
+                    to: receiver ? receiver.signer.publicKey : winnerPubkey,
+                    label: `${wallet.name} → ${receiver ? receiver.name : 'Winner'}`,
+                    lamports: totalLamports + (wallets.length - 1 - index) * legFeeLamports(route.computeUnitPrice)
+                };
+            });
+
+            for (let index = 0; index < legs.length; index++) {
+                const leg = legs[index];
+                const lamports = leg.lamports;
+
+                // Pause before each hop wallet forwards
+                if (index > 0 && route.delaysMs[index - 1] > 0) {
+                    await new Promise(resolve => setTimeout(resolve, route.delaysMs[index - 1]));
+                }
+
+                console.log(`[PumpFun] Transfer ${index + 1}/${legs.length}: ${leg.label} (${(lamports / LAMPORTS_PER_SOL).toFixed(6)} SOL)`);
+                const sig = await sendTransfer(leg.from, leg.to, lamports, async (signature) => {
+                    if (options.onLeg) {
+                        await options.onLeg({ index, from: leg.fromLabel, to: leg.to.toBase58(), lamports, signature });
+                    }
+                    pendingSignature = signature;
+                }, { computeUnitPrice: route.computeUnitPrice, computeUnitLimit: TRANSFER_COMPUTE_UNITS });
+                pendingSignature = null;
+                hops.push({ from: leg.fromLabel, to: leg.to.toBase58(), lamports: lamports, sig: sig });
+                console.log(`[PumpFun] Transfer ${index + 1} complete: ${sig}`);
+            }
+
+            if (hopWallets.length > 0) {
+                await hopVault.setStatus(hopWallets.map(keypair => keypair.publicKey.toBase58()), HOP_STATUS.DRAINED);
+            }
+
+            const finalSig = hops[hops.length - 1].sig;
+            console.log(`[PumpFun] Transfer complete! Final amount: ${(totalLamports / LAMPORTS_PER_SOL).toFixed(6)} SOL`);
+
+            return {
+                success: true,
+                signature: finalSig, // Return final signature as main signature
+                signatures: hops.map(hop => hop.sig),
+                amount: totalLamports / LAMPORTS_PER_SOL,
+                lamports: totalLamports,
+                txUrl: `https://solscan.io/tx/${finalSig}`,
+                hops: hops,
+                route: route
+            };
+        } catch (error) {
+            console.error('[PumpFun] Hop transfer failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                hops: hops,
+                route: route,
+                pendingSignature: pendingSignature
+            };
+        }
     }
 
-    try {
-        console.log(`[PumpFun] Starting hop transfer of ${amountSol} SOL to winner: ${winnerAddress}`);
+    /**
+     * Buy a token with SOL through PumpPortal trade-local (buybackSlippagePercent, buybackPriorityFeeSol, buybackPool settings)
+     * Returns { success, signature, txUrl, spentLamports, tokensRaw } read from the confirmed transaction
+     * A buy is only reported as failed once it failed on-chain or expired unlanded (see txSender.js) - the
+     * caller falls back to a SOL payout on failure, but not when the outcome is unresolved
+     * options.onSigned(signature) is awaited before the buy is broadcast
+     */
+    async function buyToken(mintAddress, lamports, options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
 
-        // Validate winner address
-        let winnerPubkey;
+        let broadcastSignature = null;
         try {
-            winnerPubkey = new PublicKey(winnerAddress);
-        } catch {
-            return { success: false, error: 'Invalid winner address' };
+            const solAmount = lamports / LAMPORTS_PER_SOL;
+            console.log(`[PumpFun] Buying ${mintAddress} with ${solAmount} SOL...`);
+
+            const sent = await sender.send(async () => ({
+                transaction: await requestTrade({
+                    action: 'buy',
+                    mint: mintAddress,
+                    amount: solAmount,
+                    denominatedInSol: 'true',
+                    slippage: config.get('buybackSlippagePercent'),
+                    priorityFee: config.get('buybackPriorityFeeSol'),
+                    pool: config.get('buybackPool')
+                })
+            }), {
+                onSigned: async (signature) => {
+                    broadcastSignature = signature;
+                    if (options.onSigned) {
+                        await options.onSigned(signature);
+                    }
+                    console.log(`[PumpFun] Buy transaction sent: ${signature}`);
+                }
+            });
+
+            if (sent.state === 'rejected') {
+                return { success: false, error: `Buy not sent: ${sent.error}` };
+            }
+            if (sent.state !== 'confirmed') {
+                return { success: false, error: sent.state === 'failed' ? 'Buy transaction failed on-chain' : 'Buy transaction expired without landing', signature: sent.signature };
+            }
+            const signature = sent.signature;
+
+            const { fee, balanceChange, tokenChange } = await getTransactionBalances(signature);
+            const creator = creatorSigner.publicKey.toBase58();
+            const tokensRaw = tokenChange(creator, mintAddress) || 0;
+            const spentLamports = -(balanceChange(creator) || 0) - fee;
+
+            console.log(`[PumpFun] Bought ${tokensRaw} base units of ${mintAddress} for ${spentLamports / LAMPORTS_PER_SOL} SOL`);
+
+            return {
+                success: tokensRaw > 0,
+                signature,
+                txUrl: `https://solscan.io/tx/${signature}`,
+                spentLamports,
+                tokensRaw,
+                error: tokensRaw > 0 ? null : 'Buy confirmed but no tokens were received'
+            };
+        } catch (error) {
+            console.error('[PumpFun] Buy failed:', error.message);
+            // Once broadcast, an error means the outcome is unknown - unresolved buys must not be paid again in SOL
+            return { success: false, error: error.message, signature: broadcastSignature, unresolved: !!broadcastSignature };
         }
+    }
 
-        // Generate two fresh hop wallets
-        const hop1 = Keypair.generate();
-        const hop2 = Keypair.generate();
+    // mint -> { mint, programId, decimals, token2022 }
+    const tokenMints = new Map();
+
+    /**
+     * Look up an SPL mint's token program (Token or Token-2022) and decimals (cached)
+     */
+    async function resolveTokenMint(mintAddress) {
+        if (!tokenMints.has(mintAddress)) {
+            const mint = new PublicKey(mintAddress);
+            const info = await connection.getAccountInfo(mint, 'confirmed');
+            if (!info) {
+                throw new Error(`Mint ${mintAddress} not found`);
+            }
+            if (!info.owner.equals(TOKEN_PROGRAM_ID) && !info.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+                throw new Error(`${mintAddress} is not an SPL token mint`);
+            }
 
-        console.log(`[PumpFun] Hop1: ${hop1.publicKey.toBase58()}`);
-        console.log(`[PumpFun] Hop2: ${hop2.publicKey.toBase58()}`);
+            const unpacked = unpackMint(mint, info, info.owner);
+            tokenMints.set(mintAddress, {
+                mint: mintAddress,
+                programId: info.owner.toBase58(),
+                decimals: unpacked.decimals,
+                token2022: info.owner.equals(TOKEN_2022_PROGRAM_ID)
+            });
+        }
+        return tokenMints.get(mintAddress);
+    }
 
-        // Calculate amounts (account for tx fees at each hop)
-        const TX_FEE = 0.000005; // ~5000 lamports per tx
-        const totalFees = TX_FEE * 3; // 3 transfers
+    /**
+     * Creator wallet balance of an SPL token, in base units (0 without a token account)
+     */
+    async function getTokenBalance(mintAddress) {
+        const token = await resolveTokenMint(mintAddress);
+        const account = getAssociatedTokenAddressSync(new PublicKey(token.mint), creatorSigner.publicKey, false, new PublicKey(token.programId));
+        try {
+            const balance = await connection.getTokenAccountBalance(account, 'confirmed');
+            return Number(balance.value.amount);
+        } catch {
+            return 0;
+        }
+    }
 
-        if (amountSol <= totalFees + 0.001) {
-            return { success: false, error: 'Amount too small for hop transfer' };
+    /**
+     * Send an SPL token straight to a wallet, creating its associated token account when needed
+     * amountRaw is in the mint's base units; options.onLeg is awaited before broadcast (one leg, as in transferWithHops)
+     */
+    async function transferToken(recipientAddress, mintAddress, amountRaw, options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
         }
 
-        const hop1Amount = amountSol - TX_FEE;
-        const hop2Amount = hop1Amount - TX_FEE;
-        const winnerAmount = hop2Amount - TX_FEE;
+        let pendingSignature = null;
 
-        const signatures = [];
+        try {
+            let owner;
+            try {
+                owner = new PublicKey(recipientAddress);
+            } catch {
+                return { success: false, error: 'Invalid winner address', hops: [] };
+            }
 
-        // Transfer 1: Dev → Hop1
-        console.log(`[PumpFun] Transfer 1: Dev → Hop1 (${hop1Amount.toFixed(6)} SOL)`);
-        const tx1 = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: creatorKeypair.publicKey,
-                toPubkey: hop1.publicKey,
-                lamports: Math.floor(hop1Amount * LAMPORTS_PER_SOL)
-            })
-        );
-        const sig1 = await sendAndConfirmTransaction(connection, tx1, [creatorKeypair], { commitment: 'confirmed' });
-        signatures.push(sig1);
-        console.log(`[PumpFun] Transfer 1 complete: ${sig1}`);
+            const token = await resolveTokenMint(mintAddress);
+            const mint = new PublicKey(token.mint);
+            const programId = new PublicKey(token.programId);
+            const source = getAssociatedTokenAddressSync(mint, creatorSigner.publicKey, false, programId);
+            const destination = getAssociatedTokenAddressSync(mint, owner, true, programId);
+
+            console.log(`[PumpFun] Sending ${fromBaseUnits(amountRaw, token.decimals)} of ${token.mint} to winner: ${recipientAddress}`);
+
+            const signature = await sender.sendInstructions(creatorSigner, [
+                createAssociatedTokenAccountIdempotentInstruction(creatorSigner.publicKey, destination, owner, mint, programId),
+                createTransferCheckedInstruction(source, mint, destination, creatorSigner.publicKey, BigInt(amountRaw), token.decimals, [], programId)
+            ], {
+                onSigned: async (sig) => {
+                    if (options.onLeg) {
+                        await options.onLeg({ index: 0, from: 'dev', to: recipientAddress, lamports: amountRaw, signature: sig });
+                    }
+                    pendingSignature = sig;
+                }
+            });
 
-        // Small delay between hops
-        await new Promise(resolve => setTimeout(resolve, 1500));
+            console.log(`[PumpFun] Token transfer complete: ${signature}`);
 
-        // Transfer 2: Hop1 → Hop2
-        console.log(`[PumpFun] Transfer 2: Hop1 → Hop2 (${hop2Amount.toFixed(6)} SOL)`);
-        const tx2 = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: hop1.publicKey,
-                toPubkey: hop2.publicKey,
-                lamports: Math.floor(hop2Amount * LAMPORTS_PER_SOL)
-            })
-        );
-        const sig2 = await sendAndConfirmTransaction(connection, tx2, [hop1], { commitment: 'confirmed' });
-        signatures.push(sig2);
-        console.log(`[PumpFun] Transfer 2 complete: ${sig2}`);
+            return {
+                success: true,
+                signature: signature,
+                signatures: [signature],
+                amount: fromBaseUnits(amountRaw, token.decimals),
+                amountRaw: amountRaw,
+                txUrl: `https://solscan.io/tx/${signature}`,
+                hops: [{ from: 'dev', to: recipientAddress, sig: signature }]
+            };
+        } catch (error) {
+            console.error('[PumpFun] Token transfer failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                hops: [],
+                pendingSignature: pendingSignature
+            };
+        }
+    }
 
-        // Small delay between hops
-        await new Promise(resolve => setTimeout(resolve, 1500));
+    /**
+     * Pay many recipients from the creator wallet, packing their transfers into as few transactions as fit
+     * the size, account and compute limits
+     * transfers: [{ address, amountRaw, mint }] - mint null for SOL (amountRaw in lamports), else the token's
+     * base units (the recipient's token account is created when needed)
+     * options.onLeg(address, { index, from, to, lamports, signature }) is awaited for each recipient of a
+     * batch before it is broadcast; options.computeUnitPrice (estimated per batch when omitted)
+     * A batch lands or fails as a whole, other batches are unaffected. Returns { success, batches, results }
+     * with one transferWithHops-shaped result per transfer, in order
+     */
+    async function sendBatch(transfers, options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured', batches: 0, results: [] };
+        }
 
-        // Transfer 3: Hop2 → Winner
-        console.log(`[PumpFun] Transfer 3: Hop2 → Winner (${winnerAmount.toFixed(6)} SOL)`);
-        const tx3 = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: hop2.publicKey,
-                toPubkey: winnerPubkey,
-                lamports: Math.floor(winnerAmount * LAMPORTS_PER_SOL)
-            })
-        );
-        const sig3 = await sendAndConfirmTransaction(connection, tx3, [hop2], { commitment: 'confirmed' });
-        signatures.push(sig3);
-        console.log(`[PumpFun] Transfer 3 complete: ${sig3}`);
+        const results = new Array(transfers.length).fill(null);
+        const tokens = new Map();
+        const prepared = [];
 
-        console.log(`[PumpFun] Hop transfer complete! Final amount: ${winnerAmount.toFixed(6)} SOL`);
+        // Each transfer's instructions - invalid ones fail on their own without holding up a batch
+        for (const [position, transfer] of transfers.entries()) {
+            try {
+                const owner = new PublicKey(transfer.address);
+                if (!transfer.mint) {
+                    if (transfer.amountRaw <= MIN_TRANSFER_LAMPORTS) throw new Error('Amount too small for transfer');
+                    prepared.push({
+                        position,
+                        transfer,
+                        computeUnits: BATCH_SOL_COMPUTE_UNITS,
+                        instructions: [SystemProgram.transfer({ fromPubkey: creatorSigner.publicKey, toPubkey: owner, lamports: transfer.amountRaw })]
+                    });
+                    continue;
+                }
 
-        return {
-            success: true,
-            signature: sig3, // Return final signature as main signature
-            signatures: signatures,
-            amount: winnerAmount,
-            txUrl: `https://solscan.io/tx/${sig3}`,
-            hops: [
-                { from: 'dev', to: hop1.publicKey.toBase58(), sig: sig1 },
-                { from: hop1.publicKey.toBase58(), to: hop2.publicKey.toBase58(), sig: sig2 },
-                { from: hop2.publicKey.toBase58(), to: winnerAddress, sig: sig3 }
-            ]
+                if (!tokens.has(transfer.mint)) tokens.set(transfer.mint, await resolveTokenMint(transfer.mint));
+                const token = tokens.get(transfer.mint);
+                const mint = new PublicKey(token.mint);
+                const programId = new PublicKey(token.programId);
+                const source = getAssociatedTokenAddressSync(mint, creatorSigner.publicKey, false, programId);
+                const destination = getAssociatedTokenAddressSync(mint, owner, true, programId);
+                prepared.push({
+                    position,
+                    transfer,
+                    token,
+                    computeUnits: BATCH_TOKEN_COMPUTE_UNITS,
+                    instructions: [
+                        createAssociatedTokenAccountIdempotentInstruction(creatorSigner.publicKey, destination, owner, mint, programId),
+                        createTransferCheckedInstruction(source, mint, destination, creatorSigner.publicKey, BigInt(transfer.amountRaw), token.decimals, [], programId)
+                    ]
+                });
+            } catch (error) {
+                results[position] = { success: false, error: error.message, hops: [] };
+            }
+        }
+
+        // Greedy packing - measured on the compiled transaction, compute budget instructions included
+        const fits = (items) => {
+            const message = new TransactionMessage({
+                payerKey: creatorSigner.publicKey,
+                recentBlockhash: PublicKey.default.toBase58(),
+                instructions: [
+                    ComputeBudgetProgram.setComputeUnitLimit({ units: BATCH_MAX_COMPUTE_UNITS }),
+                    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+                    ...items.flatMap(item => item.instructions)
+                ]
+            }).compileToV0Message();
+            return message.staticAccountKeys.length <= BATCH_MAX_ACCOUNTS &&
+                items.reduce((sum, item) => sum + item.computeUnits, 0) <= BATCH_MAX_COMPUTE_UNITS &&
+                new VersionedTransaction(message).serialize().length <= PACKET_DATA_SIZE;
         };
-    } catch (error) {
-        console.error('[PumpFun] Hop transfer failed:', error.message);
+        const batches = [];
+        for (const item of prepared) {
+            const current = batches[batches.length - 1];
+            if (current && fits([...current, item])) {
+                current.push(item);
+            } else {
+                batches.push([item]);
+            }
+        }
+
+        for (const [index, batch] of batches.entries()) {
+            let pendingSignature = null;
+            console.log(`[PumpFun] Payout batch ${index + 1}/${batches.length}: ${batch.length} transfer(s)`);
+
+            try {
+                const signature = await sender.sendInstructions(creatorSigner, batch.flatMap(item => item.instructions), {
+                    computeUnitPrice: options.computeUnitPrice,
+                    onSigned: async (sig) => {
+                        // A signature that could not be stored is never broadcast - nothing pending then
+                        if (options.onLeg) {
+                            for (const item of batch) {
+                                await options.onLeg(item.transfer.address, { index: 0, from: 'dev', to: item.transfer.address, lamports: item.transfer.amountRaw, signature: sig });
+                            }
+                        }
+                        pendingSignature = sig;
+                    }
+                });
+                console.log(`[PumpFun] Payout batch ${index + 1} complete: ${signature}`);
+
+                for (const item of batch) {
+                    const { address, amountRaw } = item.transfer;
+                    results[item.position] = {
+                        success: true,
+                        signature: signature,
+                        signatures: [signature],
+                        amount: item.token ? fromBaseUnits(amountRaw, item.token.decimals) : amountRaw / LAMPORTS_PER_SOL,
+                        ...(item.token ? { amountRaw } : { lamports: amountRaw }),
+                        txUrl: `https://solscan.io/tx/${signature}`,
+                        hops: [{ from: 'dev', to: address, sig: signature }],
+                        route: { mode: 'direct', hops: 0, batchSize: batch.length }
+                    };
+                }
+            } catch (error) {
+                console.error(`[PumpFun] Payout batch ${index + 1} failed:`, error.message);
+                for (const item of batch) {
+                    results[item.position] = { success: false, error: error.message, hops: [], pendingSignature };
+                }
+            }
+        }
+
         return {
-            success: false,
-            error: error.message
+            success: results.every(result => result.success),
+            batches: batches.length,
+            results: results
         };
     }
-}
 
-/**
- * Claim fees and distribute to winner in one operation
- */
-async function claimAndDistribute(winnerAddress, keepPercentage = 10) {
-    if (!isConfigured) {
-        return { success: false, error: 'Service not configured' };
+    /**
+     * Send the legs of a distribution - [{ address, kind, mint, amountLamports, amount, route }]
+     * Direct transfers go out batched (see canBatch), hop routes and burns one by one
+     * guard() is awaited before each leg (see claimAndDistribute). Returns one result per leg, in order
+     */
+    async function sendLegs(legs, guard = null) {
+        const results = new Array(legs.length).fill(null);
+
+        const batched = legs.map((leg, index) => ({ leg, index })).filter(({ leg }) => canBatch(leg));
+        if (batched.length > 0) {
+            if (guard) await guard();
+            const batch = await sendBatch(batched.map(({ leg }) => ({ address: leg.address, mint: leg.mint, amountRaw: leg.amountLamports })));
+            batched.forEach(({ index }, position) => {
+                results[index] = batch.results[position];
+            });
+        }
+
+        for (const [index, leg] of legs.entries()) {
+            if (results[index]) continue;
+            if (guard) await guard();
+            results[index] = leg.kind === SPLIT_KIND.BURN
+                ? await buyAndBurn(leg.address, leg.amountLamports)
+                : await transferWithHops(leg.address, leg.amount, { lamports: leg.amountLamports, route: leg.route });
+        }
+        return results;
     }
 
-    try {
-        // Get balance before claim
-        const balanceBefore = await getCreatorBalance();
-        if (!balanceBefore.success) {
-            return balanceBefore;
+    /**
+     * Buy a token with SOL and burn what was bought - the "burn" fee split leg
+     * Two transactions, each announced through options.onLeg before broadcast: the buy (leg 0, to "buy")
+     * and the burn (leg 1, to the mint). options.buySignature resumes after a confirmed buy whose burn
+     * never landed. Returns { success, signature (the burn), lamports (SOL spent), tokensRaw, burned, hops };
+     * on failure the result carries the legs that confirmed (hops) and a signature that may still land
+     */
+    async function buyAndBurn(mintAddress, lamports, options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
         }
 
-        // Claim fees
-        const claimResult = await claimCreatorFees();
+        const hops = [];
+        let pendingSignature = null;
 
-        // Wait a moment for balance to update
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        try {
+            const token = await resolveTokenMint(mintAddress);
+            const creator = creatorSigner.publicKey.toBase58();
+            let buySignature = options.buySignature || null;
+            let spentLamports;
+            let tokensRaw;
+
+            if (buySignature) {
+                const { fee, balanceChange, tokenChange } = await getTransactionBalances(buySignature);
+                tokensRaw = tokenChange(creator, mintAddress) || 0;
+                spentLamports = -(balanceChange(creator) || 0) - fee;
+                console.log(`[PumpFun] Resuming the burn of ${tokensRaw} base units bought in ${buySignature}`);
+            } else {
+                const buy = await buyToken(mintAddress, lamports, {
+                    onSigned: async (signature) => {
+                        if (options.onLeg) {
+                            await options.onLeg({ index: 0, from: 'dev', to: 'buy', lamports, signature });
+                        }
+                    }
+                });
+                if (!buy.success) {
+                    return { success: false, error: `Buy for burn failed: ${buy.error}`, hops, pendingSignature: buy.unresolved ? buy.signature : null };
+                }
+                ({ signature: buySignature, spentLamports, tokensRaw } = buy);
+            }
+            hops.push({ from: 'dev', to: 'buy', sig: buySignature });
 
-        // Get balance after claim
-        const balanceAfter = await getCreatorBalance();
-        if (!balanceAfter.success) {
-            return balanceAfter;
-        }
+            if (!(tokensRaw > 0)) {
+                return { success: false, error: `Buy ${buySignature} left no tokens to burn`, hops };
+            }
 
-        // Calculate claimed amount
-        const claimedAmount = balanceAfter.balance - balanceBefore.balance;
+            const mint = new PublicKey(token.mint);
+            const programId = new PublicKey(token.programId);
+            const account = getAssociatedTokenAddressSync(mint, creatorSigner.publicKey, false, programId);
+            const signature = await sender.sendInstructions(creatorSigner, [
+                createBurnCheckedInstruction(account, mint, creatorSigner.publicKey, BigInt(tokensRaw), token.decimals, [], programId)
+            ], {
+                onSigned: async (sig) => {
+                    pendingSignature = sig;
+                    if (options.onLeg) {
+                        // The burn leg carries the SOL value it destroys
+                        await options.onLeg({ index: 1, from: 'dev', to: mintAddress, lamports: spentLamports, signature: sig });
+                    }
+                }
+            });
+            hops.push({ from: 'dev', to: mintAddress, sig: signature });
 
-        // Minimum guaranteed payout if no fees claimed
-        const MINIMUM_PAYOUT = 0.002;
-        let distributeAmount;
-        let fromFees = true;
+            const burned = fromBaseUnits(tokensRaw, token.decimals);
+            console.log(`[PumpFun] Burned ${burned} of ${mintAddress} bought for ${spentLamports / LAMPORTS_PER_SOL} SOL: ${signature}`);
 
-        if (claimedAmount <= 0.001) {
-            // No fees claimed - send minimum from wallet
-            console.log('[PumpFun] No fees claimed, sending minimum payout from wallet');
-            distributeAmount = MINIMUM_PAYOUT;
-            fromFees = false;
-        } else {
-            // Calculate amount to send (keep some percentage)
-            const keepAmount = claimedAmount * (keepPercentage / 100);
-            distributeAmount = claimedAmount - keepAmount - 0.003; // Reserve for 3 hop tx fees
+            return {
+                success: true,
+                signature: signature,
+                signatures: [buySignature, signature],
+                txUrl: `https://solscan.io/tx/${signature}`,
+                lamports: spentLamports,
+                tokensRaw: tokensRaw,
+                burned: burned,
+                hops: hops
+            };
+        } catch (error) {
+            console.error('[PumpFun] Buy and burn failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                hops: hops,
+                pendingSignature: pendingSignature
+            };
+        }
+    }
 
-            // If calculated amount is less than minimum, use minimum
-            if (distributeAmount < MINIMUM_PAYOUT) {
-                distributeAmount = MINIMUM_PAYOUT;
-                fromFees = false;
-            }
+    /**
+     * Stored hop wallets with their live balance - filter: { statuses, address }
+     */
+    async function getHopWalletBalances(filter = {}) {
+        if (!isConfigured || !hopVault) {
+            return { success: false, error: 'Service not configured' };
         }
 
-        // Transfer to winner via hop wallets (breaks bubble map connections)
-        const transferResult = await transferWithHops(winnerAddress, distributeAmount);
+        try {
+            const wallets = await hopVault.list(filter);
+            const balances = [];
+
+            for (let i = 0; i < wallets.length; i += 100) {
+                const batch = wallets.slice(i, i + 100);
+                const accounts = await connection.getMultipleAccountsInfo(batch.map(wallet => new PublicKey(wallet.address)));
+                batch.forEach((wallet, index) => {
+                    const lamports = accounts[index] ? accounts[index].lamports : 0;
+                    balances.push({ ...wallet, lamports, balance: lamports / LAMPORTS_PER_SOL });
+                });
+            }
 
-        if (!transferResult.success) {
+            return { success: true, wallets: balances };
+        } catch (error) {
+            console.error('[PumpFun] Failed to get hop wallet balances:', error.message);
             return {
                 success: false,
-                claimed: claimedAmount,
-                distributed: 0,
-                error: transferResult.error
+                error: error.message
             };
         }
+    }
 
-        return {
-            success: true,
-            claimed: claimedAmount,
-            distributed: transferResult.amount, // Use actual amount received by winner
-            claimTx: claimResult.signature,
-            transferSignature: transferResult.signature,
-            transferTxUrl: transferResult.txUrl,
-            hops: transferResult.hops
-        };
-    } catch (error) {
-        console.error('[PumpFun] Claim and distribute failed:', error.message);
-        return {
-            success: false,
-            error: error.message
-        };
+    /**
+     * Recover SOL left in stored hop wallets
+     * action 'finish' forwards it along the rest of the route to the recipient, 'return' sends it back to the creator wallet
+     * options: { address, minAgeMs } - minAgeMs skips wallets that may belong to a transfer still in progress
+     * Returns { success, results: [{ address, spinId, recipient, action, success, lamports, signatures, delivered, error }] }
+     */
+    async function sweepHopWallets(action = 'finish', options = {}) {
+        const minAgeMs = options.minAgeMs ?? 0;
+
+        const lookup = await getHopWalletBalances({ statuses: [HOP_STATUS.ACTIVE], address: options.address });
+        if (!lookup.success) return lookup;
+
+        const now = Date.now();
+        const candidates = lookup.wallets.filter(wallet => now - new Date(wallet.createdAt).getTime() >= minAgeMs);
+        const handled = new Set();
+        const results = [];
+
+        // Sweeps pay the priority fee out of the stranded SOL
+        const computeUnitPrice = candidates.length > 0 ? await sender.estimatePriorityFee([creatorSigner.publicKey]) : 0;
+        const legFee = legFeeLamports(computeUnitPrice);
+        const transferOptions = { computeUnitPrice, computeUnitLimit: TRANSFER_COMPUTE_UNITS };
+
+        for (const wallet of candidates) {
+            if (handled.has(wallet.address)) continue;
+            handled.add(wallet.address);
+
+            // Nothing worth moving - the route either finished or never got this far
+            if (wallet.lamports <= legFee) {
+                await hopVault.setStatus([wallet.address], HOP_STATUS.DRAINED);
+                continue;
+            }
+
+            const result = {
+                address: wallet.address,
+                spinId: wallet.spinId,
+                recipient: wallet.recipient,
+                action: action,
+                success: false,
+                lamports: wallet.lamports,
+                signatures: [],
+                delivered: null,
+                error: null
+            };
+
+            try {
+                let current = wallet;
+                let lamports = wallet.lamports;
+
+                while (current) {
+                    const destination = action === 'return' ? creatorSigner.publicKey.toBase58() : current.next;
+                    const hopSigner = keypairSigner(await hopVault.getKeypair(current.address));
+                    const amount = lamports - legFee;
+
+                    console.log(`[PumpFun] Sweeping hop wallet ${current.address} -> ${destination} (${amount / LAMPORTS_PER_SOL} SOL, ${action})`);
+                    const signature = await sendTransfer(hopSigner, new PublicKey(destination), amount, null, transferOptions);
+                    result.signatures.push(signature);
+                    await hopVault.setStatus([current.address], HOP_STATUS.SWEPT, { action, destination, signature, lamports: amount });
+
+                    // Finishing a route continues through the remaining hop wallets
+                    const next = action === 'finish' ? await hopVault.get(current.next) : null;
+                    if (!next) {
+                        result.delivered = { to: destination, lamports: amount, signature };
+                        break;
+                    }
+
+                    handled.add(next.address);
+                    current = next;
+                    lamports = await connection.getBalance(new PublicKey(next.address));
+                    if (lamports <= legFee) {
+                        throw new Error(`Hop wallet ${next.address} has too little SOL to forward`);
+                    }
+                }
+
+                result.success = true;
+            } catch (error) {
+                console.error(`[PumpFun] Failed to sweep hop wallet ${wallet.address}:`, error.message);
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        return { success: true, results };
     }
-}
 
-/**
- * Check if service is properly configured
- */
-function isReady() {
-    return isConfigured;
-}
+    /**
+     * On-chain state of transaction signatures
+     * Returns { success, statuses: { signature: 'confirmed' | 'failed' | null } } - null = not seen (yet)
+     */
+    async function getSignatureStatuses(signatures) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
 
-/**
- * Fetch historical SOL transfers from the creator wallet
- * Returns transfers that look like prize distributions
- */
-async function getHistoricalTransfers(limit = 50) {
-    if (!isConfigured) {
-        return { success: false, error: 'Service not configured' };
+        try {
+            const statuses = {};
+            const result = await connection.getSignatureStatuses(signatures, { searchTransactionHistory: true });
+
+            signatures.forEach((signature, index) => {
+                const status = result.value[index];
+                if (!status) {
+                    statuses[signature] = null;
+                } else if (status.err) {
+                    statuses[signature] = 'failed';
+                } else {
+                    statuses[signature] = status.confirmationStatus === 'processed' ? null : 'confirmed';
+                }
+            });
+
+            return { success: true, statuses };
+        } catch (error) {
+            console.error('[PumpFun] Failed to get signature statuses:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
     }
 
-    try {
-        console.log(`[PumpFun] Fetching last ${limit} transactions from creator wallet...`);
+    /**
+     * Claim fees and distribute to the winner(s) in one operation
+     * recipients: a winner address, or [{ address, share }] with shares summing to 1 (multi-winner spins)
+     * options.onStage(stage, details) is awaited before funds move so callers can persist progress - 'claimed'
+     *   right after a claim confirms, with the claim's amounts (see getClaimAmounts)
+     * options.claim - the 'claimed' details of an earlier run of this distribution: they are distributed instead
+     *   of claiming again
+     * options.sendLegs(legs) replaces the plain transfers of winners and split legs (the payout ledger uses it
+     *   for idempotent sends) - one result per leg, see sendLegs
+     * options.authorize(plan) can refuse the planned payouts before funds move - returns { allowed, error }
+     * options.guard() is awaited before each step that moves funds (claim, buy, payouts) - it throws to abort
+     * options.asset - a resolved payout asset (see payoutAsset.js); SOL when omitted
+     * options.venue - where the token trades (pumpVenue.js), so fees are claimed from the right vault
+     * options.feeSplit - fee split rules (feeSplit.js); without them the winners get all but keepPercentage.
+     *   Wallet and burn legs get their percentage of the claimed fees (their network fees come out of what the
+     *   wallet keeps); options.burnMint is the token a burn leg buys and burns
+     * options.carryOverLamports - a pot rolled over from earlier spins, added to this one (SOL and buyback)
+     * options.requiresApproval(plan) - true holds the distribution: nothing is sent and the result is
+     *   { held: true, plan } - pass the plan to distributePlanned once it is approved
+     * Amounts ending in Lamports are base units of that asset
+     */
+    async function claimAndDistribute(recipients, keepPercentage = config.get('keepPercentage'), options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
 
-        const signatures = await connection.getSignaturesForAddress(
-            creatorKeypair.publicKey,
-            { limit: limit }
-        );
+        if (typeof recipients === 'string') {
+            recipients = [{ address: recipients, share: 1 }];
+        }
 
-        const transfers = [];
+        try {
+            let claim = options.claim || null;
+            if (claim) {
+                console.log(`[PumpFun] Distributing the earlier claim ${claim.claimTx} (${claim.claimed} SOL) instead of claiming again`);
+            } else {
+                if (options.guard) await options.guard();
+                // Claim fees - the amount comes from the confirmed claim transaction itself
+                const claimResult = await claimCreatorFees({ venue: options.venue });
+                if (claimResult.success && claimResult.amountError) {
+                    return {
+                        success: false,
+                        claimTx: claimResult.signature,
+                        error: `Claim ${claimResult.signature} confirmed but its amount could not be read: ${claimResult.amountError}`
+                    };
+                }
 
-        for (const sigInfo of signatures) {
-            try {
-                const tx = await connection.getTransaction(sigInfo.signature, {
-                    commitment: 'confirmed',
-                    maxSupportedTransactionVersion: 0
+                // What actually reached the creator wallet (claimed minus the claim tx fee)
+                const netLamports = claimResult.success ? Math.max(claimResult.netLamports, 0) : 0;
+                claim = {
+                    claimed: netLamports / LAMPORTS_PER_SOL,
+                    claimedLamports: netLamports,
+                    claimGrossLamports: claimResult.claimedLamports ?? 0, // Left the creator vault
+                    claimTxFeeLamports: claimResult.feeLamports ?? 0,
+                    claimTx: claimResult.signature || null
+                };
+                if (claim.claimTx && options.onStage) {
+                    await options.onStage('claimed', claim);
+                }
+            }
+            const { claimedLamports } = claim;
+
+            // Amounts below are in the asset's base units (lamports for SOL)
+            const asset = options.asset || SOL_ASSET;
+            const delivered = asset.type === 'spl' ? asset : SOL_ASSET; // A buyback delivers its token once bought
+            const computeUnitPrice = asset.type === 'spl' ? 0 : await sender.estimatePriorityFee([creatorSigner.publicKey]);
+            const carryOverLamports = asset.type === 'spl' ? 0 : options.carryOverLamports || 0;
+            let fromFees = true;
+            let payouts;
+
+            // Claimed fees (and a rolled-over pot) divided by the fee split rules
+            const feesClaimed = claimedLamports > 0.001 * LAMPORTS_PER_SOL || carryOverLamports > 0;
+            const shares = feesClaimed ? splitFees(options.feeSplit || defaultFeeSplit(keepPercentage), claimedLamports, carryOverLamports) : [];
+
+            if (asset.type === 'spl') {
+                // Token payouts - a fixed amount per spin from the wallet's token balance; the winners' share of
+                // the claimed SOL stays in the wallet
+                fromFees = false;
+                const totalRaw = toBaseUnits(asset.amountPerSpin, asset.decimals);
+                const available = await getTokenBalance(asset.mint);
+                if (available < totalRaw) {
+                    return {
+                        success: false,
+                        ...claim,
+                        asset: describeAsset(asset),
+                        distributed: 0,
+                        distributedLamports: 0,
+                        payouts: [],
+                        error: `Creator wallet holds ${fromBaseUnits(available, asset.decimals)} ${asset.symbol}, the spin pays ${asset.amountPerSpin}`
+                    };
+                }
+                payouts = recipients.map(recipient => ({ ...recipient, amountLamports: Math.floor(totalRaw * recipient.share) }));
+            } else {
+                // Minimum guaranteed payout of a spin - minimumPayoutSol setting
+                const MINIMUM_PAYOUT_LAMPORTS = Math.round(config.get('minimumPayoutSol') * LAMPORTS_PER_SOL);
+                const ROUTE_FEE_RESERVE_LAMPORTS = routeFeeLamports(getRoutePolicy(), computeUnitPrice); // Every leg of one winner's route
+
+                // The winners' share, less the fees of their routes
+                const winnersLamports = feesClaimed ? shares.find(share => share.kind === SPLIT_KIND.WINNERS).lamports : 0;
+                const divided = divideWinnersPot(recipients, winnersLamports, ROUTE_FEE_RESERVE_LAMPORTS, MINIMUM_PAYOUT_LAMPORTS);
+                if (divided.dropped > 0) {
+                    console.log(`[PumpFun] Pot too small for every winner - paying ${divided.payouts.length} of ${recipients.length}`);
+                }
+                if (divided.toppedUp) {
+                    console.log(`[PumpFun] ${feesClaimed ? 'Claimed fees below the minimum payout, topping up' : 'No fees claimed, sending minimum payout'} from wallet`);
+                    fromFees = false;
+                }
+                payouts = divided.payouts;
+            }
+            payouts = payouts.map(payout => ({ ...payout, amount: fromBaseUnits(payout.amountLamports, delivered.decimals) }));
+
+            // The other rules' legs, straight from the creator wallet - a leg too small to land stays in it
+            const splits = [];
+            for (const share of shares.filter(item => item.kind !== SPLIT_KIND.WINNERS)) {
+                const address = share.kind === SPLIT_KIND.BURN ? options.burnMint : share.address;
+                if (!address || share.lamports <= MIN_TRANSFER_LAMPORTS) {
+                    console.log(`[PumpFun] Skipping the ${share.label} split leg (${share.lamports / LAMPORTS_PER_SOL} SOL${address ? '' : ', no token to burn'})`);
+                    continue;
+                }
+                splits.push({
+                    kind: share.kind,
+                    label: share.label,
+                    percent: share.percent,
+                    address: address,
+                    amountLamports: share.lamports,
+                    amount: share.lamports / LAMPORTS_PER_SOL
                 });
+            }
 
-                if (!tx || !tx.meta) continue;
+            // SOL the distribution spends - token payouts aside
+            const solLamports = (delivered.mint ? 0 : payouts.reduce((sum, payout) => sum + payout.amountLamports, 0)) +
+                splits.reduce((sum, split) => sum + split.amountLamports, 0);
+            const plan = { claim, payouts, splits, fromFees, carryOverLamports, solLamports, asset: describeAsset(delivered) };
+            if (options.requiresApproval && options.requiresApproval(plan)) {
+                console.warn(`[PumpFun] Distribution of ${solLamports / LAMPORTS_PER_SOL} SOL held for approval`);
+                return {
+                    success: false,
+                    held: true,
+                    ...claim,
+                    asset: describeAsset(delivered),
+                    plan: plan,
+                    distributed: 0,
+                    distributedLamports: 0,
+                    payouts: [],
+                    error: 'Payouts held for operator approval'
+                };
+            }
 
-                // Look for SOL transfers (native transfers)
-                const preBalances = tx.meta.preBalances;
-                const postBalances = tx.meta.postBalances;
-                const accountKeys = tx.transaction.message.staticAccountKeys ||
-                    tx.transaction.message.accountKeys;
+            return await distributePlanned(plan, { ...options, computeUnitPrice });
+        } catch (error) {
+            console.error('[PumpFun] Claim and distribute failed:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-                if (!accountKeys || accountKeys.length < 2) continue;
+    /**
+     * Send planned payouts - the second half of claimAndDistribute, also used for approved payouts
+     * plan: { claim, payouts: [{ address, share, amount, amountLamports }], splits: [{ kind, label, percent,
+     *   address, amount, amountLamports }], fromFees, carryOverLamports, solLamports, asset }
+     * options: as for claimAndDistribute (asset, onStage, authorize, guard, sendLegs), plus computeUnitPrice for
+     * SOL routes (estimated when omitted)
+     */
+    async function distributePlanned(plan, options = {}) {
+        if (!isConfigured) {
+            return { success: false, error: 'Service not configured' };
+        }
 
-                // Check if creator is the sender (first account usually pays)
-                const creatorIndex = accountKeys.findIndex(
-                    key => key.toBase58() === creatorKeypair.publicKey.toBase58()
-                );
+        const { claim, fromFees } = plan;
+        const asset = options.asset || SOL_ASSET;
+        let delivered = asset.type === 'spl' ? asset : SOL_ASSET;
+        let payouts = plan.payouts;
+        const splits = plan.splits || [];
+        let buyback = null;
 
-                if (creatorIndex === -1) continue;
+        try {
+            let distributeLamports = payouts.reduce((sum, payout) => sum + payout.amountLamports, 0);
+
+            if (options.authorize) {
+                // A rolled-over pot was claimed as fees by an earlier spin
+                const verdict = await options.authorize({
+                    asset: asset,
+                    payouts: payouts,
+                    splits: splits,
+                    claimedLamports: claim.claimedLamports + (plan.carryOverLamports || 0),
+                    balanceLamports: await connection.getBalance(creatorSigner.publicKey, 'confirmed')
+                });
+                if (!verdict.allowed) {
+                    console.warn(`[PumpFun] Payouts refused: ${verdict.error}`);
+                    return {
+                        success: false,
+                        blocked: true,
+                        ...claim,
+                        asset: describeAsset(delivered),
+                        distributed: 0,
+                        distributedLamports: 0,
+                        payouts: [],
+                        splits: [],
+                        error: verdict.error
+                    };
+                }
+            }
 
-                // Look for transfers where creator balance decreased
-                const creatorDiff = postBalances[creatorIndex] - preBalances[creatorIndex];
+            // Buyback - spend the SOL pot on the token, then pay out what was bought (SOL payout if the buy fails)
+            if (asset.type === 'buyback') {
+                if (options.onStage) {
+                    await options.onStage('buying', { ...claim, mint: asset.mint, spendLamports: distributeLamports });
+                }
 
-                if (creatorDiff < -10000) { // Sent more than 0.00001 SOL
-                    // Find the recipient (who received the biggest increase)
-                    let maxIncrease = 0;
-                    let recipientIndex = -1;
+                if (options.guard) await options.guard();
+                const buy = await buyToken(asset.mint, distributeLamports);
+                if (buy.success) {
+                    buyback = {
+                        mint: asset.mint,
+                        symbol: asset.symbol,
+                        decimals: asset.decimals,
+                        signature: buy.signature,
+                        txUrl: buy.txUrl,
+                        spentLamports: buy.spentLamports,
+                        spent: buy.spentLamports / LAMPORTS_PER_SOL,
+                        tokensRaw: buy.tokensRaw,
+                        tokens: fromBaseUnits(buy.tokensRaw, asset.decimals)
+                    };
+                    delivered = asset;
+                    // Each winner gets the tokens their SOL amount bought
+                    payouts = payouts.map(payout => {
+                        const amountLamports = Math.floor(buy.tokensRaw * payout.amountLamports / distributeLamports);
+                        return { ...payout, amountLamports, amount: fromBaseUnits(amountLamports, asset.decimals) };
+                    });
+                    distributeLamports = payouts.reduce((sum, payout) => sum + payout.amountLamports, 0);
+                } else if (buy.unresolved) {
+                    return {
+                        success: false,
+                        ...claim,
+                        asset: describeAsset(SOL_ASSET),
+                        buyback: { failed: true, unresolved: true, signature: buy.signature, error: buy.error },
+                        distributed: 0,
+                        distributedLamports: 0,
+                        payouts: [],
+                        splits: [],
+                        error: `Buyback ${buy.signature} could not be verified (${buy.error}) - not paying in SOL, check it on-chain`
+                    };
+                } else {
+                    console.warn(`[PumpFun] Buyback failed (${buy.error}) - paying out in SOL instead`);
+                    buyback = { failed: true, signature: buy.signature || null, error: buy.error, fallback: 'SOL' };
+                }
+            }
 
-                    for (let i = 0; i < postBalances.length; i++) {
-                        if (i === creatorIndex) continue;
-                        const diff = postBalances[i] - preBalances[i];
-                        if (diff > maxIncrease) {
-                            maxIncrease = diff;
-                            recipientIndex = i;
-                        }
-                    }
+            // SOL payouts each take their own route (fresh hop wallets and delays)
+            if (!delivered.mint) {
+                const routePolicy = getRoutePolicy();
+                const computeUnitPrice = options.computeUnitPrice ?? await sender.estimatePriorityFee([creatorSigner.publicKey]);
+                payouts = payouts.map(payout => ({ ...payout, route: planRoute(routePolicy, computeUnitPrice) }));
+            }
 
-                    if (recipientIndex !== -1 && maxIncrease > 10000) {
-                        const recipient = accountKeys[recipientIndex].toBase58();
-                        const amount = maxIncrease / LAMPORTS_PER_SOL;
-
-                        transfers.push({
-                            signature: sigInfo.signature,
-                            recipient: recipient,
-                            amount: amount,
-                            timestamp: new Date(sigInfo.blockTime * 1000).toISOString(),
-                            solscanUrl: `https://solscan.io/tx/${sigInfo.signature}`
-                        });
-                    }
+            if (options.onStage) {
+                await options.onStage('transferring', {
+                    ...claim,
+                    asset: describeAsset(delivered),
+                    buyback: buyback,
+                    amount: fromBaseUnits(distributeLamports, delivered.decimals),
+                    amountLamports: distributeLamports,
+                    fromFees: fromFees,
+                    payouts: payouts.map(payout => ({
+                        address: payout.address,
+                        share: payout.share,
+                        amount: payout.amount,
+                        amountLamports: payout.amountLamports
+                    })),
+                    splits: splits.map(split => ({
+                        kind: split.kind,
+                        label: split.label,
+                        percent: split.percent,
+                        address: split.address,
+                        amount: split.amount,
+                        amountLamports: split.amountLamports
+                    }))
+                });
+            }
+
+            // Winners first, then the fee split legs - direct transfers share batched transactions
+            const legs = [
+                ...payouts.map(payout => ({
+                    address: payout.address,
+                    kind: 'winner',
+                    mint: delivered.mint || null,
+                    amountLamports: payout.amountLamports,
+                    amount: payout.amount,
+                    route: payout.route || null
+                })),
+                ...splits.map(split => ({
+                    address: split.address,
+                    kind: split.kind,
+                    mint: null,
+                    amountLamports: split.amountLamports,
+                    amount: split.amount,
+                    route: null
+                }))
+            ];
+            const outcomes = options.sendLegs ? await options.sendLegs(legs) : await sendLegs(legs, options.guard);
+
+            const results = payouts.map((payout, index) => {
+                const transferResult = outcomes[index];
+                const receivedLamports = transferResult.success ? transferResult.amountRaw ?? transferResult.lamports ?? 0 : 0;
+                return {
+                    address: payout.address,
+                    share: payout.share,
+                    success: transferResult.success,
+                    amount: fromBaseUnits(receivedLamports, delivered.decimals), // Actual amount received
+                    lamports: receivedLamports,
+                    sentLamports: payout.amountLamports,
+                    signature: transferResult.signature || null,
+                    txUrl: transferResult.txUrl || null,
+                    route: transferResult.route || null,
+                    hops: transferResult.hops || null,
+                    error: transferResult.error || null,
+                    state: transferResult.state || null // Payout ledger state when sendLegs is used
+                };
+            });
+
+            // Split legs - SOL straight to the wallet, or a buy of the token that is then burned
+            const splitResults = splits.map((split, index) => {
+                const splitResult = outcomes[payouts.length + index];
+                if (!splitResult.success) {
+                    console.warn(`[PumpFun] ${split.label} split leg failed: ${splitResult.error}`);
                 }
-            } catch (txError) {
-                // Skip failed transactions
-                continue;
+                return {
+                    kind: split.kind,
+                    label: split.label,
+                    percent: split.percent,
+                    address: split.address,
+                    success: splitResult.success,
+                    amount: splitResult.success ? (splitResult.lamports ?? 0) / LAMPORTS_PER_SOL : 0,
+                    lamports: splitResult.success ? splitResult.lamports ?? 0 : 0,
+                    burned: split.kind === SPLIT_KIND.BURN && splitResult.success ? splitResult.burned ?? null : null, // Tokens burned
+                    signature: splitResult.signature || null,
+                    txUrl: splitResult.txUrl || null,
+                    error: splitResult.error || null,
+                    state: splitResult.state || null
+                };
+            });
+            const failedSplits = splitResults.filter(result => !result.success);
+
+            const sent = results.filter(result => result.success);
+            const failed = results.filter(result => !result.success);
+            const distributedLamports = sent.reduce((sum, result) => sum + result.lamports, 0);
+
+            if (sent.length === 0) {
+                return {
+                    success: false,
+                    ...claim,
+                    asset: describeAsset(delivered),
+                    buyback: buyback,
+                    distributed: 0,
+                    distributedLamports: 0,
+                    payouts: results,
+                    splits: splitResults,
+                    error: failed[0].error
+                };
             }
+
+            let error = null;
+            if (failed.length > 0) {
+                error = `${failed.length} of ${results.length} payouts failed: ${failed[0].error}`;
+            } else if (failedSplits.length > 0) {
+                error = `${failedSplits.length} of ${splitResults.length} split legs failed: ${failedSplits[0].error}`;
+            }
+
+            return {
+                success: failed.length === 0 && failedSplits.length === 0,
+                ...claim,
+                asset: describeAsset(delivered),
+                buyback: buyback,
+                distributed: fromBaseUnits(distributedLamports, delivered.decimals),
+                distributedLamports: distributedLamports,
+                transferSignature: sent[0].signature,
+                transferTxUrl: sent[0].txUrl,
+                hops: sent[0].hops,
+                payouts: results,
+                splits: splitResults,
+                error: error
+            };
+        } catch (error) {
+            console.error('[PumpFun] Distribution failed:', error.message);
+            return {
+                success: false,
+                ...claim,
+                error: error.message
+            };
         }
+    }
 
-        console.log(`[PumpFun] Found ${transfers.length} historical transfers`);
+    /**
+     * Check if service is properly configured
+     */
+    function isReady() {
+        return isConfigured;
+    }
 
-        return {
-            success: true,
-            transfers: transfers,
-            count: transfers.length
-        };
-    } catch (error) {
-        console.error('[PumpFun] Failed to fetch historical transfers:', error.message);
-        return {
-            success: false,
-            error: error.message
-        };
+    /**
+     * Get creator public key
+     */
+    function getCreatorPublicKey() {
+        if (!isConfigured) return null;
+        return creatorSigner.publicKey.toBase58();
     }
-}
 
-/**
- * Get creator public key
- */
-function getCreatorPublicKey() {
-    if (!isConfigured) return null;
-    return creatorKeypair.publicKey.toBase58();
+    return {
+        initialize,
+        getCreatorBalance,
+        claimCreatorFees,
+        transferWithHops,
+        resolveTokenMint,
+        getTokenBalance,
+        buyToken,
+        transferToken,
+        sendBatch,
+        buyAndBurn,
+        getSignatureStatuses,
+        getHopWalletBalances,
+        sweepHopWallets,
+        claimAndDistribute,
+        distributePlanned,
+        isReady,
+        getCreatorPublicKey
+    };
 }
 
 module.exports = {
-    initialize,
-    getCreatorBalance,
-    claimCreatorFees,
-    transferToWinner,
-    transferWithHops,
-    claimAndDistribute,
-    getHistoricalTransfers,
-    isReady,
-    getCreatorPublicKey
+    canBatch,
+    createPumpFunClient
 };
@@ -0,0 +1,432 @@
+/**
+ * Reconciliation - checks a wheel's recorded payouts against the chain
+ * Every payout signature on record (spin history and payout ledger) is looked up: the transaction must have
+ * landed and credited the recorded recipient with the recorded amount. Spin records are cross-checked against
+ * their ledger entries, and the total fees are recomputed from what the chain shows. Transfers that matched
+ * are remembered, so later runs only look up new payouts and the ones that did not match.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Connection, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { PAYOUT_STATE, PAYOUT_KIND } = require('./payoutLedger');
+const { CHAIN_SOURCE } = require('./wheelLogic');
+const { BACKFILL_STATUS } = require('./historyBackfill');
+const database = require('./database');
+const leader = require('./leader');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+
+const TX_BATCH = 20;
+const SETTLE_MS = 10 * 60 * 1000;     // Payouts younger than this may still be settling - checked on the next run
+const LEDGER_LIMIT = 100000;
+const TOTAL_TOLERANCE_SOL = 0.000001; // Rounding of the running total, not a real difference
+
+const MISMATCH = {
+    MISSING: 'missing',             // The signature is not on-chain
+    FAILED: 'failed',               // The transaction landed but failed
+    RECIPIENT: 'recipient',         // The recorded recipient received nothing
+    AMOUNT: 'amount',               // The recipient received a different amount
+    UNRECORDED: 'unrecorded',       // The ledger confirmed a payout the spin record lacks
+    NOT_IN_LEDGER: 'not_in_ledger', // The spin record shows a payout the ledger has no entry for
+    LEDGER_STATE: 'ledger_state'    // The spin record shows a payout its ledger entry never confirmed
+};
+
+function shortAddress(address) {
+    return `${address.slice(0, 4)}...${address.slice(-4)}`;
+}
+
+function mismatchKey(mismatch) {
+    return `${mismatch.type}:${mismatch.spinId}:${mismatch.signature || ''}:${mismatch.recipient || ''}`;
+}
+
+/**
+ * What a transaction credited a wallet - lamports, or base units of mint (owner's token balances)
+ */
+function creditedTo(tx, recipient, mint) {
+    if (mint) {
+        const sum = (balances) => (balances || [])
+            .filter(balance => balance.owner === recipient && balance.mint === mint)
+            .reduce((total, balance) => total + Number(balance.uiTokenAmount.amount), 0);
+        return sum(tx.meta.postTokenBalances) - sum(tx.meta.preTokenBalances);
+    }
+
+    const index = tx.transaction.message.accountKeys.findIndex(key => (key.pubkey || key).toBase58() === recipient);
+    return index === -1 ? 0 : tx.meta.postBalances[index] - tx.meta.preBalances[index];
+}
+
+/**
+ * The transfers a spin record claims - [{ spinId, kind, recipient, signature, mint, expected }]
+ * recipient null: only the transaction itself is checked; expected null: the amount is not checked
+ */
+function transfersOf(record) {
+    const mint = record.payoutAsset ? record.payoutAsset.mint : null;
+    const transfers = [];
+
+    for (const payout of (record.payouts || []).filter(p => p.success && p.signature)) {
+        transfers.push({ kind: PAYOUT_KIND.WINNER, recipient: payout.address, signature: payout.signature, mint, expected: payout.lamports ?? null });
+    }
+    // Records from before per-winner payouts only kept the transfer signature
+    if (!record.payouts && record.txSignature && record.winner && record.winner.address) {
+        transfers.push({ kind: PAYOUT_KIND.WINNER, recipient: record.winner.address, signature: record.txSignature, mint: null, expected: null });
+    }
+    for (const split of (record.splits || []).filter(s => s.success && s.signature)) {
+        transfers.push(split.kind === PAYOUT_KIND.WALLET
+            ? { kind: PAYOUT_KIND.WALLET, recipient: split.address, signature: split.signature, mint: null, expected: split.lamports ?? null }
+            : { kind: PAYOUT_KIND.BURN, recipient: null, signature: split.signature, mint: null, expected: null });
+    }
+    if (record.buyback && !record.buyback.failed && record.buyback.signature) {
+        transfers.push({ kind: 'buyback', recipient: null, signature: record.buyback.signature, mint: null, expected: null });
+    }
+
+    return transfers.map(transfer => ({ spinId: record.id, ...transfer }));
+}
+
+/**
+ * Create the reconciler for one wheel
+ * options: { rpcEndpoint, logic (the wheel's wheelLogic), payouts (its payout ledger), backfill, alerts (its Discord logger) }
+ */
+function createReconciler(wheelId = DEFAULT_WHEEL_ID, options = {}) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'reconciliation.json');
+    const SETTING_KEY = `reconciliation:${wheelId}`;
+    const log = `[Reconcile:${wheelId}]`;
+    const connection = new Connection(options.rpcEndpoint, 'confirmed');
+    const { logic, payouts } = options;
+
+    // verified: "signature:recipient:mint" -> what the chain credited, for transfers that matched the record
+    // report: the last completed run
+    let state = freshState();
+    let running = null;
+
+    function freshState() {
+        return {
+            verified: {},
+            report: null,
+            lastRunAt: null,
+            error: null
+        };
+    }
+
+    async function load() {
+        let stored = null;
+
+        if (database.isAvailable()) {
+            stored = await database.getSetting(SETTING_KEY);
+        } else {
+            try {
+                if (fs.existsSync(DATA_PATH)) {
+                    stored = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                }
+            } catch (error) {
+                console.error(`${log} Failed to load reconciliation state:`, error.message);
+            }
+        }
+
+        state = { ...freshState(), ...(stored || {}) };
+    }
+
+    async function save() {
+        if (database.isAvailable()) {
+            await database.saveSetting(SETTING_KEY, state);
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DATA_PATH, JSON.stringify(state));
+        } catch (error) {
+            console.error(`${log} Failed to save reconciliation state:`, error.message);
+        }
+    }
+
+    /**
+     * Look up transfers on-chain - Map of check key -> { found, failed, actual }
+     */
+    async function lookup(checks) {
+        const bySignature = new Map();
+        for (const check of checks) {
+            if (!bySignature.has(check.signature)) bySignature.set(check.signature, []);
+            bySignature.get(check.signature).push(check);
+        }
+
+        const signatures = [...bySignature.keys()];
+        const results = new Map();
+        for (let i = 0; i < signatures.length; i += TX_BATCH) {
+            const batch = signatures.slice(i, i + TX_BATCH);
+            const transactions = await connection.getParsedTransactions(batch, { maxSupportedTransactionVersion: 0 });
+
+            for (const [index, tx] of transactions.entries()) {
+                for (const check of bySignature.get(batch[index])) {
+                    if (!tx) {
+                        results.set(check.key, { found: false, failed: false, actual: null });
+                    } else if (tx.meta.err) {
+                        results.set(check.key, { found: true, failed: true, actual: null });
+                    } else {
+                        results.set(check.key, { found: true, failed: false, actual: check.recipient ? creditedTo(tx, check.recipient, check.mint) : null });
+                    }
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Compare one spin record with its ledger entries - the mismatches, and the ledger-confirmed
+     * transfers the record lacks (checked on-chain like the recorded ones)
+     */
+    function crossCheck(record, transfers, entries) {
+        const mismatches = [];
+        const unrecorded = [];
+        const paid = new Set(transfers.filter(t => t.kind === PAYOUT_KIND.WINNER || t.kind === PAYOUT_KIND.WALLET).map(t => t.recipient));
+
+        for (const transfer of transfers.filter(t => paid.has(t.recipient))) {
+            const entry = entries.find(e => e.recipient === transfer.recipient);
+            if (!entry) {
+                mismatches.push({ ...transfer, type: MISMATCH.NOT_IN_LEDGER, actual: null, detail: `Spin record pays ${shortAddress(transfer.recipient)} but the payout ledger has no entry for it` });
+            } else if (entry.state !== PAYOUT_STATE.CONFIRMED) {
+                mismatches.push({ ...transfer, type: MISMATCH.LEDGER_STATE, actual: null, detail: `Spin record shows ${shortAddress(transfer.recipient)} paid but the ledger entry is ${entry.state}` });
+            }
+        }
+
+        for (const entry of entries) {
+            const kind = entry.kind || PAYOUT_KIND.WINNER;
+            if (kind === PAYOUT_KIND.BURN || entry.state !== PAYOUT_STATE.CONFIRMED || paid.has(entry.recipient)) continue;
+
+            const finalLeg = (entry.signatures || []).find(sig => sig.to === entry.recipient && sig.status === 'confirmed');
+            const transfer = {
+                spinId: record.id,
+                kind: kind,
+                recipient: entry.recipient,
+                signature: finalLeg ? finalLeg.signature : null,
+                mint: entry.asset && entry.asset !== 'SOL' ? entry.asset : null,
+                expected: entry.receivedLamports
+            };
+            mismatches.push({ ...transfer, type: MISMATCH.UNRECORDED, actual: null, detail: `The ledger confirmed a payout to ${shortAddress(entry.recipient)} that the spin record lacks` });
+            if (transfer.signature) {
+                unrecorded.push(transfer);
+            }
+        }
+
+        return { mismatches, unrecorded };
+    }
+
+    async function check() {
+        const startedAt = Date.now();
+        const cutoff = startedAt - SETTLE_MS;
+        const totalBefore = logic.getTotalFeesSent();
+
+        // Spins before the ledger, so a payout confirmed in between shows up as a ledger entry
+        const { spins, complete } = await logic.getRecordedSpins();
+        const entries = await payouts.list({ limit: LEDGER_LIMIT });
+        const ledgerBySpin = new Map();
+        for (const entry of entries) {
+            if (!ledgerBySpin.has(entry.spinId)) ledgerBySpin.set(entry.spinId, []);
+            ledgerBySpin.get(entry.spinId).push(entry);
+        }
+
+        const mismatches = [];
+        const checks = [];
+        const perSpin = [];
+        for (const record of spins) {
+            const transfers = transfersOf(record);
+            const settled = Date.parse(record.statusUpdatedAt || record.timestamp) <= cutoff;
+            const ledger = record.source === CHAIN_SOURCE ? [] : ledgerBySpin.get(record.id) || [];
+            ledgerBySpin.delete(record.id);
+
+            // Spins from before the ledger have no entries to compare with
+            const crossed = ledger.length > 0 ? crossCheck(record, transfers, ledger) : { mismatches: [], unrecorded: [] };
+            if (settled) {
+                mismatches.push(...crossed.mismatches);
+                checks.push(...transfers, ...crossed.unrecorded);
+            }
+            perSpin.push({ record, transfers: [...transfers, ...crossed.unrecorded], settled });
+        }
+
+        // Confirmed payouts of spins the history no longer (or never) had - only meaningful with the full history
+        if (complete) {
+            for (const [spinId, orphaned] of ledgerBySpin) {
+                for (const entry of orphaned.filter(e => e.state === PAYOUT_STATE.CONFIRMED && Date.parse(e.updatedAt) <= cutoff)) {
+                    mismatches.push({
+                        spinId, kind: entry.kind || PAYOUT_KIND.WINNER, recipient: entry.recipient, signature: null,
+                        type: MISMATCH.UNRECORDED, expected: entry.receivedLamports, actual: null,
+                        detail: `The ledger confirmed a payout to ${shortAddress(entry.recipient)} for a spin missing from the history`
+                    });
+                }
+            }
+        }
+
+        // One check per signature, recipient and asset - a batch can credit the same wallet twice
+        const grouped = new Map();
+        for (const transfer of checks) {
+            const key = `${transfer.signature}:${transfer.recipient || ''}:${transfer.mint || ''}`;
+            const existing = grouped.get(key);
+            if (existing) {
+                existing.expected = existing.expected === null || transfer.expected === null ? null : existing.expected + transfer.expected;
+            } else {
+                grouped.set(key, { ...transfer, key });
+            }
+        }
+
+        const cached = [...grouped.values()].filter(check => check.key in state.verified && (check.expected === null || state.verified[check.key] === check.expected));
+        const cachedKeys = new Set(cached.map(check => check.key));
+        const results = await lookup([...grouped.values()].filter(check => !cachedKeys.has(check.key)));
+
+        // contradicted: what the chain shows for the transfers that did not match their record
+        const verified = {};
+        const contradicted = new Map();
+        for (const check of grouped.values()) {
+            if (cachedKeys.has(check.key)) {
+                verified[check.key] = state.verified[check.key];
+                continue;
+            }
+
+            const result = results.get(check.key);
+            const base = { spinId: check.spinId, kind: check.kind, recipient: check.recipient, signature: check.signature, expected: check.expected, actual: result.actual };
+            contradicted.set(check.key, result.found && !result.failed ? Math.max(result.actual || 0, 0) : 0);
+            if (!result.found) {
+                mismatches.push({ ...base, type: MISMATCH.MISSING, detail: `Transaction ${shortAddress(check.signature)} was not found on-chain` });
+            } else if (result.failed) {
+                mismatches.push({ ...base, type: MISMATCH.FAILED, detail: `Transaction ${shortAddress(check.signature)} failed on-chain` });
+            } else if (check.recipient && !(result.actual > 0)) {
+                mismatches.push({ ...base, type: MISMATCH.RECIPIENT, detail: `${shortAddress(check.recipient)} received nothing in ${shortAddress(check.signature)}` });
+            } else if (check.expected !== null && result.actual !== check.expected) {
+                mismatches.push({ ...base, type: MISMATCH.AMOUNT, detail: `Recorded ${check.expected} but ${shortAddress(check.recipient)} received ${result.actual} (${check.mint ? 'token base units' : 'lamports'})` });
+            } else {
+                contradicted.delete(check.key);
+                verified[check.key] = result.actual;
+            }
+        }
+
+        // Recompute the total fees: what SOL winners received, and what token spins spent on their buybacks
+        // A transfer counts its recorded amount unless the chain contradicted it
+        const amountOf = (transfer, recorded) => {
+            const key = `${transfer.signature}:${transfer.recipient || ''}:${transfer.mint || ''}`;
+            return contradicted.has(key) ? contradicted.get(key) : recorded;
+        };
+        let recomputedLamports = 0;
+        for (const { record, transfers } of perSpin) {
+            const winners = transfers.filter(t => t.kind === PAYOUT_KIND.WINNER);
+            if (record.payoutAsset && record.payoutAsset.mint) {
+                const buyback = transfers.find(t => t.kind === 'buyback');
+                if (buyback && winners.length > 0 && amountOf(buyback, null) !== 0) {
+                    recomputedLamports += record.buyback.spentLamports || 0;
+                }
+            } else if (!record.payouts) {
+                // Records from before per-winner payouts - their distribution is all there is
+                if (winners.length > 0 && amountOf(winners[0], null) !== 0) {
+                    recomputedLamports += record.distributedLamports ?? Math.round((record.distribution || 0) * LAMPORTS_PER_SOL);
+                }
+            } else {
+                recomputedLamports += winners.reduce((sum, winner) => sum + (amountOf(winner, winner.expected) || 0), 0);
+            }
+        }
+
+        const recomputed = recomputedLamports / LAMPORTS_PER_SOL;
+        const recorded = logic.getTotalFeesSent();
+        const drift = recomputed - recorded;
+        const totals = { recorded, recomputed, drift, corrected: false, note: null };
+        const backfill = options.backfill ? await options.backfill.getStatus() : null;
+        if (Math.abs(drift) <= TOTAL_TOLERANCE_SOL) {
+            totals.drift = 0;
+        } else if (!complete) {
+            totals.note = 'The spin history is trimmed to the latest spins - the total was not corrected';
+        } else if (backfill && backfill.status !== BACKFILL_STATUS.COMPLETE) {
+            totals.note = 'The history backfill has not completed - the total was not corrected';
+        } else if (recorded !== totalBefore || (await logic.getUnfinishedSpins()).length > 0) {
+            totals.note = 'Payouts were in progress - the total is corrected on the next run';
+        } else {
+            await logic.setTotalFees(recomputed);
+            totals.corrected = true;
+            console.log(`${log} Total fees corrected from ${recorded} to ${recomputed} SOL`);
+        }
+
+        state.verified = verified;
+        return {
+            ranAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            spinsChecked: perSpin.filter(spin => spin.settled).length,
+            transfersChecked: grouped.size,
+            verified: Object.keys(verified).length,
+            cached: cached.length,
+            mismatches: mismatches,
+            totals: totals
+        };
+    }
+
+    async function reconcile() {
+        const previous = new Set(((state.report && state.report.mismatches) || []).map(mismatchKey));
+        console.log(`${log} Reconciling recorded payouts against the chain`);
+
+        try {
+            const report = await check();
+            state.report = report;
+            state.lastRunAt = report.ranAt;
+            state.error = null;
+            await save();
+
+            const fresh = report.mismatches.filter(mismatch => !previous.has(mismatchKey(mismatch)));
+            console.log(`${log} Checked ${report.transfersChecked} transfer(s) of ${report.spinsChecked} spin(s): ${report.mismatches.length} mismatch(es), ${fresh.length} new`);
+            if ((fresh.length > 0 || report.totals.corrected) && options.alerts) {
+                options.alerts.reconciliationIssues(fresh, report.totals);
+            }
+            return { success: true, report };
+        } catch (error) {
+            console.error(`${log} Reconciliation failed:`, error.message);
+            state.lastRunAt = new Date().toISOString();
+            state.error = error.message;
+            await save();
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Run a reconciliation (joins the one already running)
+     */
+    function run() {
+        if (running) return running;
+        running = reconcile().finally(() => {
+            running = null;
+        });
+        return running;
+    }
+
+    /**
+     * Whether intervalMs has passed since the last run (0 = never due)
+     */
+    function isDue(intervalMs) {
+        if (!(intervalMs > 0) || running) return false;
+        return !state.lastRunAt || Date.now() - Date.parse(state.lastRunAt) >= intervalMs;
+    }
+
+    /**
+     * Admin view - the last report
+     */
+    async function getStatus() {
+        if (!leader.isLeader()) {
+            await load();
+        }
+
+        return {
+            running: running !== null,
+            lastRunAt: state.lastRunAt,
+            error: state.error,
+            report: state.report
+        };
+    }
+
+    return {
+        load,
+        run,
+        isDue,
+        getStatus
+    };
+}
+
+module.exports = {
+    MISMATCH,
+    createReconciler
+};
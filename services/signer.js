@@ -0,0 +1,202 @@
+/**
+ * Creator Signers - who holds a wheel's creator key
+ * memory: the base58 key in this process (CREATOR_PRIVATE_KEY); keystore: an encrypted file unlocked with a
+ * passphrase at startup; socket: a separate signer process (signer.js serve) reached over a Unix socket,
+ * which applies its own spending policy - the web process never holds the key.
+ * Every signer is { type, publicKey, signTransaction(VersionedTransaction) } - signTransaction adds the
+ * signature to the transaction and returns it.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+const { decode: bs58Decode } = bs58.default || bs58;
+
+const SIGNER_TYPES = ['memory', 'keystore', 'socket'];
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const SOCKET_TIMEOUT_MS = 30000; // The signer simulates before signing
+const PLACEHOLDER_KEY = 'your_base58_private_key_here';
+
+/**
+ * Normalize a signer setting - { type, privateKey | path, passphrase }
+ * Returns null when no key is configured (fee claiming stays off)
+ */
+function parseSignerSpec(setting) {
+    if (!setting) return null;
+
+    const { type } = setting;
+    if (!SIGNER_TYPES.includes(type)) {
+        throw new Error(`signer type must be one of ${SIGNER_TYPES.join(', ')}`);
+    }
+
+    if (type === 'memory') {
+        if (!setting.privateKey || setting.privateKey === PLACEHOLDER_KEY) return null;
+        return { type, privateKey: setting.privateKey };
+    }
+
+    if (typeof setting.path !== 'string' || setting.path.length === 0) {
+        throw new Error(`${type} signer needs a path`);
+    }
+    if (type === 'keystore') {
+        if (!setting.passphrase) {
+            throw new Error('keystore signer needs a passphrase');
+        }
+        return { type, path: path.resolve(setting.path), passphrase: setting.passphrase };
+    }
+    return { type, path: path.resolve(setting.path) };
+}
+
+/**
+ * Signer over a keypair held in this process (also used for hop wallets)
+ */
+function keypairSigner(keypair, type = 'memory') {
+    return {
+        type: type,
+        publicKey: keypair.publicKey,
+        async signTransaction(transaction) {
+            transaction.sign([keypair]);
+            return transaction;
+        }
+    };
+}
+
+function deriveKeystoreKey(passphrase, salt, params) {
+    return crypto.scryptSync(passphrase, salt, 32, { N: params.N, r: params.r, p: params.p, maxmem: SCRYPT_PARAMS.maxmem });
+}
+
+/**
+ * Encrypt a secret key into a keystore object (AES-256-GCM, scrypt-derived key)
+ */
+function encryptKeystore(secretKey, passphrase) {
+    const keypair = Keypair.fromSecretKey(secretKey);
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKeystoreKey(passphrase, salt, SCRYPT_PARAMS), iv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        publicKey: keypair.publicKey.toBase58(),
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), N, r, p },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+/**
+ * Unlock a keystore object - throws on a wrong passphrase or a tampered file
+ */
+function decryptKeystore(keystore, passphrase) {
+    if (keystore.version !== KEYSTORE_VERSION || !keystore.kdf || keystore.kdf.name !== 'scrypt') {
+        throw new Error(`Unsupported keystore format (version ${keystore.version})`);
+    }
+
+    const key = deriveKeystoreKey(passphrase, Buffer.from(keystore.kdf.salt, 'base64'), keystore.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(keystore.tag, 'base64'));
+
+    let secretKey;
+    try {
+        secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64')), decipher.final()]);
+    } catch {
+        throw new Error('Wrong keystore passphrase (or the file was modified)');
+    }
+
+    const keypair = Keypair.fromSecretKey(secretKey);
+    if (keystore.publicKey && keypair.publicKey.toBase58() !== keystore.publicKey) {
+        throw new Error('Keystore key does not match its public key');
+    }
+    return keypair;
+}
+
+function loadKeystore(file, passphrase) {
+    return decryptKeystore(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+}
+
+/**
+ * One request to the signer process - newline-delimited JSON, one request per connection
+ */
+function socketRequest(socketPath, method, params = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        let buffer = '';
+
+        socket.setTimeout(SOCKET_TIMEOUT_MS, () => {
+            socket.destroy();
+            reject(new Error(`Signer at ${socketPath} timed out`));
+        });
+        socket.on('connect', () => socket.write(`${JSON.stringify({ method, params })}\n`));
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) return;
+
+            socket.end();
+            try {
+                const response = JSON.parse(buffer.slice(0, newline));
+                if (response.error) {
+                    reject(new Error(`Signer refused: ${response.error}`));
+                } else {
+                    resolve(response.result);
+                }
+            } catch (error) {
+                reject(new Error(`Bad signer response: ${error.message}`));
+            }
+        });
+        socket.on('error', error => reject(new Error(`Signer at ${socketPath} unreachable: ${error.message}`)));
+    });
+}
+
+async function createSocketSigner(socketPath) {
+    const { publicKey } = await socketRequest(socketPath, 'getPublicKey');
+    const key = new PublicKey(publicKey);
+
+    return {
+        type: 'socket',
+        publicKey: key,
+        async signTransaction(transaction) {
+            const { signature } = await socketRequest(socketPath, 'signTransaction', {
+                transaction: Buffer.from(transaction.serialize()).toString('base64')
+            });
+            transaction.addSignature(key, Buffer.from(signature, 'base64'));
+            return transaction;
+        }
+    };
+}
+
+/**
+ * Build the signer for a parsed spec (see parseSignerSpec)
+ * A keystore is unlocked here; a socket signer is asked for its public key
+ */
+async function createSigner(spec) {
+    switch (spec.type) {
+        case 'memory':
+            return keypairSigner(Keypair.fromSecretKey(bs58Decode(spec.privateKey)), 'memory');
+        case 'keystore':
+            return keypairSigner(loadKeystore(spec.path, spec.passphrase), 'keystore');
+        case 'socket':
+            return createSocketSigner(spec.path);
+        default:
+            throw new Error(`Unknown signer type "${spec.type}"`);
+    }
+}
+
+module.exports = {
+    SIGNER_TYPES,
+    parseSignerSpec,
+    keypairSigner,
+    encryptKeystore,
+    decryptKeystore,
+    loadKeystore,
+    socketRequest,
+    createSigner
+};
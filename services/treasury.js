@@ -0,0 +1,281 @@
+/**
+ * Treasury Guard - spending limits and a circuit breaker for one wheel's creator wallet
+ * Every distribution is checked against the reserve, per-spin, daily and non-fee limits before funds move.
+ * A limit hit or a run of failed transfers opens the breaker, which pauses payouts until it closes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const database = require('./database');
+const leader = require('./leader');
+const config = require('./config');
+const { TX_FEE_LAMPORTS, getRoutePolicy, routeFeeLamports, legFeeLamports } = require('./payoutRoute');
+
+const DATA_ROOT = path.join(__dirname, '../data');
+const DEFAULT_WHEEL_ID = 'default';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_ACCOUNT_RENT_LAMPORTS = 2039280; // Worst case per token payout: creating the winner's token account
+
+function toLamports(sol) {
+    return Math.round(sol * LAMPORTS_PER_SOL);
+}
+
+function toSol(lamports) {
+    return lamports / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Create the treasury guard for one wheel
+ * alerts: the wheel's Discord logger
+ */
+function createTreasuryGuard(wheelId = DEFAULT_WHEEL_ID, alerts = null) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'treasury.json');
+    const SETTING_KEY = `treasury:${wheelId}`;
+    const log = `[Treasury:${wheelId}]`;
+
+    // spends: authorized distributions of the last 24h - [{ at, spinId, lamports, nonFeeLamports }]
+    // breaker: null while closed, else { limit, reason, openedAt, resumeAt }
+    let state = { spends: [], breaker: null, consecutiveFailures: 0 };
+
+    async function load() {
+        let stored = null;
+
+        if (database.isAvailable()) {
+            stored = await database.getSetting(SETTING_KEY);
+        } else {
+            try {
+                if (fs.existsSync(DATA_PATH)) {
+                    stored = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+                }
+            } catch (error) {
+                console.error(`${log} Failed to load treasury state:`, error.message);
+            }
+        }
+
+        state = { spends: [], breaker: null, consecutiveFailures: 0, ...(stored || {}) };
+        if (state.breaker) {
+            console.warn(`${log} Payouts are paused: ${state.breaker.reason}`);
+        }
+    }
+
+    async function save() {
+        if (database.isAvailable()) {
+            await database.saveSetting(SETTING_KEY, state);
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DATA_PATH, JSON.stringify(state, null, 2));
+        } catch (error) {
+            console.error(`${log} Failed to save treasury state:`, error.message);
+        }
+    }
+
+    function getLimits() {
+        return {
+            reserveLamports: toLamports(config.get('treasuryReserveSol')),
+            maxPerSpinLamports: toLamports(config.get('maxPayoutPerSpinSol')),
+            maxPerDayLamports: toLamports(config.get('maxPayoutPerDaySol')),
+            maxNonFeePerDayLamports: toLamports(config.get('maxNonFeePayoutPerDaySol')),
+            failureThreshold: config.get('breakerFailureThreshold')
+        };
+    }
+
+    // Spends still inside the rolling 24h window, oldest first
+    function windowSpends(now) {
+        state.spends = state.spends.filter(spend => now - Date.parse(spend.at) < DAY_MS);
+        return state.spends;
+    }
+
+    /**
+     * When enough of the window expires for `needed` more lamports under `limit`
+     * Returns null if the amount can never fit
+     */
+    function resumeTime(spends, field, needed, limit) {
+        if (needed > limit) return null;
+
+        let used = spends.reduce((sum, spend) => sum + spend[field], 0);
+        for (const spend of spends) {
+            used -= spend[field];
+            if (used + needed <= limit) {
+                return new Date(Date.parse(spend.at) + DAY_MS).toISOString();
+            }
+        }
+        return null;
+    }
+
+    async function trip(limit, reason, resumeAt = null) {
+        state.breaker = { limit, reason, openedAt: new Date().toISOString(), resumeAt };
+        await save();
+
+        console.warn(`${log} Circuit breaker opened (${limit}): ${reason}`);
+        if (alerts) alerts.circuitBreakerOpened(limit, reason, resumeAt);
+    }
+
+    /**
+     * Whether payouts are paused - a breaker opened by a daily limit closes itself once the window frees up
+     */
+    async function isPaused(now = Date.now()) {
+        if (!state.breaker) return false;
+
+        if (state.breaker.resumeAt && now >= Date.parse(state.breaker.resumeAt)) {
+            // Followers only report it - the leader owns the state
+            if (!leader.isLeader()) return false;
+
+            console.log(`${log} Daily limit window has room again - payouts resumed`);
+            if (alerts) alerts.circuitBreakerClosed(`The ${state.breaker.limit} limit window has room again`);
+            state.breaker = null;
+            await save();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check a planned distribution before any funds move
+     * plan: { spinId, asset, payouts: [{ amountLamports }], splits: [{ kind, amountLamports }], claimedLamports,
+     *   balanceLamports }
+     * Returns { allowed, error } - an allowed plan counts towards the daily limits straight away
+     * Fixed token payouts spend no SOL beyond fees and account rent, so only the reserve applies to them
+     * (a buyback spends its SOL pot like a SOL payout); fee split legs always spend SOL
+     */
+    async function authorize(plan, now = Date.now()) {
+        if (await isPaused(now)) {
+            return { allowed: false, error: `Payouts paused by the circuit breaker: ${state.breaker.reason}` };
+        }
+
+        const limits = getLimits();
+        const spends = windowSpends(now);
+        const isToken = !!(plan.asset && plan.asset.mint);
+        const splits = plan.splits || [];
+        const total = (plan.asset && plan.asset.type === 'spl' ? 0 : plan.payouts.reduce((sum, payout) => sum + payout.amountLamports, 0)) +
+            splits.reduce((sum, split) => sum + split.amountLamports, 0);
+        const nonFee = Math.max(total - (plan.claimedLamports || 0), 0);
+        const spentToday = spends.reduce((sum, spend) => sum + spend.lamports, 0);
+        const nonFeeToday = spends.reduce((sum, spend) => sum + spend.nonFeeLamports, 0);
+
+        // The creator funds every leg of a SOL route (at the highest priority fee); a token payout is one
+        // transfer plus, at worst, account rent. A wallet split is one direct transfer, a burn a buy (which may
+        // open the creator's token account) and the burn
+        const maxPrice = config.get('priorityFeeMaxMicroLamports');
+        const costPerPayout = isToken
+            ? TX_FEE_LAMPORTS + TOKEN_ACCOUNT_RENT_LAMPORTS
+            : routeFeeLamports(getRoutePolicy(), maxPrice);
+        const splitCost = splits.reduce((sum, split) => sum + (split.kind === 'burn'
+            ? 2 * legFeeLamports(maxPrice) + TOKEN_ACCOUNT_RENT_LAMPORTS
+            : legFeeLamports(maxPrice)), 0);
+        const remaining = plan.balanceLamports - total - costPerPayout * plan.payouts.length - splitCost;
+        let violation = null;
+        if (limits.reserveLamports > 0 && remaining < limits.reserveLamports) {
+            violation = ['reserve', `Spin #${plan.spinId} would leave ${toSol(remaining)} SOL, below the ${toSol(limits.reserveLamports)} SOL reserve`];
+        } else if (limits.maxPerSpinLamports > 0 && total > limits.maxPerSpinLamports) {
+            violation = ['perSpin', `Spin #${plan.spinId} would pay ${toSol(total)} SOL, above the ${toSol(limits.maxPerSpinLamports)} SOL per-spin limit`];
+        } else if (limits.maxPerDayLamports > 0 && spentToday + total > limits.maxPerDayLamports) {
+            violation = ['perDay',
+                `Spin #${plan.spinId} would bring the last 24h to ${toSol(spentToday + total)} SOL, above the ${toSol(limits.maxPerDayLamports)} SOL daily limit`,
+                resumeTime(spends, 'lamports', total, limits.maxPerDayLamports)];
+        } else if (limits.maxNonFeePerDayLamports > 0 && nonFee > 0 && nonFeeToday + nonFee > limits.maxNonFeePerDayLamports) {
+            violation = ['nonFeePerDay',
+                `Spin #${plan.spinId} would pay ${toSol(nonFeeToday + nonFee)} SOL from wallet funds (not claimed fees) in 24h, above the ${toSol(limits.maxNonFeePerDayLamports)} SOL limit`,
+                resumeTime(spends, 'nonFeeLamports', nonFee, limits.maxNonFeePerDayLamports)];
+        }
+
+        if (violation) {
+            await trip(...violation);
+            return { allowed: false, error: `Treasury limit hit: ${violation[1]}` };
+        }
+
+        spends.push({ at: new Date(now).toISOString(), spinId: plan.spinId, lamports: total, nonFeeLamports: nonFee });
+        await save();
+        return { allowed: true };
+    }
+
+    /**
+     * Count transfer outcomes - results: [{ success, state }] from claimAndDistribute or the payout ledger
+     * Payouts still awaiting confirmation (state "sending") count neither way
+     */
+    async function recordTransfers(results) {
+        const threshold = config.get('breakerFailureThreshold');
+        let changed = false;
+
+        for (const result of results) {
+            if (result.success) {
+                changed = changed || state.consecutiveFailures > 0;
+                state.consecutiveFailures = 0;
+            } else if (result.state !== 'sending') {
+                state.consecutiveFailures++;
+                changed = true;
+            }
+        }
+
+        if (threshold > 0 && state.consecutiveFailures >= threshold && !state.breaker) {
+            await trip('failures', `${state.consecutiveFailures} payout transfers failed in a row`);
+        } else if (changed) {
+            await save();
+        }
+    }
+
+    /**
+     * Close the breaker by hand (operator action) - returns the breaker that was open
+     */
+    async function reset() {
+        const previous = state.breaker;
+        state.breaker = null;
+        state.consecutiveFailures = 0;
+        await save();
+
+        if (previous) {
+            console.log(`${log} Circuit breaker reset by an operator`);
+            if (alerts) alerts.circuitBreakerClosed('Reset by an operator');
+        }
+        return previous;
+    }
+
+    /**
+     * Admin view - breaker, rolling 24h usage and limits (SOL)
+     */
+    async function getStatus(now = Date.now()) {
+        if (!leader.isLeader()) {
+            await load();
+        }
+
+        const spends = windowSpends(now);
+        const limits = getLimits();
+
+        return {
+            paused: await isPaused(now),
+            breaker: state.breaker,
+            consecutiveFailures: state.consecutiveFailures,
+            last24h: {
+                paid: toSol(spends.reduce((sum, spend) => sum + spend.lamports, 0)),
+                paidFromWallet: toSol(spends.reduce((sum, spend) => sum + spend.nonFeeLamports, 0)),
+                spins: spends.length
+            },
+            limits: {
+                reserve: toSol(limits.reserveLamports),
+                maxPerSpin: toSol(limits.maxPerSpinLamports),
+                maxPerDay: toSol(limits.maxPerDayLamports),
+                maxNonFeePerDay: toSol(limits.maxNonFeePerDayLamports),
+                failureThreshold: limits.failureThreshold
+            }
+        };
+    }
+
+    return {
+        load,
+        authorize,
+        isPaused,
+        recordTransfers,
+        reset,
+        getStatus
+    };
+}
+
+module.exports = {
+    createTreasuryGuard
+};
@@ -0,0 +1,218 @@
+/**
+ * Transaction Sender - priority fees, simulation and rebroadcasting for everything the wheel signs
+ * Compute-unit prices are estimated from getRecentPrioritizationFees (priorityFee* settings). Every
+ * transaction is simulated before it is sent, rebroadcast until it confirms or its blockhash expires,
+ * and rebuilt with a fresh blockhash when it expired without landing (txMaxAttempts setting).
+ */
+
+const { ComputeBudgetProgram, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const config = require('./config');
+
+const { encode: bs58Encode } = bs58.default || bs58;
+
+const REBROADCAST_MS = 2000;
+const MAX_POLLS = 120; // A blockhash expires after ~60-90s, well before this
+const SIMULATION_COMPUTE_UNITS = 1400000; // Limit while simulating - the real limit comes from the result
+const COMPUTE_UNIT_MARGIN = 1.2;
+const MAX_WRITABLE_ACCOUNTS = 128; // getRecentPrioritizationFees limit
+
+/**
+ * Priority fee in lamports for a compute-unit price (micro-lamports) and limit
+ */
+function priorityFeeLamports(computeUnitPrice, computeUnits) {
+    return Math.ceil(computeUnitPrice * computeUnits / 1000000);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a sender for one connection
+ */
+function createTransactionSender(connection) {
+    /**
+     * Compute-unit price (micro-lamports) - the priorityFeePercentile of recent fees paid by transactions
+     * writing to these accounts, clamped to priorityFeeMinMicroLamports..priorityFeeMaxMicroLamports
+     */
+    async function estimatePriorityFee(writableAccounts = []) {
+        const min = config.get('priorityFeeMinMicroLamports');
+        const max = Math.max(config.get('priorityFeeMaxMicroLamports'), min);
+
+        try {
+            const recent = await connection.getRecentPrioritizationFees({
+                lockedWritableAccounts: writableAccounts.slice(0, MAX_WRITABLE_ACCOUNTS)
+            });
+            const fees = recent.map(item => item.prioritizationFee).sort((a, b) => a - b);
+            if (fees.length === 0) return min;
+
+            const index = Math.min(fees.length - 1, Math.floor(fees.length * config.get('priorityFeePercentile') / 100));
+            return Math.min(Math.max(fees[index], min), max);
+        } catch (error) {
+            console.warn(`[TxSender] Priority fee estimate failed, using the minimum: ${error.message}`);
+            return min;
+        }
+    }
+
+    /**
+     * Simulate a transaction - throws with the tail of the program logs if it would fail
+     * Returns the compute units it used
+     */
+    async function simulate(transaction) {
+        const { value } = await connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'confirmed' });
+        if (value.err) {
+            const logs = (value.logs || []).slice(-3).join(' | ');
+            throw new Error(`Simulation failed: ${JSON.stringify(value.err)}${logs ? ` (${logs})` : ''}`);
+        }
+        return value.unitsConsumed || 0;
+    }
+
+    async function isExpired(expiry) {
+        if (expiry.lastValidBlockHeight) {
+            return await connection.getBlockHeight('confirmed') > expiry.lastValidBlockHeight;
+        }
+        const { value } = await connection.isBlockhashValid(expiry.blockhash, { commitment: 'confirmed' });
+        return !value;
+    }
+
+    /**
+     * Rebroadcast a signed transaction until it confirms, fails or can no longer land
+     * expiry: { lastValidBlockHeight } or { blockhash } (checked with isBlockhashValid)
+     * Returns { state: 'confirmed' | 'failed' | 'expired', error }; throws when still unresolved after MAX_POLLS
+     */
+    async function broadcast(transaction, signature, expiry) {
+        const raw = transaction.serialize();
+
+        for (let poll = 0; poll < MAX_POLLS; poll++) {
+            try {
+                await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+            } catch (error) {
+                // e.g. "already processed" - the status check below tells what happened
+                if (poll === 0) console.warn(`[TxSender] Broadcast of ${signature} rejected: ${error.message}`);
+            }
+            await sleep(REBROADCAST_MS);
+
+            const { value } = await connection.getSignatureStatuses([signature]);
+            let status = value[0];
+
+            if (!status && await isExpired(expiry)) {
+                // One last look - it may have landed just before the blockhash expired
+                const { value: last } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+                status = last[0];
+                if (!status) return { state: 'expired', error: null };
+            }
+
+            if (status && status.err) return { state: 'failed', error: status.err };
+            if (status && status.confirmationStatus !== 'processed') return { state: 'confirmed', error: null };
+        }
+
+        throw new Error(`Transaction ${signature} still unresolved - check it on-chain`);
+    }
+
+    /**
+     * Send a transaction, rebuilding it each time it expires without landing (up to txMaxAttempts)
+     * build(attempt) returns { transaction (signed VersionedTransaction), lastValidBlockHeight?, simulated? }
+     * and is simulated here unless it already was. options.onSigned(signature) is awaited before each broadcast.
+     * Returns { state: 'confirmed' | 'failed' | 'expired' | 'rejected', signature, error } - 'rejected' means
+     * the simulation failed and nothing was sent; throws when the outcome could not be determined
+     */
+    async function send(build, options = {}) {
+        const attempts = config.get('txMaxAttempts');
+        let signature = null;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            let built;
+            try {
+                built = await build(attempt);
+                if (!built.simulated) {
+                    await simulate(built.transaction);
+                }
+            } catch (error) {
+                return { state: 'rejected', signature: null, error: error.message };
+            }
+
+            const { transaction, lastValidBlockHeight } = built;
+            signature = bs58Encode(transaction.signatures[0]);
+            if (options.onSigned) {
+                await options.onSigned(signature);
+            }
+
+            const result = await broadcast(transaction, signature, lastValidBlockHeight
+                ? { lastValidBlockHeight }
+                : { blockhash: transaction.message.recentBlockhash });
+
+            if (result.state === 'confirmed') {
+                return { state: 'confirmed', signature, error: null };
+            }
+            if (result.state === 'failed') {
+                return { state: 'failed', signature, error: `Transaction ${signature} failed: ${JSON.stringify(result.error)}` };
+            }
+            console.warn(`[TxSender] ${signature} expired without landing${attempt < attempts ? ' - retrying with a fresh blockhash' : ''}`);
+        }
+
+        return { state: 'expired', signature, error: `Transaction expired ${attempts} time(s) without landing` };
+    }
+
+    /**
+     * Build, simulate, sign and send a transaction of the given instructions (payer signs and pays)
+     * payer and signers are signers (signer.js) - { publicKey, signTransaction }
+     * options: { signers (default [payer]), onSigned(signature),
+     *   computeUnitPrice - estimated from the writable accounts when omitted,
+     *   computeUnitLimit - sized from the simulation when omitted }
+     * Returns the confirmed signature; throws when the transaction fails or never lands
+     */
+    async function sendInstructions(payer, instructions, options = {}) {
+        const signers = options.signers || [payer];
+        const computeUnitPrice = options.computeUnitPrice ?? await estimatePriorityFee(writableAccountsOf(instructions));
+
+        const result = await send(async () => {
+            const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+            const compile = (computeUnitLimit) => new VersionedTransaction(new TransactionMessage({
+                payerKey: payer.publicKey,
+                recentBlockhash: blockhash,
+                instructions: [
+                    ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+                    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }),
+                    ...instructions
+                ]
+            }).compileToV0Message());
+
+            // A fixed limit is checked as is; otherwise the simulation sizes it
+            const unitsConsumed = await simulate(compile(options.computeUnitLimit || SIMULATION_COMPUTE_UNITS));
+            const transaction = compile(options.computeUnitLimit || Math.ceil(unitsConsumed * COMPUTE_UNIT_MARGIN));
+            for (const signer of signers) {
+                await signer.signTransaction(transaction);
+            }
+
+            return { transaction, lastValidBlockHeight, simulated: true };
+        }, { onSigned: options.onSigned });
+
+        if (result.state !== 'confirmed') {
+            throw new Error(result.error);
+        }
+        return result.signature;
+    }
+
+    return {
+        estimatePriorityFee,
+        simulate,
+        send,
+        sendInstructions
+    };
+}
+
+function writableAccountsOf(instructions) {
+    const accounts = new Map();
+    for (const instruction of instructions) {
+        for (const key of instruction.keys) {
+            if (key.isWritable) accounts.set(key.pubkey.toBase58(), key.pubkey);
+        }
+    }
+    return [...accounts.values()];
+}
+
+module.exports = {
+    priorityFeeLamports,
+    createTransactionSender
+};
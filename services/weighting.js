@@ -0,0 +1,108 @@
+/**
+ * Weighting Strategies - how token holdings translate into winning chances
+ * The same weights size the wheel segments and drive selection, so the wheel shows the real odds
+ */
+
+const DEFAULT_CAP_PERCENT = 5;
+
+const STRATEGIES = {
+    linear: {
+        description: 'Chance proportional to tokens held',
+        weigh: (amount) => amount
+    },
+    sqrt: {
+        description: 'Chance proportional to the square root of tokens held',
+        weigh: (amount) => Math.sqrt(amount)
+    },
+    log: {
+        description: 'Chance proportional to log10(1 + tokens held)',
+        weigh: (amount) => Math.log10(1 + amount)
+    },
+    capped: {
+        description: 'Chance proportional to tokens held, but no wallet above a fixed winning chance',
+        weigh: (amount, cap) => Math.min(amount, cap)
+    },
+    equal: {
+        description: 'Every eligible wallet has the same chance',
+        weigh: () => 1
+    }
+};
+
+/**
+ * Normalize a strategy setting - a name or { strategy, capPercent }
+ * Throws on unknown strategies so a typo fails at startup
+ */
+function parseWeighting(setting = 'linear') {
+    const config = typeof setting === 'string' ? { strategy: setting } : { ...setting };
+
+    if (!STRATEGIES[config.strategy]) {
+        throw new Error(`Unknown weighting strategy "${config.strategy}" (expected ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+
+    if (config.strategy === 'capped') {
+        const capPercent = config.capPercent ?? DEFAULT_CAP_PERCENT;
+        if (typeof capPercent !== 'number' || capPercent <= 0 || capPercent > 100) {
+            throw new Error('Weighting capPercent must be a number in (0, 100]');
+        }
+        return { strategy: 'capped', capPercent };
+    }
+
+    return { strategy: config.strategy };
+}
+
+/**
+ * Token cap so that no wallet's share of the total (capped) weight exceeds capFraction
+ * Raises the set of capped wallets until every uncapped wallet sits below the cap
+ * With too few wallets to honour the cap, everyone ends up equal
+ */
+function findCap(amounts, capFraction) {
+    if (amounts.length * capFraction <= 1) {
+        return 0; // cap of 0 -> equal chances
+    }
+
+    const sorted = [...amounts].sort((a, b) => b - a);
+    let uncappedSum = sorted.reduce((sum, amount) => sum + amount, 0);
+
+    for (let capped = 0; capped < sorted.length; capped++) {
+        // Cap level if the top `capped` wallets are held at the cap
+        const cap = (capFraction * uncappedSum) / (1 - capped * capFraction);
+        if (sorted[capped] <= cap) {
+            return cap;
+        }
+        uncappedSum -= sorted[capped];
+    }
+
+    return 0;
+}
+
+/**
+ * Weight for each holder amount (same order as the input)
+ */
+function computeWeights(amounts, weighting = { strategy: 'linear' }) {
+    const strategy = STRATEGIES[weighting.strategy] || STRATEGIES.linear;
+
+    if (weighting.strategy === 'capped') {
+        const cap = findCap(amounts, weighting.capPercent / 100);
+        return cap > 0 ? amounts.map(amount => strategy.weigh(amount, cap)) : amounts.map(() => 1);
+    }
+
+    return amounts.map(amount => strategy.weigh(amount));
+}
+
+/**
+ * Public description of the active rules (for /api/status)
+ */
+function describeWeighting(weighting) {
+    return {
+        ...weighting,
+        description: STRATEGIES[weighting.strategy].description +
+            (weighting.strategy === 'capped' ? ` (${weighting.capPercent}%)` : '')
+    };
+}
+
+module.exports = {
+    STRATEGIES,
+    parseWeighting,
+    computeWeights,
+    describeWeighting
+};
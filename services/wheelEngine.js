@@ -0,0 +1,1261 @@
+/**
+ * Wheel Engine - state, spin loop and fee distribution for one token wheel
+ * server.js creates one engine per configured wheel
+ */
+
+const { getTokenHolders, processHoldersForWheel, getCreatedTokens } = require('./helius');
+const { SPIN_STATUS, createWheelLogic, calculateShares, calculateWinningDegree, getTimeUntilNextSpin } = require('./wheelLogic');
+const { createPumpFunClient } = require('./pumpfun');
+const fairness = require('./fairness');
+const { describeWeighting } = require('./weighting');
+const { createHoldingTracker } = require('./holdingTracker');
+const { createClusterDetector } = require('./clustering');
+const { PAYOUT_STATE, PAYOUT_KIND, describeEntry, createPayoutLedger } = require('./payoutLedger');
+const { createHopVault } = require('./hopVault');
+const { createSigner } = require('./signer');
+const { createTreasuryGuard } = require('./treasury');
+const { createApprovalQueue } = require('./approvals');
+const { SOL_ASSET, describeAsset } = require('./payoutAsset');
+const { splitWallets, describeFeeSplit } = require('./feeSplit');
+const { createVenueTracker } = require('./pumpVenue');
+const { createHistoryBackfill } = require('./historyBackfill');
+const { createReconciler } = require('./reconciliation');
+const admin = require('./admin');
+const leader = require('./leader');
+const discordLogger = require('./discord');
+const settings = require('./config');
+
+const SPIN_ANIMATION_MS = 5500;
+const PAYOUT_RETRY_CHECK_MS = 30 * 1000;
+const HOP_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const HOP_SWEEP_MIN_AGE_MS = 10 * 60 * 1000; // Well past any transfer still in progress
+const APPROVAL_CHECK_MS = 60 * 1000;
+const BACKFILL_RETRY_MS = 10 * 60 * 1000;
+const RECONCILE_CHECK_MS = 5 * 60 * 1000;
+
+// Spin events the leader relays so followers can update their own clients
+const RELAYED_EVENTS = new Set(['spinStart', 'spinResult', 'spinAborted', 'spinComplete']);
+
+/**
+ * Create a wheel
+ * config: { id, name, tokenMint, signer, spinIntervalMs, winnersPerSpin, payoutSplit, weighting, feeSplit }
+ * signer: the creator wallet's signer spec (signer.parseSignerSpec) - null disables fee claiming
+ * spinIntervalMs: null follows the global spinIntervalMs setting
+ * payoutSplit: 'equal', 'weighted' or tier percentages (see calculateShares)
+ * weighting: parsed strategy from weighting.parseWeighting
+ * holdingBonus: parsed settings from holdingTracker.parseHoldingBonus
+ * feeSplit: parsed rules from feeSplit.parseFeeSplit - null pays winners all but keepPercentage
+ * options: { rpcEndpoint, broadcast(message) } - broadcast goes to this wheel's channel only
+ */
+function createWheel(config, options) {
+    const wheelId = config.id;
+    const WINNERS_PER_SPIN = config.winnersPerSpin || 1;
+    const PAYOUT_SPLIT = config.payoutSplit || 'equal';
+    const WEIGHTING = config.weighting || { strategy: 'linear' };
+    const PAYOUT_ASSET = config.payoutAsset || SOL_ASSET;
+    const broadcast = options.broadcast;
+    const log = `[Wheel:${wheelId}]`;
+
+    const logic = createWheelLogic(wheelId);
+    const holdings = createHoldingTracker(wheelId, config.holdingBonus);
+    const clusters = createClusterDetector(wheelId, options.rpcEndpoint);
+    const venues = createVenueTracker(wheelId, options.rpcEndpoint);
+    // Without HOP_WALLET_SECRET, hop keys are encrypted with the creator key - only when it is held in memory
+    const hopVault = createHopVault(wheelId, config.signer && config.signer.type === 'memory' ? config.signer.privateKey : null);
+    const pumpfun = createPumpFunClient({ hopVault });
+    const payouts = createPayoutLedger(wheelId, pumpfun);
+    const discord = wheelId === 'default' ? discordLogger : discordLogger.forWheel(config.name || wheelId);
+    const treasury = createTreasuryGuard(wheelId, discord);
+    const approvals = createApprovalQueue(wheelId, discord);
+    const backfill = createHistoryBackfill(wheelId, {
+        rpcEndpoint: options.rpcEndpoint,
+        logic,
+        getCreator: () => pumpfun.getCreatorPublicKey(),
+        splitWallets: splitWallets(config.feeSplit)
+    });
+    const reconciler = createReconciler(wheelId, {
+        rpcEndpoint: options.rpcEndpoint,
+        logic,
+        payouts,
+        backfill,
+        alerts: discord
+    });
+
+    // State
+    let tokenMint = config.tokenMint || null; // Will auto-detect if not set
+    let currentHolders = [];
+    let currentWheelData = { segments: [], totalSupply: 0 };
+    let lastSpinTime = Date.now();
+    let isSpinning = false;
+    let lastWinner = null;
+    let payoutAsset = PAYOUT_ASSET.mint ? null : PAYOUT_ASSET; // Token assets are resolved on first use
+    let creatorBalance = 0;
+    let feeClaimEnabled = false;
+    let isDistributing = false;
+    let autoSpinTimer = null;
+    let holderRefreshTimer = null;
+
+    /**
+     * Broadcast to this instance's clients and relay spin events to follower instances
+     */
+    function announce(message) {
+        broadcast(message);
+        if (RELAYED_EVENTS.has(message.type)) {
+            leader.publish(wheelId, message);
+        }
+    }
+
+    function isPaused() {
+        return admin.isWheelPaused(wheelId);
+    }
+
+    function getSpinInterval() {
+        return config.spinIntervalMs || settings.get('spinIntervalMs');
+    }
+
+    function getNextSpin() {
+        return getTimeUntilNextSpin(lastSpinTime, getSpinInterval());
+    }
+
+    // Per-wheel exclusions - the creator and the fee split wallets can never win their own wheel, and the
+    // bonding curve / PumpSwap pool holding the token for the market never enters it
+    function getWheelExclusions() {
+        const creator = pumpfun.getCreatorPublicKey();
+        return [...(creator ? [creator] : []), ...splitWallets(config.feeSplit), ...venues.getExcludedAccounts()];
+    }
+
+    /**
+     * Claim the creator fees from the token's current venue (bonding curve or PumpSwap)
+     */
+    async function claimFees() {
+        try {
+            await leader.ensureLeader();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        const venue = await venues.refresh(tokenMint);
+        return pumpfun.claimCreatorFees({ venue: venue ? venue.venue : null });
+    }
+
+    /**
+     * Payload sent to a client when it joins this wheel's channel
+     */
+    function getInitPayload() {
+        return {
+            wheelId: wheelId,
+            wheelData: currentWheelData,
+            lastWinner: lastWinner,
+            history: logic.getSpinHistory(10),
+            nextSpin: getNextSpin(),
+            spinIntervalMs: getSpinInterval(),
+            winnersPerSpin: WINNERS_PER_SPIN,
+            weighting: describeWeighting(WEIGHTING),
+            feeSplit: describeFeeSplit(config.feeSplit, settings.get('keepPercentage')),
+            isSpinning: isSpinning,
+            creatorBalance: creatorBalance,
+            feeClaimEnabled: feeClaimEnabled,
+            totalFeesSent: logic.getTotalFeesSent(),
+            spinsToday: logic.getSpinHistory(100).length,
+            totalHolders: currentHolders.length
+        };
+    }
+
+    function getStatus() {
+        return {
+            wheelId: wheelId,
+            name: config.name || wheelId,
+            tokenMint: tokenMint,
+            totalHolders: currentHolders.length,
+            totalSupply: currentWheelData.totalSupply,
+            lastSpinTime: new Date(lastSpinTime).toISOString(),
+            nextSpin: getNextSpin(),
+            spinIntervalMs: getSpinInterval(),
+            winnersPerSpin: WINNERS_PER_SPIN,
+            payoutSplit: PAYOUT_SPLIT,
+            weighting: describeWeighting(WEIGHTING),
+            holdingBonus: holdings.getSettings(),
+            feeSplit: describeFeeSplit(config.feeSplit, settings.get('keepPercentage')),
+            venue: venues.get(),
+            payoutAsset: payoutAsset
+                ? { ...describeAsset(payoutAsset), amountPerSpin: payoutAsset.amountPerSpin ?? null }
+                : { symbol: PAYOUT_ASSET.symbol, mint: PAYOUT_ASSET.mint === 'token' ? tokenMint : PAYOUT_ASSET.mint, decimals: null, amountPerSpin: PAYOUT_ASSET.amountPerSpin ?? null },
+            isSpinning: isSpinning,
+            autoSpinPaused: isPaused(),
+            isLeader: leader.isLeader(),
+            creatorBalance: creatorBalance,
+            feeClaimEnabled: feeClaimEnabled,
+            creatorWallet: pumpfun.getCreatorPublicKey()
+        };
+    }
+
+    function getHolders() {
+        return currentHolders;
+    }
+
+    function getWheelData() {
+        return currentWheelData;
+    }
+
+    function isBusy() {
+        return isSpinning;
+    }
+
+    function isFeeClaimEnabled() {
+        return feeClaimEnabled;
+    }
+
+    async function refreshBalance() {
+        const result = await pumpfun.getCreatorBalance();
+        if (result.success) {
+            creatorBalance = result.balance;
+        }
+        return result;
+    }
+
+    /**
+     * Restart the countdown (e.g. after resuming auto-spin)
+     */
+    function resetCountdown() {
+        lastSpinTime = Date.now();
+    }
+
+    // Spin logic with fee distribution
+    async function performSpin() {
+        if (!leader.isLeader()) {
+            throw new Error('Only the leader instance can spin');
+        }
+
+        if (currentWheelData.segments.length === 0) {
+            throw new Error('No holders available for spin');
+        }
+
+        isSpinning = true;
+
+        // Freeze the holder set for this spin - later refreshes must not change the draw
+        const segments = currentWheelData.segments;
+        const snapshot = logic.createSpinSnapshot(segments, WEIGHTING);
+
+        // Commit to a hashed server seed before the public entropy exists
+        let commitment;
+        let entropy;
+        try {
+            commitment = await fairness.createCommitment(snapshot);
+
+            announce({
+                type: 'spinStart',
+                data: {
+                    commitment: commitment.commitment,
+                    snapshotHash: commitment.snapshotHash,
+                    targetSlot: commitment.targetSlot
+                }
+            });
+            discord.spinStarted();
+
+            entropy = await fairness.resolveEntropy(commitment.targetSlot);
+        } catch (error) {
+            isSpinning = false;
+            console.error(`${log} Could not lock in provably fair seeds:`, error.message);
+            announce({ type: 'spinAborted', data: { error: error.message } });
+            throw error;
+        }
+
+        try {
+            return await selectAndRecord(segments, snapshot, commitment, entropy);
+        } catch (error) {
+            isSpinning = false;
+            console.error(`${log} Spin failed after the seeds were locked in:`, error.message);
+            announce({ type: 'spinAborted', data: { error: error.message } });
+            throw error;
+        }
+    }
+
+    /**
+     * Draw the winners of a spin, record it and schedule its distribution after the animation
+     */
+    async function selectAndRecord(segments, snapshot, commitment, entropy) {
+        // Select winners using weighted randoms derived from seed + blockhash (cursor i = draw i)
+        const randoms = [];
+        for (let cursor = 0; cursor < WINNERS_PER_SPIN; cursor++) {
+            randoms.push(fairness.deriveRandom(commitment.serverSeed, entropy.blockhash, cursor));
+        }
+        const winners = logic.selectWinners(segments, randoms);
+        const shares = calculateShares(winners, PAYOUT_SPLIT);
+        const rankedWinners = winners.map((w, index) => ({ ...w, share: shares[index] }));
+        const winner = rankedWinners[0];
+
+        // The wheel lands on the first winner; the next cursor positions it inside the segment
+        const winnerIndex = segments.findIndex(s => s.address === winner.address);
+        const winningDegree = calculateWinningDegree(segments, winnerIndex, fairness.deriveRandom(commitment.serverSeed, entropy.blockhash, WINNERS_PER_SPIN));
+
+        // Reveal the seed alongside the record
+        const proofSummary = {
+            commitment: commitment.commitment,
+            serverSeed: commitment.serverSeed,
+            snapshotHash: commitment.snapshotHash,
+            targetSlot: commitment.targetSlot,
+            blockSlot: entropy.blockSlot,
+            blockhash: entropy.blockhash
+        };
+
+        // Record the spin
+        const record = await logic.recordSpin(rankedWinners, { fairness: proofSummary });
+        await logic.saveSpinProof(record.id, {
+            spinId: record.id,
+            winnerAddress: winner.address,
+            winnerAddresses: rankedWinners.map(w => w.address),
+            winnersRequested: WINNERS_PER_SPIN,
+            fairness: proofSummary,
+            snapshot: snapshot
+        });
+        lastWinner = winner;
+        lastSpinTime = Date.now();
+
+        for (const w of rankedWinners) {
+            console.log(`${log} Winner: ${w.displayAddress} (${w.percentage.toFixed(2)}%, ${(w.share * 100).toFixed(1)}% of pot)`);
+        }
+        discord.spinWinner(rankedWinners);
+
+        // Broadcast spin result (with the segments the draw used so the wheel lands correctly)
+        announce({
+            type: 'spinResult',
+            data: {
+                winner: winner,
+                winners: rankedWinners,
+                winnerIndex: winnerIndex,
+                winningDegree: winningDegree,
+                record: record,
+                wheelData: { segments: segments, totalSupply: currentWheelData.totalSupply }
+            }
+        });
+
+        // Handle fee distribution after animation
+        setTimeout(() => {
+            finishSpin(record, winner, rankedWinners)
+                .catch(error => console.error(`${log} Failed to finish spin #${record.id}:`, error.message));
+        }, SPIN_ANIMATION_MS); // After spin animation
+
+        return {
+            winner: winner,
+            winners: rankedWinners,
+            winnerIndex: winnerIndex,
+            winningDegree: winningDegree,
+            record: record
+        };
+    }
+
+    /**
+     * Distribute a recorded spin and tell the clients it is over - the wheel spins again even if the
+     * distribution throws (the spin stays unfinished and is resumed on the next start or failover)
+     */
+    async function finishSpin(record, winner, rankedWinners) {
+        let distributionResult;
+        try {
+            distributionResult = await distributeSpin(record);
+        } catch (error) {
+            console.error(`${log} Distribution of spin #${record.id} failed:`, error.message);
+            discord.feeClaimError(`Distribution of spin #${record.id} failed: ${error.message}`);
+            distributionResult = { success: false, error: error.message };
+        } finally {
+            isSpinning = false;
+        }
+
+        announce({
+            type: 'spinComplete',
+            data: {
+                winner: winner,
+                winners: rankedWinners,
+                history: logic.getSpinHistory(10),
+                nextSpin: getNextSpin(),
+                distribution: distributionResult,
+                creatorBalance: creatorBalance,
+                totalFeesSent: logic.getTotalFeesSent(),
+                spinsToday: logic.getSpinHistory(100).length
+            }
+        });
+    }
+
+    /**
+     * The payout asset with its mint details (decimals, token program) looked up on chain
+     * A "token" mint means the wheel's own token
+     */
+    async function getPayoutAsset() {
+        if (!payoutAsset) {
+            const mint = PAYOUT_ASSET.mint === 'token' ? tokenMint : PAYOUT_ASSET.mint;
+            if (!mint) {
+                throw new Error('the wheel token is not known yet');
+            }
+            const token = await pumpfun.resolveTokenMint(mint);
+            payoutAsset = {
+                ...PAYOUT_ASSET,
+                ...token,
+                symbol: PAYOUT_ASSET.symbol || (mint === tokenMint ? (config.name || 'TOKEN').replace(/^\$/, '') : `${mint.slice(0, 4)}…`)
+            };
+            const tokenProgram = `${token.token2022 ? 'Token-2022' : 'SPL Token'}, ${token.decimals} decimals`;
+            console.log(PAYOUT_ASSET.type === 'buyback'
+                ? `${log} Buying ${payoutAsset.symbol} with the pot and paying winners in it (${tokenProgram})`
+                : `${log} Paying winners ${PAYOUT_ASSET.amountPerSpin} ${payoutAsset.symbol} per spin (${tokenProgram})`);
+        }
+        return payoutAsset;
+    }
+
+    function assetSymbol(mint) {
+        return payoutAsset && payoutAsset.mint === mint ? payoutAsset.symbol : `${mint.slice(0, 4)}…`;
+    }
+
+    /**
+     * Claim fees and pay a recorded spin, persisting each lifecycle step
+     * so a restart can tell how far the spin got
+     */
+    async function distributeSpin(record) {
+        // Records from before multi-winner spins carry a single winner with the whole pot
+        const winners = (record.winners || [record.winner]).filter(w => w && w.address);
+        const recipients = winners.map(w => ({ address: w.address, share: w.share ?? 1 / winners.length }));
+
+        if (!feeClaimEnabled || recipients.length === 0) {
+            await logic.updateSpinStatus(record.id, SPIN_STATUS.SKIPPED, {}, 'Fee claiming not enabled');
+            return null;
+        }
+
+        // Circuit breaker open - leave the fees unclaimed until payouts resume
+        if (await treasury.isPaused()) {
+            await logic.updateSpinStatus(record.id, SPIN_STATUS.SKIPPED, {}, 'Payouts paused by the treasury circuit breaker');
+            return null;
+        }
+
+        // A spin interrupted after its claim confirmed pays out that claim - claiming again would find nothing
+        const claim = record.status === SPIN_STATUS.CLAIMED ? savedClaim(record.lifecycle || {}) : null;
+        if (claim) {
+            console.log(`${log} Distributing the fees spin #${record.id} already claimed (${claim.claimTx})`);
+        } else {
+            console.log(`${log} Attempting to claim and distribute fees to ${recipients.map(r => r.address).join(', ')}`);
+            discord.feeClaimAttempt(recipients.map(r => r.address));
+            await logic.updateSpinStatus(record.id, SPIN_STATUS.CLAIMING);
+        }
+
+        let asset;
+        try {
+            asset = await getPayoutAsset();
+        } catch (error) {
+            console.error(`${log} Payout asset unavailable: ${error.message}`);
+            await logic.updateSpinStatus(record.id, SPIN_STATUS.FAILED, {}, `Payout asset unavailable: ${error.message}`);
+            discord.feeClaimError(`Payout asset unavailable: ${error.message}`);
+            return null;
+        }
+
+        // A token can graduate between holder refreshes - check where its fees accrue right before claiming
+        const venue = await venues.refresh(tokenMint);
+
+        let distributionResult;
+        isDistributing = true;
+        try {
+            distributionResult = await pumpfun.claimAndDistribute(recipients, settings.get('keepPercentage'), {
+                ...distributionOptions(record.id, asset, true),
+                venue: venue ? venue.venue : null,
+                feeSplit: config.feeSplit,
+                burnMint: tokenMint,
+                carryOverLamports: approvals.getCarryOver(),
+                claim: claim,
+                requiresApproval: (plan) => approvals.requiresApproval(plan)
+            });
+        } finally {
+            isDistributing = false;
+        }
+
+        if (lostLeadership(record.id)) return null;
+
+        if (distributionResult.held) {
+            // The held plan carries the rolled-over pot from here on
+            await approvals.consumeCarryOver();
+            const entry = await approvals.hold(record.id, distributionResult.plan);
+            await logic.updateSpinStatus(record.id, SPIN_STATUS.AWAITING_APPROVAL, {
+                claimed: distributionResult.claimed,
+                claimedLamports: distributionResult.claimedLamports,
+                claimTx: distributionResult.claimTx,
+                heldLamports: entry.totalLamports,
+                approvalExpiresAt: entry.expiresAt
+            });
+            return distributionResult;
+        }
+
+        return finishDistribution(record.id, distributionResult);
+    }
+
+    /**
+     * The claim a spin saved in its 'claimed' stage (see pumpfun.claimAndDistribute)
+     */
+    function savedClaim(lifecycle) {
+        return {
+            claimed: lifecycle.claimed,
+            claimedLamports: lifecycle.claimedLamports,
+            claimGrossLamports: lifecycle.claimGrossLamports ?? 0,
+            claimTxFeeLamports: lifecycle.claimTxFeeLamports ?? 0,
+            claimTx: lifecycle.claimTx
+        };
+    }
+
+    /**
+     * A distribution aborted by a demotion leaves its spin as it was - the new leader resumes it
+     * (claiming: re-run; claimed: distributes the saved claim; transferring: the payout ledger re-checks and
+     * finishes the started payouts)
+     */
+    function lostLeadership(spinId) {
+        if (leader.isLeader()) return false;
+        console.warn(`${log} Lost leadership during spin #${spinId} - leaving it to the new leader`);
+        return true;
+    }
+
+    /**
+     * Options shared by fresh and approved distributions of a spin
+     * withCarryOver: the distribution includes the rolled-over pot, which is spent once funds start moving
+     * approvedBy: the operator who approved a held distribution - its approval is resolved once the ledger has it
+     */
+    function distributionOptions(spinId, asset, withCarryOver = false, approvedBy = null) {
+        return {
+            asset: asset,
+            onStage: async (stage, details) => {
+                // The rolled-over pot stays in the queue until funds move - a resumed 'claimed' spin still gets it
+                if (withCarryOver && stage !== SPIN_STATUS.CLAIMED) {
+                    await approvals.consumeCarryOver();
+                }
+                // Ledger entries exist before any funds move
+                if (stage === SPIN_STATUS.TRANSFERRING) {
+                    if (approvedBy && !approvals.get(spinId)) {
+                        throw new Error(`Spin #${spinId} has no payouts awaiting approval`);
+                    }
+                    await payouts.record(spinId, details.payouts, details.asset, details.splits);
+                    if (approvedBy) {
+                        await approvals.resolve(spinId, 'approved', approvedBy);
+                    }
+                }
+                await logic.updateSpinStatus(spinId, stage, details);
+            },
+            authorize: (plan) => treasury.authorize({ spinId, ...plan }),
+            // A demoted instance stops before the next claim, buy or transfer
+            guard: () => leader.ensureLeader(),
+            sendLegs: (legs) => payouts.sendMany(spinId, legs)
+        };
+    }
+
+    /**
+     * Record the outcome of a distribution on its spin and alert Discord
+     */
+    async function finishDistribution(spinId, distributionResult) {
+        await treasury.recordTransfers([...(distributionResult.payouts || []), ...(distributionResult.splits || [])]);
+
+        if (distributionResult.buyback && distributionResult.buyback.failed) {
+            console.warn(`${log} Buyback failed, paid winners in ${distributionResult.buyback.fallback}: ${distributionResult.buyback.error}`);
+            discord.buybackFailed(distributionResult.buyback.error, distributionResult.buyback.fallback);
+        }
+
+        if (distributionResult.distributed > 0) {
+            console.log(`${log} Distributed ${distributionResult.distributed} SOL to ${distributionResult.payouts.filter(p => p.success).length} winner(s)!`);
+            // Update the history record with transaction info (per-winner payouts included)
+            await logic.updateSpinDistribution(spinId, distributionResult);
+            // Track total fees sent (persistent) - also for the legs that went out before a failure
+            if (!distributionResult.asset.mint) {
+                await logic.addToTotalFees(distributionResult.distributed);
+            } else if (distributionResult.buyback && !distributionResult.buyback.failed) {
+                // Buybacks count the SOL the pot spent on the tokens
+                await logic.addToTotalFees(distributionResult.buyback.spent);
+            }
+        }
+
+        if (distributionResult.success && distributionResult.distributed > 0) {
+            await logic.updateSpinStatus(spinId, SPIN_STATUS.CONFIRMED, {
+                distributed: distributionResult.distributed,
+                distributedLamports: distributionResult.distributedLamports,
+                transferSignature: distributionResult.transferSignature,
+                hops: distributionResult.hops
+            });
+            discord.feeClaimSuccess(distributionResult.distributed, distributionResult.payouts, distributionResult.asset.symbol);
+        } else if (distributionResult.success) {
+            console.log(`${log} No fees available to distribute`);
+            await logic.updateSpinStatus(spinId, SPIN_STATUS.CONFIRMED, { distributed: 0 });
+            discord.feeClaimNoFees();
+        } else {
+            const retrying = [...(distributionResult.payouts || []), ...(distributionResult.splits || [])]
+                .filter(p => p.state === PAYOUT_STATE.FAILED || p.state === PAYOUT_STATE.SENDING).length;
+            const error = retrying > 0 ? `${distributionResult.error} (${retrying} payout(s) queued for retry)` : distributionResult.error;
+            console.log(`${log} Fee distribution failed: ${error}`);
+            await logic.updateSpinStatus(spinId, SPIN_STATUS.FAILED, {
+                claimed: distributionResult.claimed ?? null,
+                claimedLamports: distributionResult.claimedLamports ?? null,
+                claimTx: distributionResult.claimTx || null,
+                buyback: distributionResult.buyback || null,
+                distributed: distributionResult.distributed || 0,
+                distributedLamports: distributionResult.distributedLamports || 0
+            }, error);
+            // A refused distribution was already alerted when the breaker opened
+            if (!distributionResult.blocked) {
+                discord.feeClaimError(error);
+            }
+        }
+
+        // Update balance
+        const balanceResult = await refreshBalance();
+        if (balanceResult.success) {
+            discord.balanceUpdate(creatorBalance);
+        }
+
+        return distributionResult;
+    }
+
+    /**
+     * Send the payouts of a spin held for approval - by: the approving operator
+     * The approval stays queued until its payouts are in the ledger, so a distribution that fails before
+     * sending anything (refused by the treasury, an RPC error, an unresolved buyback) can be approved again
+     */
+    async function approvePayout(spinId, by) {
+        if (!leader.isLeader() || !feeClaimEnabled) {
+            return { success: false, error: 'Only the leader with fee claiming enabled can send payouts' };
+        }
+        if (isSpinning || isDistributing) {
+            return { success: false, error: 'A distribution is in progress - try again shortly' };
+        }
+        const entry = approvals.get(spinId);
+        if (!entry) {
+            return { success: false, error: `Spin #${spinId} has no payouts awaiting approval` };
+        }
+
+        let distributionResult;
+        isDistributing = true;
+        try {
+            if (await treasury.isPaused()) {
+                return { success: false, error: 'Payouts are paused by the treasury circuit breaker - reset it first' };
+            }
+
+            let asset;
+            try {
+                asset = await getPayoutAsset();
+            } catch (error) {
+                return { success: false, error: `Payout asset unavailable: ${error.message}` };
+            }
+
+            try {
+                await leader.ensureLeader();
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+
+            distributionResult = await pumpfun.distributePlanned(entry.plan, distributionOptions(spinId, asset, false, by));
+        } finally {
+            isDistributing = false;
+        }
+
+        if (lostLeadership(spinId)) {
+            return { success: false, error: 'Leadership was lost during the payouts - the new leader finishes them' };
+        }
+
+        if (approvals.get(spinId)) {
+            // Nothing was sent - the spin waits for another decision (or expires and rolls over)
+            console.warn(`${log} Approved payouts of spin #${spinId} not sent: ${distributionResult.error}`);
+            await logic.updateSpinStatus(spinId, SPIN_STATUS.AWAITING_APPROVAL, { buyback: distributionResult.buyback || null },
+                `Approved payouts not sent: ${distributionResult.error}`);
+            if (!distributionResult.blocked) {
+                discord.feeClaimError(`Approved payouts of spin #${spinId} not sent: ${distributionResult.error}`);
+            }
+            return { success: false, distribution: distributionResult, error: distributionResult.error };
+        }
+
+        await finishDistribution(spinId, distributionResult);
+        return { success: distributionResult.success, distribution: distributionResult, error: distributionResult.error || null };
+    }
+
+    /**
+     * Drop the payouts of a spin held for approval - the claimed fees stay in the creator wallet
+     */
+    async function rejectPayout(spinId, by, reason = null) {
+        if (isDistributing) {
+            return { success: false, error: 'A distribution is in progress - try again shortly' };
+        }
+        const entry = await approvals.resolve(spinId, 'rejected', by, reason);
+        if (!entry) {
+            return { success: false, error: `Spin #${spinId} has no payouts awaiting approval` };
+        }
+
+        await logic.updateSpinStatus(spinId, SPIN_STATUS.REJECTED, { rejectedBy: by }, `Payouts rejected by ${by}${reason ? `: ${reason}` : ''}`);
+        return { success: true, spinId, rejected: entry.plan.payouts };
+    }
+
+    /**
+     * Expire approvals nobody acted on - their pots roll over into the next spin
+     */
+    async function expireApprovals() {
+        // An approval being sent must not roll over under it
+        if (!leader.isLeader() || isDistributing) return;
+
+        for (const entry of await approvals.expireDue()) {
+            if (entry.plan.asset && entry.plan.asset.mint) {
+                await logic.updateSpinStatus(entry.spinId, SPIN_STATUS.REJECTED, { rejectedBy: 'timeout' }, 'Approval timed out');
+                continue;
+            }
+            await logic.updateSpinStatus(entry.spinId, SPIN_STATUS.ROLLED_OVER, { rolledOverLamports: entry.rolledOverLamports },
+                entry.rolledOverLamports < entry.totalLamports
+                    ? 'Approval timed out - the claimed fees in the pot rolled over into the next spin, the wallet-funded rest stays in the wallet'
+                    : 'Approval timed out - the pot rolled over into the next spin');
+        }
+    }
+
+    /**
+     * Retry failed payouts from the ledger and settle the spins they belong to
+     */
+    async function retryPayouts() {
+        if (!leader.isLeader() || !feeClaimEnabled || isSpinning || isDistributing) return;
+        if (await treasury.isPaused()) return;
+
+        isDistributing = true;
+        let outcomes;
+        try {
+            outcomes = await payouts.retryDue();
+        } finally {
+            isDistributing = false;
+        }
+
+        await treasury.recordTransfers(outcomes.map(outcome => outcome.result));
+        for (const spinId of new Set(outcomes.map(outcome => outcome.spinId))) {
+            await settleSpin(spinId, outcomes.filter(outcome => outcome.spinId === spinId));
+        }
+        if (outcomes.some(outcome => outcome.result.newlyConfirmed)) {
+            await refreshBalance();
+        }
+    }
+
+    /**
+     * Recover SOL stranded in hop wallets and settle the payouts it belonged to
+     * action: 'finish' | 'return' (defaults to the hopSweepAction setting)
+     * options: { address, minAgeMs } - the background job only touches wallets older than HOP_SWEEP_MIN_AGE_MS
+     */
+    async function sweepHopWallets(action = settings.get('hopSweepAction'), sweepOptions = {}) {
+        if (!leader.isLeader() || !feeClaimEnabled) {
+            return { success: false, error: 'Only the leader with fee claiming enabled can sweep hop wallets' };
+        }
+        if (isSpinning || isDistributing) {
+            return { success: false, error: 'A distribution is in progress - try again shortly' };
+        }
+
+        try {
+            await leader.ensureLeader();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        isDistributing = true;
+        let sweep;
+        try {
+            sweep = await pumpfun.sweepHopWallets(action, sweepOptions);
+        } finally {
+            isDistributing = false;
+        }
+        if (!sweep.success) return sweep;
+
+        for (const result of sweep.results) {
+            console.log(`${log} Hop wallet ${result.address} ${result.success ? `swept (${result.action})` : `sweep failed: ${result.error}`}`);
+            discord.hopWalletSwept(result);
+
+            if (!result.success || result.spinId === null || !result.recipient) continue;
+
+            const resolved = await payouts.resolveStranded(result.spinId, result.recipient, result);
+            await settleSpin(result.spinId, [{
+                spinId: result.spinId,
+                recipient: result.recipient,
+                result: { newlyConfirmed: resolved.newlyConfirmed, txUrl: result.delivered ? `https://solscan.io/tx/${result.delivered.signature}` : null }
+            }]);
+        }
+
+        if (sweep.results.length > 0) {
+            await refreshBalance();
+        }
+        return sweep;
+    }
+
+    /**
+     * Bring a spin's record in line with its ledger entries after retries
+     * Fee split legs settle alongside the winners but never count towards the fees sent to winners
+     */
+    async function settleSpin(spinId, outcomes) {
+        const entries = (await payouts.list({ spinId })).map(describeEntry);
+        const isWinner = (entry) => !entry.kind || entry.kind === PAYOUT_KIND.WINNER;
+        const winnerEntries = entries.filter(isWinner);
+        const confirmed = winnerEntries.filter(entry => entry.state === PAYOUT_STATE.CONFIRMED);
+        const received = (entry) => entry.received || 0;
+        const finalLegOf = (entry) => entry.signatures.find(sig => sig.to === entry.recipient && sig.status === 'confirmed');
+
+        for (const outcome of outcomes) {
+            const entry = entries.find(e => e.recipient === outcome.recipient);
+            if (!entry) {
+                // Left to reconciliation - the entries could not be loaded, or the outcome is for an unknown recipient
+                console.warn(`${log} Spin #${spinId} has no payout entry for ${outcome.recipient} - outcome not settled`);
+                continue;
+            }
+            if (outcome.result.newlyConfirmed) {
+                if (entry.asset === 'SOL' && isWinner(entry)) {
+                    await logic.addToTotalFees(received(entry));
+                }
+                discord.payoutRetried(spinId, entry.recipient, received(entry), outcome.result.txUrl, entry.asset === 'SOL' ? 'SOL' : assetSymbol(entry.asset));
+            } else if (entry.state === PAYOUT_STATE.STUCK || entry.state === PAYOUT_STATE.ABANDONED) {
+                discord.payoutGaveUp(spinId, entry.recipient, entry.state, entry.attempts, entry.lastError);
+            }
+        }
+
+        if (!outcomes.some(outcome => outcome.result.newlyConfirmed)) return;
+
+        const distributedLamports = confirmed.reduce((sum, entry) => sum + (entry.receivedLamports || 0), 0);
+        const distributed = confirmed.reduce((sum, entry) => sum + received(entry), 0);
+        const payoutResults = winnerEntries.map(entry => {
+            const finalLeg = finalLegOf(entry);
+            return {
+                address: entry.recipient,
+                share: entry.share,
+                success: entry.state === PAYOUT_STATE.CONFIRMED,
+                amount: received(entry),
+                lamports: entry.receivedLamports || 0,
+                sentLamports: entry.amountLamports,
+                signature: finalLeg ? finalLeg.signature : null,
+                txUrl: finalLeg ? `https://solscan.io/tx/${finalLeg.signature}` : null,
+                error: entry.state === PAYOUT_STATE.CONFIRMED ? null : entry.lastError
+            };
+        });
+        const splitResults = entries.filter(entry => !isWinner(entry)).map(entry => {
+            const finalLeg = finalLegOf(entry);
+            return {
+                kind: entry.kind,
+                label: entry.label,
+                address: entry.recipient,
+                success: entry.state === PAYOUT_STATE.CONFIRMED,
+                amount: received(entry),
+                lamports: entry.receivedLamports || 0,
+                signature: finalLeg ? finalLeg.signature : null,
+                txUrl: finalLeg ? `https://solscan.io/tx/${finalLeg.signature}` : null,
+                error: entry.state === PAYOUT_STATE.CONFIRMED ? null : entry.lastError
+            };
+        });
+        const first = payoutResults.find(result => result.success);
+
+        await logic.updateSpinDistribution(spinId, {
+            distributed: distributed,
+            distributedLamports: distributedLamports,
+            transferSignature: first ? first.signature : null,
+            transferTxUrl: first ? first.txUrl : null,
+            payouts: payoutResults,
+            splits: splitResults
+        });
+
+        if (entries.every(entry => entry.state === PAYOUT_STATE.CONFIRMED)) {
+            await logic.updateSpinStatus(spinId, SPIN_STATUS.CONFIRMED, { distributed, settledByRetry: true });
+        }
+    }
+
+    /**
+     * Resume or reconcile spins a previous process left unfinished
+     * selected/claiming: nothing has left the wallet yet, so distribution is re-run
+     * claimed: the saved claim is distributed without claiming again
+     * transferring: the payout ledger checks the recorded signatures on-chain and finishes the payouts;
+     * spins from before the ledger are failed for manual review instead of paying twice
+     */
+    async function resumeUnfinishedSpins() {
+        const unfinished = await logic.getUnfinishedSpins();
+        if (unfinished.length === 0) return;
+
+        console.log(`${log} Found ${unfinished.length} unfinished spin(s) from a previous run`);
+
+        for (const record of unfinished) {
+            const previousStatus = record.status;
+
+            if (previousStatus === SPIN_STATUS.TRANSFERRING && (await payouts.list({ spinId: record.id })).length > 0) {
+                await logic.updateSpinStatus(record.id, SPIN_STATUS.FAILED, { interruptedAt: previousStatus },
+                    'Interrupted during transfer - the payout ledger will verify and finish the payouts');
+                discord.spinRecovery(record.id, previousStatus, 'payout ledger will verify on-chain and retry');
+                continue;
+            }
+
+            if (previousStatus === SPIN_STATUS.BUYING) {
+                await logic.updateSpinStatus(record.id, SPIN_STATUS.FAILED, { interruptedAt: previousStatus },
+                    'Interrupted during the buyback - bought tokens may be in the creator wallet, check the buy on-chain');
+                discord.spinRecovery(record.id, previousStatus, 'marked failed - needs manual review');
+                continue;
+            }
+
+            if (previousStatus === SPIN_STATUS.TRANSFERRING) {
+                await logic.updateSpinStatus(record.id, SPIN_STATUS.FAILED, { interruptedAt: previousStatus },
+                    'Interrupted during transfer - check the route on-chain before re-sending');
+                discord.spinRecovery(record.id, previousStatus, 'marked failed - needs manual review');
+                continue;
+            }
+
+            console.log(`${log} Resuming spin #${record.id} (was ${previousStatus})`);
+            discord.spinRecovery(record.id, previousStatus, 'resuming distribution');
+            try {
+                await distributeSpin(record);
+            } catch (error) {
+                console.error(`${log} Failed to resume spin #${record.id}:`, error.message);
+                await logic.updateSpinStatus(record.id, SPIN_STATUS.FAILED, {}, error.message);
+            }
+        }
+    }
+
+    /**
+     * Mirror a spin event relayed from the leader instance and pass it to local clients
+     */
+    async function applyRemoteEvent(message) {
+        const data = message.data || {};
+
+        switch (message.type) {
+            case 'spinStart':
+                isSpinning = true;
+                break;
+            case 'spinAborted':
+                isSpinning = false;
+                break;
+            case 'spinResult':
+                lastWinner = data.winner;
+                lastSpinTime = Date.now();
+                break;
+            case 'spinComplete':
+                isSpinning = false;
+                creatorBalance = data.creatorBalance ?? creatorBalance;
+                await logic.reloadFromDatabase();
+                break;
+        }
+
+        broadcast(message);
+    }
+
+    /**
+     * Take over scheduling after a failover - catch up on what the old leader did
+     */
+    async function onPromoted() {
+        await logic.reloadFromDatabase();
+        isSpinning = false;
+        resetCountdown();
+        await resumeUnfinishedSpins();
+        await backfill.load();
+        runBackfill();
+        await reconciler.load();
+    }
+
+    /**
+     * Backfill the history from chain in the background (leader only) - does nothing once it completed
+     */
+    function runBackfill() {
+        if (!leader.isLeader() || !feeClaimEnabled) return;
+        backfill.run().catch(error => console.error(`${log} History backfill failed:`, error.message));
+    }
+
+    /**
+     * Check the recorded payouts against the chain once reconcileIntervalMs has passed (leader only)
+     */
+    function runReconciliation() {
+        if (!leader.isLeader() || !feeClaimEnabled || !reconciler.isDue(settings.get('reconcileIntervalMs'))) return;
+        reconciler.run().catch(error => console.error(`${log} Reconciliation failed:`, error.message));
+    }
+
+    /**
+     * Rebuild segments from the cached holders (e.g. after exclusions change)
+     */
+    function rebuildSegments() {
+        currentWheelData = processHoldersForWheel(currentHolders, getWheelExclusions(), {
+            weighting: WEIGHTING,
+            multipliers: holdings.getMultipliers(),
+            clusters: clusters.getClusterMap()
+        });
+
+        broadcast({
+            type: 'holdersUpdate',
+            data: {
+                wheelData: currentWheelData,
+                totalHolders: currentHolders.length
+            }
+        });
+    }
+
+    /**
+     * Cluster the wheel's entrants - its own wallets, hop wallets and the venue never enter nor link anyone
+     */
+    async function updateClusters() {
+        const exclusions = getWheelExclusions();
+        const excluded = new Set(exclusions);
+        const hopWallets = await hopVault.list();
+        return clusters.update(
+            currentHolders.filter(holder => !excluded.has(holder.owner)),
+            tokenMint,
+            [...exclusions, ...hopWallets.map(wallet => wallet.address)]
+        );
+    }
+
+    // Fetch and update holder data
+    async function refreshHolders() {
+        try {
+            console.log(`${log} Refreshing holder data...`);
+            currentHolders = await getTokenHolders(tokenMint);
+            // Each refresh is a holder snapshot for the holding-duration clock
+            await holdings.recordSnapshot(currentHolders);
+            // The venue's accounts are excluded by address, so pick up a graduation before rebuilding
+            await venues.refresh(tokenMint);
+            rebuildSegments();
+
+            // Wallet clustering runs in the background (RPC heavy) and rebuilds again if clusters change
+            updateClusters()
+                .then(changed => {
+                    if (changed) rebuildSegments();
+                })
+                .catch(error => console.error(`${log} Wallet clustering failed:`, error.message));
+
+            console.log(`${log} Holder data refreshed: ${currentHolders.length} holders`);
+            discord.holdersRefreshed(currentHolders.length, tokenMint);
+        } catch (error) {
+            console.error(`${log} Error refreshing holders:`, error.message);
+            discord.holdersError(error.message);
+        }
+    }
+
+    // Auto-spin interval
+    function startAutoSpin() {
+        const interval = getSpinInterval();
+        console.log(`${log} Starting auto-spin every ${interval / 1000} seconds`);
+
+        if (autoSpinTimer) {
+            clearInterval(autoSpinTimer);
+        }
+        autoSpinTimer = setInterval(async () => {
+            // Followers keep the timer but leave spinning to the leader
+            if (isPaused() || !leader.isLeader()) {
+                return;
+            }
+
+            if (!isSpinning && currentWheelData.segments.length > 0) {
+                console.log(`${log} Auto-spin triggered`);
+                try {
+                    await performSpin();
+                } catch (error) {
+                    console.error(`${log} Auto-spin error:`, error.message);
+                }
+            }
+        }, interval);
+    }
+
+    function startHolderRefresh() {
+        if (holderRefreshTimer) {
+            clearInterval(holderRefreshTimer);
+        }
+        holderRefreshTimer = setInterval(refreshHolders, settings.get('holderRefreshMs'));
+    }
+
+    /**
+     * Apply hot-reloaded settings that drive this wheel's timers
+     */
+    function applySettings(changed) {
+        if (changed.includes('spinIntervalMs') && !config.spinIntervalMs) {
+            startAutoSpin();
+            broadcast({ type: 'countdown', data: getNextSpin() });
+        }
+        if (changed.includes('holderRefreshMs')) {
+            console.log(`${log} Refreshing holders every ${settings.get('holderRefreshMs') / 1000} seconds`);
+            startHolderRefresh();
+        }
+    }
+
+    // Countdown broadcast
+    function startCountdownBroadcast() {
+        setInterval(() => {
+            if (!isSpinning) {
+                broadcast({
+                    type: 'countdown',
+                    data: getNextSpin()
+                });
+            }
+        }, 1000);
+    }
+
+    // Initialize PumpFun client for this wheel's creator wallet
+    async function initializePumpFun() {
+        if (!config.signer) {
+            console.log(`${log} No creator key or signer configured - fee claiming disabled`);
+            discord.pumpfunDisabled();
+            return { success: false };
+        }
+
+        let signer;
+        try {
+            signer = await createSigner(config.signer);
+        } catch (error) {
+            console.error(`${log} Failed to set up the ${config.signer.type} signer: ${error.message}`);
+            discord.pumpfunInitError(error.message);
+            return { success: false };
+        }
+        console.log(`${log} Creator wallet signs with the ${signer.type} signer`);
+        if (!hopVault.isReady()) {
+            console.warn(`${log} HOP_WALLET_SECRET is not set - hop routes are unavailable, only direct payouts can be sent`);
+        }
+
+        const result = pumpfun.initialize(signer, options.rpcEndpoint);
+
+        if (result.success) {
+            feeClaimEnabled = true;
+            console.log(`${log} Fee claiming enabled! Creator wallet: ${result.publicKey}`);
+            discord.pumpfunEnabled(result.publicKey);
+            return { success: true, publicKey: result.publicKey };
+        } else {
+            console.error(`${log} Failed to initialize PumpFun: ${result.error}`);
+            discord.pumpfunInitError(result.error);
+            return { success: false };
+        }
+    }
+
+    // Auto-detect token created by wallet
+    async function autoDetectToken(creatorPublicKey) {
+        console.log(`${log} Auto-detecting token from creator wallet...`);
+
+        const result = await getCreatedTokens(creatorPublicKey);
+
+        if (result.success) {
+            console.log(`${log} Found token: ${result.name} (${result.symbol})`);
+            console.log(`${log} Token Mint: ${result.mint}`);
+            discord.tokenDetected(result.mint, result.name, result.symbol);
+            return result.mint;
+        } else {
+            console.log(`${log} Could not auto-detect token: ${result.error}`);
+            discord.tokenDetectFailed(result.error);
+            return null;
+        }
+    }
+
+    /**
+     * Load persisted data, resolve the token and start the timers
+     * Returns false if the wheel has no token to run
+     */
+    async function start() {
+        await logic.initDatabase();
+        await holdings.load();
+        await clusters.load();
+        await payouts.load();
+        await hopVault.load();
+        await treasury.load();
+        await approvals.load();
+        await backfill.load();
+        await reconciler.load();
+
+        // Initialize PumpFun fee claiming
+        const pumpfunResult = await initializePumpFun();
+
+        // Auto-detect token if not manually set
+        if (!tokenMint && pumpfunResult.success && pumpfunResult.publicKey) {
+            tokenMint = await autoDetectToken(pumpfunResult.publicKey);
+        }
+
+        if (!tokenMint) {
+            console.error(`${log} No token detected and no tokenMint set - wheel not started`);
+            discord.error('Wheel Not Started', `No token mint for wheel "${wheelId}"`);
+            return false;
+        }
+
+        console.log(`${log} Using Token: ${tokenMint}`);
+
+        // Finish anything a crash or restart interrupted (the leader owns payouts)
+        if (leader.isLeader()) {
+            await resumeUnfinishedSpins();
+        }
+
+        leader.onChange(async (isLeader) => {
+            if (!isLeader) return;
+            console.log(`${log} Promoted to leader - taking over spins`);
+            try {
+                await onPromoted();
+            } catch (error) {
+                console.error(`${log} Failed to take over after promotion:`, error.message);
+            }
+        });
+
+        // Log loaded persistent data
+        const loadedHistory = logic.getSpinHistory(100);
+        console.log(`${log} Total Fees Sent (loaded): ${logic.getTotalFeesSent().toFixed(4)} SOL`);
+        console.log(`${log} Spin History (loaded): ${loadedHistory.length} spins`);
+
+        // Rebuild history and total fees from the creator wallet's transactions (resumes an interrupted scan)
+        runBackfill();
+
+        // Get initial balance if enabled
+        if (feeClaimEnabled) {
+            const balanceResult = await refreshBalance();
+            if (balanceResult.success) {
+                console.log(`${log} Current creator balance: ${creatorBalance} SOL`);
+                discord.balanceUpdate(creatorBalance);
+            }
+        }
+
+        // Initial holder fetch
+        await refreshHolders();
+
+        // Refresh holders periodically (holderRefreshMs setting)
+        startHolderRefresh();
+
+        // Start auto-spin
+        startAutoSpin();
+        settings.onChange(applySettings);
+
+        // Retry failed payouts in the background (leader only)
+        setInterval(() => {
+            retryPayouts().catch(error => console.error(`${log} Payout retry failed:`, error.message));
+        }, PAYOUT_RETRY_CHECK_MS);
+
+        // Roll over payouts left unapproved (leader only)
+        setInterval(() => {
+            expireApprovals().catch(error => console.error(`${log} Approval expiry failed:`, error.message));
+        }, APPROVAL_CHECK_MS);
+
+        // Recover SOL stranded in hop wallets by failed routes
+        setInterval(() => {
+            if (!leader.isLeader() || !feeClaimEnabled) return;
+            sweepHopWallets(settings.get('hopSweepAction'), { minAgeMs: HOP_SWEEP_MIN_AGE_MS })
+                .catch(error => console.error(`${log} Hop wallet sweep failed:`, error.message));
+        }, HOP_SWEEP_INTERVAL_MS);
+
+        // Resume a history backfill that stopped on an RPC error
+        setInterval(runBackfill, BACKFILL_RETRY_MS);
+
+        // Check the recorded payouts against the chain (reconcileIntervalMs setting)
+        setInterval(runReconciliation, RECONCILE_CHECK_MS);
+
+        // Start countdown broadcast
+        startCountdownBroadcast();
+
+        return true;
+    }
+
+    return {
+        id: wheelId,
+        name: config.name || wheelId,
+        pumpfun,
+        logic,
+        discord,
+        start,
+        performSpin,
+        applyRemoteEvent,
+        refreshHolders,
+        rebuildSegments,
+        refreshBalance,
+        claimFees,
+        resetCountdown,
+        getStatus,
+        getInitPayload,
+        getHolders,
+        getWheelData,
+        getClusterReport: clusters.getReport,
+        payouts,
+        sweepHopWallets,
+        treasury,
+        approvals,
+        backfill,
+        reconciler,
+        approvePayout,
+        rejectPayout,
+        getNextSpin,
+        isBusy,
+        isPaused,
+        isFeeClaimEnabled,
+        getTokenMint: () => tokenMint
+    };
+}
+
+module.exports = {
+    createWheel
+};
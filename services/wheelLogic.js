@@ -1,229 +1,140 @@
 const fs = require('fs');
 const path = require('path');
 const database = require('./database');
+const fairness = require('./fairness');
+const config = require('./config');
+
+// Persistence configuration (history length and winner cooldown: maxHistory / winnerCooldownSpins settings)
+const DATA_ROOT = path.join(__dirname, '../data');
+
+const DEFAULT_WHEEL_ID = 'default';
+
+// Spin lifecycle: selected -> claiming -> transferring -> confirmed | failed
+// (skipped = nothing to distribute, e.g. fee claiming disabled)
+const SPIN_STATUS = {
+    SELECTED: 'selected',
+    CLAIMING: 'claiming',
+    CLAIMED: 'claimed',         // The claim confirmed - a resumed spin distributes it instead of claiming again
+    BUYING: 'buying',           // Buyback payouts - spending the pot on the token
+    TRANSFERRING: 'transferring',
+    AWAITING_APPROVAL: 'awaiting_approval', // Held above the approval threshold (see approvals.js)
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    REJECTED: 'rejected',       // An operator rejected the held payouts
+    ROLLED_OVER: 'rolled_over'  // Approval timed out - the pot went to the next spin
+};
+const UNFINISHED_STATUSES = [SPIN_STATUS.SELECTED, SPIN_STATUS.CLAIMING, SPIN_STATUS.CLAIMED, SPIN_STATUS.BUYING, SPIN_STATUS.TRANSFERRING];
+// Spins rebuilt from the creator wallet's chain history carry source: 'chain' (recorded spins have none)
+const CHAIN_SOURCE = 'chain';
 
-// Persistence configuration
-const DATA_DIR = path.join(__dirname, '../data');
-const DATA_PATH = path.join(DATA_DIR, 'history.json');
-
-// Store spin history (in-memory cache)
-let spinHistory = [];
-let totalFeesSentPersistent = 0;
-const MAX_HISTORY = 50;
-let useDatabase = false; // Will be set to true if database connects
-
-// Recent winners cooldown (can't win for next N spins)
-const recentWinners = [];
-const WINNER_COOLDOWN_SPINS = 2;
-
-// Ensure data directory exists
-function ensureDataDir() {
-    try {
-        if (!fs.existsSync(DATA_DIR)) {
-            fs.mkdirSync(DATA_DIR, { recursive: true });
-            console.log('[WheelLogic] Created data directory');
-        }
-    } catch (error) {
-        console.error('[WheelLogic] Failed to create data directory:', error.message);
-    }
+/**
+ * Segment weight under the wheel's strategy (older snapshots only carry amount = linear)
+ */
+function segmentWeight(segment) {
+    return segment.weight ?? segment.amount;
 }
 
-// Load history on startup
-function loadHistory() {
-    ensureDataDir();
-    try {
-        if (fs.existsSync(DATA_PATH)) {
-            const data = fs.readFileSync(DATA_PATH, 'utf8');
-            const parsed = JSON.parse(data);
-            if (parsed && parsed.history) {
-                spinHistory = parsed.history || [];
-                totalFeesSentPersistent = parsed.totalFeesSent || 0;
-            } else if (Array.isArray(parsed)) {
-                // Legacy format - just array
-                spinHistory = parsed;
-                totalFeesSentPersistent = spinHistory.reduce((sum, item) => sum + (item.distribution || 0), 0);
-            }
-            console.log(`[WheelLogic] Loaded ${spinHistory.length} spins, Total Fees: ${totalFeesSentPersistent.toFixed(4)} SOL`);
-        } else {
-            console.log('[WheelLogic] No history file found');
-        }
-    } catch (error) {
-        console.error('[WheelLogic] Failed to load history:', error.message);
+/**
+ * Pick a segment from cumulative weight using a random value in [0, 1)
+ * Pure function - shared by live spins and proof verification
+ */
+function pickWeighted(segments, random) {
+    if (!segments || segments.length === 0) {
+        return null;
     }
 
-    // BASELINE: Minimum 6 SOL was distributed before tracking began
-    // This ensures new deploys don't show 0
-    const BASELINE_FEES = 6.0;
-    if (totalFeesSentPersistent < BASELINE_FEES) {
-        console.log(`[WheelLogic] Applying baseline: ${BASELINE_FEES} SOL (was ${totalFeesSentPersistent.toFixed(4)})`);
-        totalFeesSentPersistent = BASELINE_FEES;
-    }
-}
+    // Calculate total weight of the segments
+    const totalWeight = segments.reduce((sum, seg) => sum + segmentWeight(seg), 0);
+    const target = random * totalWeight;
 
-function saveHistory() {
-    ensureDataDir();
-    try {
-        const data = {
-            history: spinHistory,
-            totalFeesSent: totalFeesSentPersistent,
-            lastUpdated: new Date().toISOString()
-        };
-        fs.writeFileSync(DATA_PATH, JSON.stringify(data, null, 2));
-        console.log(`[WheelLogic] Saved ${spinHistory.length} spins to disk`);
-    } catch (error) {
-        console.error('[WheelLogic] Failed to save history:', error.message);
+    // Find the winner based on cumulative weight
+    let cumulativeWeight = 0;
+    for (const segment of segments) {
+        cumulativeWeight += segmentWeight(segment);
+        if (target <= cumulativeWeight) {
+            return segment;
+        }
     }
-}
 
-function getTotalFeesSent() {
-    return totalFeesSentPersistent;
+    // Fallback to last segment
+    return segments[segments.length - 1];
 }
 
-async function addToTotalFees(amount) {
-    totalFeesSentPersistent += amount;
-
-    // Save to database if available
-    if (useDatabase) {
-        await database.addToTotalFees(amount);
-    }
-    saveHistory();
+/**
+ * One entrant per wallet cluster (anti-sybil), otherwise per wallet
+ */
+function entrantKey(segment) {
+    return segment.clusterId || segment.address;
 }
 
 /**
- * Import historical transfers from blockchain to rebuild history
+ * Filter out addresses on cooldown - and every wallet clustered with one
+ * If every segment is on cooldown (edge case with few holders), all are eligible
  */
-function importHistoricalTransfers(transfers) {
-    if (!transfers || transfers.length === 0) {
-        console.log('[WheelLogic] No transfers to import');
-        return { imported: 0 };
-    }
-
-    // Only import if we have no history
-    if (spinHistory.length > 0) {
-        console.log('[WheelLogic] History already exists, skipping import');
-        return { imported: 0, skipped: true };
-    }
-
-    let imported = 0;
-    let totalAmount = 0;
-
-    // Reverse to get oldest first
-    const sorted = [...transfers].reverse();
-
-    for (const transfer of sorted) {
-        const record = {
-            id: spinHistory.length + 1,
-            winner: {
-                address: transfer.recipient,
-                displayAddress: `${transfer.recipient.slice(0, 4)}...${transfer.recipient.slice(-4)}`,
-                amount: 0,
-                percentage: 0
-            },
-            timestamp: transfer.timestamp,
-            timestampReadable: new Date(transfer.timestamp).toLocaleTimeString('en-US', {
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true
-            }),
-            distribution: transfer.amount,
-            txSignature: transfer.signature,
-            solscanUrl: transfer.solscanUrl
-        };
-
-        spinHistory.unshift(record);
-        totalAmount += transfer.amount;
-        imported++;
-    }
-
-    // Update total fees
-    totalFeesSentPersistent = totalAmount;
-
-    // Keep only MAX_HISTORY
-    while (spinHistory.length > MAX_HISTORY) {
-        spinHistory.pop();
-    }
-
-    saveHistory();
-    console.log(`[WheelLogic] Imported ${imported} historical transfers, Total: ${totalAmount.toFixed(4)} SOL`);
-
-    return { imported, totalAmount };
+function getEligibleSegments(segments, cooldown) {
+    const blocked = new Set(segments.filter(seg => cooldown.includes(seg.address)).map(entrantKey));
+    const eligibleSegments = segments.filter(seg => !cooldown.includes(seg.address) && !blocked.has(entrantKey(seg)));
+    return eligibleSegments.length > 0 ? eligibleSegments : segments;
 }
 
-// Initial load
-loadHistory();
-
-
-
 /**
- * Perform weighted random selection based on token holdings
- * Holders with more tokens have proportionally higher chances
- * Recent winners are excluded from selection
+ * Draw winners without replacement - one random value per draw
+ * Cooldown is applied once, before the first draw (same rule as a single-winner spin)
  */
-function selectWinner(segments) {
-    if (!segments || segments.length === 0) {
-        return null;
+function pickWinners(segments, cooldown, randoms) {
+    let pool = getEligibleSegments(segments, cooldown);
+    const winners = [];
+
+    for (const random of randoms) {
+        if (pool.length === 0) break;
+        const winner = pickWeighted(pool, random);
+        winners.push(winner);
+        pool = pool.filter(seg => entrantKey(seg) !== entrantKey(winner));
     }
 
-    // Filter out recent winners from eligible segments
-    let eligibleSegments = segments.filter(seg => !recentWinners.includes(seg.address));
-
-    // If all segments are on cooldown (edge case with few holders), reset cooldown
-    if (eligibleSegments.length === 0) {
-        console.log('[Wheel] All holders on cooldown, resetting...');
-        recentWinners.length = 0;
-        eligibleSegments = segments;
-    }
-
-    // Calculate total weight (total tokens) of eligible segments
-    const totalWeight = eligibleSegments.reduce((sum, seg) => sum + seg.amount, 0);
-
-    // Generate random number between 0 and total weight
-    const random = Math.random() * totalWeight;
-
-    // Find the winner based on cumulative weight
-    let cumulativeWeight = 0;
-    let winner = null;
-    for (const segment of eligibleSegments) {
-        cumulativeWeight += segment.amount;
-        if (random <= cumulativeWeight) {
-            winner = segment;
-            break;
-        }
-    }
+    return winners;
+}
 
-    // Fallback to last eligible segment
-    if (!winner) {
-        winner = eligibleSegments[eligibleSegments.length - 1];
+/**
+ * Split a pot between winners (shares sum to 1)
+ * split: 'equal', 'weighted' (by holdings) or tier percentages in draw order, e.g. [50, 30, 20]
+ * Tiers are renormalized if fewer winners were drawn than configured
+ */
+function calculateShares(winners, split = 'equal') {
+    if (winners.length === 0) return [];
+
+    let weights;
+    if (Array.isArray(split)) {
+        weights = winners.map((winner, index) => split[index] || 0);
+    } else if (split === 'weighted') {
+        weights = winners.map(winner => winner.amount);
+    } else {
+        weights = winners.map(() => 1);
     }
 
-    // Add winner to cooldown list
-    if (winner) {
-        recentWinners.push(winner.address);
-        // Keep only last N winners in cooldown
-        while (recentWinners.length > WINNER_COOLDOWN_SPINS) {
-            recentWinners.shift();
-        }
-        console.log(`[Wheel] Winner: ${winner.displayAddress} - On cooldown for next ${WINNER_COOLDOWN_SPINS} spins`);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0)) {
+        return winners.map(() => 1 / winners.length);
     }
-
-    return winner;
+    return weights.map(weight => weight / total);
 }
 
 /**
  * Calculate the wheel position (in degrees) for a given winner
  * Returns the degree where the wheel should stop
  */
-function calculateWinningDegree(segments, winnerIndex) {
+function calculateWinningDegree(segments, winnerIndex, random = Math.random()) {
     if (!segments || segments.length === 0 || winnerIndex < 0) {
         return 0;
     }
 
-    // Calculate the starting degree for each segment
+    // Calculate the starting degree for each segment (sized by weight, as the wheel draws them)
+    const totalWeight = segments.reduce((sum, seg) => sum + segmentWeight(seg), 0);
     let currentDegree = 0;
     const segmentDegrees = segments.map(seg => {
         const startDegree = currentDegree;
-        const segmentSize = (seg.percentage / 100) * 360;
+        const segmentSize = (segmentWeight(seg) / totalWeight) * 360;
         currentDegree += segmentSize;
         return {
             start: startDegree,
@@ -236,74 +147,22 @@ function calculateWinningDegree(segments, winnerIndex) {
     // Add some randomness within the segment for natural feel
     const winnerDegrees = segmentDegrees[winnerIndex];
     const segmentSize = winnerDegrees.end - winnerDegrees.start;
-    const randomOffset = (Math.random() - 0.5) * segmentSize * 0.6; // Stay within 60% of segment center
+    const randomOffset = (random - 0.5) * segmentSize * 0.6; // Stay within 60% of segment center
 
     return winnerDegrees.center + randomOffset;
 }
 
 /**
- * Record a spin result in history
- */
-async function recordSpin(winner, timestamp = new Date()) {
-    const record = {
-        id: spinHistory.length + 1,
-        winner: {
-            address: winner.address,
-            displayAddress: winner.displayAddress,
-            amount: winner.amount,
-            percentage: winner.percentage
-        },
-        timestamp: timestamp.toISOString(),
-        timestampReadable: formatTimestamp(timestamp),
-        distribution: null,
-        txSignature: null,
-        solscanUrl: null
-    };
-
-    spinHistory.unshift(record);
-
-    // Keep only the most recent spins
-    if (spinHistory.length > MAX_HISTORY) {
-        spinHistory.pop();
-    }
-
-    // Save to database if available
-    if (useDatabase) {
-        await database.saveSpinRecord(record);
-    }
-    saveHistory();
-
-    return record;
-}
-
-/**
- * Update the most recent spin with distribution info
- */
-async function updateLatestSpinDistribution(distribution) {
-    if (spinHistory.length === 0 || !distribution) return false;
-
-    const latestSpin = spinHistory[0];
-
-    if (distribution.distributed > 0) {
-        latestSpin.distribution = distribution.distributed;
-        latestSpin.txSignature = distribution.transferSignature || null;
-        latestSpin.solscanUrl = distribution.transferTxUrl || null;
-
-        // Save to database if available
-        if (useDatabase) {
-            await database.updateLatestSpinDistribution(distribution);
-        }
-        saveHistory();
-    }
-
-    return true;
-}
-
-/**
- * Get spin history
+ * Every transaction signature a spin record refers to - claim, payout legs, buyback and fee split legs
  */
-function getSpinHistory(limit = 10) {
-    return spinHistory.slice(0, limit);
+function spinSignatures(record) {
+    return [
+        record.txSignature,
+        record.claimTx,
+        ...(record.payouts || []).flatMap(payout => [payout.signature, ...(payout.hops || []).map(hop => hop.sig)]),
+        record.buyback ? record.buyback.signature : null,
+        ...(record.splits || []).map(split => split.signature)
+    ].filter(Boolean);
 }
 
 /**
@@ -334,35 +193,518 @@ function getTimeUntilNextSpin(lastSpinTime, intervalMs = 60000) {
 }
 
 /**
- * Initialize database connection and load from DB
+ * Create the history, cooldown and proof state for one wheel
+ * The default wheel keeps the original data/ layout; others live in data/wheels/<id>/
  */
-async function initDatabase() {
-    const connected = await database.initialize();
-    if (connected) {
-        useDatabase = true;
-        console.log('[WheelLogic] Database mode enabled');
+function createWheelLogic(wheelId = DEFAULT_WHEEL_ID) {
+    const DATA_DIR = wheelId === DEFAULT_WHEEL_ID ? DATA_ROOT : path.join(DATA_ROOT, 'wheels', wheelId);
+    const DATA_PATH = path.join(DATA_DIR, 'history.json');
+    const PROOFS_DIR = path.join(DATA_DIR, 'proofs');
+
+    // Store spin history (in-memory cache)
+    let spinHistory = [];
+    let totalFeesSentPersistent = 0;
+    let useDatabase = false; // Will be set to true if database connects
+
+    // Recent winners cooldown (can't win for next N spins) - one address list per spin
+    const recentWinners = [];
+
+    // Ensure data directory exists
+    function ensureDataDir() {
+        try {
+            if (!fs.existsSync(DATA_DIR)) {
+                fs.mkdirSync(DATA_DIR, { recursive: true });
+                console.log('[WheelLogic] Created data directory');
+            }
+        } catch (error) {
+            console.error('[WheelLogic] Failed to create data directory:', error.message);
+        }
+    }
+
+    // Load history on startup
+    function loadHistory() {
+        ensureDataDir();
+        try {
+            if (fs.existsSync(DATA_PATH)) {
+                const data = fs.readFileSync(DATA_PATH, 'utf8');
+                const parsed = JSON.parse(data);
+                if (parsed && parsed.history) {
+                    spinHistory = parsed.history || [];
+                    totalFeesSentPersistent = parsed.totalFeesSent || 0;
+                } else if (Array.isArray(parsed)) {
+                    // Legacy format - just array
+                    spinHistory = parsed;
+                    totalFeesSentPersistent = spinHistory.reduce((sum, item) => sum + (item.distribution || 0), 0);
+                }
+                console.log(`[WheelLogic] Loaded ${spinHistory.length} spins, Total Fees: ${totalFeesSentPersistent.toFixed(4)} SOL`);
+            } else {
+                console.log('[WheelLogic] No history file found');
+            }
+        } catch (error) {
+            console.error('[WheelLogic] Failed to load history:', error.message);
+        }
+    }
+
+    function saveHistory() {
+        ensureDataDir();
+        try {
+            const data = {
+                history: spinHistory,
+                totalFeesSent: totalFeesSentPersistent,
+                lastUpdated: new Date().toISOString()
+            };
+            fs.writeFileSync(DATA_PATH, JSON.stringify(data, null, 2));
+            console.log(`[WheelLogic] Saved ${spinHistory.length} spins to disk`);
+        } catch (error) {
+            console.error('[WheelLogic] Failed to save history:', error.message);
+        }
+    }
+
+    function getTotalFeesSent() {
+        return totalFeesSentPersistent;
+    }
+
+    /**
+     * Overwrite the total fees (reconciliation - the total recomputed from the spins)
+     */
+    async function setTotalFees(amount) {
+        totalFeesSentPersistent = amount;
+
+        if (useDatabase) {
+            await database.setTotalFees(amount, wheelId);
+        }
+        saveHistory();
+    }
+
+    async function addToTotalFees(amount) {
+        totalFeesSentPersistent += amount;
+
+        // Save to database if available
+        if (useDatabase) {
+            await database.addToTotalFees(amount, wheelId);
+        }
+        saveHistory();
+    }
 
-        // Load from database
-        const dbHistory = await database.getSpinHistory(MAX_HISTORY);
-        const dbTotalFees = await database.getTotalFees();
+    /**
+     * Replace the spins rebuilt from the creator wallet's chain history (see historyBackfill.js) and reset
+     * the total fees. Spins this wheel recorded itself stay as they are - a rebuilt spin sharing a transaction
+     * with one of them is dropped. Returns the number of spins imported
+     */
+    async function replaceChainHistory(spins, totalFees) {
+        const live = useDatabase
+            ? await database.getSpinTransactions(wheelId)
+            : spinHistory.filter(item => item.source !== CHAIN_SOURCE);
+        if (!live) {
+            throw new Error('Could not read the recorded spins');
+        }
+        const known = new Set(live.flatMap(spinSignatures));
+        const fresh = spins.filter(spin => !spinSignatures(spin).some(signature => known.has(signature)));
+
+        let nextId = nextSpinId();
+        const records = fresh.map(spin => ({
+            id: nextId++,
+            winner: spin.winners[0],
+            timestampReadable: formatTimestamp(new Date(spin.timestamp)),
+            claimTxFeeLamports: null,
+            fairness: null,
+            status: SPIN_STATUS.CONFIRMED,
+            statusUpdatedAt: spin.timestamp,
+            lifecycle: {},
+            error: null,
+            ...spin
+        }));
+
+        if (useDatabase) {
+            if (!(await database.replaceChainSpins(records, wheelId)) || !(await database.setTotalFees(totalFees, wheelId))) {
+                throw new Error('Could not store the rebuilt history');
+            }
+            await reloadFromDatabase();
+        } else {
+            spinHistory = [...spinHistory.filter(item => item.source !== CHAIN_SOURCE), ...records]
+                .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+            while (spinHistory.length > config.get('maxHistory')) {
+                spinHistory.pop();
+            }
+            totalFeesSentPersistent = totalFees;
+            saveHistory();
+        }
+
+        console.log(`[WheelLogic] Imported ${records.length} spins from chain history, Total: ${totalFees.toFixed(4)} SOL`);
+        return records.length;
+    }
+
+    /**
+     * Perform weighted random selection based on token holdings
+     * Holders with more tokens have proportionally higher chances
+     * Recent winners (and wallets clustered with them) are excluded from selection,
+     * as are entrants already drawn this spin
+     * Pass a provably fair random value to make the draw verifiable
+     */
+    function selectWinner(segments, random = Math.random(), drawn = []) {
+        if (!segments || segments.length === 0) {
+            return null;
+        }
+
+        const cooldown = recentWinners.flat();
+        const eligibleSegments = getEligibleSegments(segments, cooldown);
+
+        // If all segments are on cooldown, reset cooldown
+        if (eligibleSegments === segments) {
+            console.log('[Wheel] All holders on cooldown, resetting...');
+            recentWinners.length = 0;
+        }
+
+        const drawnEntrants = new Set(segments.filter(seg => drawn.includes(seg.address)).map(entrantKey));
+        return pickWeighted(eligibleSegments.filter(seg => !drawnEntrants.has(entrantKey(seg))), random);
+    }
+
+    /**
+     * Draw one winner per random value, without replacement
+     * Every winner of this spin sits out the next winnerCooldownSpins spins
+     */
+    function selectWinners(segments, randoms) {
+        const cooldownSpins = config.get('winnerCooldownSpins');
+        const winners = [];
+
+        for (const random of randoms) {
+            const winner = selectWinner(segments, random, winners.map(w => w.address));
+            if (!winner) break;
+            winners.push(winner);
+        }
+
+        if (winners.length > 0) {
+            recentWinners.push(winners.map(winner => winner.address));
+            // Keep only the last N spins in cooldown
+            while (recentWinners.length > cooldownSpins) {
+                recentWinners.shift();
+            }
+            console.log(`[Wheel] Winner${winners.length > 1 ? 's' : ''}: ${winners.map(winner => winner.displayAddress).join(', ')} - On cooldown for next ${cooldownSpins} spins`);
+        }
+
+        return winners;
+    }
+
+    /**
+     * Capture the exact inputs of a draw (holder weights + cooldown) before it runs
+     */
+    function createSpinSnapshot(segments, weighting = null) {
+        return {
+            weighting: weighting,
+            segments: segments.map(seg => ({
+                address: seg.address,
+                amount: seg.amount,
+                weight: segmentWeight(seg),
+                ...(seg.clusterId ? { clusterId: seg.clusterId } : {})
+            })),
+            cooldown: recentWinners.flat()
+        };
+    }
+
+    /**
+     * Next spin ID - continues from the newest record so IDs stay stable once history is trimmed
+     */
+    function nextSpinId() {
+        // History is newest first by time - spins rebuilt from chain history can carry higher ids than later ones
+        return spinHistory.reduce((max, item) => Math.max(max, item.id || 0), 0) + 1;
+    }
+
+    /**
+     * Record a spin result in history
+     * winners: one segment or the drawn list (record.winner stays the first winner)
+     * Extra fields (e.g. fairness proof summary) are stored on the record
+     */
+    async function recordSpin(winners, extra = {}, timestamp = new Date()) {
+        const list = (Array.isArray(winners) ? winners : [winners]).map(winner => ({
+            address: winner.address,
+            displayAddress: winner.displayAddress,
+            amount: winner.amount,
+            percentage: winner.percentage,
+            ...(winner.share !== undefined ? { share: winner.share } : {})
+        }));
+
+        const record = {
+            id: nextSpinId(),
+            winner: list[0],
+            winners: list,
+            timestamp: timestamp.toISOString(),
+            timestampReadable: formatTimestamp(timestamp),
+            distribution: null,
+            txSignature: null,
+            solscanUrl: null,
+            payouts: null,
+            status: SPIN_STATUS.SELECTED,
+            statusUpdatedAt: timestamp.toISOString(),
+            lifecycle: {},
+            error: null,
+            ...extra
+        };
+
+        spinHistory.unshift(record);
+
+        // Keep only the most recent spins (a loop, since maxHistory can shrink at runtime)
+        while (spinHistory.length > config.get('maxHistory')) {
+            spinHistory.pop();
+        }
+
+        // Save to database if available (database assigns the canonical ID)
+        if (useDatabase) {
+            const dbId = await database.saveSpinRecord(record, wheelId);
+            if (dbId) {
+                record.id = dbId;
+            }
+        }
+        saveHistory();
+
+        return record;
+    }
+
+    /**
+     * Persist the full proof for a spin (revealed seed, entropy and holder snapshot)
+     */
+    async function saveSpinProof(spinId, proof) {
+        if (useDatabase) {
+            return database.saveSpinProof(spinId, proof, wheelId);
+        }
+
+        try {
+            if (!fs.existsSync(PROOFS_DIR)) {
+                fs.mkdirSync(PROOFS_DIR, { recursive: true });
+            }
+            fs.writeFileSync(path.join(PROOFS_DIR, `spin-${spinId}.json`), JSON.stringify(proof));
+            return true;
+        } catch (error) {
+            console.error('[WheelLogic] Failed to save spin proof:', error.message);
+            return false;
+        }
+    }
+
+    async function loadSpinProof(spinId) {
+        if (useDatabase) {
+            return database.getSpinProof(spinId, wheelId);
+        }
+
+        try {
+            const proofPath = path.join(PROOFS_DIR, `spin-${spinId}.json`);
+            if (!fs.existsSync(proofPath)) return null;
+            return JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+        } catch (error) {
+            console.error('[WheelLogic] Failed to load spin proof:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Recompute a spin's winner from its stored snapshot and revealed seed
+     * Anyone can repeat these steps with the returned data
+     */
+    async function verifySpin(spinId) {
+        const proof = await loadSpinProof(spinId);
+        if (!proof) {
+            return { success: false, error: 'No proof found for this spin' };
+        }
+
+        const { fairness: seeds, snapshot } = proof;
+        // Proofs from before multi-winner spins drew exactly one winner
+        const winnersRequested = proof.winnersRequested || 1;
+        const recordedWinners = proof.winnerAddresses || [proof.winnerAddress];
+
+        const randoms = [];
+        for (let cursor = 0; cursor < winnersRequested; cursor++) {
+            randoms.push(fairness.deriveRandom(seeds.serverSeed, seeds.blockhash, cursor));
+        }
+        const eligibleSegments = getEligibleSegments(snapshot.segments, snapshot.cooldown);
+        const expectedWinners = pickWinners(snapshot.segments, snapshot.cooldown, randoms).map(winner => winner.address);
+
+        const checks = {
+            seedMatchesCommitment: fairness.verifyCommitment(seeds.serverSeed, seeds.commitment),
+            snapshotMatchesHash: fairness.hashSnapshot(snapshot) === seeds.snapshotHash,
+            winnerMatches: expectedWinners.length === recordedWinners.length &&
+                expectedWinners.every((address, index) => address === recordedWinners[index])
+        };
+
+        return {
+            success: true,
+            spinId: spinId,
+            verified: Object.values(checks).every(Boolean),
+            checks: checks,
+            recordedWinner: recordedWinners[0],
+            expectedWinner: expectedWinners[0] || null,
+            recordedWinners: recordedWinners,
+            expectedWinners: expectedWinners,
+            random: randoms[0],
+            randoms: randoms,
+            eligibleHolders: eligibleSegments.length,
+            totalWeight: eligibleSegments.reduce((sum, seg) => sum + segmentWeight(seg), 0),
+            fairness: seeds,
+            snapshot: snapshot,
+            algorithm: 'random[i] = first 52 bits of HMAC-SHA256(key=serverSeed, msg="<blockhash>:<i>") / 2^52 for i < winnersRequested; ' +
+                'drop cooldown addresses and their clusterId peers (unless that leaves none); ' +
+                'winner[i] = first remaining holder whose cumulative weight (amount for older snapshots) >= random[i] * remaining total weight, then remove that holder and its cluster'
+        };
+    }
+
+    /**
+     * Move a spin to a new lifecycle state (persisted before the next step runs)
+     * details are merged into record.lifecycle (claim tx, amounts, hops...)
+     */
+    async function updateSpinStatus(spinId, status, details = {}, error = null) {
+        const record = spinHistory.find(item => item.id === spinId);
+        const statusUpdatedAt = new Date().toISOString();
+
+        if (record) {
+            record.status = status;
+            record.statusUpdatedAt = statusUpdatedAt;
+            record.lifecycle = { ...(record.lifecycle || {}), ...details };
+            record.error = error;
+        }
+
+        console.log(`[WheelLogic] Spin #${spinId} -> ${status}${error ? ` (${error})` : ''}`);
+
+        // Save to database if available
+        if (useDatabase) {
+            await database.updateSpinStatus(spinId, status, details, error, wheelId);
+        }
+        saveHistory();
+
+        return true;
+    }
+
+    /**
+     * Update a spin with distribution info
+     */
+    async function updateSpinDistribution(spinId, distribution) {
+        if (!distribution || !(distribution.distributed > 0)) return false;
+
+        const record = spinHistory.find(item => item.id === spinId);
+        if (record) {
+            record.distribution = distribution.distributed;
+            record.distributedLamports = distribution.distributedLamports ?? null;
+            if (distribution.asset && distribution.asset.mint) {
+                record.payoutAsset = distribution.asset;
+            }
+            if (distribution.buyback) {
+                record.buyback = distribution.buyback;
+            }
+            if (distribution.splits && distribution.splits.length > 0) {
+                record.splits = distribution.splits;
+            }
+            if (distribution.claimTx) {
+                record.claimTx = distribution.claimTx;
+                record.claimedLamports = distribution.claimedLamports ?? null;
+                record.claimTxFeeLamports = distribution.claimTxFeeLamports ?? null;
+            }
+            record.txSignature = distribution.transferSignature || null;
+            record.solscanUrl = distribution.transferTxUrl || null;
+            record.payouts = distribution.payouts || null;
+        }
+
+        // Save to database if available
+        if (useDatabase) {
+            await database.updateSpinDistribution(spinId, distribution, wheelId);
+        }
+        saveHistory();
+
+        return true;
+    }
+
+    /**
+     * Spins that were interrupted before reaching a final state
+     */
+    async function getUnfinishedSpins() {
+        if (useDatabase) {
+            return database.getSpinsByStatus(UNFINISHED_STATUSES, wheelId);
+        }
+        return spinHistory.filter(item => UNFINISHED_STATUSES.includes(item.status));
+    }
+
+    /**
+     * Every spin on record, newest first - { spins, complete }
+     * File mode only keeps maxHistory spins, so a full history file may be missing older ones (complete: false)
+     */
+    async function getRecordedSpins() {
+        if (useDatabase) {
+            const spins = await database.getAllSpins(wheelId);
+            if (spins === null) {
+                throw new Error('Spin history unavailable');
+            }
+            return { spins, complete: true };
+        }
+        return { spins: [...spinHistory], complete: spinHistory.length < config.get('maxHistory') };
+    }
+
+    /**
+     * Get spin history
+     */
+    function getSpinHistory(limit = 10) {
+        return spinHistory.slice(0, limit);
+    }
+
+    /**
+     * Reload history, totals and the cooldown list from the database
+     * Used when another instance may have spun since this one last loaded
+     */
+    async function reloadFromDatabase() {
+        if (!useDatabase) return false;
+
+        const dbHistory = await database.getSpinHistory(config.get('maxHistory'), wheelId);
+        const dbTotalFees = await database.getTotalFees(wheelId);
 
         spinHistory = dbHistory;
-        // Always ensure minimum 6 SOL baseline
-        totalFeesSentPersistent = Math.max(dbTotalFees, 6.0);
+        totalFeesSentPersistent = dbTotalFees;
+
+        // Most recent winners, oldest first, as selectWinner keeps them
+        recentWinners.length = 0;
+        recentWinners.push(...spinHistory.slice(0, config.get('winnerCooldownSpins'))
+            .map(item => (item.winners || [item.winner]).map(winner => winner?.address).filter(Boolean))
+            .reverse());
+
         console.log(`[WheelLogic] Loaded from DB: ${spinHistory.length} spins, ${totalFeesSentPersistent.toFixed(4)} SOL`);
+        return true;
     }
-    return useDatabase;
+
+    /**
+     * Switch to database mode (after database.initialize) and load from DB
+     */
+    async function initDatabase() {
+        if (database.isAvailable()) {
+            useDatabase = true;
+            console.log(`[WheelLogic] Database mode enabled for wheel "${wheelId}"`);
+            await reloadFromDatabase();
+        }
+        return useDatabase;
+    }
+
+    // Initial load
+    loadHistory();
+
+    return {
+        wheelId,
+        selectWinner,
+        selectWinners,
+        createSpinSnapshot,
+        recordSpin,
+        saveSpinProof,
+        verifySpin,
+        getSpinHistory,
+        getRecordedSpins,
+        updateSpinStatus,
+        updateSpinDistribution,
+        getUnfinishedSpins,
+        getTotalFeesSent,
+        setTotalFees,
+        addToTotalFees,
+        replaceChainHistory,
+        initDatabase,
+        reloadFromDatabase
+    };
 }
 
 module.exports = {
-    selectWinner,
+    SPIN_STATUS,
+    CHAIN_SOURCE,
+    createWheelLogic,
+    calculateShares,
     calculateWinningDegree,
-    recordSpin,
-    getSpinHistory,
-    getTimeUntilNextSpin,
-    updateLatestSpinDistribution,
-    getTotalFeesSent,
-    addToTotalFees,
-    importHistoricalTransfers,
-    initDatabase
+    getTimeUntilNextSpin
 };
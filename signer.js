@@ -0,0 +1,432 @@
+/**
+ * Creator Signer Process - holds the creator key so the web server does not have to
+ *
+ *   node signer.js create-keystore <file>   encrypt CREATOR_PRIVATE_KEY into a keystore file
+ *   node signer.js serve                    sign for the wheel over a Unix socket (CREATOR_SIGNER=socket)
+ *
+ * The key comes from SIGNER_KEYSTORE (unlocked with SIGNER_KEYSTORE_PASSPHRASE or the file at
+ * SIGNER_KEYSTORE_PASSPHRASE_FILE) or CREATOR_PRIVATE_KEY. Every transaction is checked against its own
+ * spending policy before it is signed: the key must pay the fees, only allowlisted programs may be called,
+ * the System, SPL Token and Associated Token Account programs only with the instructions the wheel sends,
+ * and the SOL it moves out of the wallet (measured by simulating) must stay under SIGNER_MAX_SOL_PER_TX
+ * and SIGNER_MAX_SOL_PER_DAY (rolling 24h). The simulation also makes sure the key keeps sole control of
+ * its token accounts and measures the tokens leaving them. Signed transactions count towards the daily
+ * limit whether or not they land.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Connection, Keypair, PublicKey, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const config = require('./services/config');
+const { encryptKeystore, loadKeystore } = require('./services/signer');
+
+const { decode: bs58Decode, encode: bs58Encode } = bs58.default || bs58;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATE_PATH = path.resolve(process.env.SIGNER_STATE_FILE || path.join(__dirname, 'data/signer.json'));
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAMS = ['TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'];
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+// Programs the wheel calls: System, Compute Budget, SPL Token, Token-2022, Associated Token Account,
+// PumpFun bonding curve and PumpSwap AMM
+const DEFAULT_PROGRAMS = [
+    SYSTEM_PROGRAM,
+    'ComputeBudget111111111111111111111111111111',
+    ...TOKEN_PROGRAMS,
+    ASSOCIATED_TOKEN_PROGRAM,
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+    'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
+];
+
+// Instructions the wheel sends to those programs - anything else (assign, approve, set authority...) is refused
+const SYSTEM_TRANSFER = 2;
+const ATA_CREATE_IDEMPOTENT = 1;
+const TOKEN_INSTRUCTION = {
+    BURN: 8,
+    CLOSE_ACCOUNT: 9,
+    TRANSFER_CHECKED: 12,
+    BURN_CHECKED: 15,
+    SYNC_NATIVE: 17 // PumpSwap buys wrap SOL
+};
+
+// SPL token account layout (Token-2022 extensions come after these 165 bytes)
+const TOKEN_ACCOUNT = { MINT: 0, OWNER: 32, AMOUNT: 64, DELEGATE: 72, CLOSE_AUTHORITY: 129, SIZE: 165 };
+const NATIVE_MINT = 'So11111111111111111111111111111111111111112';
+
+function readPassphrase(env, fileEnv) {
+    if (process.env[env]) return process.env[env];
+    if (process.env[fileEnv]) {
+        return fs.readFileSync(path.resolve(process.env[fileEnv]), 'utf8').trim();
+    }
+    return null;
+}
+
+function loadKeypair() {
+    if (process.env.SIGNER_KEYSTORE) {
+        const passphrase = readPassphrase('SIGNER_KEYSTORE_PASSPHRASE', 'SIGNER_KEYSTORE_PASSPHRASE_FILE');
+        if (!passphrase) {
+            throw new Error('SIGNER_KEYSTORE needs SIGNER_KEYSTORE_PASSPHRASE or SIGNER_KEYSTORE_PASSPHRASE_FILE');
+        }
+        return loadKeystore(path.resolve(process.env.SIGNER_KEYSTORE), passphrase);
+    }
+    if (process.env.CREATOR_PRIVATE_KEY) {
+        return Keypair.fromSecretKey(bs58Decode(process.env.CREATOR_PRIVATE_KEY));
+    }
+    throw new Error('Set SIGNER_KEYSTORE or CREATOR_PRIVATE_KEY');
+}
+
+function solLimit(env) {
+    const value = Number(process.env[env] || 0);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${env} must be a number of SOL >= 0`);
+    }
+    return Math.round(value * LAMPORTS_PER_SOL);
+}
+
+/**
+ * Write a keystore for CREATOR_PRIVATE_KEY, encrypted with CREATOR_KEYSTORE_PASSPHRASE(_FILE)
+ */
+function createKeystore(file) {
+    if (!file) {
+        throw new Error('Usage: node signer.js create-keystore <file>');
+    }
+    if (!process.env.CREATOR_PRIVATE_KEY) {
+        throw new Error('Set CREATOR_PRIVATE_KEY to the key to encrypt');
+    }
+    const passphrase = readPassphrase('CREATOR_KEYSTORE_PASSPHRASE', 'CREATOR_KEYSTORE_PASSPHRASE_FILE');
+    if (!passphrase) {
+        throw new Error('Set CREATOR_KEYSTORE_PASSPHRASE or CREATOR_KEYSTORE_PASSPHRASE_FILE');
+    }
+
+    const target = path.resolve(file);
+    if (fs.existsSync(target)) {
+        throw new Error(`${target} already exists`);
+    }
+
+    const keystore = encryptKeystore(bs58Decode(process.env.CREATOR_PRIVATE_KEY), passphrase);
+    fs.writeFileSync(target, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    console.log(`[Signer] Keystore for ${keystore.publicKey} written to ${target}`);
+    console.log('[Signer] Remove CREATOR_PRIVATE_KEY from the environment and set CREATOR_KEYSTORE instead');
+}
+
+/**
+ * Spending policy for one key
+ */
+function createPolicy(keypair, connection) {
+    const allowedPrograms = new Set([
+        ...DEFAULT_PROGRAMS,
+        ...(process.env.SIGNER_ALLOWED_PROGRAMS || '').split(',').map(id => id.trim()).filter(Boolean)
+    ]);
+    const maxPerTx = solLimit('SIGNER_MAX_SOL_PER_TX');
+    const maxPerDay = solLimit('SIGNER_MAX_SOL_PER_DAY');
+    const key = keypair.publicKey;
+
+    // spends: signed transactions of the last 24h - [{ at, signature, lamports, tokens }]
+    let state = { spends: [] };
+    try {
+        if (fs.existsSync(STATE_PATH)) {
+            state = { spends: [], ...JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')) };
+        }
+    } catch (error) {
+        console.error('[Signer] Failed to load spending state:', error.message);
+    }
+
+    function save() {
+        try {
+            fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+            fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+        } catch (error) {
+            console.error('[Signer] Failed to save spending state:', error.message);
+        }
+    }
+
+    function spentToday(now) {
+        state.spends = state.spends.filter(spend => now - Date.parse(spend.at) < DAY_MS);
+        return state.spends.reduce((sum, spend) => sum + spend.lamports, 0);
+    }
+
+    /**
+     * Accounts the transaction's instructions refer to, address lookup tables resolved
+     */
+    async function accountKeys(message) {
+        const addressLookupTableAccounts = [];
+        for (const lookup of message.addressTableLookups) {
+            const { value } = await connection.getAddressLookupTable(lookup.accountKey, { commitment: 'confirmed' });
+            if (!value) {
+                throw new Error(`address lookup table ${lookup.accountKey.toBase58()} not found`);
+            }
+            addressLookupTableAccounts.push(value);
+        }
+        return message.getAccountKeys({ addressLookupTableAccounts });
+    }
+
+    /**
+     * Throws unless the instruction is one the wheel sends: SOL transfers, idempotent token account creation,
+     * token transfers into accounts created in the same transaction (payouts), burns by the key, closing
+     * accounts into the key's wallet and syncing wrapped SOL
+     * created - token accounts created so far in the transaction
+     */
+    function checkInstruction(programId, data, accounts, created) {
+        const is = account => !!account && account.equals(key);
+
+        if (programId === SYSTEM_PROGRAM) {
+            if (data.length < 4 || data.readUInt32LE(0) !== SYSTEM_TRANSFER) {
+                throw new Error('only transfers may be sent to the System program');
+            }
+            return;
+        }
+
+        if (programId === ASSOCIATED_TOKEN_PROGRAM) {
+            if (data.length !== 1 || data[0] !== ATA_CREATE_IDEMPOTENT) {
+                throw new Error('only idempotent account creation may be sent to the Associated Token Account program');
+            }
+            created.add(accounts[1].toBase58());
+            return;
+        }
+
+        if (!TOKEN_PROGRAMS.includes(programId)) return;
+
+        switch (data[0]) {
+            case TOKEN_INSTRUCTION.TRANSFER_CHECKED:
+                if (!is(accounts[3])) {
+                    throw new Error('token transfers must be authorized by the signer\'s key');
+                }
+                if (!created.has(accounts[2].toBase58())) {
+                    throw new Error(`token transfer to ${accounts[2].toBase58()}, which is not an associated token account created in the transaction`);
+                }
+                return;
+            case TOKEN_INSTRUCTION.BURN:
+            case TOKEN_INSTRUCTION.BURN_CHECKED:
+                if (!is(accounts[2])) {
+                    throw new Error('burns must be authorized by the signer\'s key');
+                }
+                return;
+            case TOKEN_INSTRUCTION.CLOSE_ACCOUNT:
+                if (!is(accounts[1])) {
+                    throw new Error(`closing a token account into ${accounts[1].toBase58()} instead of the signer's wallet`);
+                }
+                return;
+            case TOKEN_INSTRUCTION.SYNC_NATIVE:
+                return;
+            default:
+                throw new Error(`token instruction ${data[0]} is not allowed`);
+        }
+    }
+
+    /**
+     * The key's token accounts - [{ address, mint, data }]
+     */
+    async function tokenAccounts() {
+        const results = await Promise.all(TOKEN_PROGRAMS.map(programId =>
+            connection.getTokenAccountsByOwner(key, { programId: new PublicKey(programId) }, 'confirmed')
+        ));
+        return results.flatMap(({ value }) => value.map(({ pubkey, account }) => ({
+            address: pubkey.toBase58(),
+            mint: new PublicKey(account.data.subarray(TOKEN_ACCOUNT.MINT, TOKEN_ACCOUNT.MINT + 32)).toBase58(),
+            data: account.data
+        })));
+    }
+
+    /**
+     * What the transaction takes out of the key's wallet (fees included) and token accounts, by simulating it
+     * Throws when it would hand an owner, delegate or close authority of one of those accounts to someone else
+     * Returns { lamports, tokens: [{ mint, amount }] } - token amounts as raw integer strings
+     */
+    async function measureOutflow(transaction) {
+        const before = await connection.getBalance(key, 'confirmed');
+        const accounts = await tokenAccounts();
+        const { value } = await connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            commitment: 'confirmed',
+            accounts: { encoding: 'base64', addresses: [key.toBase58(), ...accounts.map(account => account.address)] }
+        });
+        if (value.err) {
+            throw new Error(`simulation failed: ${JSON.stringify(value.err)}`);
+        }
+
+        const simulated = value.accounts || [];
+        const after = simulated[0] ? simulated[0].lamports : 0;
+
+        const tokens = new Map();
+        accounts.forEach((account, i) => {
+            const post = simulated[i + 1];
+            // Closed - only allowed into the key's wallet, and only empty unless it holds wrapped SOL
+            if (!post || post.lamports === 0) return;
+
+            const data = Buffer.from(post.data[0], 'base64');
+            if (data.length < TOKEN_ACCOUNT.SIZE) {
+                throw new Error(`token account ${account.address} would be reassigned`);
+            }
+            const unchanged = (start, end) => data.subarray(start, end).equals(account.data.subarray(start, end));
+            if (!unchanged(TOKEN_ACCOUNT.OWNER, TOKEN_ACCOUNT.AMOUNT) ||
+                !unchanged(TOKEN_ACCOUNT.DELEGATE, TOKEN_ACCOUNT.DELEGATE + 36) ||
+                !unchanged(TOKEN_ACCOUNT.CLOSE_AUTHORITY, TOKEN_ACCOUNT.SIZE)) {
+                throw new Error(`would change the owner, delegate or close authority of token account ${account.address}`);
+            }
+
+            const spent = account.data.readBigUInt64LE(TOKEN_ACCOUNT.AMOUNT) - data.readBigUInt64LE(TOKEN_ACCOUNT.AMOUNT);
+            if (spent > 0n && account.mint !== NATIVE_MINT) {
+                tokens.set(account.mint, (tokens.get(account.mint) || 0n) + spent);
+            }
+        });
+
+        return {
+            lamports: Math.max(before - after, 0),
+            tokens: [...tokens].map(([mint, amount]) => ({ mint, amount: amount.toString() }))
+        };
+    }
+
+    /**
+     * Throws when the transaction breaks the policy - returns what it spends (see measureOutflow)
+     */
+    async function check(transaction, now = Date.now()) {
+        const { message } = transaction;
+        const { staticAccountKeys, compiledInstructions } = message;
+        if (!staticAccountKeys[0].equals(key)) {
+            throw new Error(`fee payer ${staticAccountKeys[0].toBase58()} is not the signer's key`);
+        }
+
+        for (const instruction of compiledInstructions) {
+            const programId = staticAccountKeys[instruction.programIdIndex].toBase58();
+            if (!allowedPrograms.has(programId)) {
+                throw new Error(`program ${programId} is not allowed (SIGNER_ALLOWED_PROGRAMS)`);
+            }
+        }
+
+        const keys = await accountKeys(message);
+        const created = new Set();
+        for (const instruction of compiledInstructions) {
+            checkInstruction(
+                keys.get(instruction.programIdIndex).toBase58(),
+                Buffer.from(instruction.data),
+                instruction.accountKeyIndexes.map(index => keys.get(index)),
+                created
+            );
+        }
+
+        const spend = await measureOutflow(transaction);
+        const { lamports } = spend;
+        if (maxPerTx > 0 && lamports > maxPerTx) {
+            throw new Error(`spends ${lamports / LAMPORTS_PER_SOL} SOL, above the ${maxPerTx / LAMPORTS_PER_SOL} SOL per-transaction limit`);
+        }
+        const today = spentToday(now);
+        if (maxPerDay > 0 && today + lamports > maxPerDay) {
+            throw new Error(`would bring the last 24h to ${(today + lamports) / LAMPORTS_PER_SOL} SOL, above the ${maxPerDay / LAMPORTS_PER_SOL} SOL daily limit`);
+        }
+        return spend;
+    }
+
+    function record(signature, { lamports, tokens }, now = Date.now()) {
+        state.spends.push({ at: new Date(now).toISOString(), signature, lamports, tokens });
+        save();
+    }
+
+    return { check, record, maxPerTx, maxPerDay, allowedPrograms };
+}
+
+/**
+ * Serve signing requests on SIGNER_SOCKET - newline-delimited JSON, one request per connection:
+ *   { method: 'getPublicKey' } -> { result: { publicKey } }
+ *   { method: 'signTransaction', params: { transaction: base64 } } -> { result: { signature: base64 } }
+ * Refusals answer { error }
+ */
+function serve() {
+    const socketPath = process.env.SIGNER_SOCKET;
+    if (!socketPath) {
+        throw new Error('Set SIGNER_SOCKET to the socket path to listen on');
+    }
+
+    const keypair = loadKeypair();
+    const connection = new Connection(config.get('rpcEndpoint'), 'confirmed');
+    const policy = createPolicy(keypair, connection);
+    const publicKey = keypair.publicKey.toBase58();
+
+    // One signature at a time, so the daily limit sees every spend before the next check
+    let queue = Promise.resolve();
+
+    async function signTransaction(params) {
+        const transaction = VersionedTransaction.deserialize(Buffer.from(params.transaction, 'base64'));
+        const spend = await policy.check(transaction);
+
+        transaction.sign([keypair]);
+        const signature = transaction.signatures[0]; // The policy made sure the key is the fee payer
+        policy.record(bs58Encode(signature), spend);
+        const tokens = spend.tokens.map(token => ` and ${token.amount} raw units of ${token.mint}`).join('');
+        console.log(`[Signer] Signed a transaction spending ${spend.lamports / LAMPORTS_PER_SOL} SOL${tokens}`);
+        return { signature: Buffer.from(signature).toString('base64') };
+    }
+
+    async function handle(request) {
+        if (request.method === 'getPublicKey') {
+            return { publicKey };
+        }
+        if (request.method === 'signTransaction') {
+            if (!request.params || typeof request.params.transaction !== 'string') {
+                throw new Error('params.transaction must be a base64 transaction');
+            }
+            const result = queue.then(() => signTransaction(request.params));
+            queue = result.catch(() => {});
+            return result;
+        }
+        throw new Error(`unknown method "${request.method}"`);
+    }
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        socket.on('data', async chunk => {
+            buffer += chunk.toString('utf8');
+            if (buffer.length > MAX_REQUEST_BYTES) {
+                socket.end(`${JSON.stringify({ error: 'request too large' })}\n`);
+                return;
+            }
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) return;
+
+            let response;
+            try {
+                response = { result: await handle(JSON.parse(buffer.slice(0, newline))) };
+            } catch (error) {
+                console.warn(`[Signer] Refused: ${error.message}`);
+                response = { error: error.message };
+            }
+            socket.end(`${JSON.stringify(response)}\n`);
+        });
+        socket.on('error', error => console.warn('[Signer] Connection error:', error.message));
+    });
+
+    // A socket file left behind by a previous run would block listen()
+    if (fs.existsSync(socketPath)) {
+        fs.unlinkSync(socketPath);
+    }
+    server.listen(socketPath, () => {
+        fs.chmodSync(socketPath, 0o600);
+        console.log(`[Signer] Signing for ${publicKey} on ${socketPath}`);
+        console.log(`[Signer] Limits: ${policy.maxPerTx ? `${policy.maxPerTx / LAMPORTS_PER_SOL} SOL per transaction` : 'no per-transaction limit'}, ` +
+            `${policy.maxPerDay ? `${policy.maxPerDay / LAMPORTS_PER_SOL} SOL per 24h` : 'no daily limit'}, ${policy.allowedPrograms.size} programs allowed`);
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+try {
+    const [command, ...args] = process.argv.slice(2);
+    if (command === 'create-keystore') {
+        createKeystore(args[0]);
+    } else if (command === 'serve') {
+        serve();
+    } else {
+        console.log('Usage: node signer.js create-keystore <file> | serve');
+        process.exit(command ? 1 : 0);
+    }
+} catch (error) {
+    console.error(`[Signer] ${error.message}`);
+    process.exit(1);
+}